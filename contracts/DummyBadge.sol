@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/token/ERC721/presets/ERC721PresetMinterPauserAutoId.sol";
+
+contract DummyBadge is ERC721PresetMinterPauserAutoId {
+  constructor(string memory name_, string memory symbol_) ERC721PresetMinterPauserAutoId(name_, symbol_, "") {}
+}
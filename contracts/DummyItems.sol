@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+contract DummyItems is ERC1155 {
+  constructor(string memory uri_) ERC1155(uri_) {}
+
+  function mint(address account, uint256 id, uint256 amount) public {
+    _mint(account, id, amount, "");
+  }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+interface IClaimable {
+  function claimReward(address owner) external;
+}
+
+contract DummyReentrantReceiver {
+  address target;
+
+  constructor(address _target) {
+    target = _target;
+  }
+
+  function claimReward(address owner) public {
+    IClaimable(target).claimReward(owner);
+  }
+
+  receive() external payable {
+    IClaimable(target).claimReward(address(this));
+  }
+}
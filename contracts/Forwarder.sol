@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+/**
+ * @dev Openzeppelin MinimalForwarder used by migrations and tests to relay meta-transactions locally.
+ */
+contract Forwarder is MinimalForwarder {
+
+}
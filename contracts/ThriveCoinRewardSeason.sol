@@ -2,24 +2,39 @@
 
 pragma solidity 0.8.14;
 
-import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "./ThriveCoinRewardSeasonAccessControl.sol";
 
 /**
  * @author ThriveCoin
- * @title ThriveCoin reward season contract
+ * @title ThriveCoin reward season base contract
  *
- * @dev ThriveCoinRewardSeason is a simple smart contract that is used to store reward seasons and their respective
- * user rewards. It supports these key functionalities:
- * - Managing reward seasons where there is at most one active season, seasons can be added only by ADMIN_ROLE
- * - Adding user rewards to a season, only by WRITER_ROLE
+ * @dev ThriveCoinRewardSeasonBaseCore is a simple smart contract that is used to store reward seasons and their
+ * respective user rewards. It has no constructor logic, first season is stored by {__ThriveCoinRewardSeason_init} so
+ * the same logic is deployed either directly through {ThriveCoinRewardSeason} or behind a proxy through
+ * {ThriveCoinRewardSeasonUpgradeable}. Methods that write rewards from owner, destination and amount entries are added
+ * by {ThriveCoinRewardSeasonCore}, variants whose rewards carry more data add their own instead, e.g.
+ * {ThriveCoinRewardSeasonMultiTokenCore}. It supports these key functionalities:
+ * - Managing reward seasons where multiple seasons can be open at once, seasons can be added only by ADMIN_ROLE
+ * - Extending or shortening close dates of current season before they are reached, only by ADMIN_ROLE
+ * - Removing mistakenly added user rewards before season is closed, only by WRITER_ROLE
  * - Reading user rewards publicly
- * - Sending user rewards to destination, done by reward owner or reward destinaion
+ * - Sending user rewards to destination, done by reward owner or reward destinaion, also for past seasons
  * - Sending unclaimed rewards to default destination, can be done only by admin
+ * - Pausing reward writes and claims in case of emergency, only by PAUSER_ROLE
+ * - Accepting meta-transactions (EIP-2771) from trusted forwarder set by admin, e.g. for gasless claims
+ * - Two-step admin handover and protection of the last admin, see {ThriveCoinRewardSeasonAccessControl}
  *
  * NOTE: extends openzeppelin v4.6.0 contracts:
- * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/access/AccessControlEnumerable.sol
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/proxy/utils/Initializable.sol
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/security/PausableUpgradeable.sol
  */
-contract ThriveCoinRewardSeason is AccessControlEnumerable {
+abstract contract ThriveCoinRewardSeasonBaseCore is
+  Initializable,
+  ThriveCoinRewardSeasonAccessControl,
+  PausableUpgradeable
+{
   /**
    * @dev Structure that holds reward season.
    *
@@ -48,11 +63,14 @@ contract ThriveCoinRewardSeason is AccessControlEnumerable {
    * @property destination - Address where reward will be sent
    * @property amount - Amount that will be rewarded
    * @property claimed - Flag specifying that funds were claimed
+   * @property released - Amount already sent to destination for rewards that vest over time, see
+   *                      {ThriveCoinRewardSeasonIERC20-setSeasonVesting}
    */
   struct UserReward {
     address destination;
     uint256 amount;
     bool claimed;
+    uint256 released;
   }
 
   /**
@@ -71,6 +89,59 @@ contract ThriveCoinRewardSeason is AccessControlEnumerable {
   }
 
   bytes32 public constant WRITER_ROLE = keccak256("WRITER_ROLE");
+  bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+  /**
+   * @dev Emitted when a new season is started, including the initial season created on deployment.
+   */
+  event SeasonAdded(
+    uint256 indexed season,
+    address indexed defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate
+  );
+
+  /**
+   * @dev Emitted when a reward is added, overridden or changed by amount for `owner`, `oldAmount` is zero for new
+   * entries.
+   */
+  event RewardSet(
+    uint256 indexed season,
+    address indexed owner,
+    address indexed destination,
+    uint256 oldAmount,
+    uint256 newAmount
+  );
+
+  /**
+   * @dev Emitted when reward of `owner` is removed from a season together with its `amount`.
+   */
+  event RewardRemoved(uint256 indexed season, address indexed owner, uint256 amount);
+
+  /**
+   * @dev Emitted when reward of `owner` is claimed and sent to `destination`.
+   */
+  event RewardClaimed(uint256 indexed season, address indexed owner, address indexed destination, uint256 amount);
+
+  /**
+   * @dev Emitted when unclaimed rewards of a season are sent to its default destination.
+   */
+  event UnclaimedFundsSent(uint256 indexed season, address indexed destination, uint256 amount);
+
+  /**
+   * @dev Emitted when close date of a season is changed by admin.
+   */
+  event SeasonCloseDateChanged(uint256 indexed season, uint256 oldCloseDate, uint256 newCloseDate);
+
+  /**
+   * @dev Emitted when claim close date of a season is changed by admin.
+   */
+  event ClaimCloseDateChanged(uint256 indexed season, uint256 oldClaimCloseDate, uint256 newClaimCloseDate);
+
+  /**
+   * @dev Emitted when trusted forwarder used for meta-transactions is changed.
+   */
+  event TrustedForwarderChanged(address indexed oldForwarder, address indexed newForwarder);
 
   /**
    * @dev Storage of seasons in format season_index => season_data
@@ -87,27 +158,53 @@ contract ThriveCoinRewardSeason is AccessControlEnumerable {
    */
   mapping(uint256 => mapping(uint256 => address)) internal rewardsAddresses;
 
+  /**
+   * @dev Storage of user rewards index positions in format season_index => (owner => index + 1), zero means that
+   * owner has no reward entry
+   */
+  mapping(uint256 => mapping(address => uint256)) internal rewardsIndexes;
+
   /**
    * @dev Active/current season, always incremented only
    */
-  uint256 internal seasonIndex = 1;
+  uint256 internal seasonIndex;
+
+  /**
+   * @dev Forwarder trusted to append the real sender to calldata as described in EIP-2771, zero address disables it.
+   */
+  address internal trustedForwarder;
 
   /**
-   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
-   * `WRITER_ROLE` to the account that deploys the contract.
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts, see {ThriveCoinRewardSeasonUpgradeable}.
+   */
+  uint256[44] private __gap;
+
+  /**
+   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE`,
+   * `WRITER_ROLE` and `PAUSER_ROLE` to the account that deploys or initializes the contract.
    *
    * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
    * @param closeDate - Determines time when season will be closed, end users can't claim rewards prior to this date
    * @param claimCloseDate - Determines the date until funds are available to claim, should be after season close date
    */
-  constructor(address defaultDestination, uint256 closeDate, uint256 claimCloseDate) {
+  function __ThriveCoinRewardSeason_init(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate
+  ) internal onlyInitializing {
+    __AccessControlEnumerable_init();
+    __Pausable_init();
     _setupRole(DEFAULT_ADMIN_ROLE, _msgSender());
     _setupRole(WRITER_ROLE, _msgSender());
+    _setupRole(PAUSER_ROLE, _msgSender());
 
     require(defaultDestination != address(0), "ThriveCoinRewardSeason: default destination cannot be zero address");
     require(closeDate > block.timestamp, "ThriveCoinRewardSeason: close date already reached");
     require(closeDate < claimCloseDate, "ThriveCoinRewardSeason: close date should be before claim close date");
+    seasonIndex = 1;
     seasons[seasonIndex] = Season(defaultDestination, closeDate, claimCloseDate, 0, 0, 0, false);
+    emit SeasonAdded(seasonIndex, defaultDestination, closeDate, claimCloseDate);
   }
 
   modifier onlyWriter() {
@@ -120,8 +217,78 @@ contract ThriveCoinRewardSeason is AccessControlEnumerable {
     _;
   }
 
+  modifier onlyPauser() {
+    require(hasRole(PAUSER_ROLE, _msgSender()), "ThriveCoinRewardSeason: must have pauser role");
+    _;
+  }
+
+  /**
+   * @dev Pauses adding and claiming rewards, can be called only by pauser.
+   */
+  function pause() public onlyPauser {
+    _pause();
+  }
+
+  /**
+   * @dev Unpauses adding and claiming rewards, can be called only by pauser.
+   */
+  function unpause() public onlyPauser {
+    _unpause();
+  }
+
+  /**
+   * @dev Returns true if `forwarder` is the trusted forwarder of meta-transactions.
+   */
+  function isTrustedForwarder(address forwarder) public view virtual returns (bool) {
+    return forwarder != address(0) && forwarder == trustedForwarder;
+  }
+
+  /**
+   * @dev Returns the trusted forwarder of meta-transactions, zero address when meta-transactions are disabled.
+   */
+  function getTrustedForwarder() public view returns (address) {
+    return trustedForwarder;
+  }
+
   /**
-   * @dev Returns active/current season index
+   * @dev Sets the trusted forwarder of meta-transactions, can be called only by admin. Setting zero address disables
+   * meta-transactions.
+   *
+   * @param forwarder - Forwarder contract address, e.g. openzeppelin MinimalForwarder
+   */
+  function setTrustedForwarder(address forwarder) public onlyAdmin {
+    emit TrustedForwarderChanged(trustedForwarder, forwarder);
+    trustedForwarder = forwarder;
+  }
+
+  /**
+   * @dev Resolves the real sender of meta-transactions relayed by trusted forwarder, same as openzeppelin v4.6.0
+   * ERC2771Context but with forwarder managed by admin instead of being set on deployment.
+   */
+  function _msgSender() internal view virtual override returns (address sender) {
+    if (isTrustedForwarder(msg.sender)) {
+      assembly {
+        sender := shr(96, calldataload(sub(calldatasize(), 20)))
+      }
+    } else {
+      return super._msgSender();
+    }
+  }
+
+  /**
+   * @dev Strips the appended sender from calldata of meta-transactions relayed by trusted forwarder.
+   */
+  function _msgData() internal view virtual override returns (bytes calldata) {
+    if (isTrustedForwarder(msg.sender)) {
+      return msg.data[:msg.data.length - 20];
+    } else {
+      return super._msgData();
+    }
+  }
+
+  /**
+   * @dev Returns active/current season index, that is the most recently added season. Other seasons may still be
+   * open, see {isSeasonOpen}.
    */
   function currentSeason() public view returns (uint256) {
     return seasonIndex;
@@ -135,10 +302,19 @@ contract ThriveCoinRewardSeason is AccessControlEnumerable {
   }
 
   /**
-   * @dev Starts a new season with default destination and close dates, can be called only by admin and it requires
-   * the following conditions:
-   * - previous season claim close date is reached
-   * - unclaimed rewards for previous season are sent to default destination
+   * @dev Returns true if rewards of season can still be written, i.e. season exists and its close date is not
+   * reached yet.
+   *
+   * @param season - Season index
+   */
+  function isSeasonOpen(uint256 season) public view returns (bool) {
+    return block.timestamp <= seasons[season].closeDate;
+  }
+
+  /**
+   * @dev Starts a new season with default destination and close dates, can be called only by admin. Multiple seasons
+   * can be open at the same time, new season becomes the current season and it requires the following conditions:
+   * - new season close date is not reached
    * - new season close date is before new season claim close date
    *
    * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
@@ -146,18 +322,55 @@ contract ThriveCoinRewardSeason is AccessControlEnumerable {
    * @param claimCloseDate - Determines the date until funds are available to claim, should be after season close date
    */
   function addSeason(address defaultDestination, uint256 closeDate, uint256 claimCloseDate) public onlyAdmin {
-    Season memory prevSeason = seasons[seasonIndex];
-    require(block.timestamp > prevSeason.claimCloseDate, "ThriveCoinRewardSeason: previous season not fully closed");
-    require(
-      prevSeason.totalRewards - prevSeason.claimedRewards == 0 || prevSeason.unclaimedFundsSent,
-      "ThriveCoinRewardSeason: unclaimed funds not sent yet"
-    );
     require(defaultDestination != address(0), "ThriveCoinRewardSeason: default destination cannot be zero address");
     require(closeDate > block.timestamp, "ThriveCoinRewardSeason: close date already reached");
     require(closeDate < claimCloseDate, "ThriveCoinRewardSeason: close date should be before claim close date");
 
     seasonIndex++;
     seasons[seasonIndex] = Season(defaultDestination, closeDate, claimCloseDate, 0, 0, 0, false);
+    emit SeasonAdded(seasonIndex, defaultDestination, closeDate, claimCloseDate);
+  }
+
+  /**
+   * @dev Changes close date of current season, can be called only by admin. Close date can be extended or shortened
+   * only while season is open and it requires the following conditions:
+   * - new close date is not reached
+   * - new close date is before claim close date of the season
+   *
+   * @param closeDate - New close date of current season
+   */
+  function setSeasonCloseDate(uint256 closeDate) public onlyAdmin {
+    Season storage seasonInfo = seasons[seasonIndex];
+    require(block.timestamp <= seasonInfo.closeDate, "ThriveCoinRewardSeason: season is closed");
+    require(closeDate > block.timestamp, "ThriveCoinRewardSeason: close date already reached");
+    require(
+      closeDate < seasonInfo.claimCloseDate,
+      "ThriveCoinRewardSeason: close date should be before claim close date"
+    );
+
+    emit SeasonCloseDateChanged(seasonIndex, seasonInfo.closeDate, closeDate);
+    seasonInfo.closeDate = closeDate;
+  }
+
+  /**
+   * @dev Changes claim close date of current season, can be called only by admin. Claim close date can be extended or
+   * shortened only before it's reached and it requires the following conditions:
+   * - new claim close date is not reached
+   * - new claim close date is after close date of the season
+   *
+   * @param claimCloseDate - New claim close date of current season
+   */
+  function setClaimCloseDate(uint256 claimCloseDate) public onlyAdmin {
+    Season storage seasonInfo = seasons[seasonIndex];
+    require(block.timestamp <= seasonInfo.claimCloseDate, "ThriveCoinRewardSeason: deadline for claiming reached");
+    require(claimCloseDate > block.timestamp, "ThriveCoinRewardSeason: claim close date already reached");
+    require(
+      seasonInfo.closeDate < claimCloseDate,
+      "ThriveCoinRewardSeason: close date should be before claim close date"
+    );
+
+    emit ClaimCloseDateChanged(seasonIndex, seasonInfo.claimCloseDate, claimCloseDate);
+    seasonInfo.claimCloseDate = claimCloseDate;
   }
 
   /**
@@ -185,77 +398,114 @@ contract ThriveCoinRewardSeason is AccessControlEnumerable {
   }
 
   /**
-   * @dev Adds a new reward entry or overrides old reward entry. It's important to notice that if a previous reward is
-   * found for owner the amount won't be added as sum of previous amount and new one, but it will replace the
-   * previous one. Rewards cannot be added once season is closed.
+   * @dev Removes reward entry of owner from current season, subtracting its amount from season total rewards and
+   * dropping owner from rewards index. Last reward entry takes the index of removed one, so order of rewards returned
+   * by {readRewardByIndex} changes. Rewards cannot be removed once season is closed or while contract is paused.
    *
-   * @param entry - User reward entry that constists of owner, destination and amount.
+   * @param owner - Owner of the reward
    */
-  function addReward(UserRewardRequest calldata entry) public virtual onlyWriter {
-    Season storage season = seasons[seasonIndex];
-    require(block.timestamp <= season.closeDate, "ThriveCoinRewardSeason: season is closed");
+  function removeReward(address owner) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+    _removeReward(seasonIndex, owner);
+  }
 
-    // possible override of current season reward
-    UserReward storage reward = rewards[seasonIndex][entry.owner];
-    uint256 oldReward = reward.amount;
+  /**
+   * @dev Removes multiple rewards in batch, see {removeReward} for more details. Whole batch reverts if any of the
+   * rewards is not found.
+   *
+   * @param owners - List of reward owners
+   */
+  function removeRewardBatch(address[] calldata owners) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
 
-    if (reward.destination == address(0)) {
-      rewardsAddresses[seasonIndex][season.rewardCount] = entry.owner;
-      season.rewardCount++;
+    for (uint256 i = 0; i < owners.length; i++) {
+      _removeReward(seasonIndex, owners[i]);
     }
+  }
 
-    reward.amount = entry.amount;
-    reward.destination = entry.destination;
-    reward.claimed = false;
-
-    season.totalRewards = season.totalRewards + entry.amount - oldReward;
+  /**
+   * @dev Reverts if rewards of season can no longer be written.
+   */
+  function _requireSeasonOpen(uint256 season) internal view {
+    require(isSeasonOpen(season), "ThriveCoinRewardSeason: season is closed");
   }
 
   /**
-   * @dev Adds/overrides multiple rewards in batch. It's important to notice that if a previous reward for owner is
-   * detected amount won't be added as sum of previous amount and new one, but it will replace the previous one.
-   * Rewards cannot be added once season is closed.
-   *
-   * @param entries - Lis of user reward entries that constists of owner, destination and amount.
+   * @dev Deletes season reward of owner by moving last reward entry to its index (swap-and-pop).
    */
-  function addRewardBatch(UserRewardRequest[] calldata entries) public virtual onlyWriter {
-    Season storage season = seasons[seasonIndex];
-    require(block.timestamp <= season.closeDate, "ThriveCoinRewardSeason: season is closed");
+  function _removeReward(uint256 season, address owner) internal {
+    Season storage seasonInfo = seasons[season];
+    uint256 index = rewardsIndexes[season][owner];
+    require(index != 0, "ThriveCoinRewardSeason: reward not found");
+
+    uint256 lastIndex = seasonInfo.rewardCount - 1;
+    if (index - 1 != lastIndex) {
+      address lastOwner = rewardsAddresses[season][lastIndex];
+      rewardsAddresses[season][index - 1] = lastOwner;
+      rewardsIndexes[season][lastOwner] = index;
+    }
+    delete rewardsAddresses[season][lastIndex];
+    delete rewardsIndexes[season][owner];
+    seasonInfo.rewardCount = lastIndex;
+
+    uint256 amount = rewards[season][owner].amount;
+    delete rewards[season][owner];
+    seasonInfo.totalRewards -= amount;
+    emit RewardRemoved(season, owner, amount);
+  }
 
-    for (uint256 i = 0; i < entries.length; i++) {
-      UserRewardRequest calldata entry = entries[i];
+  /**
+   * @dev Stores reward amount and destination of owner for season, registers owner in rewards index if it's a new
+   * entry and keeps season total rewards in sync.
+   */
+  function _setReward(uint256 season, address owner, address destination, uint256 amount) internal {
+    Season storage seasonInfo = seasons[season];
 
-      // possible override of current season reward
-      UserReward storage reward = rewards[seasonIndex][entry.owner];
-      uint256 oldReward = reward.amount;
+    // possible override of season reward
+    UserReward storage reward = rewards[season][owner];
+    uint256 oldReward = reward.amount;
 
-      if (reward.destination == address(0)) {
-        rewardsAddresses[seasonIndex][season.rewardCount] = entry.owner;
-        season.rewardCount++;
-      }
+    if (rewardsIndexes[season][owner] == 0) {
+      rewardsAddresses[season][seasonInfo.rewardCount] = owner;
+      seasonInfo.rewardCount++;
+      rewardsIndexes[season][owner] = seasonInfo.rewardCount;
+    }
 
-      reward.amount = entry.amount;
-      reward.destination = entry.destination;
-      reward.claimed = false;
+    reward.amount = amount;
+    reward.destination = destination;
+    reward.claimed = false;
 
-      season.totalRewards = season.totalRewards + entry.amount - oldReward;
-    }
+    seasonInfo.totalRewards = seasonInfo.totalRewards + amount - oldReward;
+    emit RewardSet(season, owner, destination, oldReward, amount);
   }
 
   /**
    * @dev Can be called by owner or destination of reward to send funds to destination. It can be called only after
    * close date is reached and before claim close date is reached. Reward can be claimed at most once and only for
-   * current season.
+   * current season, see {claimReward} with explicit season for other seasons. Rewards cannot be claimed while
+   * contract is paused.
    *
    * @param owner - Owner from whom the funds will be claimed
    */
   function claimReward(address owner) public virtual {
-    Season storage season = seasons[seasonIndex];
-    require(block.timestamp > season.closeDate, "ThriveCoinRewardSeason: season is not closed yet");
-    require(block.timestamp <= season.claimCloseDate, "ThriveCoinRewardSeason: deadline for claiming reached");
+    claimReward(seasonIndex, owner);
+  }
 
-    UserReward storage reward = rewards[seasonIndex][owner];
-    require(reward.amount > 0, "ThriveCoinRewardSeason: reward not found");
+  /**
+   * @dev Same as {claimReward} but for explicit season, status checks are done against that season. Reward cannot be
+   * claimed once unclaimed funds of the season are sent.
+   *
+   * @param season - Season index
+   * @param owner - Owner from whom the funds will be claimed
+   */
+  function claimReward(uint256 season, address owner) public virtual whenNotPaused {
+    Season storage seasonInfo = seasons[season];
+    require(block.timestamp > seasonInfo.closeDate, "ThriveCoinRewardSeason: season is not closed yet");
+    require(block.timestamp <= seasonInfo.claimCloseDate, "ThriveCoinRewardSeason: deadline for claiming reached");
+    require(seasonInfo.unclaimedFundsSent == false, "ThriveCoinRewardSeason: unclaimed funds already sent");
+
+    UserReward storage reward = rewards[season][owner];
+    require(_hasReward(season, owner), "ThriveCoinRewardSeason: reward not found");
     require(reward.claimed == false, "ThriveCoinRewardSeason: reward is already claimed");
     require(
       owner == _msgSender() || reward.destination == _msgSender(),
@@ -263,18 +513,253 @@ contract ThriveCoinRewardSeason is AccessControlEnumerable {
     );
 
     reward.claimed = true;
-    season.claimedRewards += reward.amount;
+    seasonInfo.claimedRewards += reward.amount;
+    emit RewardClaimed(season, owner, reward.destination, reward.amount);
+  }
+
+  /**
+   * @dev Claims reward of owner in specific season, e.g. in a past season while its claim window is still open. Alias
+   * of {claimReward} with explicit season.
+   *
+   * @param season - Season index
+   * @param owner - Owner from whom the funds will be claimed
+   */
+  function claimRewardForSeason(uint256 season, address owner) public virtual {
+    claimReward(season, owner);
   }
 
   /**
-   * @dev Used to send unclaimed funds after claim close date to default destination. Can be called only by admins.
+   * @dev Claims rewards of the caller in every season where reward can be claimed at the moment, seasons that are not
+   * eligible (claim window not open, reward missing or already claimed, unclaimed funds sent) are skipped. Reverts if
+   * there is nothing to claim.
+   */
+  function claimAll() public virtual {
+    address owner = _msgSender();
+    bool claimed = false;
+
+    for (uint256 i = 1; i <= seasonIndex; i++) {
+      if (_isClaimable(i, owner)) {
+        claimReward(i, owner);
+        claimed = true;
+      }
+    }
+
+    require(claimed, "ThriveCoinRewardSeason: no rewards to claim");
+  }
+
+  /**
+   * @dev Returns true if reward of owner in season passes all checks of {claimReward}.
+   */
+  function _isClaimable(uint256 season, address owner) internal view virtual returns (bool) {
+    Season storage seasonInfo = seasons[season];
+    UserReward storage reward = rewards[season][owner];
+
+    return
+      block.timestamp > seasonInfo.closeDate &&
+      block.timestamp <= seasonInfo.claimCloseDate &&
+      !seasonInfo.unclaimedFundsSent &&
+      _hasReward(season, owner) &&
+      !reward.claimed;
+  }
+
+  /**
+   * @dev Returns true if owner has something to claim in season, i.e. reward amount is greater than zero.
+   */
+  function _hasReward(uint256 season, address owner) internal view virtual returns (bool) {
+    return rewards[season][owner].amount > 0;
+  }
+
+  /**
+   * @dev Returns true if season has rewards that are not claimed, i.e. claimed rewards are below total rewards.
+   */
+  function _hasUnclaimedFunds(uint256 season) internal view virtual returns (bool) {
+    return seasons[season].totalRewards - seasons[season].claimedRewards > 0;
+  }
+
+  /**
+   * @dev Used to send unclaimed funds of current season after claim close date to default destination. Can be called
+   * only by admins.
    */
   function sendUnclaimedFunds() public virtual onlyAdmin {
-    Season storage season = seasons[seasonIndex];
-    require(block.timestamp > season.claimCloseDate, "ThriveCoinRewardSeason: deadline for claiming not reached");
-    require(season.totalRewards - season.claimedRewards > 0, "ThriveCoinRewardSeason: no funds available");
-    require(season.unclaimedFundsSent == false, "ThriveCoinRewardSeason: funds already sent");
+    sendUnclaimedFunds(seasonIndex);
+  }
 
-    season.unclaimedFundsSent = true;
+  /**
+   * @dev Same as {sendUnclaimedFunds} but for explicit season. Can be called only by admins.
+   *
+   * @param season - Season index
+   */
+  function sendUnclaimedFunds(uint256 season) public virtual onlyAdmin {
+    Season storage seasonInfo = seasons[season];
+    require(block.timestamp > seasonInfo.claimCloseDate, "ThriveCoinRewardSeason: deadline for claiming not reached");
+    require(_hasUnclaimedFunds(season), "ThriveCoinRewardSeason: no funds available");
+    require(seasonInfo.unclaimedFundsSent == false, "ThriveCoinRewardSeason: funds already sent");
+
+    seasonInfo.unclaimedFundsSent = true;
+    emit UnclaimedFundsSent(season, seasonInfo.defaultDestination, seasonInfo.totalRewards - seasonInfo.claimedRewards);
+  }
+
+  /**
+   * @dev Reverts unless every season is fully closed and its unclaimed funds are sent, used to guard withdrawals of
+   * remaining funds.
+   */
+  function _requireSeasonsSettled() internal view {
+    for (uint256 i = 1; i <= seasonIndex; i++) {
+      Season storage seasonInfo = seasons[i];
+      require(block.timestamp > seasonInfo.claimCloseDate, "ThriveCoinRewardSeason: previous season not fully closed");
+      require(
+        !_hasUnclaimedFunds(i) || seasonInfo.unclaimedFundsSent,
+        "ThriveCoinRewardSeason: unclaimed funds not sent yet"
+      );
+    }
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season core contract
+ *
+ * @dev ThriveCoinRewardSeasonCore extends {ThriveCoinRewardSeasonBaseCore} with adding, incrementing and decrementing
+ * user rewards of a season from owner, destination and amount entries, only by WRITER_ROLE.
+ */
+abstract contract ThriveCoinRewardSeasonCore is ThriveCoinRewardSeasonBaseCore {
+  /**
+   * @dev Adds a new reward entry or overrides old reward entry in current season. It's important to notice that if a
+   * previous reward is found for owner the amount won't be added as sum of previous amount and new one, but it will
+   * replace the previous one, see {incrementReward} for accumulating rewards. Rewards cannot be added once season is
+   * closed or while contract is paused.
+   *
+   * @param entry - User reward entry that constists of owner, destination and amount.
+   */
+  function addReward(UserRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+    _setReward(seasonIndex, entry.owner, entry.destination, entry.amount);
+  }
+
+  /**
+   * @dev Same as {addReward} but for explicit season, which allows writing rewards to any open season.
+   *
+   * @param season - Season index
+   * @param entry - User reward entry that constists of owner, destination and amount.
+   */
+  function addReward(uint256 season, UserRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(season);
+    _setReward(season, entry.owner, entry.destination, entry.amount);
+  }
+
+  /**
+   * @dev Adds/overrides multiple rewards in batch in current season. It's important to notice that if a previous
+   * reward for owner is detected amount won't be added as sum of previous amount and new one, but it will replace the
+   * previous one. Rewards cannot be added once season is closed or while contract is paused.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination and amount.
+   */
+  function addRewardBatch(UserRewardRequest[] calldata entries) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _setReward(seasonIndex, entries[i].owner, entries[i].destination, entries[i].amount);
+    }
+  }
+
+  /**
+   * @dev Same as {addRewardBatch} but for explicit season, which allows writing rewards to any open season.
+   *
+   * @param season - Season index
+   * @param entries - Lis of user reward entries that constists of owner, destination and amount.
+   */
+  function addRewardBatch(
+    uint256 season,
+    UserRewardRequest[] calldata entries
+  ) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(season);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _setReward(season, entries[i].owner, entries[i].destination, entries[i].amount);
+    }
+  }
+
+  /**
+   * @dev Adds entry amount to the existing reward of owner in current season, or creates a new reward entry if owner
+   * has none. Destination is replaced with the one from entry. Rewards cannot be changed once season is closed or
+   * while contract is paused.
+   *
+   * @param entry - User reward entry that constists of owner, destination and amount to add.
+   */
+  function incrementReward(UserRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+    _incrementReward(seasonIndex, entry);
+  }
+
+  /**
+   * @dev Increments multiple rewards in batch, see {incrementReward} for more details. Entries with the same owner
+   * are summed up.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination and amount to add.
+   */
+  function incrementRewardBatch(UserRewardRequest[] calldata entries) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _incrementReward(seasonIndex, entries[i]);
+    }
+  }
+
+  /**
+   * @dev Subtracts entry amount from the existing reward of owner in current season, it reverts if reward is not
+   * found or if amount exceeds the current reward amount. Destination is replaced with the one from entry. Rewards
+   * cannot be changed once season is closed or while contract is paused.
+   *
+   * @param entry - User reward entry that constists of owner, destination and amount to subtract.
+   */
+  function decrementReward(UserRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+    _decrementReward(seasonIndex, entry);
+  }
+
+  /**
+   * @dev Decrements multiple rewards in batch, see {decrementReward} for more details. Whole batch reverts if any of
+   * the entries would underflow.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination and amount to subtract.
+   */
+  function decrementRewardBatch(UserRewardRequest[] calldata entries) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _decrementReward(seasonIndex, entries[i]);
+    }
+  }
+
+  /**
+   * @dev Adds entry amount to season reward of entry owner.
+   */
+  function _incrementReward(uint256 season, UserRewardRequest calldata entry) internal {
+    _setReward(season, entry.owner, entry.destination, rewards[season][entry.owner].amount + entry.amount);
+  }
+
+  /**
+   * @dev Subtracts entry amount from season reward of entry owner, guarded against underflow.
+   */
+  function _decrementReward(uint256 season, UserRewardRequest calldata entry) internal {
+    UserReward storage reward = rewards[season][entry.owner];
+    require(rewardsIndexes[season][entry.owner] != 0, "ThriveCoinRewardSeason: reward not found");
+    require(reward.amount >= entry.amount, "ThriveCoinRewardSeason: decrement exceeds reward amount");
+    _setReward(season, entry.owner, entry.destination, reward.amount - entry.amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonCore}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeason is ThriveCoinRewardSeasonCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonBaseCore-__ThriveCoinRewardSeason_init}.
+   */
+  constructor(address defaultDestination, uint256 closeDate, uint256 claimCloseDate) initializer {
+    __ThriveCoinRewardSeason_init(defaultDestination, closeDate, claimCloseDate);
   }
 }
@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlEnumerableUpgradeable.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season access control contract
+ *
+ * @dev ThriveCoinRewardSeasonAccessControl is the role management shared by all reward season contracts. On top of
+ * AccessControlEnumerableUpgradeable it supports these key functionalities:
+ * - Two-step admin handover, admin proposes new admin that can accept it once transfer delay has passed, after which
+ *   the proposing admin loses DEFAULT_ADMIN_ROLE
+ * - Cancelling pending admin proposal, only by ADMIN_ROLE
+ * - Preventing the last member of DEFAULT_ADMIN_ROLE from being revoked or renouncing the role, so that admin only
+ *   functions can't become unreachable
+ *
+ * NOTE: pending admin proposal is kept in a dedicated storage slot instead of a state variable, so storage layout of
+ * upgradeable season contracts is the same with and without this contract.
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/access/AccessControlEnumerableUpgradeable.sol
+ */
+abstract contract ThriveCoinRewardSeasonAccessControl is AccessControlEnumerableUpgradeable {
+  /**
+   * @dev Structure that represents pending admin handover
+   *
+   * @property account - Address proposed as new admin
+   * @property proposer - Admin that proposed the handover and loses admin role once it's accepted
+   * @property acceptAfter - Time after which the proposal can be accepted
+   */
+  struct AdminProposal {
+    address account;
+    address proposer;
+    uint256 acceptAfter;
+  }
+
+  /**
+   * @dev Time that needs to pass between admin proposal and its acceptance.
+   */
+  uint256 public constant ADMIN_TRANSFER_DELAY = 2 days;
+
+  /**
+   * @dev Storage slot of pending admin proposal, equals to
+   * `bytes32(uint256(keccak256("thrivecoin.rewardseason.adminproposal")) - 1)`.
+   */
+  bytes32 private constant ADMIN_PROPOSAL_SLOT = 0x497e25e28f910a5a051344b0e33e2077340be609194be5147ecf3f0933e471b6;
+
+  /**
+   * @dev Emitted when `proposer` proposes `account` as new admin, acceptable after `acceptAfter`.
+   */
+  event AdminProposed(address indexed proposer, address indexed account, uint256 acceptAfter);
+
+  /**
+   * @dev Emitted when admin proposal of `account` is cancelled.
+   */
+  event AdminProposalCancelled(address indexed account);
+
+  /**
+   * @dev Emitted when `account` accepts admin role proposed by `previousAdmin`.
+   */
+  event AdminTransferred(address indexed previousAdmin, address indexed account);
+
+  /**
+   * @dev Returns pending admin proposal, account is zero address when there is none.
+   */
+  function readAdminProposal() public view returns (AdminProposal memory) {
+    AdminProposal storage proposal = _adminProposal();
+    return AdminProposal(proposal.account, proposal.proposer, proposal.acceptAfter);
+  }
+
+  /**
+   * @dev Proposes account as new admin, replacing previous proposal. Can be called only by admin.
+   *
+   * @param account - Address of the new admin
+   */
+  function proposeAdmin(address account) public virtual {
+    _checkAdmin();
+    require(account != address(0), "ThriveCoinRewardSeasonAccessControl: account is the zero address");
+    require(!hasRole(DEFAULT_ADMIN_ROLE, account), "ThriveCoinRewardSeasonAccessControl: account is already admin");
+
+    AdminProposal storage proposal = _adminProposal();
+    proposal.account = account;
+    proposal.proposer = _msgSender();
+    proposal.acceptAfter = block.timestamp + ADMIN_TRANSFER_DELAY;
+
+    emit AdminProposed(_msgSender(), account, proposal.acceptAfter);
+  }
+
+  /**
+   * @dev Cancels pending admin proposal. Can be called only by admin.
+   */
+  function cancelAdminProposal() public virtual {
+    _checkAdmin();
+    AdminProposal storage proposal = _adminProposal();
+    require(proposal.account != address(0), "ThriveCoinRewardSeasonAccessControl: no admin proposal");
+
+    emit AdminProposalCancelled(proposal.account);
+    _clearAdminProposal();
+  }
+
+  /**
+   * @dev Accepts pending admin proposal, can be called only by proposed account after transfer delay has passed and
+   * only while proposer is still admin. DEFAULT_ADMIN_ROLE is granted to the caller and revoked from the proposer.
+   */
+  function acceptAdmin() public virtual {
+    AdminProposal memory proposal = _adminProposal();
+    require(
+      proposal.account != address(0) && proposal.account == _msgSender(),
+      "ThriveCoinRewardSeasonAccessControl: caller is not proposed admin"
+    );
+    require(block.timestamp >= proposal.acceptAfter, "ThriveCoinRewardSeasonAccessControl: transfer delay not passed");
+    require(
+      hasRole(DEFAULT_ADMIN_ROLE, proposal.proposer),
+      "ThriveCoinRewardSeasonAccessControl: proposer is no longer admin"
+    );
+
+    _clearAdminProposal();
+    _grantRole(DEFAULT_ADMIN_ROLE, proposal.account);
+    _revokeRole(DEFAULT_ADMIN_ROLE, proposal.proposer);
+    emit AdminTransferred(proposal.proposer, proposal.account);
+  }
+
+  /**
+   * @dev Overrides role revoking, used by both {revokeRole} and {renounceRole}, so that the last admin can't be
+   * removed.
+   */
+  function _revokeRole(bytes32 role, address account) internal virtual override {
+    if (role == DEFAULT_ADMIN_ROLE && hasRole(role, account)) {
+      require(getRoleMemberCount(role) > 1, "ThriveCoinRewardSeasonAccessControl: can't remove last admin");
+    }
+    super._revokeRole(role, account);
+  }
+
+  /**
+   * @dev Reverts when caller doesn't have DEFAULT_ADMIN_ROLE, used by admin proposal methods. Virtual so that season
+   * contracts can route it through their own admin check.
+   */
+  function _checkAdmin() internal view virtual {
+    require(hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), "ThriveCoinRewardSeasonAccessControl: must have admin role");
+  }
+
+  /**
+   * @dev Resets all fields of pending admin proposal, after which {readAdminProposal} returns zero values.
+   */
+  function _clearAdminProposal() private {
+    AdminProposal storage proposal = _adminProposal();
+    delete proposal.account;
+    delete proposal.proposer;
+    delete proposal.acceptAfter;
+  }
+
+  /**
+   * @dev Returns storage pointer to pending admin proposal at ADMIN_PROPOSAL_SLOT. The slot is derived from a
+   * namespaced hash minus one, same as ERC1967 slots, so it can't collide with sequentially allocated state variables
+   * of season contracts nor with mapping and dynamic array entries, whose slots are hashes with known preimages.
+   */
+  function _adminProposal() private pure returns (AdminProposal storage proposal) {
+    bytes32 slot = ADMIN_PROPOSAL_SLOT;
+    assembly {
+      proposal.slot := slot
+    }
+  }
+}
@@ -0,0 +1,411 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/utils/ERC1155HolderUpgradeable.sol";
+import "./ThriveCoinRewardSeason.sol";
+
+/**
+ * @dev Interface of ERC721 badge contracts that mint badges with auto incremented token ids, e.g. openzeppelin v4.6.0
+ * ERC721PresetMinterPauserAutoId where reward season contract is granted `MINTER_ROLE`.
+ */
+interface IBadgeMintable {
+  function mint(address to) external;
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season core contract with NFT badge rewards.
+ *
+ * @dev ThriveCoinRewardSeasonBadgeCore is a simple smart contract that is used to store reward seasons and their
+ * respective user rewards where each reward can carry an NFT badge alongside the fungible amount. It supports these key
+ * functionalities:
+ * - Managing reward seasons where multiple seasons can be open at once, seasons can be added only by ADMIN_ROLE
+ * - Adding user rewards with ERC1155 items (token id and quantity) or ERC721 badges, only by WRITER_ROLE
+ * - Reading user rewards and season items publicly
+ * - Sending ERC1155 items held by contract or minting ERC721 badges to reward destination on claim
+ * - Sending unclaimed ERC1155 items to default destination, can be done only by admin
+ * - Withdrawing remaining ERC1155 items once all seasons are settled, can be done only by admin
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/security/ReentrancyGuardUpgradeable.sol
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/token/ERC1155/utils/ERC1155HolderUpgradeable.sol
+ */
+abstract contract ThriveCoinRewardSeasonBadgeCore is
+  ThriveCoinRewardSeasonCore,
+  ERC1155HolderUpgradeable,
+  ReentrancyGuardUpgradeable
+{
+  /**
+   * @dev Kind of badge attached to reward, `None` means that reward has only fungible amount.
+   */
+  enum BadgeType {
+    None,
+    ERC1155,
+    ERC721
+  }
+
+  /**
+   * @dev Structure that represents badge of stored user reward
+   * @property badgeType - Kind of badge
+   * @property token - ERC1155 contract holding the items or ERC721 contract minting the badge
+   * @property tokenId - ERC1155 token id, unused for ERC721 badges as token id is assigned on mint
+   * @property quantity - Quantity of ERC1155 items, always one for ERC721 badges
+   */
+  struct BadgeReward {
+    BadgeType badgeType;
+    address token;
+    uint256 tokenId;
+    uint256 quantity;
+  }
+
+  /**
+   * @dev Structure for adding user reward with badge through external call
+   *
+   * @property owner - Address that represents owner of the reward,
+   *                   funds can be sent to destination either by owner or
+   *                   destination address through external call
+   * @property destination - Address where reward and badge will be sent
+   * @property amount - Fungible amount that will be rewarded, can be zero for badge only rewards
+   * @property badge - Badge that will be sent or minted to destination
+   */
+  struct BadgeRewardRequest {
+    address owner;
+    address destination;
+    uint256 amount;
+    BadgeReward badge;
+  }
+
+  /**
+   * @dev Structure that holds ERC1155 items of a season and their quantity that is not claimed yet
+   *
+   * @property token - ERC1155 contract address
+   * @property tokenId - ERC1155 token id
+   * @property unclaimed - Quantity of items that are rewarded but not claimed yet
+   */
+  struct SeasonItem {
+    address token;
+    uint256 tokenId;
+    uint256 unclaimed;
+  }
+
+  /**
+   * @dev Emitted when badge of `owner` reward is set, badge type `None` means that badge is removed.
+   */
+  event BadgeSet(
+    uint256 indexed season,
+    address indexed owner,
+    BadgeType badgeType,
+    address token,
+    uint256 tokenId,
+    uint256 quantity
+  );
+
+  /**
+   * @dev Emitted when badge of `owner` reward is sent or minted to `destination`, `tokenId` is zero for ERC721 badges.
+   */
+  event BadgeClaimed(
+    uint256 indexed season,
+    address indexed owner,
+    address indexed destination,
+    address token,
+    uint256 tokenId,
+    uint256 quantity
+  );
+
+  /**
+   * @dev Emitted when unclaimed ERC1155 items of a season are sent to its default destination.
+   */
+  event UnclaimedItemsSent(
+    uint256 indexed season,
+    address indexed destination,
+    address token,
+    uint256 tokenId,
+    uint256 quantity
+  );
+
+  /**
+   * @dev Emitted when remaining ERC1155 items are withdrawn from the contract.
+   */
+  event ItemsWithdrawn(address indexed token, address indexed account, uint256 tokenId, uint256 quantity);
+
+  /**
+   * @dev Storage of reward badges in format season_index => (owner => badge)
+   */
+  mapping(uint256 => mapping(address => BadgeReward)) internal badges;
+
+  /**
+   * @dev Storage of ERC1155 items rewarded in season in format season_index => items
+   */
+  mapping(uint256 => SeasonItem[]) internal seasonItems;
+
+  /**
+   * @dev Storage of season item positions in format season_index => (token => (token_id => index + 1)), zero means
+   * that item is not rewarded in season
+   */
+  mapping(uint256 => mapping(address => mapping(uint256 => uint256))) internal seasonItemIndexes;
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[47] private __gap;
+
+  /**
+   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE`,
+   * `WRITER_ROLE` and `PAUSER_ROLE` to the account that deploys or initializes the contract.
+   *
+   * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
+   * @param closeDate - Determines time when season will be closed, end users can't claim rewards prior to this date
+   * @param claimCloseDate - Determines the date until funds are available to claim, should be after season close date
+   */
+  function __ThriveCoinRewardSeasonBadge_init(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeason_init(defaultDestination, closeDate, claimCloseDate);
+    __ERC1155Holder_init();
+    __ReentrancyGuard_init();
+  }
+
+  /**
+   * @dev See {IERC165-supportsInterface}.
+   */
+  function supportsInterface(
+    bytes4 interfaceId
+  ) public view virtual override(AccessControlEnumerableUpgradeable, ERC1155ReceiverUpgradeable) returns (bool) {
+    return super.supportsInterface(interfaceId);
+  }
+
+  /**
+   * @dev Returns badge of owner reward
+   *
+   * @param season - Season index
+   * @param owner - Owner of the reward
+   */
+  function readBadge(uint256 season, address owner) public view returns (BadgeReward memory) {
+    return badges[season][owner];
+  }
+
+  /**
+   * @dev Returns ERC1155 items rewarded in season together with their unclaimed quantity
+   *
+   * @param season - Season index
+   */
+  function readSeasonItems(uint256 season) public view returns (SeasonItem[] memory) {
+    return seasonItems[season];
+  }
+
+  /**
+   * @dev Adds a new reward entry with badge or overrides old reward entry and its badge in current season. ERC1155
+   * items have to be transferred to contract before rewards are claimed, while for ERC721 badges contract needs to be
+   * allowed to mint them. Rewards cannot be added once season is closed or while contract is paused.
+   *
+   * @param entry - User reward entry that constists of owner, destination, amount and badge.
+   */
+  function addBadgeReward(BadgeRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+    _setBadgeReward(seasonIndex, entry);
+  }
+
+  /**
+   * @dev Adds/overrides multiple rewards with badges in batch in current season, see {addBadgeReward} for more details.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination, amount and badge.
+   */
+  function addBadgeRewardBatch(BadgeRewardRequest[] calldata entries) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _setBadgeReward(seasonIndex, entries[i]);
+    }
+  }
+
+  /**
+   * @dev Removes reward entry of owner together with its badge from current season, see
+   * {ThriveCoinRewardSeason-removeReward}.
+   *
+   * @param owner - Owner of the reward
+   */
+  function removeReward(address owner) public override {
+    super.removeReward(owner);
+    _setBadge(seasonIndex, owner, BadgeReward(BadgeType.None, address(0), 0, 0));
+  }
+
+  /**
+   * @dev Removes multiple rewards together with their badges in batch, see {removeReward}.
+   *
+   * @param owners - List of reward owners
+   */
+  function removeRewardBatch(address[] calldata owners) public override {
+    super.removeRewardBatch(owners);
+
+    for (uint256 i = 0; i < owners.length; i++) {
+      _setBadge(seasonIndex, owners[i], BadgeReward(BadgeType.None, address(0), 0, 0));
+    }
+  }
+
+  function _setBadgeReward(uint256 season, BadgeRewardRequest calldata entry) internal {
+    _setReward(season, entry.owner, entry.destination, entry.amount);
+    _setBadge(season, entry.owner, entry.badge);
+  }
+
+  /**
+   * @dev Stores badge of owner reward and keeps unclaimed quantity of season ERC1155 items in sync.
+   */
+  function _setBadge(uint256 season, address owner, BadgeReward memory badge) internal {
+    if (badge.badgeType == BadgeType.None) {
+      badge = BadgeReward(BadgeType.None, address(0), 0, 0);
+    } else {
+      require(badge.token != address(0), "ThriveCoinRewardSeasonBadge: badge token cannot be zero address");
+    }
+    if (badge.badgeType == BadgeType.ERC1155) {
+      require(badge.quantity > 0, "ThriveCoinRewardSeasonBadge: item quantity should be greater than zero");
+    }
+    if (badge.badgeType == BadgeType.ERC721) {
+      require(badge.tokenId == 0 && badge.quantity == 1, "ThriveCoinRewardSeasonBadge: invalid ERC721 badge");
+    }
+
+    BadgeReward storage oldBadge = badges[season][owner];
+    if (oldBadge.badgeType == BadgeType.None && badge.badgeType == BadgeType.None) {
+      return;
+    }
+    if (oldBadge.badgeType == BadgeType.ERC1155) {
+      _seasonItem(season, oldBadge.token, oldBadge.tokenId).unclaimed -= oldBadge.quantity;
+    }
+    if (badge.badgeType == BadgeType.ERC1155) {
+      _seasonItem(season, badge.token, badge.tokenId).unclaimed += badge.quantity;
+    }
+
+    badges[season][owner] = badge;
+    emit BadgeSet(season, owner, badge.badgeType, badge.token, badge.tokenId, badge.quantity);
+  }
+
+  /**
+   * @dev Returns season item of ERC1155 token id, registers it if it's not rewarded in season yet.
+   */
+  function _seasonItem(uint256 season, address token, uint256 tokenId) internal returns (SeasonItem storage) {
+    uint256 index = seasonItemIndexes[season][token][tokenId];
+    if (index == 0) {
+      seasonItems[season].push(SeasonItem(token, tokenId, 0));
+      index = seasonItems[season].length;
+      seasonItemIndexes[season][token][tokenId] = index;
+    }
+
+    return seasonItems[season][index - 1];
+  }
+
+  /**
+   * @dev Can be called by owner or destination of reward to claim it, see {ThriveCoinRewardSeason-claimReward}.
+   * Additionally sends ERC1155 items of the reward or mints ERC721 badge to destination.
+   *
+   * @param season - Season index
+   * @param owner - Owner from whom the reward will be claimed
+   */
+  function claimReward(uint256 season, address owner) public override nonReentrant {
+    super.claimReward(season, owner);
+
+    BadgeReward memory badge = badges[season][owner];
+    if (badge.badgeType == BadgeType.None) {
+      return;
+    }
+
+    address destination = rewards[season][owner].destination;
+    if (badge.badgeType == BadgeType.ERC1155) {
+      _seasonItem(season, badge.token, badge.tokenId).unclaimed -= badge.quantity;
+      IERC1155(badge.token).safeTransferFrom(address(this), destination, badge.tokenId, badge.quantity, "");
+    } else {
+      IBadgeMintable(badge.token).mint(destination);
+    }
+
+    emit BadgeClaimed(season, owner, destination, badge.token, badge.tokenId, badge.quantity);
+  }
+
+  /**
+   * @dev Used to send unclaimed funds after claim close date to default destination, see
+   * {ThriveCoinRewardSeason-sendUnclaimedFunds}. Unclaimed ERC1155 items are sent to default destination as well,
+   * while unclaimed ERC721 badges are never minted. Can be called only by admins.
+   *
+   * @param season - Season index
+   */
+  function sendUnclaimedFunds(uint256 season) public override onlyAdmin nonReentrant {
+    super.sendUnclaimedFunds(season);
+
+    address destination = seasons[season].defaultDestination;
+    SeasonItem[] storage items = seasonItems[season];
+    for (uint256 i = 0; i < items.length; i++) {
+      uint256 quantity = items[i].unclaimed;
+      if (quantity == 0) {
+        continue;
+      }
+
+      items[i].unclaimed = 0;
+      IERC1155(items[i].token).safeTransferFrom(address(this), destination, items[i].tokenId, quantity, "");
+      emit UnclaimedItemsSent(season, destination, items[i].token, items[i].tokenId, quantity);
+    }
+  }
+
+  /**
+   * @dev Withdraw remaining ERC1155 items from smart contract, only admins can do this. This is useful when contract
+   * holds more items than needed to fulfill rewards. Items can be withdrawn only when all seasons are settled.
+   *
+   * @param token - ERC1155 contract address
+   * @param tokenId - ERC1155 token id
+   * @param account - Destination of items
+   * @param quantity - Quantity that will be withdrawn
+   */
+  function withdrawERC1155(
+    address token,
+    uint256 tokenId,
+    address account,
+    uint256 quantity
+  ) public onlyAdmin nonReentrant {
+    _requireSeasonsSettled();
+
+    IERC1155(token).safeTransferFrom(address(this), account, tokenId, quantity, "");
+    emit ItemsWithdrawn(token, account, tokenId, quantity);
+  }
+
+  /**
+   * @dev Rewards with badge can be claimed also when their fungible amount is zero.
+   */
+  function _hasReward(uint256 season, address owner) internal view override returns (bool) {
+    return super._hasReward(season, owner) || badges[season][owner].badgeType != BadgeType.None;
+  }
+
+  /**
+   * @dev Season has unclaimed funds also when only its ERC1155 items are not claimed.
+   */
+  function _hasUnclaimedFunds(uint256 season) internal view override returns (bool) {
+    if (super._hasUnclaimedFunds(season)) {
+      return true;
+    }
+
+    SeasonItem[] storage items = seasonItems[season];
+    for (uint256 i = 0; i < items.length; i++) {
+      if (items[i].unclaimed > 0) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with NFT badge rewards.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonBadgeCore}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonBadge is ThriveCoinRewardSeasonBadgeCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonBadgeCore-__ThriveCoinRewardSeasonBadge_init}.
+   */
+  constructor(address defaultDestination, uint256 closeDate, uint256 claimCloseDate) initializer {
+    __ThriveCoinRewardSeasonBadge_init(defaultDestination, closeDate, claimCloseDate);
+  }
+}
@@ -0,0 +1,294 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./upgradeable/ThriveCoinRewardSeasonUpgradeable.sol";
+import "./upgradeable/ThriveCoinRewardSeasonGasRefundableUpgradeable.sol";
+import "./upgradeable/ThriveCoinRewardSeasonIERC20Upgradeable.sol";
+import "./upgradeable/ThriveCoinRewardSeasonMerkleUpgradeable.sol";
+import "./upgradeable/ThriveCoinRewardSeasonMerkleIERC20Upgradeable.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season factory contract
+ *
+ * @dev ThriveCoinRewardSeasonFactory deploys reward season contracts as minimal proxy clones (EIP-1167) of upgradeable
+ * implementations, e.g. {ThriveCoinRewardSeasonUpgradeable}, and initializes them with the first season in the same
+ * transaction. It supports these key functionalities:
+ * - Managing implementation of each variant (base, IERC20, GasRefundable, Merkle, MerkleIERC20), only by ADMIN_ROLE
+ * - Deploying clones of variants by anyone, roles of the clone are handed over from factory to the caller
+ * - Tracking deployments per creator and reading them publicly
+ *
+ * NOTE: clones share code of the implementation set at their deployment time, they are not upgradeable since UUPS
+ * upgrades work only through ERC1967 proxy.
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/access/AccessControlEnumerable.sol
+ *
+ * NOTE: uses openzeppelin v4.6.0 libraries:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/proxy/Clones.sol
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/utils/Address.sol
+ */
+contract ThriveCoinRewardSeasonFactory is AccessControlEnumerable {
+  /**
+   * @dev Reward season contract variants that can be deployed by factory.
+   */
+  enum Variant {
+    Base,
+    IERC20,
+    GasRefundable,
+    Merkle,
+    MerkleIERC20
+  }
+
+  /**
+   * @dev Structure that represents deployed reward season contract
+   *
+   * @property season - Address of the deployed clone
+   * @property creator - Address that deployed the clone and received its roles
+   * @property variant - Variant of the deployed clone
+   */
+  struct Deployment {
+    address season;
+    address creator;
+    Variant variant;
+  }
+
+  bytes32 internal constant WRITER_ROLE = keccak256("WRITER_ROLE");
+  bytes32 internal constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+  /**
+   * @dev Emitted when implementation of a variant is changed by admin.
+   */
+  event ImplementationSet(Variant indexed variant, address indexed implementation);
+
+  /**
+   * @dev Emitted when `creator` deploys `season` clone, `index` is position of the deployment in the factory.
+   */
+  event Deployed(uint256 indexed index, address indexed creator, address indexed season, Variant variant);
+
+  /**
+   * @dev Storage of implementations in format variant => implementation
+   */
+  mapping(Variant => address) internal implementations;
+
+  /**
+   * @dev Storage of all deployments in order they were made
+   */
+  Deployment[] internal deployments;
+
+  /**
+   * @dev Storage of deployment positions in format creator => indexes
+   */
+  mapping(address => uint256[]) internal creatorDeployments;
+
+  /**
+   * @dev Grants `DEFAULT_ADMIN_ROLE` to the account that deploys the contract, implementations are set afterwards
+   * through {setImplementation}.
+   */
+  constructor() {
+    _setupRole(DEFAULT_ADMIN_ROLE, _msgSender());
+  }
+
+  modifier onlyAdmin() {
+    require(hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), "ThriveCoinRewardSeasonFactory: must have admin role");
+    _;
+  }
+
+  /**
+   * @dev Returns implementation that is cloned for variant, zero address means that variant can't be deployed.
+   *
+   * @param variant - Reward season contract variant
+   */
+  function readImplementation(Variant variant) public view returns (address) {
+    return implementations[variant];
+  }
+
+  /**
+   * @dev Sets implementation that is cloned for variant, can be called only by admin. Already deployed clones keep
+   * their implementation.
+   *
+   * @param variant - Reward season contract variant
+   * @param implementation - Address of upgradeable implementation contract of the variant
+   */
+  function setImplementation(Variant variant, address implementation) public onlyAdmin {
+    require(Address.isContract(implementation), "ThriveCoinRewardSeasonFactory: implementation is not a contract");
+    implementations[variant] = implementation;
+    emit ImplementationSet(variant, implementation);
+  }
+
+  /**
+   * @dev Returns total number of deployments.
+   */
+  function deploymentCount() public view returns (uint256) {
+    return deployments.length;
+  }
+
+  /**
+   * @dev Returns deployment at position.
+   *
+   * @param index - Position of the deployment
+   */
+  function readDeployment(uint256 index) public view returns (Deployment memory) {
+    require(index < deployments.length, "ThriveCoinRewardSeasonFactory: deployment not found");
+    return deployments[index];
+  }
+
+  /**
+   * @dev Returns all deployments of creator in order they were made.
+   *
+   * @param creator - Address that deployed the clones
+   */
+  function readDeployments(address creator) public view returns (Deployment[] memory result) {
+    uint256[] storage indexes = creatorDeployments[creator];
+    result = new Deployment[](indexes.length);
+    for (uint256 i = 0; i < indexes.length; i++) {
+      result[i] = deployments[indexes[i]];
+    }
+  }
+
+  /**
+   * @dev Deploys reward season clone, see {ThriveCoinRewardSeasonUpgradeable-initialize}.
+   */
+  function deploySeason(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate
+  ) public returns (address) {
+    return
+      _deploy(
+        Variant.Base,
+        abi.encodeWithSelector(
+          ThriveCoinRewardSeasonUpgradeable.initialize.selector,
+          defaultDestination,
+          closeDate,
+          claimCloseDate
+        )
+      );
+  }
+
+  /**
+   * @dev Deploys reward season clone with IERC20 rewards, see {ThriveCoinRewardSeasonIERC20Upgradeable-initialize}.
+   */
+  function deploySeasonIERC20(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate,
+    address tokenAddress
+  ) public returns (address) {
+    return
+      _deploy(
+        Variant.IERC20,
+        abi.encodeWithSelector(
+          ThriveCoinRewardSeasonIERC20Upgradeable.initialize.selector,
+          defaultDestination,
+          closeDate,
+          claimCloseDate,
+          tokenAddress
+        )
+      );
+  }
+
+  /**
+   * @dev Deploys reward season clone with gas refunds, see {ThriveCoinRewardSeasonGasRefundableUpgradeable-initialize}.
+   */
+  function deploySeasonGasRefundable(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate,
+    uint256 fixedGasFee
+  ) public returns (address) {
+    return
+      _deploy(
+        Variant.GasRefundable,
+        abi.encodeWithSelector(
+          ThriveCoinRewardSeasonGasRefundableUpgradeable.initialize.selector,
+          defaultDestination,
+          closeDate,
+          claimCloseDate,
+          fixedGasFee
+        )
+      );
+  }
+
+  /**
+   * @dev Deploys merkle reward season clone, see {ThriveCoinRewardSeasonMerkleUpgradeable-initialize}.
+   */
+  function deploySeasonMerkle(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  ) public returns (address) {
+    return
+      _deploy(
+        Variant.Merkle,
+        abi.encodeWithSelector(
+          ThriveCoinRewardSeasonMerkleUpgradeable.initialize.selector,
+          defaultDestination,
+          merkleRoot,
+          totalRewards,
+          claimCloseDate
+        )
+      );
+  }
+
+  /**
+   * @dev Deploys merkle reward season clone with IERC20 rewards, see
+   * {ThriveCoinRewardSeasonMerkleIERC20Upgradeable-initialize}.
+   */
+  function deploySeasonMerkleIERC20(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate,
+    address tokenAddress
+  ) public returns (address) {
+    return
+      _deploy(
+        Variant.MerkleIERC20,
+        abi.encodeWithSelector(
+          ThriveCoinRewardSeasonMerkleIERC20Upgradeable.initialize.selector,
+          defaultDestination,
+          merkleRoot,
+          totalRewards,
+          claimCloseDate,
+          tokenAddress
+        )
+      );
+  }
+
+  /**
+   * @dev Clones implementation of variant, initializes the clone with `data` and hands over its roles to the caller.
+   */
+  function _deploy(Variant variant, bytes memory data) internal returns (address season) {
+    address implementation = implementations[variant];
+    require(implementation != address(0), "ThriveCoinRewardSeasonFactory: implementation not set");
+
+    season = Clones.clone(implementation);
+    Address.functionCall(season, data);
+    _handOverRoles(IAccessControl(season), _msgSender());
+
+    deployments.push(Deployment(season, _msgSender(), variant));
+    creatorDeployments[_msgSender()].push(deployments.length - 1);
+    emit Deployed(deployments.length - 1, _msgSender(), season, variant);
+  }
+
+  /**
+   * @dev Roles of initialized clone are granted to the factory since it's the caller of `initialize`, they are moved
+   * to `creator` so factory keeps no control over deployed seasons. Admin role is moved last since it's required to
+   * grant the others.
+   */
+  function _handOverRoles(IAccessControl season, address creator) internal {
+    bytes32[3] memory roles = [WRITER_ROLE, PAUSER_ROLE, DEFAULT_ADMIN_ROLE];
+    for (uint256 i = 0; i < roles.length; i++) {
+      if (season.hasRole(roles[i], address(this))) {
+        season.grantRole(roles[i], creator);
+        season.renounceRole(roles[i], address(this));
+      }
+    }
+  }
+}
@@ -6,26 +6,43 @@ import "./ThriveCoinRewardSeason.sol";
 
 /**
  * @author ThriveCoin
- * @title ThriveCoin reward season contract with refund gas ability on add reward methods.
+ * @title ThriveCoin reward season core contract with refund gas ability on add reward methods.
  *
- * @dev ThriveCoinRewardSeasonGasRefundable is a simple smart contract that is used to store reward seasons and their
- * respective user rewards. It supports these key functionalities:
- * - Managing reward seasons where there is at most one active season, seasons can be added only by ADMIN_ROLE
- * - Adding user rewards to a season, only by WRITER_ROLE, gas is refunded in these methods
+ * @dev ThriveCoinRewardSeasonGasRefundableCore is a simple smart contract that is used to store reward seasons and
+ * their respective user rewards. It supports these key functionalities:
+ * - Managing reward seasons where multiple seasons can be open at once, seasons can be added only by ADMIN_ROLE
+ * - Adding, incrementing, decrementing and removing user rewards of a season, only by WRITER_ROLE, gas is refunded
+ *   in these methods
  * - Reading user rewards publicly
  * - Sending user rewards to destination, done by reward owner or reward destinaion
  * - Sending unclaimed rewards to default destination, can be done only by admin
  */
-contract ThriveCoinRewardSeasonGasRefundable is ThriveCoinRewardSeason {
+abstract contract ThriveCoinRewardSeasonGasRefundableCore is ThriveCoinRewardSeasonCore {
   /**
    * @dev Fixed gas cost applied on top of gas used until payable transfer call.
    */
   uint256 fixedGasFee;
 
+  /**
+   * @dev Emitted when fixed gas cost applied on refundable methods is changed.
+   */
+  event FixedGasFeeChanged(uint256 oldFee, uint256 newFee);
+
+  /**
+   * @dev Emitted when funds are withdrawn from the contract, `token` is zero address for ether withdrawals.
+   */
+  event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[49] private __gap;
+
   /**
    * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
-   * `WRITER_ROLE` to the account that deploys the contract. Additionally it sets fixed gas cost applied on top of gas
-   * used until payable transfer call in methods that are refundable.
+   * `WRITER_ROLE` to the account that deploys or initializes the contract. Additionally it sets fixed gas cost applied
+   * on top of gas used until payable transfer call in methods that are refundable.
    *
    * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
    * @param closeDate - Determines time when season will be closed, end users can't claim rewards prior to this date
@@ -33,12 +50,13 @@ contract ThriveCoinRewardSeasonGasRefundable is ThriveCoinRewardSeason {
    * @param _fixedGasFee - Fixed gas cost applied on top of gas used until payable transfer call in methods that are
    *                       refundable.
    */
-  constructor(
+  function __ThriveCoinRewardSeasonGasRefundable_init(
     address defaultDestination,
     uint256 closeDate,
     uint256 claimCloseDate,
     uint256 _fixedGasFee
-  ) ThriveCoinRewardSeason(defaultDestination, closeDate, claimCloseDate) {
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeason_init(defaultDestination, closeDate, claimCloseDate);
     fixedGasFee = _fixedGasFee;
   }
 
@@ -69,6 +87,7 @@ contract ThriveCoinRewardSeasonGasRefundable is ThriveCoinRewardSeason {
    * transfer call in methods that are refundable.
    */
   function setFixedGasFee(uint256 _fixedGasFee) public virtual onlyAdmin {
+    emit FixedGasFeeChanged(fixedGasFee, _fixedGasFee);
     fixedGasFee = _fixedGasFee;
   }
 
@@ -93,6 +112,7 @@ contract ThriveCoinRewardSeasonGasRefundable is ThriveCoinRewardSeason {
 
     address payable to = payable(account);
     to.transfer(amount);
+    emit Withdrawn(address(0), account, amount);
   }
 
   /**
@@ -101,7 +121,7 @@ contract ThriveCoinRewardSeasonGasRefundable is ThriveCoinRewardSeason {
    */
   function addReward(
     UserRewardRequest calldata entry
-  ) public virtual override(ThriveCoinRewardSeason) onlyWriter refundGasCost {
+  ) public virtual override(ThriveCoinRewardSeasonCore) onlyWriter refundGasCost {
     super.addReward(entry);
   }
 
@@ -111,7 +131,104 @@ contract ThriveCoinRewardSeasonGasRefundable is ThriveCoinRewardSeason {
    */
   function addRewardBatch(
     UserRewardRequest[] calldata entries
-  ) public virtual override(ThriveCoinRewardSeason) onlyWriter refundGasCost {
+  ) public virtual override(ThriveCoinRewardSeasonCore) onlyWriter refundGasCost {
     super.addRewardBatch(entries);
   }
+
+  /**
+   * @dev Beside storing reward in explicit season it refunds the gas cost to transaction origin.
+   * See {ThriveCoinRewardSeason-addReward} for more details.
+   */
+  function addReward(
+    uint256 season,
+    UserRewardRequest calldata entry
+  ) public virtual override(ThriveCoinRewardSeasonCore) onlyWriter refundGasCost {
+    super.addReward(season, entry);
+  }
+
+  /**
+   * @dev Beside storing rewards in explicit season it refunds the gas cost to transaction origin.
+   * See {ThriveCoinRewardSeason-addRewardBatch} for more details.
+   */
+  function addRewardBatch(
+    uint256 season,
+    UserRewardRequest[] calldata entries
+  ) public virtual override(ThriveCoinRewardSeasonCore) onlyWriter refundGasCost {
+    super.addRewardBatch(season, entries);
+  }
+
+  /**
+   * @dev Beside incrementing reward it refunds the gas cost to transaction origin.
+   * See {ThriveCoinRewardSeason-incrementReward} for more details.
+   */
+  function incrementReward(
+    UserRewardRequest calldata entry
+  ) public virtual override(ThriveCoinRewardSeasonCore) onlyWriter refundGasCost {
+    super.incrementReward(entry);
+  }
+
+  /**
+   * @dev Beside incrementing rewards it refunds the gas cost to transaction origin.
+   * See {ThriveCoinRewardSeason-incrementRewardBatch} for more details.
+   */
+  function incrementRewardBatch(
+    UserRewardRequest[] calldata entries
+  ) public virtual override(ThriveCoinRewardSeasonCore) onlyWriter refundGasCost {
+    super.incrementRewardBatch(entries);
+  }
+
+  /**
+   * @dev Beside decrementing reward it refunds the gas cost to transaction origin.
+   * See {ThriveCoinRewardSeason-decrementReward} for more details.
+   */
+  function decrementReward(
+    UserRewardRequest calldata entry
+  ) public virtual override(ThriveCoinRewardSeasonCore) onlyWriter refundGasCost {
+    super.decrementReward(entry);
+  }
+
+  /**
+   * @dev Beside decrementing rewards it refunds the gas cost to transaction origin.
+   * See {ThriveCoinRewardSeason-decrementRewardBatch} for more details.
+   */
+  function decrementRewardBatch(
+    UserRewardRequest[] calldata entries
+  ) public virtual override(ThriveCoinRewardSeasonCore) onlyWriter refundGasCost {
+    super.decrementRewardBatch(entries);
+  }
+
+  /**
+   * @dev Beside removing reward it refunds the gas cost to transaction origin.
+   * See {ThriveCoinRewardSeason-removeReward} for more details.
+   */
+  function removeReward(
+    address owner
+  ) public virtual override(ThriveCoinRewardSeasonBaseCore) onlyWriter refundGasCost {
+    super.removeReward(owner);
+  }
+
+  /**
+   * @dev Beside removing rewards it refunds the gas cost to transaction origin.
+   * See {ThriveCoinRewardSeason-removeRewardBatch} for more details.
+   */
+  function removeRewardBatch(
+    address[] calldata owners
+  ) public virtual override(ThriveCoinRewardSeasonBaseCore) onlyWriter refundGasCost {
+    super.removeRewardBatch(owners);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with refund gas ability on add reward methods.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonGasRefundableCore}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonGasRefundable is ThriveCoinRewardSeasonGasRefundableCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonGasRefundableCore-__ThriveCoinRewardSeasonGasRefundable_init}.
+   */
+  constructor(address defaultDestination, uint256 closeDate, uint256 claimCloseDate, uint256 _fixedGasFee) initializer {
+    __ThriveCoinRewardSeasonGasRefundable_init(defaultDestination, closeDate, claimCloseDate, _fixedGasFee);
+  }
 }
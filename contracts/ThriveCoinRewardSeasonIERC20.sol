@@ -8,84 +8,393 @@ import "./ThriveCoinRewardSeason.sol";
 
 /**
  * @author ThriveCoin
- * @title ThriveCoin reward season contract with erc20 rewards.
+ * @title ThriveCoin reward season core contract with erc20 rewards.
  *
- * @dev ThriveCoinRewardSeasonIERC20 is a simple smart contract that is used to store reward seasons and
- * their respective IERC20 user rewards. It supports these key functionalities:
- * - Managing reward seasons where there is at most one active season, seasons can be added only by ADMIN_ROLE
- * - Adding user rewards to a season, only by WRITER_ROLE
+ * @dev ThriveCoinRewardSeasonIERC20Core is a simple smart contract that is used to store reward seasons and their
+ * respective IERC20 user rewards. It supports these key functionalities:
+ * - Managing reward seasons where multiple seasons can be open at once, seasons can be added only by ADMIN_ROLE
+ * - Adding, incrementing and decrementing user rewards of a season, only by WRITER_ROLE
+ * - Removing mistakenly added user rewards before season is closed, only by WRITER_ROLE
  * - Reading user rewards publicly
  * - Sending IERC20 user rewards to destination, done by reward owner or reward destinaion
  * - Sending unclaimed IERC20 rewards to default destination, can be done only by admin
+ * - Reporting funded balance against outstanding rewards and funding the contract with IERC20 allowance
+ * - Optional strict funding mode where rewards cannot exceed funded balance, can be toggled only by admin
+ * - Optional linear vesting of season rewards after season close date, configured only by admin
  */
-contract ThriveCoinRewardSeasonIERC20 is ThriveCoinRewardSeason {
+abstract contract ThriveCoinRewardSeasonIERC20Core is ThriveCoinRewardSeasonCore {
+  /**
+   * @dev Structure that holds vesting schedule of a season, both periods start at season close date.
+   *
+   * @property cliff - Period during which nothing is vested
+   * @property duration - Period after which the whole reward is vested, zero means that season has no vesting
+   */
+  struct VestingSchedule {
+    uint256 cliff;
+    uint256 duration;
+  }
+
   address tokenAddress;
 
+  /**
+   * @dev When enabled adding rewards reverts if outstanding rewards would exceed the funded balance.
+   */
+  bool strictFunding;
+
+  /**
+   * @dev Storage of vesting schedules in format season_index => schedule
+   */
+  mapping(uint256 => VestingSchedule) vestingSchedules;
+
+  /**
+   * @dev Claimed rewards of vesting seasons that are not sent to destinations yet
+   */
+  uint256 unreleasedRewards;
+
+  /**
+   * @dev Emitted when remaining IERC20 funds are withdrawn from the contract.
+   */
+  event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Emitted when IERC20 funds are pulled into the contract from `account` through {fundSeason}.
+   */
+  event Funded(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Emitted when strict funding mode is enabled or disabled.
+   */
+  event StrictFundingChanged(bool enabled);
+
+  /**
+   * @dev Emitted when vesting schedule of a season is set.
+   */
+  event SeasonVestingSet(uint256 indexed season, uint256 cliff, uint256 duration);
+
+  /**
+   * @dev Emitted when vested part of a claimed reward is sent to `destination`.
+   */
+  event RewardReleased(uint256 indexed season, address indexed owner, address indexed destination, uint256 amount);
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[47] private __gap;
+
   /**
    * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
-   * `WRITER_ROLE` to the account that deploys the contract.
+   * `WRITER_ROLE` to the account that deploys or initializes the contract.
    *
    * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
    * @param closeDate - Determines time when season will be closed, end users can't claim rewards prior to this date
    * @param claimCloseDate - Determines the date until funds are available to claim, should be after season close date
    * @param _tokenAddress - IERC20 token address used for distributing rewards
    */
-  constructor(
+  function __ThriveCoinRewardSeasonIERC20_init(
     address defaultDestination,
     uint256 closeDate,
     uint256 claimCloseDate,
     address _tokenAddress
-  ) ThriveCoinRewardSeason(defaultDestination, closeDate, claimCloseDate) {
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeason_init(defaultDestination, closeDate, claimCloseDate);
     tokenAddress = _tokenAddress;
   }
 
+  /**
+   * @dev Returns the erc20 token address
+   */
+  function getTokenAddress() public view returns (address) {
+    return tokenAddress;
+  }
+
+  /**
+   * @dev Returns IERC20 token balance of the contract as `funded` and rewards that are not claimed yet nor sent to
+   * default destination across all seasons, including claimed but not yet released vesting rewards, as `required`.
+   * Contract is underfunded when `required` exceeds `funded`.
+   */
+  function readFundingStatus() public view returns (uint256 funded, uint256 required) {
+    required = unreleasedRewards;
+    for (uint256 i = 1; i <= seasonIndex; i++) {
+      Season memory seasonInfo = seasons[i];
+      if (!seasonInfo.unclaimedFundsSent) {
+        required += seasonInfo.totalRewards - seasonInfo.claimedRewards;
+      }
+    }
+
+    return (IERC20(tokenAddress).balanceOf(address(this)), required);
+  }
+
+  /**
+   * @dev Returns true if strict funding mode is enabled.
+   */
+  function isStrictFunding() public view returns (bool) {
+    return strictFunding;
+  }
+
+  /**
+   * @dev Enables or disables strict funding mode, can be called only by admin. While enabled, {addReward},
+   * {addRewardBatch}, {incrementReward} and {incrementRewardBatch} revert when outstanding rewards would exceed the
+   * funded balance, see {readFundingStatus}.
+   *
+   * @param enabled - Whether strict funding mode is enabled
+   */
+  function setStrictFunding(bool enabled) public onlyAdmin {
+    strictFunding = enabled;
+    emit StrictFundingChanged(enabled);
+  }
+
+  /**
+   * @dev Pulls IERC20 funds from the caller into the contract, caller needs to approve the amount to the contract
+   * first.
+   *
+   * @param amount - Amount that will be transferred from the caller
+   */
+  function fundSeason(uint256 amount) public {
+    SafeERC20.safeTransferFrom(IERC20(tokenAddress), _msgSender(), address(this), amount);
+    emit Funded(tokenAddress, _msgSender(), amount);
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeason-addReward}, additionally checks funding in strict funding mode.
+   *
+   * @param entry - User reward entry that constists of owner, destination and amount.
+   */
+  function addReward(UserRewardRequest calldata entry) public override {
+    super.addReward(entry);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeason-addReward}, additionally checks funding in strict funding mode.
+   *
+   * @param season - Season index
+   * @param entry - User reward entry that constists of owner, destination and amount.
+   */
+  function addReward(uint256 season, UserRewardRequest calldata entry) public override {
+    super.addReward(season, entry);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeason-addRewardBatch}, additionally checks funding in strict funding mode once the
+   * whole batch is written.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination and amount.
+   */
+  function addRewardBatch(UserRewardRequest[] calldata entries) public override {
+    super.addRewardBatch(entries);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeason-addRewardBatch}, additionally checks funding in strict funding mode once the
+   * whole batch is written.
+   *
+   * @param season - Season index
+   * @param entries - Lis of user reward entries that constists of owner, destination and amount.
+   */
+  function addRewardBatch(uint256 season, UserRewardRequest[] calldata entries) public override {
+    super.addRewardBatch(season, entries);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeason-incrementReward}, additionally checks funding in strict funding mode.
+   *
+   * @param entry - User reward entry that constists of owner, destination and amount.
+   */
+  function incrementReward(UserRewardRequest calldata entry) public override {
+    super.incrementReward(entry);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeason-incrementRewardBatch}, additionally checks funding in strict funding mode once
+   * the whole batch is written.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination and amount.
+   */
+  function incrementRewardBatch(UserRewardRequest[] calldata entries) public override {
+    super.incrementRewardBatch(entries);
+    _requireFunded();
+  }
+
+  /**
+   * @dev Reverts in strict funding mode if outstanding rewards exceed the funded balance.
+   */
+  function _requireFunded() internal view {
+    if (!strictFunding) return;
+
+    (uint256 funded, uint256 required) = readFundingStatus();
+    require(required <= funded, "ThriveCoinRewardSeason: rewards exceed funded balance");
+  }
+
+  /**
+   * @dev Returns vesting schedule of a season, duration is zero when season has no vesting.
+   *
+   * @param season - Season index
+   */
+  function readSeasonVesting(uint256 season) public view returns (VestingSchedule memory) {
+    return vestingSchedules[season];
+  }
+
+  /**
+   * @dev Sets vesting schedule of a season, can be called only by admin and only while the season is open. Rewards of
+   * the season are claimed as usual within claim window, but only vested part is sent on claim and the rest can be
+   * released later, also after claim close date. Zero duration disables vesting.
+   *
+   * @param season - Season index
+   * @param cliff - Period after season close date during which nothing is vested
+   * @param duration - Period after season close date after which the whole reward is vested
+   */
+  function setSeasonVesting(uint256 season, uint256 cliff, uint256 duration) public onlyAdmin {
+    _requireSeasonOpen(season);
+    require(cliff <= duration, "ThriveCoinRewardSeason: cliff exceeds vesting duration");
+
+    vestingSchedules[season] = VestingSchedule(cliff, duration);
+    emit SeasonVestingSet(season, cliff, duration);
+  }
+
+  /**
+   * @dev Returns part of owner's reward that is vested at the moment. Rewards of seasons without vesting are fully
+   * vested.
+   *
+   * @param season - Season index
+   * @param owner - Owner of the reward
+   */
+  function vestedAmount(uint256 season, address owner) public view returns (uint256) {
+    uint256 amount = rewards[season][owner].amount;
+    VestingSchedule memory schedule = vestingSchedules[season];
+    if (schedule.duration == 0) {
+      return amount;
+    }
+
+    uint256 start = seasons[season].closeDate;
+    if (block.timestamp < start + schedule.cliff) {
+      return 0;
+    }
+    if (block.timestamp >= start + schedule.duration) {
+      return amount;
+    }
+
+    return (amount * (block.timestamp - start)) / schedule.duration;
+  }
+
+  /**
+   * @dev Returns vested part of owner's reward that is not sent to destination yet.
+   *
+   * @param season - Season index
+   * @param owner - Owner of the reward
+   */
+  function releasableAmount(uint256 season, address owner) public view returns (uint256) {
+    return vestedAmount(season, owner) - rewards[season][owner].released;
+  }
+
   /**
    * @dev Can be called by owner or destination of reward to send IERC20 funds to destination. It can be called only
    * after close date is reached and before claim close date is reached. Reward can be claimed at most once and only for
-   * current season.
+   * requested season.
+   *
+   * In seasons with vesting only vested part is sent, the remaining part stays owed to the owner and is released by
+   * calling this function again once more is vested, regardless of claim close date.
    *
+   * @param season - Season index
    * @param owner - Owner from whom the funds will be claimed
    */
-  function claimReward(address owner) public override {
-    super.claimReward(owner);
+  function claimReward(uint256 season, address owner) public override whenNotPaused {
+    UserReward storage reward = rewards[season][owner];
+
+    if (vestingSchedules[season].duration == 0) {
+      super.claimReward(season, owner);
+      SafeERC20.safeTransfer(IERC20(tokenAddress), reward.destination, reward.amount);
+      return;
+    }
+
+    if (!reward.claimed) {
+      super.claimReward(season, owner);
+      unreleasedRewards += reward.amount;
+    } else {
+      require(
+        owner == _msgSender() || reward.destination == _msgSender(),
+        "ThriveCoinRewardSeason: caller is not allowed to claim the reward"
+      );
+      require(releasableAmount(season, owner) > 0, "ThriveCoinRewardSeason: no vested rewards to release");
+    }
+
+    uint256 amount = releasableAmount(season, owner);
+    if (amount > 0) {
+      reward.released += amount;
+      unreleasedRewards -= amount;
+      SafeERC20.safeTransfer(IERC20(tokenAddress), reward.destination, amount);
+      emit RewardReleased(season, owner, reward.destination, amount);
+    }
+  }
+
+  /**
+   * @dev Besides rewards that can be claimed, claimed rewards of vesting seasons with releasable part are claimable
+   * as well.
+   */
+  function _isClaimable(uint256 season, address owner) internal view override returns (bool) {
+    if (vestingSchedules[season].duration != 0 && rewards[season][owner].claimed) {
+      return releasableAmount(season, owner) > 0;
+    }
 
-    UserReward memory reward = rewards[seasonIndex][owner];
-    SafeERC20.safeTransfer(IERC20(tokenAddress), reward.destination, reward.amount);
+    return super._isClaimable(season, owner);
   }
 
   /**
    * @dev Used to send unclaimed IERC20 funds after claim close date to default destination. Can be called only by
-   * admins.
+   * admins. Claimed rewards of vesting seasons are not included even if they are not fully released yet.
+   *
+   * @param season - Season index
    */
-  function sendUnclaimedFunds() public override onlyAdmin {
-    super.sendUnclaimedFunds();
+  function sendUnclaimedFunds(uint256 season) public override onlyAdmin {
+    super.sendUnclaimedFunds(season);
 
-    Season memory season = seasons[seasonIndex];
+    Season memory seasonInfo = seasons[season];
     SafeERC20.safeTransfer(
       IERC20(tokenAddress),
-      season.defaultDestination,
-      season.totalRewards - season.claimedRewards
+      seasonInfo.defaultDestination,
+      seasonInfo.totalRewards - seasonInfo.claimedRewards
     );
   }
 
   /**
    * @dev Withdraw remaining ERC20 from smart contract, only admins can do this.
-   * This is useful when contract has more funds than needed to fulfill rewards.
+   * This is useful when contract has more funds than needed to fulfill rewards. Claimed rewards of vesting seasons
+   * that are not released yet cannot be withdrawn.
    *
    * @param account - Destination of ERC20 funds
    * @param amount - Amount that will be withdrawn
    */
   function withdrawERC20(address account, uint256 amount) public onlyAdmin {
-    Season memory season = seasons[seasonIndex];
-    require(block.timestamp > season.claimCloseDate, "ThriveCoinRewardSeason: previous season not fully closed");
-    require(
-      season.totalRewards - season.claimedRewards == 0 || season.unclaimedFundsSent,
-      "ThriveCoinRewardSeason: unclaimed funds not sent yet"
-    );
+    _requireSeasonsSettled();
 
     uint256 contractBalance = IERC20(tokenAddress).balanceOf(address(this));
-    require(contractBalance >= amount, "ThriveCoinRewardSeason: not enough funds available");
+    require(contractBalance >= amount + unreleasedRewards, "ThriveCoinRewardSeason: not enough funds available");
 
     SafeERC20.safeTransfer(IERC20(tokenAddress), account, amount);
+    emit Withdrawn(tokenAddress, account, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with erc20 rewards.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonIERC20Core}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonIERC20 is ThriveCoinRewardSeasonIERC20Core {
+  /**
+   * @dev See {ThriveCoinRewardSeasonIERC20Core-__ThriveCoinRewardSeasonIERC20_init}.
+   */
+  constructor(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate,
+    address _tokenAddress
+  ) initializer {
+    __ThriveCoinRewardSeasonIERC20_init(defaultDestination, closeDate, claimCloseDate, _tokenAddress);
   }
 }
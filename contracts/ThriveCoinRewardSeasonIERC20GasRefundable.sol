@@ -8,23 +8,43 @@ import "./ThriveCoinRewardSeasonGasRefundable.sol";
 
 /**
  * @author ThriveCoin
- * @title ThriveCoin reward season contract with refund gas ability on add reward methods and erc20 rewards.
+ * @title ThriveCoin reward season core contract with refund gas ability on add reward methods and erc20 rewards.
  *
- * @dev ThriveCoinRewardSeasonIERC20GasRefundable is a simple smart contract that is used to store reward seasons and
- * their respective IERC20 user rewards. It supports these key functionalities:
- * - Managing reward seasons where there is at most one active season, seasons can be added only by ADMIN_ROLE
- * - Adding user rewards to a season, only by WRITER_ROLE, gas is refunded in these methods
+ * @dev ThriveCoinRewardSeasonIERC20GasRefundableCore is a simple smart contract that is used to store reward seasons
+ * and their respective IERC20 user rewards. It supports these key functionalities:
+ * - Managing reward seasons where multiple seasons can be open at once, seasons can be added only by ADMIN_ROLE
+ * - Adding, incrementing, decrementing and removing user rewards of a season, only by WRITER_ROLE, gas is refunded
+ *   in these methods
  * - Reading user rewards publicly
  * - Sending IERC20 user rewards to destination, done by reward owner or reward destinaion
  * - Sending unclaimed IERC20 rewards to default destination, can be done only by admin
+ * - Reporting funded balance against outstanding rewards
+ * - Optional strict funding mode where rewards cannot exceed funded balance, can be toggled only by admin
  */
-contract ThriveCoinRewardSeasonIERC20GasRefundable is ThriveCoinRewardSeasonGasRefundable {
+abstract contract ThriveCoinRewardSeasonIERC20GasRefundableCore is ThriveCoinRewardSeasonGasRefundableCore {
   address tokenAddress;
 
+  /**
+   * @dev When enabled adding rewards reverts if outstanding rewards would exceed the funded balance. Packed in the
+   * same slot as `tokenAddress`.
+   */
+  bool strictFunding;
+
+  /**
+   * @dev Emitted when strict funding mode is enabled or disabled.
+   */
+  event StrictFundingChanged(bool enabled);
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[49] private __gap;
+
   /**
    * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
-   * `WRITER_ROLE` to the account that deploys the contract. Additionally it sets fixed gas cost applied on top of gas
-   * used until payable transfer call in methods that are refundable.
+   * `WRITER_ROLE` to the account that deploys or initializes the contract. Additionally it sets fixed gas cost applied
+   * on top of gas used until payable transfer call in methods that are refundable.
    *
    * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
    * @param closeDate - Determines time when season will be closed, end users can't claim rewards prior to this date
@@ -33,42 +53,149 @@ contract ThriveCoinRewardSeasonIERC20GasRefundable is ThriveCoinRewardSeasonGasR
    *                       refundable.
    * @param _tokenAddress - IERC20 token address used for distributing rewards
    */
-  constructor(
+  function __ThriveCoinRewardSeasonIERC20GasRefundable_init(
     address defaultDestination,
     uint256 closeDate,
     uint256 claimCloseDate,
     uint256 _fixedGasFee,
     address _tokenAddress
-  ) ThriveCoinRewardSeasonGasRefundable(defaultDestination, closeDate, claimCloseDate, _fixedGasFee) {
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeasonGasRefundable_init(defaultDestination, closeDate, claimCloseDate, _fixedGasFee);
     tokenAddress = _tokenAddress;
   }
 
+  /**
+   * @dev Returns the erc20 token address
+   */
+  function getTokenAddress() public view returns (address) {
+    return tokenAddress;
+  }
+
+  /**
+   * @dev Returns IERC20 token balance of the contract as `funded` and rewards that are not claimed yet nor sent to
+   * default destination across all seasons as `required`. Contract is underfunded when `required` exceeds `funded`.
+   */
+  function readFundingStatus() public view returns (uint256 funded, uint256 required) {
+    for (uint256 i = 1; i <= seasonIndex; i++) {
+      Season memory seasonInfo = seasons[i];
+      if (!seasonInfo.unclaimedFundsSent) {
+        required += seasonInfo.totalRewards - seasonInfo.claimedRewards;
+      }
+    }
+
+    return (IERC20(tokenAddress).balanceOf(address(this)), required);
+  }
+
+  /**
+   * @dev Returns true if strict funding mode is enabled.
+   */
+  function isStrictFunding() public view returns (bool) {
+    return strictFunding;
+  }
+
+  /**
+   * @dev Enables or disables strict funding mode, can be called only by admin. While enabled, {addReward},
+   * {addRewardBatch}, {incrementReward} and {incrementRewardBatch} revert when outstanding rewards would exceed the
+   * funded balance, see {readFundingStatus}.
+   *
+   * @param enabled - Whether strict funding mode is enabled
+   */
+  function setStrictFunding(bool enabled) public onlyAdmin {
+    strictFunding = enabled;
+    emit StrictFundingChanged(enabled);
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeasonGasRefundable-addReward}, additionally checks funding in strict funding mode.
+   */
+  function addReward(UserRewardRequest calldata entry) public override {
+    super.addReward(entry);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeasonGasRefundable-addReward}, additionally checks funding in strict funding mode.
+   */
+  function addReward(uint256 season, UserRewardRequest calldata entry) public override {
+    super.addReward(season, entry);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeasonGasRefundable-addRewardBatch}, additionally checks funding in strict funding mode
+   * once the whole batch is written.
+   */
+  function addRewardBatch(UserRewardRequest[] calldata entries) public override {
+    super.addRewardBatch(entries);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeasonGasRefundable-addRewardBatch}, additionally checks funding in strict funding mode
+   * once the whole batch is written.
+   */
+  function addRewardBatch(uint256 season, UserRewardRequest[] calldata entries) public override {
+    super.addRewardBatch(season, entries);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeasonGasRefundable-incrementReward}, additionally checks funding in strict funding
+   * mode.
+   */
+  function incrementReward(UserRewardRequest calldata entry) public override {
+    super.incrementReward(entry);
+    _requireFunded();
+  }
+
+  /**
+   * @dev See {ThriveCoinRewardSeasonGasRefundable-incrementRewardBatch}, additionally checks funding in strict funding
+   * mode once the whole batch is written.
+   */
+  function incrementRewardBatch(UserRewardRequest[] calldata entries) public override {
+    super.incrementRewardBatch(entries);
+    _requireFunded();
+  }
+
+  /**
+   * @dev Reverts in strict funding mode if outstanding rewards exceed the funded balance.
+   */
+  function _requireFunded() internal view {
+    if (!strictFunding) return;
+
+    (uint256 funded, uint256 required) = readFundingStatus();
+    require(required <= funded, "ThriveCoinRewardSeason: rewards exceed funded balance");
+  }
+
   /**
    * @dev Can be called by owner or destination of reward to send IERC2- funds to destination. It can be called only
    * after close date is reached and before claim close date is reached. Reward can be claimed at most once and only for
-   * current season.
+   * requested season.
    *
+   * @param season - Season index
    * @param owner - Owner from whom the funds will be claimed
    */
-  function claimReward(address owner) public override {
-    super.claimReward(owner);
+  function claimReward(uint256 season, address owner) public override {
+    super.claimReward(season, owner);
 
-    UserReward memory reward = rewards[seasonIndex][owner];
+    UserReward memory reward = rewards[season][owner];
     SafeERC20.safeTransfer(IERC20(tokenAddress), reward.destination, reward.amount);
   }
 
   /**
    * @dev Used to send unclaimed IERC20 funds after claim close date to default destination. Can be called only by
    * admins.
+   *
+   * @param season - Season index
    */
-  function sendUnclaimedFunds() public override onlyAdmin {
-    super.sendUnclaimedFunds();
+  function sendUnclaimedFunds(uint256 season) public override onlyAdmin {
+    super.sendUnclaimedFunds(season);
 
-    Season memory season = seasons[seasonIndex];
+    Season memory seasonInfo = seasons[season];
     SafeERC20.safeTransfer(
       IERC20(tokenAddress),
-      season.defaultDestination,
-      season.totalRewards - season.claimedRewards
+      seasonInfo.defaultDestination,
+      seasonInfo.totalRewards - seasonInfo.claimedRewards
     );
   }
 
@@ -80,16 +207,40 @@ contract ThriveCoinRewardSeasonIERC20GasRefundable is ThriveCoinRewardSeasonGasR
    * @param amount - Amount that will be withdrawn
    */
   function withdrawERC20(address account, uint256 amount) public onlyAdmin {
-    Season memory season = seasons[seasonIndex];
-    require(block.timestamp > season.claimCloseDate, "ThriveCoinRewardSeason: previous season not fully closed");
-    require(
-      season.totalRewards - season.claimedRewards == 0 || season.unclaimedFundsSent,
-      "ThriveCoinRewardSeason: unclaimed funds not sent yet"
-    );
+    _requireSeasonsSettled();
 
     uint256 contractBalance = IERC20(tokenAddress).balanceOf(address(this));
     require(contractBalance >= amount, "ThriveCoinRewardSeason: not enough funds available");
 
     SafeERC20.safeTransfer(IERC20(tokenAddress), account, amount);
+    emit Withdrawn(tokenAddress, account, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with refund gas ability on add reward methods and erc20 rewards.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonIERC20GasRefundableCore}, first season is stored on
+ * deployment.
+ */
+contract ThriveCoinRewardSeasonIERC20GasRefundable is ThriveCoinRewardSeasonIERC20GasRefundableCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonIERC20GasRefundableCore-__ThriveCoinRewardSeasonIERC20GasRefundable_init}.
+   */
+  constructor(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate,
+    uint256 _fixedGasFee,
+    address _tokenAddress
+  ) initializer {
+    __ThriveCoinRewardSeasonIERC20GasRefundable_init(
+      defaultDestination,
+      closeDate,
+      claimCloseDate,
+      _fixedGasFee,
+      _tokenAddress
+    );
   }
 }
@@ -2,27 +2,42 @@
 
 pragma solidity 0.8.14;
 
-import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ThriveCoinRewardSeasonAccessControl.sol";
 
 /**
  * @author ThriveCoin
- * @title ThriveCoin reward season contract with merkle tree
+ * @title ThriveCoin reward season core contract with merkle tree
  *
- * @dev ThriveCoinRewardSeasonMerkle is a simple smart contract that is used to store reward seasons and their
- * respective user rewards via merkle tree proof. It supports these key functionalities:
- * - Managing reward seasons where there is at most one active season, seasons can be added only by ADMIN_ROLE
- * - Claiming rewards
+ * @dev ThriveCoinRewardSeasonMerkleCore is a simple smart contract that is used to store reward seasons and their
+ * respective user rewards via merkle tree proof. It has no constructor logic, first season is stored by
+ * {__ThriveCoinRewardSeasonMerkle_init} so the same logic is deployed either directly through
+ * {ThriveCoinRewardSeasonMerkle} or behind a proxy through {ThriveCoinRewardSeasonMerkleUpgradeable}. It supports these
+ * key functionalities:
+ * - Managing reward seasons where claim windows of multiple seasons can be open at once, seasons can be added only
+ *   by ADMIN_ROLE
+ * - Extending or shortening claim close date of current season before it's reached, only by ADMIN_ROLE
+ * - Claiming rewards of current and past seasons, also for multiple seasons at once
  * - Reading user rewards publicly
  * - Sending unclaimed rewards to default destination, can be done only by admin
+ * - Pausing claims in case of emergency, only by PAUSER_ROLE
+ * - Accepting meta-transactions (EIP-2771) from trusted forwarder set by admin, e.g. for gasless claims
+ * - Two-step admin handover and protection of the last admin, see {ThriveCoinRewardSeasonAccessControl}
  *
  * NOTE: extends openzeppelin v4.6.0 contracts:
- * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/access/AccessControlEnumerable.sol
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/proxy/utils/Initializable.sol
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/security/PausableUpgradeable.sol
  *
  * NOTE: uses openzeppelin v4.6.0 libraries:
  * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/utils/cryptography/MerkleProof.sol
  */
-contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
+abstract contract ThriveCoinRewardSeasonMerkleCore is
+  Initializable,
+  ThriveCoinRewardSeasonAccessControl,
+  PausableUpgradeable
+{
   /**
    * @dev Structure that holds reward season.
    *
@@ -43,6 +58,39 @@ contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
     bool unclaimedFundsSent;
   }
 
+  bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+  /**
+   * @dev Emitted when a new season is started, including the initial season created on deployment.
+   */
+  event SeasonAdded(
+    uint256 indexed season,
+    address indexed defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  );
+
+  /**
+   * @dev Emitted when reward of `owner` is claimed and sent to `destination`.
+   */
+  event RewardClaimed(uint256 indexed season, address indexed owner, address indexed destination, uint256 amount);
+
+  /**
+   * @dev Emitted when unclaimed rewards of a season are sent to its default destination.
+   */
+  event UnclaimedFundsSent(uint256 indexed season, address indexed destination, uint256 amount);
+
+  /**
+   * @dev Emitted when claim close date of a season is changed by admin.
+   */
+  event ClaimCloseDateChanged(uint256 indexed season, uint256 oldClaimCloseDate, uint256 newClaimCloseDate);
+
+  /**
+   * @dev Emitted when trusted forwarder used for meta-transactions is changed.
+   */
+  event TrustedForwarderChanged(address indexed oldForwarder, address indexed newForwarder);
+
   /**
    * @dev Storage of seasons in format season_index => season_data
    */
@@ -56,19 +104,38 @@ contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
   /**
    * @dev Active/current season, always incremented only
    */
-  uint256 internal seasonIndex = 1;
+  uint256 internal seasonIndex;
 
   /**
-   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` to the
-   * account that deploys the contract.
+   * @dev Forwarder trusted to append the real sender to calldata as described in EIP-2771, zero address disables it.
+   */
+  address internal trustedForwarder;
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts, see {ThriveCoinRewardSeasonMerkleUpgradeable}.
+   */
+  uint256[46] private __gap;
+
+  /**
+   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
+   * `PAUSER_ROLE` to the account that deploys or initializes the contract.
    *
    * @param defaultDestination - Address where remaining funds will be sent once season is closed
    * @param merkleRoot - Merkle tree root for reward proof
    * @param totalRewards - Determines total rewards that will be distributed once season is closed
    * @param claimCloseDate - Determines the date until funds are available to claim
    */
-  constructor(address defaultDestination, bytes32 merkleRoot, uint256 totalRewards, uint256 claimCloseDate) {
+  function __ThriveCoinRewardSeasonMerkle_init(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  ) internal onlyInitializing {
+    __AccessControlEnumerable_init();
+    __Pausable_init();
     _setupRole(DEFAULT_ADMIN_ROLE, _msgSender());
+    _setupRole(PAUSER_ROLE, _msgSender());
 
     require(
       defaultDestination != address(0),
@@ -76,7 +143,9 @@ contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
     );
     require(totalRewards > 0, "ThriveCoinRewardSeasonMerkle: total rewards should be greater than zero");
     require(claimCloseDate > block.timestamp, "ThriveCoinRewardSeasonMerkle: claim close date already reached");
+    seasonIndex = 1;
     seasons[seasonIndex] = Season(defaultDestination, merkleRoot, claimCloseDate, totalRewards, 0, false);
+    emit SeasonAdded(seasonIndex, defaultDestination, merkleRoot, totalRewards, claimCloseDate);
   }
 
   modifier onlyAdmin() {
@@ -84,6 +153,75 @@ contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
     _;
   }
 
+  modifier onlyPauser() {
+    require(hasRole(PAUSER_ROLE, _msgSender()), "ThriveCoinRewardSeasonMerkle: must have pauser role");
+    _;
+  }
+
+  /**
+   * @dev Pauses claiming rewards, can be called only by pauser.
+   */
+  function pause() public onlyPauser {
+    _pause();
+  }
+
+  /**
+   * @dev Unpauses claiming rewards, can be called only by pauser.
+   */
+  function unpause() public onlyPauser {
+    _unpause();
+  }
+
+  /**
+   * @dev Returns true if `forwarder` is the trusted forwarder of meta-transactions.
+   */
+  function isTrustedForwarder(address forwarder) public view virtual returns (bool) {
+    return forwarder != address(0) && forwarder == trustedForwarder;
+  }
+
+  /**
+   * @dev Returns the trusted forwarder of meta-transactions, zero address when meta-transactions are disabled.
+   */
+  function getTrustedForwarder() public view returns (address) {
+    return trustedForwarder;
+  }
+
+  /**
+   * @dev Sets the trusted forwarder of meta-transactions, can be called only by admin. Setting zero address disables
+   * meta-transactions.
+   *
+   * @param forwarder - Forwarder contract address, e.g. openzeppelin MinimalForwarder
+   */
+  function setTrustedForwarder(address forwarder) public onlyAdmin {
+    emit TrustedForwarderChanged(trustedForwarder, forwarder);
+    trustedForwarder = forwarder;
+  }
+
+  /**
+   * @dev Resolves the real sender of meta-transactions relayed by trusted forwarder, same as openzeppelin v4.6.0
+   * ERC2771Context but with forwarder managed by admin instead of being set on deployment.
+   */
+  function _msgSender() internal view virtual override returns (address sender) {
+    if (isTrustedForwarder(msg.sender)) {
+      assembly {
+        sender := shr(96, calldataload(sub(calldatasize(), 20)))
+      }
+    } else {
+      return super._msgSender();
+    }
+  }
+
+  /**
+   * @dev Strips the appended sender from calldata of meta-transactions relayed by trusted forwarder.
+   */
+  function _msgData() internal view virtual override returns (bytes calldata) {
+    if (isTrustedForwarder(msg.sender)) {
+      return msg.data[:msg.data.length - 20];
+    } else {
+      return super._msgData();
+    }
+  }
+
   /**
    * @dev Returns active/current season index
    */
@@ -99,10 +237,9 @@ contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
   }
 
   /**
-   * @dev Starts a new season with default destination and claim close date, can be called only by admin and it requires
-   * the following conditions:
-   * - previous season claim close date is reached
-   * - unclaimed rewards for previous season are sent to default destination
+   * @dev Starts a new season with default destination and claim close date, can be called only by admin. Claim window
+   * of previous seasons may still be open, new season becomes the current season and it requires the following
+   * conditions:
    * - default destination should not be address zero
    * - claim close date is after current block timestamp
    *
@@ -116,16 +253,7 @@ contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
     bytes32 merkleRoot,
     uint256 totalRewards,
     uint256 claimCloseDate
-  ) public onlyAdmin {
-    Season memory prevSeason = seasons[seasonIndex];
-    require(
-      block.timestamp > prevSeason.claimCloseDate,
-      "ThriveCoinRewardSeasonMerkle: previous season not fully closed"
-    );
-    require(
-      prevSeason.totalRewards - prevSeason.claimedRewards == 0 || prevSeason.unclaimedFundsSent,
-      "ThriveCoinRewardSeasonMerkle: unclaimed funds not sent yet"
-    );
+  ) public virtual onlyAdmin {
     require(
       defaultDestination != address(0),
       "ThriveCoinRewardSeasonMerkle: default destination cannot be zero address"
@@ -135,6 +263,25 @@ contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
 
     seasonIndex++;
     seasons[seasonIndex] = Season(defaultDestination, merkleRoot, claimCloseDate, totalRewards, 0, false);
+    emit SeasonAdded(seasonIndex, defaultDestination, merkleRoot, totalRewards, claimCloseDate);
+  }
+
+  /**
+   * @dev Changes claim close date of current season, can be called only by admin. Claim close date can be extended or
+   * shortened only before it's reached and new claim close date should not be reached as well.
+   *
+   * @param claimCloseDate - New claim close date of current season
+   */
+  function setClaimCloseDate(uint256 claimCloseDate) public onlyAdmin {
+    Season storage seasonInfo = seasons[seasonIndex];
+    require(
+      block.timestamp <= seasonInfo.claimCloseDate,
+      "ThriveCoinRewardSeasonMerkle: deadline for claiming reached"
+    );
+    require(claimCloseDate > block.timestamp, "ThriveCoinRewardSeasonMerkle: claim close date already reached");
+
+    emit ClaimCloseDateChanged(seasonIndex, seasonInfo.claimCloseDate, claimCloseDate);
+    seasonInfo.claimCloseDate = claimCloseDate;
   }
 
   /**
@@ -149,36 +296,150 @@ contract ThriveCoinRewardSeasonMerkle is AccessControlEnumerable {
 
   /**
    * @dev Can be called by owner of reward to claim funds. It can be called only before claim close date is reached.
-   * Reward can be claimed at most once and only for current season.
+   * Reward can be claimed at most once and only for current season, see {claimRewardForSeason} for other seasons.
+   * Rewards cannot be claimed while contract is paused.
    *
    * @param amount - amount that will be claimed by the caller
    * @param merkleProof - merkle proof data that will be validated against merkle tree root hash
    */
   function claimReward(uint256 amount, bytes32[] calldata merkleProof) public virtual {
-    Season storage season = seasons[seasonIndex];
-    require(block.timestamp <= season.claimCloseDate, "ThriveCoinRewardSeasonMerkle: deadline for claiming reached");
+    claimRewardForSeason(seasonIndex, amount, merkleProof);
+  }
+
+  /**
+   * @dev Same as {claimReward} but for explicit season, e.g. a past season while its claim window is still open.
+   * Reward cannot be claimed once unclaimed funds of the season are sent.
+   *
+   * @param season - Season index
+   * @param amount - amount that will be claimed by the caller
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash of the season
+   */
+  function claimRewardForSeason(
+    uint256 season,
+    uint256 amount,
+    bytes32[] calldata merkleProof
+  ) public virtual whenNotPaused {
+    Season storage seasonInfo = seasons[season];
+    require(
+      block.timestamp <= seasonInfo.claimCloseDate,
+      "ThriveCoinRewardSeasonMerkle: deadline for claiming reached"
+    );
+    require(seasonInfo.unclaimedFundsSent == false, "ThriveCoinRewardSeasonMerkle: unclaimed funds already sent");
 
     address caller = _msgSender();
-    require(rewards[seasonIndex][caller] == false, "ThriveCoinRewardSeasonMerkle: reward is already claimed");
+    require(rewards[season][caller] == false, "ThriveCoinRewardSeasonMerkle: reward is already claimed");
 
     bytes32 leaf = keccak256(abi.encodePacked(caller, amount));
-    bool isValidProof = MerkleProof.verify(merkleProof, season.merkleRoot, leaf);
+    bool isValidProof = MerkleProof.verify(merkleProof, seasonInfo.merkleRoot, leaf);
 
     require(isValidProof, "ThriveCoinRewardSeasonMerkle: reward not found");
 
-    rewards[seasonIndex][caller] = true;
-    season.claimedRewards += amount;
+    rewards[season][caller] = true;
+    seasonInfo.claimedRewards += amount;
+    emit RewardClaimed(season, caller, caller, amount);
   }
 
   /**
-   * @dev Used to send unclaimed funds after claim close date to default destination. Can be called only by admins.
+   * @dev Claims rewards of the caller in multiple seasons at once. Seasons that are not eligible at the moment (claim
+   * window closed, reward already claimed, unclaimed funds sent) are skipped, while invalid proofs of eligible seasons
+   * revert. Reverts if there is nothing to claim.
+   *
+   * @param seasonList - Season indexes
+   * @param amounts - amounts that will be claimed by the caller, one per season
+   * @param merkleProofs - merkle proofs, one per season
+   */
+  function claimAll(
+    uint256[] calldata seasonList,
+    uint256[] calldata amounts,
+    bytes32[][] calldata merkleProofs
+  ) public virtual {
+    require(
+      seasonList.length == amounts.length && seasonList.length == merkleProofs.length,
+      "ThriveCoinRewardSeasonMerkle: claim arguments length mismatch"
+    );
+
+    address caller = _msgSender();
+    bool claimed = false;
+
+    for (uint256 i = 0; i < seasonList.length; i++) {
+      Season storage seasonInfo = seasons[seasonList[i]];
+      if (
+        block.timestamp <= seasonInfo.claimCloseDate &&
+        !seasonInfo.unclaimedFundsSent &&
+        !rewards[seasonList[i]][caller]
+      ) {
+        claimRewardForSeason(seasonList[i], amounts[i], merkleProofs[i]);
+        claimed = true;
+      }
+    }
+
+    require(claimed, "ThriveCoinRewardSeasonMerkle: no rewards to claim");
+  }
+
+  /**
+   * @dev Used to send unclaimed funds of current season after claim close date to default destination. Can be called
+   * only by admins.
    */
   function sendUnclaimedFunds() public virtual onlyAdmin {
-    Season storage season = seasons[seasonIndex];
-    require(block.timestamp > season.claimCloseDate, "ThriveCoinRewardSeasonMerkle: deadline for claiming not reached");
-    require(season.totalRewards - season.claimedRewards > 0, "ThriveCoinRewardSeasonMerkle: no funds available");
-    require(season.unclaimedFundsSent == false, "ThriveCoinRewardSeasonMerkle: funds already sent");
+    sendUnclaimedFunds(seasonIndex);
+  }
+
+  /**
+   * @dev Same as {sendUnclaimedFunds} but for explicit season. Can be called only by admins.
+   *
+   * @param season - Season index
+   */
+  function sendUnclaimedFunds(uint256 season) public virtual onlyAdmin {
+    Season storage seasonInfo = seasons[season];
+    require(
+      block.timestamp > seasonInfo.claimCloseDate,
+      "ThriveCoinRewardSeasonMerkle: deadline for claiming not reached"
+    );
+    require(
+      seasonInfo.totalRewards - seasonInfo.claimedRewards > 0,
+      "ThriveCoinRewardSeasonMerkle: no funds available"
+    );
+    require(seasonInfo.unclaimedFundsSent == false, "ThriveCoinRewardSeasonMerkle: funds already sent");
+
+    seasonInfo.unclaimedFundsSent = true;
+    emit UnclaimedFundsSent(season, seasonInfo.defaultDestination, seasonInfo.totalRewards - seasonInfo.claimedRewards);
+  }
+
+  /**
+   * @dev Reverts unless every season is fully closed and its unclaimed funds are sent, used to guard withdrawals of
+   * remaining funds.
+   */
+  function _requireSeasonsSettled() internal view {
+    for (uint256 i = 1; i <= seasonIndex; i++) {
+      Season storage seasonInfo = seasons[i];
+      require(
+        block.timestamp > seasonInfo.claimCloseDate,
+        "ThriveCoinRewardSeasonMerkle: previous season not fully closed"
+      );
+      require(
+        seasonInfo.totalRewards - seasonInfo.claimedRewards == 0 || seasonInfo.unclaimedFundsSent,
+        "ThriveCoinRewardSeasonMerkle: unclaimed funds not sent yet"
+      );
+    }
+  }
+}
 
-    season.unclaimedFundsSent = true;
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with merkle tree
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonMerkleCore}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonMerkle is ThriveCoinRewardSeasonMerkleCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonMerkleCore-__ThriveCoinRewardSeasonMerkle_init}.
+   */
+  constructor(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  ) initializer {
+    __ThriveCoinRewardSeasonMerkle_init(defaultDestination, merkleRoot, totalRewards, claimCloseDate);
   }
 }
@@ -0,0 +1,212 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/draft-EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ThriveCoinRewardSeasonMerkle.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season core contract with merkle proof rewards that have separate claim destination.
+ *
+ * @dev ThriveCoinRewardSeasonMerkleDelegatedCore is a simple smart contract that is used to store reward seasons and
+ * their respective user rewards via merkle tree proof where each leaf is keccak256(owner, destination, amount). It
+ * supports these key functionalities:
+ * - Managing reward seasons where claim windows of multiple seasons can be open at once, seasons can be added only
+ *   by ADMIN_ROLE
+ * - Claiming rewards, done by reward owner or reward destination
+ * - Claiming rewards on behalf of owner with EIP-712 signature of the owner, done by anyone (e.g. relayer)
+ * - Reading user rewards publicly
+ * - Sending unclaimed rewards to default destination, can be done only by admin
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/utils/cryptography/draft-EIP712Upgradeable.sol
+ *
+ * NOTE: EIP712 domain name and version are stored by {__ThriveCoinRewardSeasonMerkleDelegated_init}, so behind a proxy
+ * claim signatures are bound to the proxy address and the domain stored in proxy storage.
+ *
+ * NOTE: uses openzeppelin v4.6.0 libraries:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/utils/cryptography/ECDSA.sol
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/utils/cryptography/MerkleProof.sol
+ */
+abstract contract ThriveCoinRewardSeasonMerkleDelegatedCore is ThriveCoinRewardSeasonMerkleCore, EIP712Upgradeable {
+  bytes32 public constant CLAIM_TYPEHASH =
+    keccak256("ClaimReward(uint256 season,address owner,address destination,uint256 amount,uint256 deadline)");
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[50] private __gap;
+
+  /**
+   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
+   * `PAUSER_ROLE` to the account that deploys or initializes the contract. Sets EIP712 domain used for claim
+   * signatures.
+   *
+   * @param defaultDestination - Address where remaining funds will be sent once season is closed
+   * @param merkleRoot - Merkle tree root for reward proof
+   * @param totalRewards - Determines total rewards that will be distributed once season is closed
+   * @param claimCloseDate - Determines the date until funds are available to claim
+   */
+  function __ThriveCoinRewardSeasonMerkleDelegated_init(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeasonMerkle_init(defaultDestination, merkleRoot, totalRewards, claimCloseDate);
+    __EIP712_init("ThriveCoinRewardSeasonMerkleDelegated", "1");
+  }
+
+  /**
+   * @dev Claims reward of the caller in season where caller is both owner and destination of the reward. See
+   * {ThriveCoinRewardSeasonMerkleDelegated-claimReward} with owner and destination for more details.
+   *
+   * @param season - Season index
+   * @param amount - amount that will be claimed by the caller
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash of the season
+   */
+  function claimRewardForSeason(
+    uint256 season,
+    uint256 amount,
+    bytes32[] calldata merkleProof
+  ) public virtual override whenNotPaused {
+    _claimReward(season, _msgSender(), _msgSender(), amount, merkleProof);
+  }
+
+  /**
+   * @dev Can be called by owner or destination of reward to claim funds. It can be called only before claim close date
+   * is reached. Reward can be claimed at most once and only for current season. Rewards cannot be claimed while
+   * contract is paused.
+   *
+   * @param owner - Owner of the reward
+   * @param destination - Destination of the reward funds
+   * @param amount - amount that will be claimed
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash
+   */
+  function claimReward(
+    address owner,
+    address destination,
+    uint256 amount,
+    bytes32[] calldata merkleProof
+  ) public virtual {
+    claimRewardForSeason(seasonIndex, owner, destination, amount, merkleProof);
+  }
+
+  /**
+   * @dev Same as {ThriveCoinRewardSeasonMerkleDelegated-claimReward} with owner and destination but for explicit
+   * season, e.g. a past season while its claim window is still open.
+   *
+   * @param season - Season index
+   * @param owner - Owner of the reward
+   * @param destination - Destination of the reward funds
+   * @param amount - amount that will be claimed
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash of the season
+   */
+  function claimRewardForSeason(
+    uint256 season,
+    address owner,
+    address destination,
+    uint256 amount,
+    bytes32[] calldata merkleProof
+  ) public virtual whenNotPaused {
+    address caller = _msgSender();
+    require(
+      caller == owner || caller == destination,
+      "ThriveCoinRewardSeasonMerkleDelegated: caller is not allowed to claim reward"
+    );
+
+    _claimReward(season, owner, destination, amount, merkleProof);
+  }
+
+  /**
+   * @dev Claims reward on behalf of owner, it can be called by anyone that holds valid EIP-712 signature of the owner
+   * for the current season. Same conditions as in {ThriveCoinRewardSeasonMerkleDelegated-claimReward} apply.
+   *
+   * @param owner - Owner of the reward and signer of the claim
+   * @param destination - Destination of the reward funds
+   * @param amount - amount that will be claimed
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash
+   * @param deadline - Timestamp until signature is valid
+   * @param signature - EIP-712 signature of ClaimReward struct signed by the owner
+   */
+  function claimRewardBySig(
+    address owner,
+    address destination,
+    uint256 amount,
+    bytes32[] calldata merkleProof,
+    uint256 deadline,
+    bytes calldata signature
+  ) public virtual whenNotPaused {
+    require(block.timestamp <= deadline, "ThriveCoinRewardSeasonMerkleDelegated: signature expired");
+
+    bytes32 structHash = keccak256(abi.encode(CLAIM_TYPEHASH, seasonIndex, owner, destination, amount, deadline));
+    address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+    require(signer == owner, "ThriveCoinRewardSeasonMerkleDelegated: invalid signature");
+
+    _claimReward(seasonIndex, owner, destination, amount, merkleProof);
+  }
+
+  /**
+   * @dev Returns the domain separator used in the encoding of the claim signature.
+   */
+  function domainSeparator() public view returns (bytes32) {
+    return _domainSeparatorV4();
+  }
+
+  /**
+   * @dev Validates merkle proof of (owner, destination, amount) leaf against season root and marks reward of owner as
+   * claimed.
+   */
+  function _claimReward(
+    uint256 season,
+    address owner,
+    address destination,
+    uint256 amount,
+    bytes32[] calldata merkleProof
+  ) internal virtual {
+    Season storage seasonInfo = seasons[season];
+    require(
+      block.timestamp <= seasonInfo.claimCloseDate,
+      "ThriveCoinRewardSeasonMerkleDelegated: deadline for claiming reached"
+    );
+    require(
+      seasonInfo.unclaimedFundsSent == false,
+      "ThriveCoinRewardSeasonMerkleDelegated: unclaimed funds already sent"
+    );
+    require(rewards[season][owner] == false, "ThriveCoinRewardSeasonMerkleDelegated: reward is already claimed");
+
+    bytes32 leaf = keccak256(abi.encodePacked(owner, destination, amount));
+    require(
+      MerkleProof.verify(merkleProof, seasonInfo.merkleRoot, leaf),
+      "ThriveCoinRewardSeasonMerkleDelegated: reward not found"
+    );
+
+    rewards[season][owner] = true;
+    seasonInfo.claimedRewards += amount;
+    emit RewardClaimed(season, owner, destination, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with merkle proof rewards that have separate claim destination.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonMerkleDelegatedCore}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonMerkleDelegated is ThriveCoinRewardSeasonMerkleDelegatedCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonMerkleDelegatedCore-__ThriveCoinRewardSeasonMerkleDelegated_init}.
+   */
+  constructor(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  ) initializer {
+    __ThriveCoinRewardSeasonMerkleDelegated_init(defaultDestination, merkleRoot, totalRewards, claimCloseDate);
+  }
+}
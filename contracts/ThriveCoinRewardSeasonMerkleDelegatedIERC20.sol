@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ThriveCoinRewardSeasonMerkleDelegated.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season core contract with erc20 merkle proof rewards that have separate claim destination.
+ *
+ * @dev ThriveCoinRewardSeasonMerkleDelegatedIERC20Core is a simple smart contract that is used to store reward seasons
+ * and their respective IERC20 user rewards via merkle tree proof where each leaf is keccak256(owner, destination,
+ * amount). It supports these key functionalities:
+ * - Managing reward seasons where claim windows of multiple seasons can be open at once, seasons can be added only
+ *   by ADMIN_ROLE
+ * - Sending IERC20 rewards to destination, done by reward owner, reward destination or relayer with owner signature
+ * - Reading user rewards publicly
+ * - Sending unclaimed IERC20 rewards to default destination, can be done only by admin
+ */
+abstract contract ThriveCoinRewardSeasonMerkleDelegatedIERC20Core is ThriveCoinRewardSeasonMerkleDelegatedCore {
+  address tokenAddress;
+
+  /**
+   * @dev Emitted when remaining IERC20 funds are withdrawn from the contract.
+   */
+  event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[49] private __gap;
+
+  /**
+   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
+   * `PAUSER_ROLE` to the account that deploys or initializes the contract.
+   *
+   * @param defaultDestination - Address where remaining funds will be sent once season is closed
+   * @param merkleRoot - Merkle tree root for reward proof
+   * @param totalRewards - Determines total rewards that will be distributed once season is closed
+   * @param claimCloseDate - Determines the date until funds are available to claim
+   * @param _tokenAddress - IERC20 token address used for distributing rewards
+   */
+  function __ThriveCoinRewardSeasonMerkleDelegatedIERC20_init(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate,
+    address _tokenAddress
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeasonMerkleDelegated_init(defaultDestination, merkleRoot, totalRewards, claimCloseDate);
+    tokenAddress = _tokenAddress;
+  }
+
+  /**
+   * @dev Returns the erc20 token address
+   */
+  function getTokenAddress() public view returns (address) {
+    return tokenAddress;
+  }
+
+  /**
+   * @dev Beside marking reward as claimed it sends IERC20 funds to reward destination.
+   * See {ThriveCoinRewardSeasonMerkleDelegated-_claimReward} for more details.
+   */
+  function _claimReward(
+    uint256 season,
+    address owner,
+    address destination,
+    uint256 amount,
+    bytes32[] calldata merkleProof
+  ) internal override {
+    super._claimReward(season, owner, destination, amount, merkleProof);
+
+    SafeERC20.safeTransfer(IERC20(tokenAddress), destination, amount);
+  }
+
+  /**
+   * @dev Used to send unclaimed IERC20 funds after claim close date to default destination. Can be called only by
+   * admins.
+   *
+   * @param season - Season index
+   */
+  function sendUnclaimedFunds(uint256 season) public override onlyAdmin {
+    super.sendUnclaimedFunds(season);
+
+    Season memory seasonInfo = seasons[season];
+    SafeERC20.safeTransfer(
+      IERC20(tokenAddress),
+      seasonInfo.defaultDestination,
+      seasonInfo.totalRewards - seasonInfo.claimedRewards
+    );
+  }
+
+  /**
+   * @dev Withdraw remaining ERC20 from smart contract, only admins can do this.
+   * This is useful when contract has more funds than needed to fulfill rewards.
+   *
+   * @param account - Destination of ERC20 funds
+   * @param amount - Amount that will be withdrawn
+   */
+  function withdrawERC20(address account, uint256 amount) public onlyAdmin {
+    _requireSeasonsSettled();
+
+    uint256 contractBalance = IERC20(tokenAddress).balanceOf(address(this));
+    require(contractBalance >= amount, "ThriveCoinRewardSeasonMerkleDelegatedIERC20: not enough funds available");
+
+    SafeERC20.safeTransfer(IERC20(tokenAddress), account, amount);
+    emit Withdrawn(tokenAddress, account, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with erc20 merkle proof rewards that have separate claim destination.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonMerkleDelegatedIERC20Core}, first season is stored on
+ * deployment.
+ */
+contract ThriveCoinRewardSeasonMerkleDelegatedIERC20 is ThriveCoinRewardSeasonMerkleDelegatedIERC20Core {
+  /**
+   * @dev See {ThriveCoinRewardSeasonMerkleDelegatedIERC20Core-__ThriveCoinRewardSeasonMerkleDelegatedIERC20_init}.
+   */
+  constructor(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate,
+    address _tokenAddress
+  ) initializer {
+    __ThriveCoinRewardSeasonMerkleDelegatedIERC20_init(
+      defaultDestination,
+      merkleRoot,
+      totalRewards,
+      claimCloseDate,
+      _tokenAddress
+    );
+  }
+}
@@ -8,21 +8,33 @@ import "./ThriveCoinRewardSeasonMerkle.sol";
 
 /**
  * @author ThriveCoin
- * @title ThriveCoin reward season contract with erc20 rewards.
+ * @title ThriveCoin reward season core contract with erc20 rewards.
  *
  * @dev ThriveCoinRewardSeasonMerkle is a simple smart contract that is used to store reward seasons and their
  * respective user rewards via merkle tree proof. It supports these key functionalities:
- * - Managing reward seasons where there is at most one active season, seasons can be added only by ADMIN_ROLE
+ * - Managing reward seasons where claim windows of multiple seasons can be open at once, seasons can be added only
+ *   by ADMIN_ROLE
  * - Claiming IERC20 rewards
  * - Reading user rewards publicly
  * - Sending unclaimed IERC20 rewards to default destination, can be done only by admin
  */
-contract ThriveCoinRewardSeasonMerkleIERC20 is ThriveCoinRewardSeasonMerkle {
+abstract contract ThriveCoinRewardSeasonMerkleIERC20Core is ThriveCoinRewardSeasonMerkleCore {
   address tokenAddress;
 
+  /**
+   * @dev Emitted when remaining IERC20 funds are withdrawn from the contract.
+   */
+  event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[49] private __gap;
+
   /**
    * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
-   * `WRITER_ROLE` to the account that deploys the contract.
+   * `WRITER_ROLE` to the account that deploys or initializes the contract.
    *
    * @param defaultDestination - Address where remaining funds will be sent once season is closed
    * @param merkleRoot - Merkle tree root for reward proof
@@ -30,13 +42,14 @@ contract ThriveCoinRewardSeasonMerkleIERC20 is ThriveCoinRewardSeasonMerkle {
    * @param claimCloseDate - Determines the date until funds are available to claim
    * @param _tokenAddress - IERC20 token address used for distributing rewards
    */
-  constructor(
+  function __ThriveCoinRewardSeasonMerkleIERC20_init(
     address defaultDestination,
     bytes32 merkleRoot,
     uint256 totalRewards,
     uint256 claimCloseDate,
     address _tokenAddress
-  ) ThriveCoinRewardSeasonMerkle(defaultDestination, merkleRoot, totalRewards, claimCloseDate) {
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeasonMerkle_init(defaultDestination, merkleRoot, totalRewards, claimCloseDate);
     tokenAddress = _tokenAddress;
   }
 
@@ -48,14 +61,15 @@ contract ThriveCoinRewardSeasonMerkleIERC20 is ThriveCoinRewardSeasonMerkle {
   }
 
   /**
-   * @dev Can be called by owner of reward to claim funds. It can be called only before claim close date is reached.
-   * Reward can be claimed at most once and only for current season.
+   * @dev Can be called by owner of reward to claim IERC20 funds. It can be called only before claim close date of the
+   * season is reached. Reward can be claimed at most once per season.
    *
+   * @param season - Season index
    * @param amount - amount that will be claimed by the caller
-   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash of the season
    */
-  function claimReward(uint256 amount, bytes32[] calldata merkleProof) public override {
-    super.claimReward(amount, merkleProof);
+  function claimRewardForSeason(uint256 season, uint256 amount, bytes32[] calldata merkleProof) public override {
+    super.claimRewardForSeason(season, amount, merkleProof);
 
     SafeERC20.safeTransfer(IERC20(tokenAddress), _msgSender(), amount);
   }
@@ -63,15 +77,17 @@ contract ThriveCoinRewardSeasonMerkleIERC20 is ThriveCoinRewardSeasonMerkle {
   /**
    * @dev Used to send unclaimed IERC20 funds after claim close date to default destination. Can be called only by
    * admins.
+   *
+   * @param season - Season index
    */
-  function sendUnclaimedFunds() public override onlyAdmin {
-    super.sendUnclaimedFunds();
+  function sendUnclaimedFunds(uint256 season) public override onlyAdmin {
+    super.sendUnclaimedFunds(season);
 
-    Season memory season = seasons[seasonIndex];
+    Season memory seasonInfo = seasons[season];
     SafeERC20.safeTransfer(
       IERC20(tokenAddress),
-      season.defaultDestination,
-      season.totalRewards - season.claimedRewards
+      seasonInfo.defaultDestination,
+      seasonInfo.totalRewards - seasonInfo.claimedRewards
     );
   }
 
@@ -83,19 +99,39 @@ contract ThriveCoinRewardSeasonMerkleIERC20 is ThriveCoinRewardSeasonMerkle {
    * @param amount - Amount that will be withdrawn
    */
   function withdrawERC20(address account, uint256 amount) public onlyAdmin {
-    Season memory season = seasons[seasonIndex];
-    require(
-      block.timestamp > season.claimCloseDate,
-      "ThriveCoinRewardSeasonMerkleIERC20: previous season not fully closed"
-    );
-    require(
-      season.totalRewards - season.claimedRewards == 0 || season.unclaimedFundsSent,
-      "ThriveCoinRewardSeasonMerkleIERC20: unclaimed funds not sent yet"
-    );
+    _requireSeasonsSettled();
 
     uint256 contractBalance = IERC20(tokenAddress).balanceOf(address(this));
     require(contractBalance >= amount, "ThriveCoinRewardSeasonMerkleIERC20: not enough funds available");
 
     SafeERC20.safeTransfer(IERC20(tokenAddress), account, amount);
+    emit Withdrawn(tokenAddress, account, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with erc20 rewards.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonMerkleIERC20Core}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonMerkleIERC20 is ThriveCoinRewardSeasonMerkleIERC20Core {
+  /**
+   * @dev See {ThriveCoinRewardSeasonMerkleIERC20Core-__ThriveCoinRewardSeasonMerkleIERC20_init}.
+   */
+  constructor(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate,
+    address _tokenAddress
+  ) initializer {
+    __ThriveCoinRewardSeasonMerkleIERC20_init(
+      defaultDestination,
+      merkleRoot,
+      totalRewards,
+      claimCloseDate,
+      _tokenAddress
+    );
   }
 }
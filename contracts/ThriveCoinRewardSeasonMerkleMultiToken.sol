@@ -0,0 +1,394 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ThriveCoinRewardSeasonMerkle.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season core contract with merkle tree and rewards in multiple erc20 tokens.
+ *
+ * @dev ThriveCoinRewardSeasonMerkleMultiTokenCore is a simple smart contract that is used to store reward seasons and
+ * their respective user rewards via merkle tree proof where each merkle leaf references one of the IERC20 tokens
+ * allowed by admin. Season totals of {ThriveCoinRewardSeasonMerkleCore} hold the sum of all token amounts, while per
+ * token totals are tracked in {SeasonToken}. It supports these key functionalities:
+ * - Managing reward seasons with per token total rewards where claim windows of multiple seasons can be open at once,
+ *   seasons can be added only by ADMIN_ROLE
+ * - Managing allowlist of reward tokens, only by ADMIN_ROLE
+ * - Claiming IERC20 rewards of current and past seasons, also in multiple tokens at once
+ * - Reading user rewards and per token season totals publicly
+ * - Sending unclaimed rewards of all tokens to default destination, can be done only by admin
+ * - Withdrawing remaining funds of a token once all seasons are settled, can be done only by admin
+ *
+ * Each leaf is keccak256(owner, token, amount), so claims inherited from {ThriveCoinRewardSeasonMerkleCore} whose
+ * leaf has no token never match the season root and revert with reward not found.
+ *
+ * NOTE: uses openzeppelin v4.6.0 libraries:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/token/ERC20/utils/SafeERC20.sol
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/utils/cryptography/MerkleProof.sol
+ */
+abstract contract ThriveCoinRewardSeasonMerkleMultiTokenCore is ThriveCoinRewardSeasonMerkleCore {
+  /**
+   * @dev Structure that holds season totals of a single token
+   *
+   * @property token - IERC20 token address
+   * @property totalRewards - Determines total rewards of the token that will be distributed
+   * @property claimedRewards - Determines total claimed rewards of the token by end users
+   */
+  struct SeasonToken {
+    address token;
+    uint256 totalRewards;
+    uint256 claimedRewards;
+  }
+
+  /**
+   * @dev Emitted when total rewards of `token` are set for a newly added season.
+   */
+  event SeasonTokenAdded(uint256 indexed season, address indexed token, uint256 totalRewards);
+
+  /**
+   * @dev Emitted when `token` is added to or removed from allowlist of reward tokens.
+   */
+  event TokenAllowed(address indexed token, bool allowed);
+
+  /**
+   * @dev Emitted when reward of `owner` in `token` is claimed and sent to `destination`.
+   */
+  event TokenRewardClaimed(
+    uint256 indexed season,
+    address indexed owner,
+    address indexed destination,
+    address token,
+    uint256 amount
+  );
+
+  /**
+   * @dev Emitted when unclaimed rewards of a season in `token` are sent to its default destination.
+   */
+  event UnclaimedTokensSent(uint256 indexed season, address indexed destination, address indexed token, uint256 amount);
+
+  /**
+   * @dev Emitted when remaining IERC20 funds are withdrawn from the contract.
+   */
+  event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Allowlist of reward tokens
+   */
+  mapping(address => bool) internal allowedTokens;
+
+  /**
+   * @dev Storage of tokens rewarded in season in format season_index => token_totals
+   */
+  mapping(uint256 => SeasonToken[]) internal seasonTokens;
+
+  /**
+   * @dev Storage of season token positions in format season_index => (token => index + 1), zero means that token is
+   * not rewarded in season
+   */
+  mapping(uint256 => mapping(address => uint256)) internal seasonTokenIndexes;
+
+  /**
+   * @dev Storage of user rewards in format season_index => (owner => (token => claimed))
+   */
+  mapping(uint256 => mapping(address => mapping(address => bool))) internal tokenRewards;
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[46] private __gap;
+
+  /**
+   * @dev Stores first season with default destination, claim close date and per token total rewards, tokens of the
+   * first season are allowed as reward tokens. Additionally grants `DEFAULT_ADMIN_ROLE` and `PAUSER_ROLE` to the
+   * account that deploys or initializes the contract.
+   *
+   * @param defaultDestination - Address where remaining funds will be sent once season is closed
+   * @param merkleRoot - Merkle tree root for reward proof, leaves are built from owner, token and amount
+   * @param claimCloseDate - Determines the date until funds are available to claim
+   * @param tokens - IERC20 tokens in which rewards of the season are paid
+   * @param totalRewards - Total rewards that will be distributed, one per token
+   */
+  function __ThriveCoinRewardSeasonMerkleMultiToken_init(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 claimCloseDate,
+    address[] memory tokens,
+    uint256[] memory totalRewards
+  ) internal onlyInitializing {
+    for (uint256 i = 0; i < tokens.length; i++) {
+      _setTokenAllowed(tokens[i], true);
+    }
+
+    __ThriveCoinRewardSeasonMerkle_init(defaultDestination, merkleRoot, _sum(totalRewards), claimCloseDate);
+    _addSeasonTokens(tokens, totalRewards);
+  }
+
+  /**
+   * @dev Returns true if seasons can reward token.
+   *
+   * @param token - IERC20 token address
+   */
+  function isTokenAllowed(address token) public view returns (bool) {
+    return allowedTokens[token];
+  }
+
+  /**
+   * @dev Adds token to or removes it from allowlist of reward tokens, can be called only by admin. Removing a token
+   * doesn't affect seasons that already reward it.
+   *
+   * @param token - IERC20 token address
+   * @param allowed - Whether new seasons can reward token
+   */
+  function setTokenAllowed(address token, bool allowed) public onlyAdmin {
+    _setTokenAllowed(token, allowed);
+  }
+
+  function _setTokenAllowed(address token, bool allowed) internal {
+    require(token != address(0), "ThriveCoinRewardSeasonMerkleMultiToken: token cannot be zero address");
+
+    allowedTokens[token] = allowed;
+    emit TokenAllowed(token, allowed);
+  }
+
+  /**
+   * @dev Returns tokens rewarded in season together with their totals
+   *
+   * @param season - Season index
+   */
+  function readSeasonTokens(uint256 season) public view returns (SeasonToken[] memory) {
+    return seasonTokens[season];
+  }
+
+  /**
+   * @dev Returns totals of token in season, totals are zero if token is not rewarded in season
+   *
+   * @param season - Season index
+   * @param token - IERC20 token address
+   */
+  function readSeasonTokenInfo(uint256 season, address token) public view returns (SeasonToken memory) {
+    uint256 index = seasonTokenIndexes[season][token];
+    if (index == 0) {
+      return SeasonToken(token, 0, 0);
+    }
+
+    return seasonTokens[season][index - 1];
+  }
+
+  /**
+   * @dev Seasons are added only together with their tokens, see {addSeason} with tokens and total rewards.
+   */
+  function addSeason(address, bytes32, uint256, uint256) public pure override {
+    revert("ThriveCoinRewardSeasonMerkleMultiToken: season tokens are required");
+  }
+
+  /**
+   * @dev Starts a new season with default destination, claim close date and per token total rewards, see
+   * {ThriveCoinRewardSeasonMerkle-addSeason}. Can be called only by admin and additionally requires at least one
+   * token with total rewards greater than zero, all tokens are allowed and not repeated.
+   *
+   * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
+   * @param merkleRoot - Merkle tree root for reward proof, leaves are built from owner, token and amount
+   * @param claimCloseDate - Determines the date until funds are available to claim
+   * @param tokens - IERC20 tokens in which rewards of the season are paid
+   * @param totalRewards - Total rewards that will be distributed, one per token
+   */
+  function addSeason(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 claimCloseDate,
+    address[] calldata tokens,
+    uint256[] calldata totalRewards
+  ) public onlyAdmin {
+    super.addSeason(defaultDestination, merkleRoot, _sum(totalRewards), claimCloseDate);
+    _addSeasonTokens(tokens, totalRewards);
+  }
+
+  function _sum(uint256[] memory amounts) internal pure returns (uint256 total) {
+    for (uint256 i = 0; i < amounts.length; i++) {
+      total += amounts[i];
+    }
+  }
+
+  /**
+   * @dev Stores per token totals of current season.
+   */
+  function _addSeasonTokens(address[] memory tokens, uint256[] memory totalRewards) internal {
+    require(
+      tokens.length > 0 && tokens.length == totalRewards.length,
+      "ThriveCoinRewardSeasonMerkleMultiToken: tokens and total rewards length mismatch"
+    );
+
+    for (uint256 i = 0; i < tokens.length; i++) {
+      require(allowedTokens[tokens[i]], "ThriveCoinRewardSeasonMerkleMultiToken: token is not allowed");
+      require(
+        seasonTokenIndexes[seasonIndex][tokens[i]] == 0,
+        "ThriveCoinRewardSeasonMerkleMultiToken: duplicate token"
+      );
+      require(totalRewards[i] > 0, "ThriveCoinRewardSeasonMerkleMultiToken: total rewards should be greater than zero");
+
+      seasonTokens[seasonIndex].push(SeasonToken(tokens[i], totalRewards[i], 0));
+      seasonTokenIndexes[seasonIndex][tokens[i]] = seasonTokens[seasonIndex].length;
+      emit SeasonTokenAdded(seasonIndex, tokens[i], totalRewards[i]);
+    }
+  }
+
+  /**
+   * @dev Returns information if reward in token is claimed or not
+   *
+   * @param season - Season index
+   * @param owner - Owner of the reward
+   * @param token - IERC20 token of the reward
+   */
+  function readReward(uint256 season, address owner, address token) public view returns (bool) {
+    return tokenRewards[season][owner][token];
+  }
+
+  /**
+   * @dev Can be called by owner of reward to claim funds in token. It can be called only before claim close date is
+   * reached. Reward can be claimed at most once per token and only for current season, see {claimRewardForSeason}
+   * for other seasons. Rewards cannot be claimed while contract is paused.
+   *
+   * @param token - IERC20 token of the reward
+   * @param amount - amount that will be claimed by the caller
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash
+   */
+  function claimReward(address token, uint256 amount, bytes32[] calldata merkleProof) public virtual {
+    claimRewardForSeason(seasonIndex, token, amount, merkleProof);
+  }
+
+  /**
+   * @dev Same as {claimReward} but for explicit season, e.g. a past season while its claim window is still open.
+   * Reward cannot be claimed once unclaimed funds of the season are sent.
+   *
+   * @param season - Season index
+   * @param token - IERC20 token of the reward
+   * @param amount - amount that will be claimed by the caller
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash of the season
+   */
+  function claimRewardForSeason(
+    uint256 season,
+    address token,
+    uint256 amount,
+    bytes32[] calldata merkleProof
+  ) public virtual whenNotPaused {
+    Season storage seasonInfo = seasons[season];
+    require(
+      block.timestamp <= seasonInfo.claimCloseDate,
+      "ThriveCoinRewardSeasonMerkleMultiToken: deadline for claiming reached"
+    );
+    require(
+      seasonInfo.unclaimedFundsSent == false,
+      "ThriveCoinRewardSeasonMerkleMultiToken: unclaimed funds already sent"
+    );
+
+    address caller = _msgSender();
+    require(
+      tokenRewards[season][caller][token] == false,
+      "ThriveCoinRewardSeasonMerkleMultiToken: reward is already claimed"
+    );
+
+    uint256 index = seasonTokenIndexes[season][token];
+    bytes32 leaf = keccak256(abi.encodePacked(caller, token, amount));
+    bool isValidProof = MerkleProof.verify(merkleProof, seasonInfo.merkleRoot, leaf);
+
+    require(index != 0 && isValidProof, "ThriveCoinRewardSeasonMerkleMultiToken: reward not found");
+
+    tokenRewards[season][caller][token] = true;
+    seasonTokens[season][index - 1].claimedRewards += amount;
+    seasonInfo.claimedRewards += amount;
+    SafeERC20.safeTransfer(IERC20(token), caller, amount);
+    emit TokenRewardClaimed(season, caller, caller, token, amount);
+  }
+
+  /**
+   * @dev Claims rewards of the caller in multiple tokens of the season at once, see {claimRewardForSeason}.
+   *
+   * @param season - Season index
+   * @param tokens - IERC20 tokens of the rewards
+   * @param amounts - amounts that will be claimed by the caller, one per token
+   * @param merkleProofs - merkle proofs, one per token
+   */
+  function claimRewardBatch(
+    uint256 season,
+    address[] calldata tokens,
+    uint256[] calldata amounts,
+    bytes32[][] calldata merkleProofs
+  ) public virtual {
+    require(
+      tokens.length > 0 && tokens.length == amounts.length && tokens.length == merkleProofs.length,
+      "ThriveCoinRewardSeasonMerkleMultiToken: claim arguments length mismatch"
+    );
+
+    for (uint256 i = 0; i < tokens.length; i++) {
+      claimRewardForSeason(season, tokens[i], amounts[i], merkleProofs[i]);
+    }
+  }
+
+  /**
+   * @dev Used to send unclaimed funds after claim close date to default destination, see
+   * {ThriveCoinRewardSeasonMerkle-sendUnclaimedFunds}. Unclaimed rewards of every token of the season are sent at
+   * once. Can be called only by admins.
+   *
+   * @param season - Season index
+   */
+  function sendUnclaimedFunds(uint256 season) public override onlyAdmin {
+    super.sendUnclaimedFunds(season);
+
+    address destination = seasons[season].defaultDestination;
+    SeasonToken[] storage totals = seasonTokens[season];
+    for (uint256 i = 0; i < totals.length; i++) {
+      uint256 amount = totals[i].totalRewards - totals[i].claimedRewards;
+      if (amount == 0) {
+        continue;
+      }
+
+      SafeERC20.safeTransfer(IERC20(totals[i].token), destination, amount);
+      emit UnclaimedTokensSent(season, destination, totals[i].token, amount);
+    }
+  }
+
+  /**
+   * @dev Withdraw remaining funds of token from smart contract, only admins can do this. This is useful when contract
+   * has more funds than needed to fulfill rewards. Funds can be withdrawn only when all seasons are settled.
+   *
+   * @param token - IERC20 token address
+   * @param account - Destination of ERC20 funds
+   * @param amount - Amount that will be withdrawn
+   */
+  function withdrawERC20(address token, address account, uint256 amount) public onlyAdmin {
+    _requireSeasonsSettled();
+
+    uint256 contractBalance = IERC20(token).balanceOf(address(this));
+    require(contractBalance >= amount, "ThriveCoinRewardSeasonMerkleMultiToken: not enough funds available");
+
+    SafeERC20.safeTransfer(IERC20(token), account, amount);
+    emit Withdrawn(token, account, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with merkle tree and rewards in multiple erc20 tokens.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonMerkleMultiTokenCore}, first season is stored on
+ * deployment.
+ */
+contract ThriveCoinRewardSeasonMerkleMultiToken is ThriveCoinRewardSeasonMerkleMultiTokenCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonMerkleMultiTokenCore-__ThriveCoinRewardSeasonMerkleMultiToken_init}.
+   */
+  constructor(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 claimCloseDate,
+    address[] memory tokens,
+    uint256[] memory totalRewards
+  ) initializer {
+    __ThriveCoinRewardSeasonMerkleMultiToken_init(defaultDestination, merkleRoot, claimCloseDate, tokens, totalRewards);
+  }
+}
@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./ThriveCoinRewardSeasonMerkle.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season core contract with native currency rewards.
+ *
+ * @dev ThriveCoinRewardSeasonMerkleNativeCore is a simple smart contract that is used to store reward seasons and their
+ * respective native currency (e.g. ETH, MATIC) user rewards via merkle tree proof. It supports these key
+ * functionalities:
+ * - Managing reward seasons where claim windows of multiple seasons can be open at once, seasons can be added only
+ *   by ADMIN_ROLE
+ * - Claiming native currency rewards
+ * - Reading user rewards publicly
+ * - Sending unclaimed native currency rewards to default destination, can be done only by admin
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/security/ReentrancyGuardUpgradeable.sol
+ */
+abstract contract ThriveCoinRewardSeasonMerkleNativeCore is
+  ThriveCoinRewardSeasonMerkleCore,
+  ReentrancyGuardUpgradeable
+{
+  /**
+   * @dev Emitted when remaining native funds are withdrawn from the contract, `token` is always zero address.
+   */
+  event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[50] private __gap;
+
+  /**
+   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE` and
+   * `PAUSER_ROLE` to the account that deploys or initializes the contract.
+   *
+   * @param defaultDestination - Address where remaining funds will be sent once season is closed
+   * @param merkleRoot - Merkle tree root for reward proof
+   * @param totalRewards - Determines total rewards that will be distributed once season is closed
+   * @param claimCloseDate - Determines the date until funds are available to claim
+   */
+  function __ThriveCoinRewardSeasonMerkleNative_init(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeasonMerkle_init(defaultDestination, merkleRoot, totalRewards, claimCloseDate);
+    __ReentrancyGuard_init();
+  }
+
+  /**
+   * @dev Function to receive native funds that will be used for rewards
+   */
+  receive() external payable {}
+
+  /**
+   * @dev Can be called by owner of reward to claim native funds. It can be called only before claim close date of the
+   * season is reached. Reward can be claimed at most once per season.
+   *
+   * @param season - Season index
+   * @param amount - amount that will be claimed by the caller
+   * @param merkleProof - merkle proof data that will be validated against merkle tree root hash of the season
+   */
+  function claimRewardForSeason(
+    uint256 season,
+    uint256 amount,
+    bytes32[] calldata merkleProof
+  ) public override nonReentrant {
+    super.claimRewardForSeason(season, amount, merkleProof);
+
+    Address.sendValue(payable(_msgSender()), amount);
+  }
+
+  /**
+   * @dev Used to send unclaimed native funds after claim close date to default destination. Can be called only by
+   * admins.
+   *
+   * @param season - Season index
+   */
+  function sendUnclaimedFunds(uint256 season) public override onlyAdmin nonReentrant {
+    super.sendUnclaimedFunds(season);
+
+    Season memory seasonInfo = seasons[season];
+    Address.sendValue(payable(seasonInfo.defaultDestination), seasonInfo.totalRewards - seasonInfo.claimedRewards);
+  }
+
+  /**
+   * @dev Withdraw remaining native funds from smart contract, only admins can do this.
+   * This is useful when contract has more funds than needed to fulfill rewards.
+   *
+   * @param account - Destination of native funds
+   * @param amount - Amount that will be withdrawn
+   */
+  function withdrawEther(address account, uint256 amount) public onlyAdmin nonReentrant {
+    _requireSeasonsSettled();
+
+    require(address(this).balance >= amount, "ThriveCoinRewardSeasonMerkleNative: not enough funds available");
+
+    Address.sendValue(payable(account), amount);
+    emit Withdrawn(address(0), account, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with native currency rewards.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonMerkleNativeCore}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonMerkleNative is ThriveCoinRewardSeasonMerkleNativeCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonMerkleNativeCore-__ThriveCoinRewardSeasonMerkleNative_init}.
+   */
+  constructor(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  ) initializer {
+    __ThriveCoinRewardSeasonMerkleNative_init(defaultDestination, merkleRoot, totalRewards, claimCloseDate);
+  }
+}
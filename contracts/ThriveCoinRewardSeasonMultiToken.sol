@@ -0,0 +1,531 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ThriveCoinRewardSeason.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season core contract with rewards in multiple erc20 tokens.
+ *
+ * @dev ThriveCoinRewardSeasonMultiTokenCore is a simple smart contract that is used to store reward seasons and their
+ * respective user rewards where each reward can be paid in several IERC20 tokens allowed by admin. Rewards of an owner
+ * keep a single destination and are claimed for all tokens at once. Reward amounts and season totals of
+ * {ThriveCoinRewardSeasonBaseCore} hold the sum of all token amounts, while per token amounts are tracked in
+ * {TokenReward} and {SeasonToken}. It supports these key functionalities:
+ * - Managing reward seasons where multiple seasons can be open at once, seasons can be added only by ADMIN_ROLE
+ * - Managing allowlist of reward tokens, only by ADMIN_ROLE
+ * - Adding, incrementing and decrementing user rewards in allowed tokens, only by WRITER_ROLE
+ * - Removing mistakenly added user rewards together with their token rewards, only by WRITER_ROLE
+ * - Reading user rewards and per token season totals publicly
+ * - Sending user rewards of all tokens to destination in one claim, done by reward owner or reward destinaion
+ * - Sending unclaimed rewards of all tokens to default destination, can be done only by admin
+ * - Withdrawing remaining funds of a token once all seasons are settled, can be done only by admin
+ *
+ * NOTE: uses openzeppelin v4.6.0 libraries:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/token/ERC20/utils/SafeERC20.sol
+ */
+abstract contract ThriveCoinRewardSeasonMultiTokenCore is ThriveCoinRewardSeasonBaseCore {
+  /**
+   * @dev Structure that represents reward of owner in a single token
+   *
+   * @property token - IERC20 token in which reward is paid
+   * @property amount - Amount of the token that will be rewarded
+   */
+  struct TokenReward {
+    address token;
+    uint256 amount;
+  }
+
+  /**
+   * @dev Structure for adding user reward in token through external call
+   *
+   * @property owner - Address that represents owner of the reward,
+   *                   funds can be sent to destination either by owner or
+   *                   destination address through external call
+   * @property destination - Address where rewards of all tokens of the owner will be sent
+   * @property token - Allowed IERC20 token in which reward is paid
+   * @property amount - Amount that will be rewarded
+   */
+  struct TokenRewardRequest {
+    address owner;
+    address destination;
+    address token;
+    uint256 amount;
+  }
+
+  /**
+   * @dev Structure that holds season totals of a single token
+   *
+   * @property token - IERC20 token address
+   * @property totalRewards - Determines total rewards of the token that will be distributed once season is closed
+   * @property claimedRewards - Determines total claimed rewards of the token by end users
+   */
+  struct SeasonToken {
+    address token;
+    uint256 totalRewards;
+    uint256 claimedRewards;
+  }
+
+  /**
+   * @dev Emitted when `token` is added to or removed from allowlist of reward tokens.
+   */
+  event TokenAllowed(address indexed token, bool allowed);
+
+  /**
+   * @dev Emitted when reward of `owner` in `token` is set, changed or removed, `oldAmount` is zero for new entries.
+   */
+  event TokenRewardSet(
+    uint256 indexed season,
+    address indexed owner,
+    address indexed token,
+    uint256 oldAmount,
+    uint256 newAmount
+  );
+
+  /**
+   * @dev Emitted when reward of `owner` in `token` is sent to `destination`.
+   */
+  event TokenRewardClaimed(
+    uint256 indexed season,
+    address indexed owner,
+    address indexed destination,
+    address token,
+    uint256 amount
+  );
+
+  /**
+   * @dev Emitted when unclaimed rewards of a season in `token` are sent to its default destination.
+   */
+  event UnclaimedTokensSent(uint256 indexed season, address indexed destination, address indexed token, uint256 amount);
+
+  /**
+   * @dev Emitted when remaining IERC20 funds are withdrawn from the contract.
+   */
+  event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Allowlist of reward tokens
+   */
+  mapping(address => bool) internal allowedTokens;
+
+  /**
+   * @dev Storage of tokens rewarded in season in format season_index => token_totals
+   */
+  mapping(uint256 => SeasonToken[]) internal seasonTokens;
+
+  /**
+   * @dev Storage of season token positions in format season_index => (token => index + 1), zero means that token is
+   * not rewarded in season
+   */
+  mapping(uint256 => mapping(address => uint256)) internal seasonTokenIndexes;
+
+  /**
+   * @dev Storage of token rewards in format season_index => (owner => token_rewards)
+   */
+  mapping(uint256 => mapping(address => TokenReward[])) internal tokenRewards;
+
+  /**
+   * @dev Storage of token reward positions in format season_index => (owner => (token => index + 1)), zero means that
+   * owner has no reward in token
+   */
+  mapping(uint256 => mapping(address => mapping(address => uint256))) internal tokenRewardIndexes;
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[45] private __gap;
+
+  /**
+   * @dev Stores first season with default destination and close dates and allows initial reward tokens, additionally
+   * grants `DEFAULT_ADMIN_ROLE`, `WRITER_ROLE` and `PAUSER_ROLE` to the account that deploys or initializes the
+   * contract.
+   *
+   * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
+   * @param closeDate - Determines time when season will be closed, end users can't claim rewards prior to this date
+   * @param claimCloseDate - Determines the date until funds are available to claim, should be after season close date
+   * @param tokens - IERC20 tokens allowed for rewards
+   */
+  function __ThriveCoinRewardSeasonMultiToken_init(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate,
+    address[] memory tokens
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeason_init(defaultDestination, closeDate, claimCloseDate);
+
+    for (uint256 i = 0; i < tokens.length; i++) {
+      _setTokenAllowed(tokens[i], true);
+    }
+  }
+
+  /**
+   * @dev Returns true if rewards can be added in token.
+   *
+   * @param token - IERC20 token address
+   */
+  function isTokenAllowed(address token) public view returns (bool) {
+    return allowedTokens[token];
+  }
+
+  /**
+   * @dev Adds token to or removes it from allowlist of reward tokens, can be called only by admin. Removing a token
+   * doesn't affect rewards that are already added in it.
+   *
+   * @param token - IERC20 token address
+   * @param allowed - Whether rewards can be added in token
+   */
+  function setTokenAllowed(address token, bool allowed) public onlyAdmin {
+    _setTokenAllowed(token, allowed);
+  }
+
+  function _setTokenAllowed(address token, bool allowed) internal {
+    require(token != address(0), "ThriveCoinRewardSeasonMultiToken: token cannot be zero address");
+
+    allowedTokens[token] = allowed;
+    emit TokenAllowed(token, allowed);
+  }
+
+  /**
+   * @dev Returns tokens rewarded in season together with their totals
+   *
+   * @param season - Season index
+   */
+  function readSeasonTokens(uint256 season) public view returns (SeasonToken[] memory) {
+    return seasonTokens[season];
+  }
+
+  /**
+   * @dev Returns totals of token in season, totals are zero if token is not rewarded in season
+   *
+   * @param season - Season index
+   * @param token - IERC20 token address
+   */
+  function readSeasonTokenInfo(uint256 season, address token) public view returns (SeasonToken memory) {
+    uint256 index = seasonTokenIndexes[season][token];
+    if (index == 0) {
+      return SeasonToken(token, 0, 0);
+    }
+
+    return seasonTokens[season][index - 1];
+  }
+
+  /**
+   * @dev Returns rewards of owner in every token of the season, see {readReward} for the owner reward that holds
+   * destination and the sum of all token amounts.
+   *
+   * @param season - Season index
+   * @param owner - Owner of the rewards
+   */
+  function readRewardTokens(uint256 season, address owner) public view returns (TokenReward[] memory) {
+    return tokenRewards[season][owner];
+  }
+
+  /**
+   * @dev Returns reward amount of owner in token, zero if owner has no reward in token
+   *
+   * @param season - Season index
+   * @param owner - Owner of the reward
+   * @param token - IERC20 token address
+   */
+  function readReward(uint256 season, address owner, address token) public view returns (uint256) {
+    uint256 index = tokenRewardIndexes[season][owner][token];
+    if (index == 0) {
+      return 0;
+    }
+
+    return tokenRewards[season][owner][index - 1].amount;
+  }
+
+  /**
+   * @dev Adds a new reward entry in token or overrides old reward entry of owner in the same token in current season.
+   * It's important to notice that if a previous reward in token is found for owner the amount won't be added as sum
+   * of previous amount and new one, but it will replace the previous one, see {incrementReward} for accumulating
+   * rewards. Token has to be allowed and destination is shared by all token rewards of the owner. Rewards cannot be
+   * added once season is closed or while contract is paused.
+   *
+   * @param entry - User reward entry that constists of owner, destination, token and amount.
+   */
+  function addReward(TokenRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+    _setTokenReward(seasonIndex, entry, entry.amount);
+  }
+
+  /**
+   * @dev Same as {addReward} but for explicit season, which allows writing rewards to any open season.
+   *
+   * @param season - Season index
+   * @param entry - User reward entry that constists of owner, destination, token and amount.
+   */
+  function addReward(uint256 season, TokenRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(season);
+    _setTokenReward(season, entry, entry.amount);
+  }
+
+  /**
+   * @dev Adds/overrides multiple rewards in batch in current season, entries can reference different tokens. See
+   * {addReward} for more details.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination, token and amount.
+   */
+  function addRewardBatch(TokenRewardRequest[] calldata entries) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _setTokenReward(seasonIndex, entries[i], entries[i].amount);
+    }
+  }
+
+  /**
+   * @dev Same as {addRewardBatch} but for explicit season, which allows writing rewards to any open season.
+   *
+   * @param season - Season index
+   * @param entries - Lis of user reward entries that constists of owner, destination, token and amount.
+   */
+  function addRewardBatch(
+    uint256 season,
+    TokenRewardRequest[] calldata entries
+  ) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(season);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _setTokenReward(season, entries[i], entries[i].amount);
+    }
+  }
+
+  /**
+   * @dev Adds entry amount to the existing reward of owner in token in current season, or creates a new reward entry
+   * if owner has none in the token. Rewards cannot be incremented once season is closed or while contract is paused.
+   *
+   * @param entry - User reward entry that constists of owner, destination, token and amount to add.
+   */
+  function incrementReward(TokenRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+    _setTokenReward(seasonIndex, entry, readReward(seasonIndex, entry.owner, entry.token) + entry.amount);
+  }
+
+  /**
+   * @dev Increments multiple rewards in batch, see {incrementReward} for more details. Entries with the same owner and
+   * token are summed up.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination, token and amount to add.
+   */
+  function incrementRewardBatch(TokenRewardRequest[] calldata entries) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _setTokenReward(
+        seasonIndex,
+        entries[i],
+        readReward(seasonIndex, entries[i].owner, entries[i].token) + entries[i].amount
+      );
+    }
+  }
+
+  /**
+   * @dev Subtracts entry amount from the existing reward of owner in token in current season, it reverts if reward in
+   * the token is not found or if amount exceeds it. Rewards cannot be decremented once season is closed or while
+   * contract is paused.
+   *
+   * @param entry - User reward entry that constists of owner, destination, token and amount to subtract.
+   */
+  function decrementReward(TokenRewardRequest calldata entry) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+    _decrementTokenReward(seasonIndex, entry);
+  }
+
+  /**
+   * @dev Decrements multiple rewards in batch, see {decrementReward} for more details. Whole batch reverts if any of
+   * the entries would underflow.
+   *
+   * @param entries - Lis of user reward entries that constists of owner, destination, token and amount to subtract.
+   */
+  function decrementRewardBatch(TokenRewardRequest[] calldata entries) public virtual onlyWriter whenNotPaused {
+    _requireSeasonOpen(seasonIndex);
+
+    for (uint256 i = 0; i < entries.length; i++) {
+      _decrementTokenReward(seasonIndex, entries[i]);
+    }
+  }
+
+  /**
+   * @dev Removes reward entry of owner together with rewards in all tokens from current season, see
+   * {ThriveCoinRewardSeasonBaseCore-removeReward}.
+   *
+   * @param owner - Owner of the reward
+   */
+  function removeReward(address owner) public override {
+    super.removeReward(owner);
+    _removeTokenRewards(seasonIndex, owner);
+  }
+
+  /**
+   * @dev Removes multiple rewards together with their token rewards in batch, see {removeReward}.
+   *
+   * @param owners - List of reward owners
+   */
+  function removeRewardBatch(address[] calldata owners) public override {
+    super.removeRewardBatch(owners);
+
+    for (uint256 i = 0; i < owners.length; i++) {
+      _removeTokenRewards(seasonIndex, owners[i]);
+    }
+  }
+
+  /**
+   * @dev Stores reward amount of owner in entry token and keeps owner reward and season totals in sync, owner reward
+   * amount is the sum of its token rewards.
+   */
+  function _setTokenReward(uint256 season, TokenRewardRequest calldata entry, uint256 amount) internal {
+    require(allowedTokens[entry.token], "ThriveCoinRewardSeasonMultiToken: token is not allowed");
+    require(entry.destination != address(0), "ThriveCoinRewardSeasonMultiToken: destination cannot be zero address");
+
+    uint256 index = tokenRewardIndexes[season][entry.owner][entry.token];
+    if (index == 0) {
+      tokenRewards[season][entry.owner].push(TokenReward(entry.token, 0));
+      index = tokenRewards[season][entry.owner].length;
+      tokenRewardIndexes[season][entry.owner][entry.token] = index;
+    }
+
+    TokenReward storage reward = tokenRewards[season][entry.owner][index - 1];
+    uint256 oldAmount = reward.amount;
+    reward.amount = amount;
+
+    SeasonToken storage totals = _seasonToken(season, entry.token);
+    totals.totalRewards = totals.totalRewards + amount - oldAmount;
+
+    _setReward(season, entry.owner, entry.destination, rewards[season][entry.owner].amount + amount - oldAmount);
+    emit TokenRewardSet(season, entry.owner, entry.token, oldAmount, amount);
+  }
+
+  /**
+   * @dev Subtracts entry amount from season reward of entry owner in entry token, guarded against underflow.
+   */
+  function _decrementTokenReward(uint256 season, TokenRewardRequest calldata entry) internal {
+    require(
+      tokenRewardIndexes[season][entry.owner][entry.token] != 0,
+      "ThriveCoinRewardSeasonMultiToken: reward not found"
+    );
+    uint256 amount = readReward(season, entry.owner, entry.token);
+    require(amount >= entry.amount, "ThriveCoinRewardSeasonMultiToken: decrement exceeds reward amount");
+    _setTokenReward(season, entry, amount - entry.amount);
+  }
+
+  /**
+   * @dev Deletes token rewards of owner whose reward entry was removed, owner reward and season totals are already
+   * updated by {ThriveCoinRewardSeasonBaseCore-_removeReward}.
+   */
+  function _removeTokenRewards(uint256 season, address owner) internal {
+    TokenReward[] storage ownerRewards = tokenRewards[season][owner];
+    for (uint256 i = 0; i < ownerRewards.length; i++) {
+      TokenReward memory reward = ownerRewards[i];
+      _seasonToken(season, reward.token).totalRewards -= reward.amount;
+      delete tokenRewardIndexes[season][owner][reward.token];
+      emit TokenRewardSet(season, owner, reward.token, reward.amount, 0);
+    }
+
+    delete tokenRewards[season][owner];
+  }
+
+  /**
+   * @dev Returns season totals of token, registers token in season if it's not rewarded in season yet.
+   */
+  function _seasonToken(uint256 season, address token) internal returns (SeasonToken storage) {
+    uint256 index = seasonTokenIndexes[season][token];
+    if (index == 0) {
+      seasonTokens[season].push(SeasonToken(token, 0, 0));
+      index = seasonTokens[season].length;
+      seasonTokenIndexes[season][token] = index;
+    }
+
+    return seasonTokens[season][index - 1];
+  }
+
+  /**
+   * @dev Can be called by owner or destination of reward to claim it, see {ThriveCoinRewardSeasonBaseCore-claimReward}.
+   * Additionally sends rewards of owner in all tokens to destination.
+   *
+   * @param season - Season index
+   * @param owner - Owner from whom the funds will be claimed
+   */
+  function claimReward(uint256 season, address owner) public override {
+    super.claimReward(season, owner);
+
+    address destination = rewards[season][owner].destination;
+    TokenReward[] storage ownerRewards = tokenRewards[season][owner];
+    for (uint256 i = 0; i < ownerRewards.length; i++) {
+      TokenReward memory reward = ownerRewards[i];
+      if (reward.amount == 0) {
+        continue;
+      }
+
+      _seasonToken(season, reward.token).claimedRewards += reward.amount;
+      SafeERC20.safeTransfer(IERC20(reward.token), destination, reward.amount);
+      emit TokenRewardClaimed(season, owner, destination, reward.token, reward.amount);
+    }
+  }
+
+  /**
+   * @dev Used to send unclaimed funds after claim close date to default destination, see
+   * {ThriveCoinRewardSeasonBaseCore-sendUnclaimedFunds}. Unclaimed rewards of every token of the season are sent at once. Can
+   * be called only by admins.
+   *
+   * @param season - Season index
+   */
+  function sendUnclaimedFunds(uint256 season) public override {
+    super.sendUnclaimedFunds(season);
+
+    address destination = seasons[season].defaultDestination;
+    SeasonToken[] storage totals = seasonTokens[season];
+    for (uint256 i = 0; i < totals.length; i++) {
+      uint256 amount = totals[i].totalRewards - totals[i].claimedRewards;
+      if (amount == 0) {
+        continue;
+      }
+
+      SafeERC20.safeTransfer(IERC20(totals[i].token), destination, amount);
+      emit UnclaimedTokensSent(season, destination, totals[i].token, amount);
+    }
+  }
+
+  /**
+   * @dev Withdraw remaining funds of token from smart contract, only admins can do this. This is useful when contract
+   * has more funds than needed to fulfill rewards. Funds can be withdrawn only when all seasons are settled.
+   *
+   * @param token - IERC20 token address
+   * @param account - Destination of ERC20 funds
+   * @param amount - Amount that will be withdrawn
+   */
+  function withdrawERC20(address token, address account, uint256 amount) public onlyAdmin {
+    _requireSeasonsSettled();
+
+    uint256 contractBalance = IERC20(token).balanceOf(address(this));
+    require(contractBalance >= amount, "ThriveCoinRewardSeasonMultiToken: not enough funds available");
+
+    SafeERC20.safeTransfer(IERC20(token), account, amount);
+    emit Withdrawn(token, account, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with rewards in multiple erc20 tokens.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonMultiTokenCore}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonMultiToken is ThriveCoinRewardSeasonMultiTokenCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonMultiTokenCore-__ThriveCoinRewardSeasonMultiToken_init}.
+   */
+  constructor(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate,
+    address[] memory tokens
+  ) initializer {
+    __ThriveCoinRewardSeasonMultiToken_init(defaultDestination, closeDate, claimCloseDate, tokens);
+  }
+}
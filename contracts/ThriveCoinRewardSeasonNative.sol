@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./ThriveCoinRewardSeason.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season core contract with native currency rewards.
+ *
+ * @dev ThriveCoinRewardSeasonNativeCore is a simple smart contract that is used to store reward seasons and their
+ * respective native currency (e.g. ETH, MATIC) user rewards. It supports these key functionalities:
+ * - Managing reward seasons where multiple seasons can be open at once, seasons can be added only by ADMIN_ROLE
+ * - Adding, incrementing and decrementing user rewards of a season, only by WRITER_ROLE
+ * - Removing mistakenly added user rewards before season is closed, only by WRITER_ROLE
+ * - Reading user rewards publicly
+ * - Sending native currency user rewards to destination, done by reward owner or reward destinaion
+ * - Sending unclaimed native currency rewards to default destination, can be done only by admin
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/security/ReentrancyGuardUpgradeable.sol
+ */
+abstract contract ThriveCoinRewardSeasonNativeCore is ThriveCoinRewardSeasonCore, ReentrancyGuardUpgradeable {
+  /**
+   * @dev Emitted when remaining native funds are withdrawn from the contract, `token` is always zero address.
+   */
+  event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+  /**
+   * @dev Reserved storage slots so that new state variables can be added in later versions without shifting storage of
+   * inheriting contracts.
+   */
+  uint256[50] private __gap;
+
+  /**
+   * @dev Stores first season with default destination and close dates, additionally grants `DEFAULT_ADMIN_ROLE`,
+   * `WRITER_ROLE` and `PAUSER_ROLE` to the account that deploys or initializes the contract.
+   *
+   * @param defaultDestination - Address where remaining funds will be sent once opportunity is closed
+   * @param closeDate - Determines time when season will be closed, end users can't claim rewards prior to this date
+   * @param claimCloseDate - Determines the date until funds are available to claim, should be after season close date
+   */
+  function __ThriveCoinRewardSeasonNative_init(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate
+  ) internal onlyInitializing {
+    __ThriveCoinRewardSeason_init(defaultDestination, closeDate, claimCloseDate);
+    __ReentrancyGuard_init();
+  }
+
+  /**
+   * @dev Function to receive native funds that will be used for rewards
+   */
+  receive() external payable {}
+
+  /**
+   * @dev Can be called by owner or destination of reward to send native funds to destination. It can be called only
+   * after close date is reached and before claim close date is reached. Reward can be claimed at most once and only for
+   * requested season.
+   *
+   * @param season - Season index
+   * @param owner - Owner from whom the funds will be claimed
+   */
+  function claimReward(uint256 season, address owner) public override nonReentrant {
+    super.claimReward(season, owner);
+
+    UserReward memory reward = rewards[season][owner];
+    Address.sendValue(payable(reward.destination), reward.amount);
+  }
+
+  /**
+   * @dev Used to send unclaimed native funds after claim close date to default destination. Can be called only by
+   * admins.
+   *
+   * @param season - Season index
+   */
+  function sendUnclaimedFunds(uint256 season) public override onlyAdmin nonReentrant {
+    super.sendUnclaimedFunds(season);
+
+    Season memory seasonInfo = seasons[season];
+    Address.sendValue(payable(seasonInfo.defaultDestination), seasonInfo.totalRewards - seasonInfo.claimedRewards);
+  }
+
+  /**
+   * @dev Withdraw remaining native funds from smart contract, only admins can do this.
+   * This is useful when contract has more funds than needed to fulfill rewards.
+   *
+   * @param account - Destination of native funds
+   * @param amount - Amount that will be withdrawn
+   */
+  function withdrawEther(address account, uint256 amount) public onlyAdmin nonReentrant {
+    _requireSeasonsSettled();
+
+    require(address(this).balance >= amount, "ThriveCoinRewardSeasonNative: not enough funds available");
+
+    Address.sendValue(payable(account), amount);
+    emit Withdrawn(address(0), account, amount);
+  }
+}
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season contract with native currency rewards.
+ *
+ * @dev Non upgradeable deployment of {ThriveCoinRewardSeasonNativeCore}, first season is stored on deployment.
+ */
+contract ThriveCoinRewardSeasonNative is ThriveCoinRewardSeasonNativeCore {
+  /**
+   * @dev See {ThriveCoinRewardSeasonNativeCore-__ThriveCoinRewardSeasonNative_init}.
+   */
+  constructor(address defaultDestination, uint256 closeDate, uint256 claimCloseDate) initializer {
+    __ThriveCoinRewardSeasonNative_init(defaultDestination, closeDate, claimCloseDate);
+  }
+}
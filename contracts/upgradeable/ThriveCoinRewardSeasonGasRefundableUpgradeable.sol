@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../ThriveCoinRewardSeasonGasRefundable.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season upgradeable contract with refund gas ability on add reward methods.
+ *
+ * @dev Implementation of {ThriveCoinRewardSeasonGasRefundableCore} that is deployed behind an ERC1967 proxy, see
+ * {ThriveCoinRewardSeasonProxy}. First season is stored in proxy storage through {initialize}, implementation itself
+ * cannot be initialized. Upgrades follow UUPS pattern and can be done only by ADMIN_ROLE.
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/proxy/utils/UUPSUpgradeable.sol
+ */
+contract ThriveCoinRewardSeasonGasRefundableUpgradeable is ThriveCoinRewardSeasonGasRefundableCore, UUPSUpgradeable {
+  /**
+   * @dev Disables initializers of the implementation contract, only proxies can be initialized.
+   */
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @dev Initializes proxy storage, see
+   * {ThriveCoinRewardSeasonGasRefundableCore-__ThriveCoinRewardSeasonGasRefundable_init}.
+   */
+  function initialize(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate,
+    uint256 _fixedGasFee
+  ) public initializer {
+    __UUPSUpgradeable_init();
+    __ThriveCoinRewardSeasonGasRefundable_init(defaultDestination, closeDate, claimCloseDate, _fixedGasFee);
+  }
+
+  /**
+   * @dev Allows upgrading implementation of the proxy only to admin.
+   */
+  function _authorizeUpgrade(address) internal override onlyAdmin {}
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../ThriveCoinRewardSeasonIERC20.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season upgradeable contract with erc20 rewards.
+ *
+ * @dev Implementation of {ThriveCoinRewardSeasonIERC20Core} that is deployed behind an ERC1967 proxy, see
+ * {ThriveCoinRewardSeasonProxy}. First season is stored in proxy storage through {initialize}, implementation itself
+ * cannot be initialized. Upgrades follow UUPS pattern and can be done only by ADMIN_ROLE.
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/proxy/utils/UUPSUpgradeable.sol
+ */
+contract ThriveCoinRewardSeasonIERC20Upgradeable is ThriveCoinRewardSeasonIERC20Core, UUPSUpgradeable {
+  /**
+   * @dev Disables initializers of the implementation contract, only proxies can be initialized.
+   */
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @dev Initializes proxy storage, see {ThriveCoinRewardSeasonIERC20Core-__ThriveCoinRewardSeasonIERC20_init}.
+   */
+  function initialize(
+    address defaultDestination,
+    uint256 closeDate,
+    uint256 claimCloseDate,
+    address _tokenAddress
+  ) public initializer {
+    __UUPSUpgradeable_init();
+    __ThriveCoinRewardSeasonIERC20_init(defaultDestination, closeDate, claimCloseDate, _tokenAddress);
+  }
+
+  /**
+   * @dev Allows upgrading implementation of the proxy only to admin.
+   */
+  function _authorizeUpgrade(address) internal override onlyAdmin {}
+}
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../ThriveCoinRewardSeasonMerkleDelegatedIERC20.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season upgradeable contract with erc20 merkle proof rewards that have separate claim
+ * destination.
+ *
+ * @dev Implementation of {ThriveCoinRewardSeasonMerkleDelegatedIERC20Core} that is deployed behind an ERC1967 proxy,
+ * see {ThriveCoinRewardSeasonProxy}. First season is stored in proxy storage through {initialize}, implementation
+ * itself cannot be initialized. Upgrades follow UUPS pattern and can be done only by ADMIN_ROLE.
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/proxy/utils/UUPSUpgradeable.sol
+ */
+contract ThriveCoinRewardSeasonMerkleDelegatedIERC20Upgradeable is
+  ThriveCoinRewardSeasonMerkleDelegatedIERC20Core,
+  UUPSUpgradeable
+{
+  /**
+   * @dev Disables initializers of the implementation contract, only proxies can be initialized.
+   */
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @dev Initializes proxy storage, see
+   * {ThriveCoinRewardSeasonMerkleDelegatedIERC20Core-__ThriveCoinRewardSeasonMerkleDelegatedIERC20_init}.
+   */
+  function initialize(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate,
+    address _tokenAddress
+  ) public initializer {
+    __UUPSUpgradeable_init();
+    __ThriveCoinRewardSeasonMerkleDelegatedIERC20_init(
+      defaultDestination,
+      merkleRoot,
+      totalRewards,
+      claimCloseDate,
+      _tokenAddress
+    );
+  }
+
+  /**
+   * @dev Allows upgrading implementation of the proxy only to admin.
+   */
+  function _authorizeUpgrade(address) internal override onlyAdmin {}
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../ThriveCoinRewardSeasonMerkleDelegated.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season upgradeable contract with merkle proof rewards that have separate claim destination.
+ *
+ * @dev Implementation of {ThriveCoinRewardSeasonMerkleDelegatedCore} that is deployed behind an ERC1967 proxy, see
+ * {ThriveCoinRewardSeasonProxy}. First season is stored in proxy storage through {initialize}, implementation itself
+ * cannot be initialized. Upgrades follow UUPS pattern and can be done only by ADMIN_ROLE.
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/proxy/utils/UUPSUpgradeable.sol
+ */
+contract ThriveCoinRewardSeasonMerkleDelegatedUpgradeable is
+  ThriveCoinRewardSeasonMerkleDelegatedCore,
+  UUPSUpgradeable
+{
+  /**
+   * @dev Disables initializers of the implementation contract, only proxies can be initialized.
+   */
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @dev Initializes proxy storage, see
+   * {ThriveCoinRewardSeasonMerkleDelegatedCore-__ThriveCoinRewardSeasonMerkleDelegated_init}.
+   */
+  function initialize(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 totalRewards,
+    uint256 claimCloseDate
+  ) public initializer {
+    __UUPSUpgradeable_init();
+    __ThriveCoinRewardSeasonMerkleDelegated_init(defaultDestination, merkleRoot, totalRewards, claimCloseDate);
+  }
+
+  /**
+   * @dev Allows upgrading implementation of the proxy only to admin.
+   */
+  function _authorizeUpgrade(address) internal override onlyAdmin {}
+}
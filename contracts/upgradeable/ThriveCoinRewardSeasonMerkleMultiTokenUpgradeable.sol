@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../ThriveCoinRewardSeasonMerkleMultiToken.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season upgradeable contract with merkle tree and rewards in multiple erc20 tokens.
+ *
+ * @dev Implementation of {ThriveCoinRewardSeasonMerkleMultiTokenCore} that is deployed behind an ERC1967 proxy, see
+ * {ThriveCoinRewardSeasonProxy}. First season is stored in proxy storage through {initialize}, implementation itself
+ * cannot be initialized. Upgrades follow UUPS pattern and can be done only by ADMIN_ROLE.
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/v4.6.0/contracts/proxy/utils/UUPSUpgradeable.sol
+ */
+contract ThriveCoinRewardSeasonMerkleMultiTokenUpgradeable is
+  ThriveCoinRewardSeasonMerkleMultiTokenCore,
+  UUPSUpgradeable
+{
+  /**
+   * @dev Disables initializers of the implementation contract, only proxies can be initialized.
+   */
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @dev Initializes proxy storage, see
+   * {ThriveCoinRewardSeasonMerkleMultiTokenCore-__ThriveCoinRewardSeasonMerkleMultiToken_init}.
+   */
+  function initialize(
+    address defaultDestination,
+    bytes32 merkleRoot,
+    uint256 claimCloseDate,
+    address[] memory tokens,
+    uint256[] memory totalRewards
+  ) public initializer {
+    __UUPSUpgradeable_init();
+    __ThriveCoinRewardSeasonMerkleMultiToken_init(defaultDestination, merkleRoot, claimCloseDate, tokens, totalRewards);
+  }
+
+  /**
+   * @dev Allows upgrading implementation of the proxy only to admin.
+   */
+  function _authorizeUpgrade(address) internal override onlyAdmin {}
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @author ThriveCoin
+ * @title ThriveCoin reward season proxy contract
+ *
+ * @dev ERC1967 proxy that holds storage of upgradeable reward season contracts, e.g.
+ * {ThriveCoinRewardSeasonUpgradeable}. Implementation is upgraded through `upgradeTo` of the implementation itself
+ * (UUPS), proxy has no admin logic.
+ *
+ * NOTE: extends openzeppelin v4.6.0 contracts:
+ * https://github.com/OpenZeppelin/openzeppelin-contracts/blob/v4.6.0/contracts/proxy/ERC1967/ERC1967Proxy.sol
+ */
+contract ThriveCoinRewardSeasonProxy is ERC1967Proxy {
+  /**
+   * @dev Sets implementation of the proxy and executes `data` on it, usually encoded `initialize` call.
+   *
+   * @param logic - Address of the upgradeable implementation contract
+   * @param data - Encoded call executed through proxy on deployment
+   */
+  constructor(address logic, bytes memory data) ERC1967Proxy(logic, data) {}
+}
@@ -0,0 +1,114 @@
+'use strict'
+
+const Web3 = require('web3')
+const { decodeError } = require('./errors')
+const { toPlain } = require('./utils')
+
+const GAS_MARGIN = 1.2
+
+// role identifiers shared by reward season contracts, merkle variants have no writer role
+const ROLES = {
+  DEFAULT_ADMIN_ROLE: '0x' + '0'.repeat(64),
+  WRITER_ROLE: Web3.utils.soliditySha3('WRITER_ROLE'),
+  PAUSER_ROLE: Web3.utils.soliditySha3('PAUSER_ROLE')
+}
+
+/**
+ * Thin wrapper around web3 contract instance that normalizes call results and converts revert reasons to typed
+ * errors. Contract ABI is loaded from truffle build artifacts unless it's passed explicitly.
+ */
+class ContractClient {
+  /**
+   * @param {object} opts
+   * @param {object} opts.web3 - web3 instance connected to the network
+   * @param {string} opts.address - Deployed contract address
+   * @param {Array} [opts.abi] - Contract ABI, defaults to ABI from build/contracts
+   * @param {string} [opts.from] - Default sender of transactions
+   */
+  constructor ({ web3, address, abi, from }) {
+    if (!web3) throw new TypeError('web3 instance is required')
+    if (!address) throw new TypeError('contract address is required')
+
+    this.web3 = web3
+    this.from = from
+    this.contract = new web3.eth.Contract(abi || this.constructor.loadAbi(), address)
+  }
+
+  static get artifact () {
+    throw new Error('artifact not specified')
+  }
+
+  static loadAbi () {
+    return require(`../build/contracts/${this.artifact}.json`).abi
+  }
+
+  get address () {
+    return this.contract.options.address
+  }
+
+  async call (method, ...args) {
+    return this.callAt(undefined, method, ...args)
+  }
+
+  /**
+   * Same as `call` but reads contract state at `blockNumber`, latest block is used when it's undefined.
+   */
+  async callAt (blockNumber, method, ...args) {
+    try {
+      return toPlain(await this.contract.methods[method](...args).call({}, blockNumber))
+    } catch (err) {
+      throw decodeError(err)
+    }
+  }
+
+  async send (method, args = [], opts = {}) {
+    const txOpts = { ...opts, from: opts.from || this.from }
+    if (!txOpts.from) throw new TypeError('transaction sender is required')
+
+    const tx = this.contract.methods[method](...args)
+    try {
+      if (!txOpts.gas) txOpts.gas = Math.ceil((await tx.estimateGas(txOpts)) * GAS_MARGIN)
+      return await tx.send(txOpts)
+    } catch (err) {
+      throw decodeError(err)
+    }
+  }
+
+  async hasRole (role, account) {
+    return this.call('hasRole', role, account)
+  }
+
+  async getRoleAdmin (role) {
+    return this.call('getRoleAdmin', role)
+  }
+
+  async grantRole (role, account, opts) {
+    return this.send('grantRole', [role, account], opts)
+  }
+
+  async revokeRole (role, account, opts) {
+    return this.send('revokeRole', [role, account], opts)
+  }
+
+  async getRoleMemberCount (role) {
+    return +(await this.call('getRoleMemberCount', role))
+  }
+
+  async getRoleMember (role, index) {
+    return this.call('getRoleMember', role, index)
+  }
+
+  /**
+   * Returns all members of role through `getRoleMemberCount` and `getRoleMember`, order is not guaranteed to stay
+   * the same after roles are revoked.
+   */
+  async listRoleMembers (role) {
+    const count = await this.getRoleMemberCount(role)
+    return Promise.all(Array.from({ length: count }, (_, i) => this.getRoleMember(role, i)))
+  }
+}
+
+module.exports = {
+  ContractClient,
+  ROLES
+}
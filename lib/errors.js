@@ -0,0 +1,64 @@
+'use strict'
+
+/**
+ * Base error for reverted reward season contract calls. `reason` holds the revert reason string, e.g.
+ * `ThriveCoinRewardSeason: season is closed`, and `contract` the prefix of reason string.
+ */
+class RewardSeasonError extends Error {
+  constructor (reason, cause) {
+    super(reason)
+    this.name = this.constructor.name
+    this.reason = reason
+    this.contract = reason.includes(': ') ? reason.split(': ')[0] : null
+    this.cause = cause
+  }
+}
+
+class UnauthorizedError extends RewardSeasonError {}
+class SeasonStateError extends RewardSeasonError {}
+class RewardNotFoundError extends RewardSeasonError {}
+class RewardAlreadyClaimedError extends RewardSeasonError {}
+class InsufficientFundsError extends RewardSeasonError {}
+class ContractPausedError extends RewardSeasonError {}
+
+const REASON_TYPES = [
+  [/must have \w+ role|is missing role|caller is not allowed|can only renounce roles for self/, UnauthorizedError],
+  [/Pausable: paused/, ContractPausedError],
+  [/reward not found|no rewards to claim/, RewardNotFoundError],
+  [/reward is already claimed/, RewardAlreadyClaimedError],
+  [/not enough funds|no funds available|transfer amount exceeds balance|exceed funded balance/, InsufficientFundsError],
+  [/season|deadline|close date|unclaimed funds|funds already sent|total rewards/, SeasonStateError]
+]
+
+const extractReason = (err) => {
+  if (err && typeof err.reason === 'string' && err.reason) return err.reason
+
+  const message = String((err && err.message) || '')
+  const match = message.match(/(?:reverted with reason string '|Reason given: |revert )([^'\n]+?)'?\.?$/m)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Converts web3 error to typed RewardSeasonError when revert reason can be found, otherwise error is returned as is.
+ */
+const decodeError = (err) => {
+  if (err instanceof RewardSeasonError) return err
+
+  const reason = extractReason(err)
+  if (!reason) return err
+
+  const [, ErrorType] = REASON_TYPES.find(([pattern]) => pattern.test(reason)) || [null, RewardSeasonError]
+  return new ErrorType(reason, err)
+}
+
+module.exports = {
+  ContractPausedError,
+  InsufficientFundsError,
+  RewardAlreadyClaimedError,
+  RewardNotFoundError,
+  RewardSeasonError,
+  SeasonStateError,
+  UnauthorizedError,
+  decodeError,
+  extractReason
+}
@@ -0,0 +1,106 @@
+'use strict'
+
+const { ContractClient } = require('./contract-client')
+const { decodeError } = require('./errors')
+const { toAmount } = require('./utils')
+
+// selector of Error(string) used for revert reasons
+const ERROR_SELECTOR = '0x08c379a0'
+
+const FORWARD_REQUEST_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+}
+
+/**
+ * Client for openzeppelin MinimalForwarder used to relay EIP-2771 meta-transactions to reward season contracts that
+ * have it set as trusted forwarder.
+ */
+class MinimalForwarderClient extends ContractClient {
+  static get artifact () {
+    return 'MinimalForwarder'
+  }
+
+  async getNonce (from) {
+    return this.call('getNonce', from)
+  }
+
+  async verify (request, signature) {
+    return this.call('verify', request, signature)
+  }
+
+  /**
+   * Builds forward request of `from` account that calls `to` contract with encoded `data`, e.g.
+   * `contract.methods.claimReward(owner).encodeABI()`.
+   */
+  async buildRequest ({ from, to, data, gas, value = 0 }) {
+    return {
+      from,
+      to,
+      value: toAmount(value),
+      gas: toAmount(gas),
+      nonce: await this.getNonce(from),
+      data
+    }
+  }
+
+  /**
+   * Returns EIP-712 typed data of forward request that `request.from` signs (e.g. with eth_signTypedData_v4).
+   * `chainId` defaults to chain id reported by the node.
+   */
+  async buildTypedData (request, { chainId } = {}) {
+    return {
+      types: FORWARD_REQUEST_TYPES,
+      primaryType: 'ForwardRequest',
+      domain: {
+        name: 'MinimalForwarder',
+        version: '0.0.1',
+        chainId: chainId || await this.web3.eth.getChainId(),
+        verifyingContract: this.address
+      },
+      message: request
+    }
+  }
+
+  /**
+   * Executes signed forward request. Forwarder doesn't revert when the forwarded call fails, so request is simulated
+   * first and revert reason of forwarded call is thrown as typed error.
+   */
+  async execute (request, signature, opts = {}) {
+    let success, returndata
+    try {
+      // execute returns unnamed (bool, bytes) tuple
+      ({ 0: success, 1: returndata } = await this.contract.methods.execute(request, signature).call({
+        from: opts.from || this.from
+      }))
+    } catch (err) {
+      throw decodeError(err)
+    }
+
+    if (!success) {
+      const reason = returndata.startsWith(ERROR_SELECTOR)
+        ? this.web3.eth.abi.decodeParameter('string', `0x${returndata.slice(10)}`)
+        : 'forwarded call reverted'
+      throw decodeError(Object.assign(new Error(reason), { reason }))
+    }
+
+    return this.send('execute', [request, signature], opts)
+  }
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  MinimalForwarderClient
+}
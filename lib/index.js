@@ -0,0 +1,13 @@
+'use strict'
+
+module.exports = {
+  ...require('./contract-client'),
+  ...require('./errors'),
+  ...require('./forwarder'),
+  ...require('./merkle-distribution'),
+  ...require('./reward-season'),
+  ...require('./reward-season-factory'),
+  ...require('./reward-season-merkle'),
+  ...require('./reward-season-multi-token'),
+  ...require('./utils')
+}
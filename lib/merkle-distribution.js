@@ -0,0 +1,169 @@
+'use strict'
+
+const Web3 = require('web3')
+const { web3Utils: { buildMerkleTree } } = require('@thrivecoin/web3-utils')
+
+const web3 = new Web3()
+const { BN } = web3.utils
+
+const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000'
+
+// matches keccak256(abi.encodePacked(address, uint256)) from ThriveCoinRewardSeasonMerkle.claimReward
+const leafSelector = (x) => Buffer.concat([
+  Buffer.from(x.address.replace('0x', ''), 'hex'),
+  Buffer.from(web3.eth.abi.encodeParameter('uint256', x.amount).replace('0x', ''), 'hex')
+])
+
+// matches keccak256(abi.encodePacked(address, address, uint256)) from ThriveCoinRewardSeasonMerkleDelegated
+const delegatedLeafSelector = (x) => Buffer.concat([
+  Buffer.from(x.address.replace('0x', ''), 'hex'),
+  Buffer.from(x.destination.replace('0x', ''), 'hex'),
+  Buffer.from(web3.eth.abi.encodeParameter('uint256', x.amount).replace('0x', ''), 'hex')
+])
+
+// matches keccak256(abi.encodePacked(address, address, uint256)) from ThriveCoinRewardSeasonMerkleMultiToken
+const tokenLeafSelector = (x) => Buffer.concat([
+  Buffer.from(x.address.replace('0x', ''), 'hex'),
+  Buffer.from(x.token.replace('0x', ''), 'hex'),
+  Buffer.from(web3.eth.abi.encodeParameter('uint256', x.amount).replace('0x', ''), 'hex')
+])
+
+const hashLeaf = (address, amount) => web3.utils.keccak256(leafSelector({ address, amount }))
+
+const hashDelegatedLeaf = (address, destination, amount) => {
+  return web3.utils.keccak256(delegatedLeafSelector({ address, destination, amount }))
+}
+
+const hashTokenLeaf = (address, token, amount) => web3.utils.keccak256(tokenLeafSelector({ address, token, amount }))
+
+const toValidAddress = (value, field, row) => {
+  const address = String(value || '').trim()
+  if (!web3.utils.isAddress(address) || address === ADDRESS_ZERO) {
+    throw new Error(`invalid ${field} at row ${row}: ${address}`)
+  }
+  return web3.utils.toChecksumAddress(address)
+}
+
+/**
+ * Validates (address, amount) rows and merges duplicate addresses. Amounts must be positive integers expressed in
+ * the smallest token unit. Duplicates are summed unless `duplicates` is set to `error`. With `withDestination` rows
+ * also carry `destination` (defaults to address) for ThriveCoinRewardSeasonMerkleDelegated seasons, duplicates must
+ * then share the same destination. With `withToken` rows carry reward `token` for
+ * ThriveCoinRewardSeasonMerkleMultiToken seasons, duplicates are then merged per address and token pair.
+ */
+const normalizeEntries = (rows, { duplicates = 'sum', withDestination = false, withToken = false } = {}) => {
+  const entries = new Map()
+  const duplicateAddresses = new Set()
+
+  rows.forEach((row, i) => {
+    const address = toValidAddress(row.address, 'address', i + 1)
+    const token = withToken ? toValidAddress(row.token, 'token', i + 1) : null
+    const key = withToken ? `${address}:${token}` : address
+    const destination = withDestination && row.destination ? toValidAddress(row.destination, 'destination', i + 1) : address
+    const amount = String(row.amount || '').trim()
+
+    if (!/^\d+$/.test(amount) || new BN(amount).isZero()) {
+      throw new Error(`invalid amount at row ${i + 1}: ${amount}`)
+    }
+
+    const prev = entries.get(key)
+    if (prev) {
+      if (duplicates === 'error') throw new Error(`duplicate address at row ${i + 1}: ${key}`)
+      if (withDestination && prev.destination !== destination) {
+        throw new Error(`conflicting destination at row ${i + 1}: ${key}`)
+      }
+      duplicateAddresses.add(key)
+      prev.amount = new BN(prev.amount).add(new BN(amount)).toString()
+      return
+    }
+
+    const entry = { address, amount: new BN(amount).toString() }
+    if (withDestination) entry.destination = destination
+    if (withToken) entry.token = token
+    entries.set(key, entry)
+  })
+
+  return { entries: [...entries.values()], duplicates: [...duplicateAddresses] }
+}
+
+/**
+ * Builds distribution data from normalized entries. The result contains merkle root and total rewards that are passed
+ * to the constructor or addSeason, and per address amount and proof that are passed to claimReward. With
+ * `withDestination` leaves include destination of each entry and claims contain it as well, with `withToken` see
+ * {buildTokenDistribution}.
+ */
+const buildDistribution = (entries, { withDestination = false, withToken = false } = {}) => {
+  if (!entries.length) throw new Error('distribution requires at least one entry')
+  if (withToken) return buildTokenDistribution(entries)
+
+  const tree = buildMerkleTree(web3, entries, withDestination ? delegatedLeafSelector : leafSelector)
+  const claims = {}
+  let totalRewards = new BN(0)
+
+  for (const entry of entries) {
+    if (withDestination) {
+      const leaf = hashDelegatedLeaf(entry.address, entry.destination, entry.amount)
+      claims[entry.address] = { destination: entry.destination, amount: entry.amount, leaf, proof: tree.getHexProof(leaf) }
+    } else {
+      const leaf = hashLeaf(entry.address, entry.amount)
+      claims[entry.address] = { amount: entry.amount, leaf, proof: tree.getHexProof(leaf) }
+    }
+    totalRewards = totalRewards.add(new BN(entry.amount))
+  }
+
+  return {
+    merkleRoot: tree.getHexRoot(),
+    totalRewards: totalRewards.toString(),
+    claimCount: entries.length,
+    claims
+  }
+}
+
+/**
+ * Builds distribution data of ThriveCoinRewardSeasonMerkleMultiToken seasons where claims are grouped per address and
+ * token, total rewards are returned per token in the same order as tokens that are passed to addSeason.
+ */
+const buildTokenDistribution = (entries) => {
+  const tree = buildMerkleTree(web3, entries, tokenLeafSelector)
+  const claims = {}
+  const totals = {}
+
+  for (const entry of entries) {
+    const leaf = hashTokenLeaf(entry.address, entry.token, entry.amount)
+    claims[entry.address] = claims[entry.address] || {}
+    claims[entry.address][entry.token] = { amount: entry.amount, leaf, proof: tree.getHexProof(leaf) }
+    totals[entry.token] = (totals[entry.token] || new BN(0)).add(new BN(entry.amount))
+  }
+
+  return {
+    merkleRoot: tree.getHexRoot(),
+    tokens: Object.keys(totals),
+    totalRewards: Object.values(totals).map(total => total.toString()),
+    claimCount: entries.length,
+    claims
+  }
+}
+
+/**
+ * Returns claim (amount and proof) of address from distribution data or null when address is not part of it. For
+ * multi token distributions `token` selects the claim, when omitted claims of all tokens are returned.
+ */
+const getClaim = (distribution, address, token) => {
+  if (!web3.utils.isAddress(address)) return null
+  const claim = distribution.claims[web3.utils.toChecksumAddress(address)] || null
+  if (!claim || !token) return claim
+  if (!web3.utils.isAddress(token)) return null
+  return claim[web3.utils.toChecksumAddress(token)] || null
+}
+
+module.exports = {
+  buildDistribution,
+  delegatedLeafSelector,
+  getClaim,
+  hashDelegatedLeaf,
+  hashLeaf,
+  hashTokenLeaf,
+  leafSelector,
+  normalizeEntries,
+  tokenLeafSelector
+}
@@ -0,0 +1,110 @@
+'use strict'
+
+const { ContractClient } = require('./contract-client')
+const { mapLimit, toAmount } = require('./utils')
+
+const DEFAULT_CONCURRENCY = 10
+
+// variant names mapped to `Variant` enum values of ThriveCoinRewardSeasonFactory
+const SEASON_VARIANTS = { base: 0, ierc20: 1, gasRefundable: 2, merkle: 3, merkleIERC20: 4 }
+
+// factory method and ordered initialization args of each variant
+const VARIANT_DEPLOYS = {
+  base: ['deploySeason', ['defaultDestination', 'closeDate', 'claimCloseDate']],
+  ierc20: ['deploySeasonIERC20', ['defaultDestination', 'closeDate', 'claimCloseDate', 'tokenAddress']],
+  gasRefundable: ['deploySeasonGasRefundable', ['defaultDestination', 'closeDate', 'claimCloseDate', 'fixedGasFee']],
+  merkle: ['deploySeasonMerkle', ['defaultDestination', 'merkleRoot', 'totalRewards', 'claimCloseDate']],
+  merkleIERC20: [
+    'deploySeasonMerkleIERC20',
+    ['defaultDestination', 'merkleRoot', 'totalRewards', 'claimCloseDate', 'tokenAddress']
+  ]
+}
+
+const AMOUNT_ARGS = ['totalRewards', 'fixedGasFee']
+
+const toVariant = (variant) => {
+  if (!(variant in SEASON_VARIANTS)) throw new TypeError(`unknown season variant: ${variant}`)
+  return SEASON_VARIANTS[variant]
+}
+
+const toVariantName = (value) => Object.keys(SEASON_VARIANTS).find(name => SEASON_VARIANTS[name] === +value)
+
+const toDeployment = (index, { season, creator, variant }) => ({
+  index,
+  season,
+  creator,
+  variant: toVariantName(variant)
+})
+
+/**
+ * Client for ThriveCoinRewardSeasonFactory contract. Variants are referenced by name, see `SEASON_VARIANTS`, and
+ * deployments are returned as `{ index, season, creator, variant }`.
+ */
+class ThriveCoinRewardSeasonFactoryClient extends ContractClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonFactory'
+  }
+
+  async readImplementation (variant) {
+    return this.call('readImplementation', toVariant(variant))
+  }
+
+  async setImplementation (variant, implementation, opts) {
+    return this.send('setImplementation', [toVariant(variant), implementation], opts)
+  }
+
+  /**
+   * Deploys clone of variant initialized with `args` named as initialize params of the variant, e.g.
+   * `{ defaultDestination, closeDate, claimCloseDate, tokenAddress }` for `ierc20`. Resolves with deployment and
+   * transaction receipt.
+   */
+  async deploy (variant, args, opts) {
+    toVariant(variant)
+    const [method, names] = VARIANT_DEPLOYS[variant]
+    const values = names.map(name => {
+      if (args[name] === undefined) throw new TypeError(`${name} is required for ${variant} season`)
+      return AMOUNT_ARGS.includes(name) ? toAmount(args[name]) : args[name]
+    })
+
+    const receipt = await this.send(method, values, opts)
+    const { index, creator, season } = receipt.events.Deployed.returnValues
+    return { deployment: { index: +index, season, creator, variant }, receipt }
+  }
+
+  async deploymentCount () {
+    return +(await this.call('deploymentCount'))
+  }
+
+  async readDeployment (index) {
+    return toDeployment(index, await this.call('readDeployment', index))
+  }
+
+  /**
+   * Returns deployments of creator, index is omitted since the contract returns them without positions.
+   */
+  async readDeployments (creator) {
+    const deployments = await this.call('readDeployments', creator)
+    return deployments.map(({ season, variant }) => ({ season, creator, variant: toVariantName(variant) }))
+  }
+
+  /**
+   * Returns all seasons deployed by the factory in deployment order, optionally only of given `creator` or `variant`.
+   */
+  async listDeployments ({ creator, variant, concurrency = DEFAULT_CONCURRENCY } = {}) {
+    if (variant !== undefined) toVariant(variant)
+
+    const count = await this.deploymentCount()
+    const indexes = Array.from({ length: count }, (_, i) => i)
+    const deployments = await mapLimit(indexes, concurrency, (index) => this.readDeployment(index))
+
+    return deployments.filter(deployment =>
+      (creator === undefined || deployment.creator.toLowerCase() === creator.toLowerCase()) &&
+      (variant === undefined || deployment.variant === variant)
+    )
+  }
+}
+
+module.exports = {
+  SEASON_VARIANTS,
+  ThriveCoinRewardSeasonFactoryClient
+}
@@ -0,0 +1,222 @@
+'use strict'
+
+const { ContractClient } = require('./contract-client')
+const { toAmount } = require('./utils')
+
+/**
+ * Client for ThriveCoinRewardSeasonMerkle contract.
+ */
+class ThriveCoinRewardSeasonMerkleClient extends ContractClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonMerkle'
+  }
+
+  async currentSeason () {
+    return +(await this.call('currentSeason'))
+  }
+
+  async readSeasonInfo (season) {
+    return this.call('readSeasonInfo', season)
+  }
+
+  /**
+   * Returns true when reward of owner is claimed.
+   */
+  async readReward (season, owner) {
+    return this.call('readReward', season, owner)
+  }
+
+  async addSeason (defaultDestination, merkleRoot, totalRewards, claimCloseDate, opts) {
+    return this.send('addSeason', [defaultDestination, merkleRoot, toAmount(totalRewards), claimCloseDate], opts)
+  }
+
+  /**
+   * Changes claim close date of current season, allowed only before the claim window is over.
+   */
+  async setClaimCloseDate (claimCloseDate, opts) {
+    return this.send('setClaimCloseDate', [claimCloseDate], opts)
+  }
+
+  /**
+   * Claims reward of transaction sender, `claim` is the `{ amount, proof }` entry from distribution file.
+   */
+  async claimReward ({ amount, proof }, opts) {
+    return this.send('claimReward', [toAmount(amount), proof], opts)
+  }
+
+  /**
+   * Claims reward of transaction sender in given season, `claim` is the `{ amount, proof }` entry from distribution
+   * file of that season.
+   */
+  async claimRewardForSeason (season, { amount, proof }, opts) {
+    return this.send('claimRewardForSeason', [season, toAmount(amount), proof], opts)
+  }
+
+  /**
+   * Claims rewards of transaction sender in multiple seasons, `claims` are `{ season, amount, proof }` entries.
+   * Seasons that cannot be claimed anymore are skipped by the contract.
+   */
+  async claimAll (claims, opts) {
+    return this.send('claimAll', [
+      claims.map(claim => claim.season),
+      claims.map(claim => toAmount(claim.amount)),
+      claims.map(claim => claim.proof)
+    ], opts)
+  }
+
+  /**
+   * Sends unclaimed funds of current season, or of `opts.season` when it's set.
+   */
+  async sendUnclaimedFunds ({ season, ...opts } = {}) {
+    return this.send('sendUnclaimedFunds', season === undefined ? [] : [season], opts)
+  }
+
+  async paused () {
+    return this.call('paused')
+  }
+
+  async pause (opts) {
+    return this.send('pause', [], opts)
+  }
+
+  async unpause (opts) {
+    return this.send('unpause', [], opts)
+  }
+
+  async getTrustedForwarder () {
+    return this.call('getTrustedForwarder')
+  }
+
+  async setTrustedForwarder (forwarder, opts) {
+    return this.send('setTrustedForwarder', [forwarder], opts)
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonMerkleIERC20 contract.
+ */
+class ThriveCoinRewardSeasonMerkleIERC20Client extends ThriveCoinRewardSeasonMerkleClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonMerkleIERC20'
+  }
+
+  async getTokenAddress () {
+    return this.call('getTokenAddress')
+  }
+
+  async withdrawERC20 (account, amount, opts) {
+    return this.send('withdrawERC20', [account, toAmount(amount)], opts)
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonMerkleNative contract.
+ */
+class ThriveCoinRewardSeasonMerkleNativeClient extends ThriveCoinRewardSeasonMerkleClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonMerkleNative'
+  }
+
+  async withdrawEther (account, amount, opts) {
+    return this.send('withdrawEther', [account, toAmount(amount)], opts)
+  }
+}
+
+// EIP-712 domain name is shared by ThriveCoinRewardSeasonMerkleDelegated and its payout variants
+const CLAIM_DOMAIN_NAME = 'ThriveCoinRewardSeasonMerkleDelegated'
+
+const CLAIM_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  ClaimReward: [
+    { name: 'season', type: 'uint256' },
+    { name: 'owner', type: 'address' },
+    { name: 'destination', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonMerkleDelegated contract. Distribution entries passed to claim methods are
+ * `{ destination, amount, proof }` entries from distribution file built with `withDestination`.
+ */
+class ThriveCoinRewardSeasonMerkleDelegatedClient extends ThriveCoinRewardSeasonMerkleClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonMerkleDelegated'
+  }
+
+  /**
+   * Claims reward of `owner` in current season, or in `opts.season` when it's set. Transaction sender must be either
+   * owner or destination of the reward.
+   */
+  async claimRewardFor (owner, { destination, amount, proof }, { season, ...opts } = {}) {
+    if (season !== undefined) {
+      const method = 'claimRewardForSeason(uint256,address,address,uint256,bytes32[])'
+      return this.send(method, [season, owner, destination, toAmount(amount), proof], opts)
+    }
+
+    const method = 'claimReward(address,address,uint256,bytes32[])'
+    return this.send(method, [owner, destination, toAmount(amount), proof], opts)
+  }
+
+  /**
+   * Returns EIP-712 typed data of a claim for current season that owner signs (e.g. with eth_signTypedData_v4).
+   * `chainId` defaults to chain id reported by the node.
+   */
+  async buildClaimTypedData (owner, { destination, amount }, deadline, { chainId } = {}) {
+    return {
+      types: CLAIM_TYPES,
+      primaryType: 'ClaimReward',
+      domain: {
+        name: CLAIM_DOMAIN_NAME,
+        version: '1',
+        chainId: chainId || await this.web3.eth.getChainId(),
+        verifyingContract: this.address
+      },
+      message: {
+        season: await this.currentSeason(),
+        owner,
+        destination,
+        amount: toAmount(amount),
+        deadline: String(deadline)
+      }
+    }
+  }
+
+  /**
+   * Submits claim signed by `owner`, transaction sender can be any account, e.g. a relayer.
+   */
+  async claimRewardBySig (owner, { destination, amount, proof }, deadline, signature, opts) {
+    return this.send('claimRewardBySig', [owner, destination, toAmount(amount), proof, deadline, signature], opts)
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonMerkleDelegatedIERC20 contract.
+ */
+class ThriveCoinRewardSeasonMerkleDelegatedIERC20Client extends ThriveCoinRewardSeasonMerkleDelegatedClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonMerkleDelegatedIERC20'
+  }
+
+  async getTokenAddress () {
+    return this.call('getTokenAddress')
+  }
+
+  async withdrawERC20 (account, amount, opts) {
+    return this.send('withdrawERC20', [account, toAmount(amount)], opts)
+  }
+}
+
+module.exports = {
+  ThriveCoinRewardSeasonMerkleClient,
+  ThriveCoinRewardSeasonMerkleDelegatedClient,
+  ThriveCoinRewardSeasonMerkleDelegatedIERC20Client,
+  ThriveCoinRewardSeasonMerkleIERC20Client,
+  ThriveCoinRewardSeasonMerkleNativeClient
+}
@@ -0,0 +1,122 @@
+'use strict'
+
+const { ThriveCoinRewardSeasonClient } = require('./reward-season')
+const { ThriveCoinRewardSeasonMerkleClient } = require('./reward-season-merkle')
+const { toAmount } = require('./utils')
+
+const toTokenRewardRequest = (entry) => ({
+  owner: entry.owner,
+  destination: entry.destination || entry.owner,
+  token: entry.token,
+  amount: toAmount(entry.amount)
+})
+
+// methods shared by multi token variants, both keep the reward token allowlist and per token season totals
+const withTokenAllowlist = (Base) => class extends Base {
+  /**
+   * Returns `{ token, totalRewards, claimedRewards }` entries of tokens rewarded in season.
+   */
+  async readSeasonTokens (season) {
+    return this.call('readSeasonTokens', season)
+  }
+
+  /**
+   * Returns `{ token, totalRewards, claimedRewards }` of token in season, totals are `'0'` when token is not rewarded.
+   */
+  async readSeasonTokenInfo (season, token) {
+    return this.call('readSeasonTokenInfo', season, token)
+  }
+
+  async isTokenAllowed (token) {
+    return this.call('isTokenAllowed', token)
+  }
+
+  async setTokenAllowed (token, allowed, opts) {
+    return this.send('setTokenAllowed', [token, allowed], opts)
+  }
+
+  async withdrawERC20 (token, account, amount, opts) {
+    return this.send('withdrawERC20', [token, account, toAmount(amount)], opts)
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonMultiToken contract. Reward entries are `{ owner, destination, token, amount }`
+ * where destination defaults to owner, other methods are the same as in ThriveCoinRewardSeasonClient.
+ */
+class ThriveCoinRewardSeasonMultiTokenClient extends withTokenAllowlist(ThriveCoinRewardSeasonClient) {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonMultiToken'
+  }
+
+  /**
+   * Returns `{ destination, amount, claimed }` reward of owner where amount is the sum of all token rewards, or
+   * reward amount in `token` when it's set.
+   */
+  async readReward (season, owner, token) {
+    if (token !== undefined) return this.call('readReward', season, owner, token)
+    return super.readReward(season, owner)
+  }
+
+  /**
+   * Returns `{ token, amount }` rewards of owner in every token of season.
+   */
+  async readRewardTokens (season, owner) {
+    return this.call('readRewardTokens', season, owner)
+  }
+
+  _rewardRequest (entry) {
+    return toTokenRewardRequest(entry)
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonMerkleMultiToken contract. Distribution entries passed to claim methods are
+ * `{ amount, proof }` entries of a token from distribution file built with `withToken`.
+ */
+class ThriveCoinRewardSeasonMerkleMultiTokenClient extends withTokenAllowlist(ThriveCoinRewardSeasonMerkleClient) {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonMerkleMultiToken'
+  }
+
+  /**
+   * Returns true when reward of owner in token is claimed.
+   */
+  async readReward (season, owner, token) {
+    return this.call('readReward', season, owner, token)
+  }
+
+  /**
+   * Adds season with `{ merkleRoot, tokens, totalRewards }` of distribution file built with `withToken`.
+   */
+  async addSeason (defaultDestination, { merkleRoot, tokens, totalRewards }, claimCloseDate, opts) {
+    return this.send('addSeason', [defaultDestination, merkleRoot, claimCloseDate, tokens, totalRewards.map(toAmount)], opts)
+  }
+
+  /**
+   * Claims reward of transaction sender in token in current season, or in `opts.season` when it's set.
+   */
+  async claimReward (token, { amount, proof }, { season, ...opts } = {}) {
+    if (season !== undefined) return this.send('claimRewardForSeason', [season, token, toAmount(amount), proof], opts)
+    return this.send('claimReward', [token, toAmount(amount), proof], opts)
+  }
+
+  /**
+   * Claims rewards of transaction sender in multiple tokens of season, `claims` are distribution entries of the
+   * address in format token => `{ amount, proof }`.
+   */
+  async claimRewardBatch (season, claims, opts) {
+    const tokens = Object.keys(claims)
+    return this.send('claimRewardBatch', [
+      season,
+      tokens,
+      tokens.map(token => toAmount(claims[token].amount)),
+      tokens.map(token => claims[token].proof)
+    ], opts)
+  }
+}
+
+module.exports = {
+  ThriveCoinRewardSeasonMerkleMultiTokenClient,
+  ThriveCoinRewardSeasonMultiTokenClient
+}
@@ -0,0 +1,383 @@
+'use strict'
+
+const { ContractClient } = require('./contract-client')
+const { chunk, toAmount } = require('./utils')
+
+const DEFAULT_BATCH_SIZE = 100
+
+// matches ThriveCoinRewardSeasonBadge.BadgeType enum
+const BADGE_TYPES = { none: 0, erc1155: 1, erc721: 2 }
+
+const toRewardRequest = (entry) => ({
+  owner: entry.owner,
+  destination: entry.destination || entry.owner,
+  amount: toAmount(entry.amount)
+})
+
+const toBadgeRewardRequest = (entry) => {
+  const { type = 'none', token, tokenId = 0, quantity } = entry.badge || {}
+  if (!(type in BADGE_TYPES)) throw new TypeError(`unknown badge type: ${type}`)
+
+  return {
+    ...toRewardRequest({ amount: 0, ...entry }),
+    badge: {
+      badgeType: BADGE_TYPES[type],
+      token: token || '0x0000000000000000000000000000000000000000',
+      tokenId: toAmount(tokenId),
+      quantity: toAmount(quantity === undefined ? (type === 'none' ? 0 : 1) : quantity)
+    }
+  }
+}
+
+// season index is prepended to arguments of overloaded methods that target explicit season
+const withSeason = (season, args) => season === undefined ? args : [season, ...args]
+
+/**
+ * Client for ThriveCoinRewardSeason contract.
+ */
+class ThriveCoinRewardSeasonClient extends ContractClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeason'
+  }
+
+  async currentSeason () {
+    return +(await this.call('currentSeason'))
+  }
+
+  async readSeasonInfo (season, blockNumber) {
+    return this.callAt(blockNumber, 'readSeasonInfo', season)
+  }
+
+  async readReward (season, owner) {
+    return this.call('readReward', season, owner)
+  }
+
+  async readRewardByIndex (season, index, blockNumber) {
+    return this.callAt(blockNumber, 'readRewardByIndex', season, index)
+  }
+
+  /**
+   * Iterates over all rewards of a season in the order they were added, yields `{ owner, reward }` entries.
+   */
+  async * iterateRewards (season) {
+    const { rewardCount } = await this.readSeasonInfo(season)
+    for (let i = 0; i < +rewardCount; i++) {
+      yield this.readRewardByIndex(season, i)
+    }
+  }
+
+  async addSeason (defaultDestination, closeDate, claimCloseDate, opts) {
+    return this.send('addSeason', [defaultDestination, closeDate, claimCloseDate], opts)
+  }
+
+  /**
+   * Changes close date of current season, allowed only while the season is open.
+   */
+  async setSeasonCloseDate (closeDate, opts) {
+    return this.send('setSeasonCloseDate', [closeDate], opts)
+  }
+
+  /**
+   * Changes claim close date of current season, allowed only before the claim window is over.
+   */
+  async setClaimCloseDate (claimCloseDate, opts) {
+    return this.send('setClaimCloseDate', [claimCloseDate], opts)
+  }
+
+  /**
+   * Adds reward to current season, or to `opts.season` when it's set.
+   */
+  async addReward (entry, { season, ...opts } = {}) {
+    return this.send('addReward', withSeason(season, [this._rewardRequest(entry)]), opts)
+  }
+
+  /**
+   * Adds rewards in chunks of `batchSize` entries, each chunk is sent as separate addRewardBatch transaction.
+   * Rewards are added to current season, or to `opts.season` when it's set. Returns list of transaction receipts.
+   */
+  async addRewardBatch (entries, { season, batchSize = DEFAULT_BATCH_SIZE, ...opts } = {}) {
+    const receipts = []
+    for (const batch of chunk(entries.map(entry => this._rewardRequest(entry)), batchSize)) {
+      receipts.push(await this.send('addRewardBatch', withSeason(season, [batch]), opts))
+    }
+    return receipts
+  }
+
+  /**
+   * Adds entry amount to existing reward of owner instead of replacing it.
+   */
+  async incrementReward (entry, opts) {
+    return this.send('incrementReward', [this._rewardRequest(entry)], opts)
+  }
+
+  /**
+   * Same as addRewardBatch but amounts are added to existing rewards through incrementRewardBatch.
+   */
+  async incrementRewardBatch (entries, opts) {
+    return this._sendRewardBatch('incrementRewardBatch', entries, opts)
+  }
+
+  /**
+   * Subtracts entry amount from existing reward of owner, reverts when it exceeds the stored amount.
+   */
+  async decrementReward (entry, opts) {
+    return this.send('decrementReward', [this._rewardRequest(entry)], opts)
+  }
+
+  /**
+   * Same as addRewardBatch but amounts are subtracted from existing rewards through decrementRewardBatch.
+   */
+  async decrementRewardBatch (entries, opts) {
+    return this._sendRewardBatch('decrementRewardBatch', entries, opts)
+  }
+
+  async removeReward (owner, opts) {
+    return this.send('removeReward', [owner], opts)
+  }
+
+  /**
+   * Removes rewards of owners in chunks of `batchSize` owners through removeRewardBatch. Returns list of transaction
+   * receipts.
+   */
+  async removeRewardBatch (owners, { batchSize = DEFAULT_BATCH_SIZE, ...opts } = {}) {
+    const receipts = []
+    for (const batch of chunk(owners, batchSize)) {
+      receipts.push(await this.send('removeRewardBatch', [batch], opts))
+    }
+    return receipts
+  }
+
+  /**
+   * Converts reward entry to request struct of the contract, overridden by variants with richer reward entries.
+   */
+  _rewardRequest (entry) {
+    return toRewardRequest(entry)
+  }
+
+  async _sendRewardBatch (method, entries, { batchSize = DEFAULT_BATCH_SIZE, ...opts } = {}) {
+    const receipts = []
+    for (const batch of chunk(entries.map(entry => this._rewardRequest(entry)), batchSize)) {
+      receipts.push(await this.send(method, [batch], opts))
+    }
+    return receipts
+  }
+
+  /**
+   * Claims reward of owner in current season, or in `opts.season` when it's set.
+   */
+  async claimReward (owner, { season, ...opts } = {}) {
+    return this.send('claimReward', withSeason(season, [owner]), opts)
+  }
+
+  /**
+   * Claims reward of owner in given season, e.g. past season whose claim window is still open.
+   */
+  async claimRewardForSeason (season, owner, opts) {
+    return this.send('claimRewardForSeason', [season, owner], opts)
+  }
+
+  /**
+   * Claims rewards of transaction sender in all seasons that can be claimed at the moment.
+   */
+  async claimAll (opts) {
+    return this.send('claimAll', [], opts)
+  }
+
+  /**
+   * Sends unclaimed funds of current season, or of `opts.season` when it's set.
+   */
+  async sendUnclaimedFunds ({ season, ...opts } = {}) {
+    return this.send('sendUnclaimedFunds', withSeason(season, []), opts)
+  }
+
+  async isSeasonOpen (season) {
+    return this.call('isSeasonOpen', season)
+  }
+
+  async paused () {
+    return this.call('paused')
+  }
+
+  async pause (opts) {
+    return this.send('pause', [], opts)
+  }
+
+  async unpause (opts) {
+    return this.send('unpause', [], opts)
+  }
+
+  async getTrustedForwarder () {
+    return this.call('getTrustedForwarder')
+  }
+
+  async setTrustedForwarder (forwarder, opts) {
+    return this.send('setTrustedForwarder', [forwarder], opts)
+  }
+}
+
+const withGasRefund = (Base) => class extends Base {
+  async getFixedGasFee () {
+    return this.call('getFixedGasFee')
+  }
+
+  async setFixedGasFee (fee, opts) {
+    return this.send('setFixedGasFee', [toAmount(fee)], opts)
+  }
+
+  async withdrawEther (account, amount, opts) {
+    return this.send('withdrawEther', [account, toAmount(amount)], opts)
+  }
+}
+
+const withERC20 = (Base) => class extends Base {
+  async getTokenAddress () {
+    return this.call('getTokenAddress')
+  }
+
+  async withdrawERC20 (account, amount, opts) {
+    return this.send('withdrawERC20', [account, toAmount(amount)], opts)
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonGasRefundable contract.
+ */
+class ThriveCoinRewardSeasonGasRefundableClient extends withGasRefund(ThriveCoinRewardSeasonClient) {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonGasRefundable'
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonIERC20 contract.
+ */
+class ThriveCoinRewardSeasonIERC20Client extends withERC20(ThriveCoinRewardSeasonClient) {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonIERC20'
+  }
+
+  /**
+   * Returns `{ funded, required }` where funded is token balance of the contract and required are outstanding rewards
+   * of all seasons.
+   */
+  async readFundingStatus () {
+    const { funded, required } = await this.call('readFundingStatus')
+    return { funded, required }
+  }
+
+  async isStrictFunding () {
+    return this.call('isStrictFunding')
+  }
+
+  async setStrictFunding (enabled, opts) {
+    return this.send('setStrictFunding', [enabled], opts)
+  }
+
+  /**
+   * Pulls `amount` of tokens from transaction sender, the amount must be approved to the contract beforehand.
+   */
+  async fundSeason (amount, opts) {
+    return this.send('fundSeason', [toAmount(amount)], opts)
+  }
+
+  /**
+   * Returns `{ cliff, duration }` vesting schedule of season in seconds after its close date, duration is `'0'` when
+   * season has no vesting.
+   */
+  async readSeasonVesting (season) {
+    const { cliff, duration } = await this.call('readSeasonVesting', season)
+    return { cliff, duration }
+  }
+
+  async setSeasonVesting (season, { cliff = 0, duration }, opts) {
+    return this.send('setSeasonVesting', [season, cliff, duration], opts)
+  }
+
+  async vestedAmount (season, owner) {
+    return this.call('vestedAmount', season, owner)
+  }
+
+  /**
+   * Returns vested part of owner's reward that is not sent yet, it's sent to destination with `claimReward`.
+   */
+  async releasableAmount (season, owner) {
+    return this.call('releasableAmount', season, owner)
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonIERC20GasRefundable contract.
+ */
+class ThriveCoinRewardSeasonIERC20GasRefundableClient extends withERC20(ThriveCoinRewardSeasonGasRefundableClient) {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonIERC20GasRefundable'
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonNative contract.
+ */
+class ThriveCoinRewardSeasonNativeClient extends ThriveCoinRewardSeasonClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonNative'
+  }
+
+  async withdrawEther (account, amount, opts) {
+    return this.send('withdrawEther', [account, toAmount(amount)], opts)
+  }
+}
+
+/**
+ * Client for ThriveCoinRewardSeasonBadge contract. Badge reward entries are `{ owner, destination, amount, badge }`
+ * where badge is `{ type: 'erc1155', token, tokenId, quantity }` or `{ type: 'erc721', token }`, amount defaults to
+ * zero for badge only rewards.
+ */
+class ThriveCoinRewardSeasonBadgeClient extends ThriveCoinRewardSeasonClient {
+  static get artifact () {
+    return 'ThriveCoinRewardSeasonBadge'
+  }
+
+  /**
+   * Returns `{ badgeType, token, tokenId, quantity }` badge of owner reward, see BADGE_TYPES for badge types.
+   */
+  async readBadge (season, owner) {
+    return this.call('readBadge', season, owner)
+  }
+
+  /**
+   * Returns `{ token, tokenId, unclaimed }` ERC1155 items rewarded in season.
+   */
+  async readSeasonItems (season) {
+    return this.call('readSeasonItems', season)
+  }
+
+  async addBadgeReward (entry, opts) {
+    return this.send('addBadgeReward', [toBadgeRewardRequest(entry)], opts)
+  }
+
+  /**
+   * Adds rewards with badges in chunks of `batchSize` entries through addBadgeRewardBatch. Returns list of
+   * transaction receipts.
+   */
+  async addBadgeRewardBatch (entries, { batchSize = DEFAULT_BATCH_SIZE, ...opts } = {}) {
+    const receipts = []
+    for (const batch of chunk(entries.map(toBadgeRewardRequest), batchSize)) {
+      receipts.push(await this.send('addBadgeRewardBatch', [batch], opts))
+    }
+    return receipts
+  }
+
+  async withdrawERC1155 (token, tokenId, account, quantity, opts) {
+    return this.send('withdrawERC1155', [token, tokenId, account, toAmount(quantity)], opts)
+  }
+}
+
+module.exports = {
+  BADGE_TYPES,
+  ThriveCoinRewardSeasonBadgeClient,
+  ThriveCoinRewardSeasonClient,
+  ThriveCoinRewardSeasonGasRefundableClient,
+  ThriveCoinRewardSeasonIERC20Client,
+  ThriveCoinRewardSeasonIERC20GasRefundableClient,
+  ThriveCoinRewardSeasonNativeClient
+}
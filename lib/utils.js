@@ -0,0 +1,66 @@
+'use strict'
+
+/**
+ * Normalizes amounts passed as number, string, BigInt or BN instances to decimal string accepted by web3.
+ */
+const toAmount = (value) => {
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new TypeError(`amount is not a safe integer: ${value}`)
+  }
+
+  let str = value === null || value === undefined ? '' : value.toString(10).trim()
+  if (/^0x[0-9a-f]+$/i.test(str)) str = BigInt(str).toString()
+  if (!/^\d+$/.test(str)) throw new TypeError(`invalid amount: ${value}`)
+
+  return str.replace(/^0+(?=\d)/, '')
+}
+
+/**
+ * Converts web3 call result to plain object by dropping positional keys, nested results are converted as well.
+ */
+const toPlain = (result) => {
+  if (result === null || typeof result !== 'object') return result
+
+  const keys = Object.keys(result).filter(key => !/^\d+$/.test(key) && key !== '__length__')
+  if (Array.isArray(result) && !keys.length) return result.map(toPlain)
+
+  return keys.reduce((acc, key) => {
+    acc[key] = toPlain(result[key])
+    return acc
+  }, {})
+}
+
+const chunk = (items, size) => {
+  if (!(size > 0)) throw new RangeError('chunk size should be greater than zero')
+
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+/**
+ * Maps items with async function while running at most `limit` calls at once, result order matches input order.
+ */
+const mapLimit = async (items, limit, fn) => {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i], i)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker))
+  return results
+}
+
+module.exports = {
+  chunk,
+  mapLimit,
+  toAmount,
+  toPlain
+}
@@ -1,16 +1,28 @@
 'use strict'
 
-const ThriveCoinRewardSeason = artifacts.require('ThriveCoinRewardSeason')
+const path = require('path')
+const { deploySeasons, loadDeployConfig } = require('../scripts/season-deployer')
 
-module.exports = async function (deployer, network, accounts) {
-  if (['development', 'test'].includes(network)) {
-    const owner = accounts[0]
+const CONFIG_DIR = path.join(__dirname, 'config')
+const MANIFEST_DIR = path.join(__dirname, '..', 'deployments')
 
-    const config = {
-      defaultDestination: owner,
-      closeDate: Math.floor(Date.now() / 1000) + 43200,
-      claimCloseDate: Math.floor(Date.now() / 1000) + 86400
-    }
-    await deployer.deploy(ThriveCoinRewardSeason, ...Object.values(config), { from: owner })
+module.exports = async function (deployer, network, accounts) {
+  const config = loadDeployConfig(CONFIG_DIR, network)
+  if (!config) {
+    console.log(`no season config found for ${network} network in ${CONFIG_DIR}, skipping`)
+    return
   }
+
+  await deploySeasons({
+    web3,
+    artifacts,
+    deploy: (artifact, ...args) => deployer.deploy(artifact, ...args),
+    config,
+    network,
+    from: accounts[0],
+    accounts,
+    configDir: CONFIG_DIR,
+    manifestFile: path.join(MANIFEST_DIR, `${network}.json`),
+    log: console.log
+  })
 }
@@ -0,0 +1,19 @@
+'use strict'
+
+const Forwarder = artifacts.require('Forwarder')
+const ThriveCoinRewardSeason = artifacts.require('ThriveCoinRewardSeason')
+
+module.exports = async function (deployer, network, accounts) {
+  if (['development', 'test'].includes(network)) {
+    const owner = accounts[0]
+
+    await deployer.deploy(Forwarder, { from: owner })
+    const forwarder = await Forwarder.deployed()
+
+    // season is deployed only when it's part of network season config
+    if (ThriveCoinRewardSeason.isDeployed()) {
+      const season = await ThriveCoinRewardSeason.deployed()
+      await season.setTrustedForwarder(forwarder.address, { from: owner })
+    }
+  }
+}
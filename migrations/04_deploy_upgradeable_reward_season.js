@@ -0,0 +1,22 @@
+'use strict'
+
+const ThriveCoinRewardSeasonProxy = artifacts.require('ThriveCoinRewardSeasonProxy')
+const ThriveCoinRewardSeasonUpgradeable = artifacts.require('ThriveCoinRewardSeasonUpgradeable')
+
+module.exports = async function (deployer, network, accounts) {
+  if (['development', 'test'].includes(network)) {
+    const owner = accounts[0]
+
+    const config = {
+      defaultDestination: owner,
+      closeDate: Math.floor(Date.now() / 1000) + 43200,
+      claimCloseDate: Math.floor(Date.now() / 1000) + 86400
+    }
+
+    await deployer.deploy(ThriveCoinRewardSeasonUpgradeable, { from: owner })
+    const implementation = await ThriveCoinRewardSeasonUpgradeable.deployed()
+
+    const data = implementation.contract.methods.initialize(...Object.values(config)).encodeABI()
+    await deployer.deploy(ThriveCoinRewardSeasonProxy, implementation.address, data, { from: owner })
+  }
+}
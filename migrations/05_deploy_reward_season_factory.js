@@ -0,0 +1,31 @@
+'use strict'
+
+const ThriveCoinRewardSeasonFactory = artifacts.require('ThriveCoinRewardSeasonFactory')
+const ThriveCoinRewardSeasonUpgradeable = artifacts.require('ThriveCoinRewardSeasonUpgradeable')
+const ThriveCoinRewardSeasonGasRefundableUpgradeable = artifacts.require('ThriveCoinRewardSeasonGasRefundableUpgradeable')
+const ThriveCoinRewardSeasonIERC20Upgradeable = artifacts.require('ThriveCoinRewardSeasonIERC20Upgradeable')
+const ThriveCoinRewardSeasonMerkleUpgradeable = artifacts.require('ThriveCoinRewardSeasonMerkleUpgradeable')
+const ThriveCoinRewardSeasonMerkleIERC20Upgradeable = artifacts.require('ThriveCoinRewardSeasonMerkleIERC20Upgradeable')
+
+module.exports = async function (deployer, network, accounts) {
+  if (['development', 'test'].includes(network)) {
+    const owner = accounts[0]
+
+    // variant enum value => implementation, base implementation is already deployed by previous migration
+    const implementations = [
+      ThriveCoinRewardSeasonUpgradeable,
+      ThriveCoinRewardSeasonIERC20Upgradeable,
+      ThriveCoinRewardSeasonGasRefundableUpgradeable,
+      ThriveCoinRewardSeasonMerkleUpgradeable,
+      ThriveCoinRewardSeasonMerkleIERC20Upgradeable
+    ]
+
+    await deployer.deploy(ThriveCoinRewardSeasonFactory, { from: owner })
+    const factory = await ThriveCoinRewardSeasonFactory.deployed()
+
+    for (const [variant, implementation] of implementations.entries()) {
+      if (!implementation.isDeployed()) await deployer.deploy(implementation, { from: owner })
+      await factory.setImplementation(variant, implementation.address, { from: owner })
+    }
+  }
+}
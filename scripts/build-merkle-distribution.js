@@ -0,0 +1,45 @@
+'use strict'
+
+const yargs = require('yargs')
+  .usage('Builds merkle distribution file for ThriveCoinRewardSeasonMerkle seasons from CSV/JSON input')
+  .option('input', { alias: 'i', type: 'string', demandOption: true, describe: 'CSV or JSON file with address,amount' })
+  .option('output', { alias: 'o', type: 'string', demandOption: true, describe: 'Destination distribution file' })
+  .option('duplicates', { alias: 'd', default: 'sum', choices: ['sum', 'error'], describe: 'Duplicate address policy' })
+  .option('with-destination', { type: 'boolean', default: false, describe: 'Include destination column in leaves' })
+  .option('with-token', { type: 'boolean', default: false, describe: 'Include token column in leaves' })
+  .conflicts('with-destination', 'with-token')
+
+const { buildDistribution, normalizeEntries } = require('../lib/merkle-distribution')
+const { readRecords, writeJson } = require('./helper')
+
+const main = async () => {
+  const argv = yargs.argv
+
+  const { withDestination, withToken } = argv
+  const fields = ['address', 'amount']
+  if (withDestination) fields.push('destination')
+  if (withToken) fields.push('token')
+
+  const rows = readRecords(argv.input, fields)
+  const { entries, duplicates } = normalizeEntries(rows, { duplicates: argv.duplicates, withDestination, withToken })
+  if (duplicates.length) {
+    console.warn(`merged amounts of ${duplicates.length} duplicate address(es):`, duplicates.join(', '))
+  }
+
+  const distribution = buildDistribution(entries, { withDestination, withToken })
+  writeJson(argv.output, distribution)
+
+  console.log('merkle root', distribution.merkleRoot)
+  if (withToken) {
+    distribution.tokens.forEach((token, i) => console.log('total rewards', token, distribution.totalRewards[i]))
+  } else {
+    console.log('total rewards', distribution.totalRewards)
+  }
+  console.log('claims', distribution.claimCount)
+  console.log('written to', argv.output)
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
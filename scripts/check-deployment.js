@@ -0,0 +1,33 @@
+'use strict'
+
+const path = require('path')
+const yargs = require('yargs')
+  .usage('Checks that on-chain state of seasons in deployments manifest matches the manifest and reports drift as JSON')
+  .option('network', { alias: 'n', type: 'string', demandOption: true, describe: 'Network from truffle-config.js' })
+  .option('manifest', { alias: 'm', type: 'string', describe: 'Manifest file, defaults to deployments/<network>.json' })
+  .option('output', { alias: 'o', type: 'string', describe: 'Writes report to JSON file besides stdout' })
+
+const { checkDeployment } = require('./deployment-checker')
+const { closeWeb3, getWeb3, readJson, writeJson } = require('./helper')
+
+const main = async () => {
+  const argv = yargs.argv
+  const manifestFile = argv.manifest || path.join(__dirname, '..', 'deployments', `${argv.network}.json`)
+  const manifest = readJson(manifestFile)
+
+  const web3 = getWeb3(argv.network)
+  try {
+    const report = await checkDeployment({ web3, manifest })
+    if (argv.output) writeJson(argv.output, report)
+
+    console.log(JSON.stringify(report, null, 2))
+    process.exitCode = report.ok ? 0 : 1
+  } finally {
+    closeWeb3(web3)
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
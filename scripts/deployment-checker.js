@@ -0,0 +1,132 @@
+'use strict'
+
+const Web3 = require('web3')
+const { ROLES } = require('../lib/contract-client')
+const {
+  ThriveCoinRewardSeasonClient,
+  ThriveCoinRewardSeasonGasRefundableClient,
+  ThriveCoinRewardSeasonIERC20Client,
+  ThriveCoinRewardSeasonIERC20GasRefundableClient
+} = require('../lib/reward-season')
+const {
+  ThriveCoinRewardSeasonMerkleClient,
+  ThriveCoinRewardSeasonMerkleIERC20Client
+} = require('../lib/reward-season-merkle')
+
+const ERC20_BALANCE_ABI = [{
+  type: 'function',
+  name: 'balanceOf',
+  stateMutability: 'view',
+  inputs: [{ name: 'account', type: 'address' }],
+  outputs: [{ name: '', type: 'uint256' }]
+}]
+
+// clients of variants that can be deployed from season config, see scripts/season-deployer.js
+const CLIENTS = {
+  ThriveCoinRewardSeason: ThriveCoinRewardSeasonClient,
+  ThriveCoinRewardSeasonIERC20: ThriveCoinRewardSeasonIERC20Client,
+  ThriveCoinRewardSeasonGasRefundable: ThriveCoinRewardSeasonGasRefundableClient,
+  ThriveCoinRewardSeasonIERC20GasRefundable: ThriveCoinRewardSeasonIERC20GasRefundableClient,
+  ThriveCoinRewardSeasonMerkle: ThriveCoinRewardSeasonMerkleClient,
+  ThriveCoinRewardSeasonMerkleIERC20: ThriveCoinRewardSeasonMerkleIERC20Client
+}
+
+// constructor args that are stored in first season info
+const SEASON_INFO_ARGS = ['defaultDestination', 'closeDate', 'claimCloseDate', 'merkleRoot', 'totalRewards']
+
+const normalize = (value) => Web3.utils.isAddress(value) ? Web3.utils.toChecksumAddress(value) : String(value)
+
+const normalizeMembers = (members) => members.map(normalize).sort()
+
+/**
+ * Returns balance that funded season contract should still hold, funded amount minus claimed rewards and unclaimed
+ * funds sent to default destination across all seasons.
+ */
+const expectedBalance = async (client, fund) => {
+  let expected = Web3.utils.toBN(fund)
+  const seasons = await client.currentSeason()
+  for (let i = 1; i <= seasons; i++) {
+    const { totalRewards, claimedRewards, unclaimedFundsSent } = await client.readSeasonInfo(i)
+    expected = expected.sub(Web3.utils.toBN(unclaimedFundsSent ? totalRewards : claimedRewards))
+  }
+  return expected
+}
+
+/**
+ * Reads on-chain state of a deployed season and returns drift entries `{ season, field, expected, actual }` against
+ * its manifest entry. Funding drifts only when token balance is below funded amount reduced by rewards paid out so
+ * far, extra funds are not a drift. ABIs are loaded from build/contracts unless passed in `abis` as variant => ABI.
+ */
+const checkSeason = async ({ web3, name, deployment, abis = {} }) => {
+  const drift = []
+  const compare = (field, expected, actual) => {
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) drift.push({ season: name, field, expected, actual })
+  }
+
+  const Client = CLIENTS[deployment.variant]
+  if (!Client) {
+    compare('variant', deployment.variant, null)
+    return drift
+  }
+
+  if ((await web3.eth.getCode(deployment.address)) === '0x') {
+    compare('address', deployment.address, null)
+    return drift
+  }
+
+  const client = new Client({ web3, address: deployment.address, abi: abis[deployment.variant] })
+  const { args } = deployment
+
+  const info = await client.readSeasonInfo(1)
+  SEASON_INFO_ARGS.filter(arg => arg in args).forEach(arg => {
+    compare(`seasonInfo.${arg}`, normalize(args[arg]), normalize(info[arg]))
+  })
+
+  if ('tokenAddress' in args) compare('tokenAddress', normalize(args.tokenAddress), await client.getTokenAddress())
+  if ('fixedGasFee' in args) compare('fixedGasFee', args.fixedGasFee, await client.getFixedGasFee())
+
+  compare(
+    'roles.admins',
+    normalizeMembers(deployment.roles.admins),
+    normalizeMembers(await client.listRoleMembers(ROLES.DEFAULT_ADMIN_ROLE))
+  )
+  compare(
+    'roles.writers',
+    normalizeMembers(deployment.roles.writers),
+    normalizeMembers(await client.listRoleMembers(ROLES.WRITER_ROLE))
+  )
+
+  if (deployment.fund !== undefined) {
+    const token = new web3.eth.Contract(ERC20_BALANCE_ABI, args.tokenAddress)
+    const balance = await token.methods.balanceOf(deployment.address).call()
+    const expected = await expectedBalance(client, deployment.fund)
+    if (Web3.utils.toBN(balance).lt(expected)) compare('fund', expected.toString(), balance)
+  }
+
+  return drift
+}
+
+/**
+ * Checks every season of deployments manifest against the network, resolves with
+ * `{ network, chainId, ok, seasons, drift }` where `drift` lists mismatching fields of all seasons.
+ */
+const checkDeployment = async ({ web3, manifest, abis }) => {
+  const chainId = await web3.eth.getChainId()
+  const names = Object.keys(manifest.seasons || {})
+  const drift = []
+
+  if (chainId !== manifest.chainId) {
+    drift.push({ season: null, field: 'chainId', expected: manifest.chainId, actual: chainId })
+  } else {
+    for (const name of names) {
+      drift.push(...await checkSeason({ web3, name, deployment: manifest.seasons[name], abis }))
+    }
+  }
+
+  return { network: manifest.network, chainId, ok: !drift.length, seasons: names, drift }
+}
+
+module.exports = {
+  checkDeployment,
+  checkSeason
+}
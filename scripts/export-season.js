@@ -0,0 +1,51 @@
+'use strict'
+
+const path = require('path')
+const yargs = require('yargs')
+  .usage('Exports all rewards of a season to CSV or JSON file and reconciles them against season totals')
+  .option('network', { alias: 'n', type: 'string', demandOption: true, describe: 'Network from truffle-config.js' })
+  .option('contract', { alias: 'c', type: 'string', demandOption: true, describe: 'Reward season contract address' })
+  .option('season', { alias: 's', type: 'number', describe: 'Season index, defaults to current season' })
+  .option('output', { alias: 'o', type: 'string', demandOption: true, describe: 'Destination .csv or .json file' })
+  .option('concurrency', { default: 10, type: 'number', describe: 'Max parallel readRewardByIndex calls' })
+  .option('block', { alias: 'b', type: 'number', describe: 'Block number to export at, defaults to latest block' })
+
+const { ThriveCoinRewardSeasonClient } = require('../lib/reward-season')
+const { closeWeb3, getWeb3, writeCsv, writeJson } = require('./helper')
+const { exportSeason } = require('./season-exporter')
+
+const main = async () => {
+  const argv = yargs.argv
+  const web3 = getWeb3(argv.network)
+
+  try {
+    const client = new ThriveCoinRewardSeasonClient({ web3, address: argv.contract })
+    const season = argv.season || await client.currentSeason()
+    const { summary, rewards } = await exportSeason({
+      client,
+      season,
+      concurrency: argv.concurrency,
+      blockNumber: argv.block
+    })
+
+    if (path.extname(argv.output).toLowerCase() === '.csv') {
+      writeCsv(argv.output, rewards, ['owner', 'destination', 'amount', 'claimed'])
+      writeJson(argv.output.replace(/\.csv$/i, '.summary.json'), summary)
+    } else {
+      writeJson(argv.output, { summary, rewards })
+    }
+
+    console.log(summary)
+    if (!summary.totalRewardsMatch || !summary.claimedRewardsMatch) {
+      console.error('reward sums do not match season totals')
+      process.exitCode = 1
+    }
+  } finally {
+    closeWeb3(web3)
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
@@ -0,0 +1,78 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const Web3 = require('web3')
+
+const parseCsv = (content, columns) => {
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'))
+  if (!lines.length) return []
+
+  let header = columns
+  const firstRow = lines[0].split(',').map(cell => cell.trim())
+  if (!firstRow.some(cell => /^0x/i.test(cell))) {
+    header = firstRow
+    lines.shift()
+  }
+
+  return lines.map((line) => {
+    const cells = line.split(',').map(cell => cell.trim())
+    return header.reduce((acc, col, i) => {
+      acc[col] = cells[i]
+      return acc
+    }, {})
+  })
+}
+
+const readRecords = (file, columns) => {
+  const content = fs.readFileSync(file, 'utf8')
+  if (path.extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(content)
+    if (!Array.isArray(data)) throw new Error(`${file} should contain an array of records`)
+    return data
+  }
+
+  return parseCsv(content, columns)
+}
+
+const writeJson = (file, data) => {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2) + '\n')
+  fs.renameSync(`${file}.tmp`, file)
+}
+
+const writeCsv = (file, rows, columns) => {
+  const lines = [columns.join(','), ...rows.map(row => columns.map(col => row[col]).join(','))]
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+  fs.writeFileSync(file, lines.join('\n') + '\n')
+}
+
+const readJson = (file, fallback) => {
+  if (fallback !== undefined && !fs.existsSync(file)) return fallback
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+// connects to network defined in truffle-config.js, either through provider function or host/port pair
+const getWeb3 = (network) => {
+  const { networks } = require('../truffle-config')
+  const config = networks[network]
+  if (!config) throw new Error(`network ${network} not found in truffle-config.js`)
+
+  const provider = config.provider ? config.provider() : `http://${config.host}:${config.port}`
+  return new Web3(provider)
+}
+
+const closeWeb3 = (web3) => {
+  const { currentProvider: provider } = web3
+  if (provider && provider.engine) provider.engine.stop()
+}
+
+module.exports = {
+  closeWeb3,
+  getWeb3,
+  parseCsv,
+  readJson,
+  readRecords,
+  writeCsv,
+  writeJson
+}
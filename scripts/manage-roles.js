@@ -0,0 +1,71 @@
+'use strict'
+
+const readline = require('readline')
+const yargs = require('yargs')
+  .usage('Lists, grants and revokes roles of reward season contracts\n\nUsage: $0 <list|grant|revoke> [options]')
+  .demandCommand(1, 'action is required: list, grant or revoke')
+  .option('network', { alias: 'n', type: 'string', demandOption: true, describe: 'Network from truffle-config.js' })
+  .option('contract', { alias: 'c', type: 'string', demandOption: true, describe: 'Reward season contract address' })
+  .option('role', { alias: 'r', type: 'array', describe: 'admin, writer, pauser or bytes32 role (repeatable)' })
+  .option('account', { alias: 'a', type: 'string', describe: 'Account that is granted or revoked the role' })
+  .option('from', { alias: 'f', type: 'string', describe: 'Admin account, defaults to first provider account' })
+  .option('dry-run', { default: false, type: 'boolean', describe: 'Only print the planned transaction' })
+  .option('yes', { alias: 'y', default: false, type: 'boolean', describe: 'Send without confirmation' })
+  .option('export', { alias: 'e', type: 'string', describe: 'Write signed but unsent transaction to JSON file' })
+  .epilog('Exported transactions are signed with SIGNER_PRIVATE_KEY env variable when set, otherwise by the provider')
+
+const { ThriveCoinRewardSeasonClient } = require('../lib/reward-season')
+const { closeWeb3, getWeb3, writeJson } = require('./helper')
+const { listRoles, planRoleChange, sendRoleChange, signRoleChange } = require('./role-manager')
+
+const confirm = async (question) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+  const answer = await new Promise(resolve => rl.question(question, resolve))
+  rl.close()
+  return /^y(es)?$/i.test(answer.trim())
+}
+
+const main = async () => {
+  const argv = yargs.argv
+  const [action] = argv._
+  if (!['list', 'grant', 'revoke'].includes(action)) throw new Error(`unknown action: ${action}`)
+
+  const web3 = getWeb3(argv.network)
+  try {
+    // role functions are the same for all season variants, so base contract ABI is used
+    const client = new ThriveCoinRewardSeasonClient({ web3, address: argv.contract })
+
+    if (action === 'list') {
+      console.log(JSON.stringify(await listRoles({ client, roles: argv.role }), null, 2))
+      return
+    }
+
+    if (!argv.role || argv.role.length !== 1) throw new Error(`${action} requires exactly one --role`)
+    const from = argv.from || (await web3.eth.getAccounts())[0]
+    const plan = await planRoleChange({ client, action, role: argv.role[0], account: argv.account, from })
+    console.log(JSON.stringify(plan, null, 2))
+
+    if (plan.noop) return console.log(`nothing to ${action}, ${plan.account} role is already up to date`)
+    if (plan.error) throw new Error(`transaction would fail: ${plan.error}`)
+    if (argv.dryRun) return console.log('dry run, transaction is not sent')
+
+    if (argv.export) {
+      writeJson(argv.export, await signRoleChange({ web3, plan, privateKey: process.env.SIGNER_PRIVATE_KEY }))
+      return console.log(`signed transaction written to ${argv.export}, it is not sent`)
+    }
+
+    if (!argv.yes && !(await confirm(`${action} ${plan.role} role of ${plan.account}? [y/N] `))) {
+      return console.log('aborted')
+    }
+
+    const receipt = await sendRoleChange({ client, plan })
+    console.log('transaction', receipt.transactionHash)
+  } finally {
+    closeWeb3(web3)
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
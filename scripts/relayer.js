@@ -0,0 +1,85 @@
+'use strict'
+
+const http = require('http')
+const { RewardSeasonError } = require('../lib/errors')
+
+const MAX_BODY_SIZE = 64 * 1024
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = ''
+  req.on('data', (chunk) => {
+    body += chunk
+    if (body.length > MAX_BODY_SIZE) reject(new Error('request body too large'))
+  })
+  req.on('end', () => resolve(body))
+  req.on('error', reject)
+})
+
+/**
+ * Creates HTTP relayer that submits EIP-2771 forward requests signed by end users through MinimalForwarder and pays
+ * the gas from relayer account.
+ *
+ * Endpoints:
+ * - GET /nonce/:address - returns forwarder nonce of address that is used in the next request
+ * - POST /relay - accepts `{ request, signature }` and returns `{ transactionHash }` once transaction is mined
+ *
+ * @param {object} opts
+ * @param {MinimalForwarderClient} opts.forwarder - Forwarder client with relayer account as default sender
+ * @param {string[]} opts.targets - Reward season contracts that relayer accepts requests for
+ */
+const createRelayServer = ({ forwarder, targets }) => {
+  const allowedTargets = new Set(targets.map(target => target.toLowerCase()))
+
+  const relay = async ({ request, signature } = {}) => {
+    if (!request || typeof signature !== 'string') return [400, { error: 'request and signature are required' }]
+    if (!allowedTargets.has(String(request.to).toLowerCase())) return [403, { error: 'target not allowed' }]
+    if (!(await forwarder.verify(request, signature))) return [400, { error: 'invalid signature' }]
+
+    try {
+      const receipt = await forwarder.execute(request, signature)
+      return [200, { transactionHash: receipt.transactionHash }]
+    } catch (err) {
+      if (err instanceof RewardSeasonError) return [422, { error: err.reason }]
+      throw err
+    }
+  }
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost')
+
+    try {
+      const nonceMatch = pathname.match(/^\/nonce\/(0x[0-9a-fA-F]{40})\/?$/)
+      if (nonceMatch) {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'method not allowed' })
+        return sendJson(res, 200, { nonce: await forwarder.getNonce(nonceMatch[1]) })
+      }
+
+      if (/^\/relay\/?$/.test(pathname)) {
+        if (req.method !== 'POST') return sendJson(res, 405, { error: 'method not allowed' })
+
+        let payload
+        try {
+          payload = JSON.parse(await readBody(req))
+        } catch (err) {
+          return sendJson(res, 400, { error: 'invalid json body' })
+        }
+
+        const [status, body] = await relay(payload)
+        return sendJson(res, status, body)
+      }
+
+      return sendJson(res, 404, { error: 'not found' })
+    } catch (err) {
+      return sendJson(res, 502, { error: err.message })
+    }
+  })
+}
+
+module.exports = {
+  createRelayServer
+}
@@ -0,0 +1,184 @@
+'use strict'
+
+const crypto = require('crypto')
+const Web3 = require('web3')
+const { decodeError } = require('../lib/errors')
+const { mapLimit, toAmount } = require('../lib/utils')
+const { readJson, writeJson } = require('./helper')
+
+const { BN } = Web3.utils
+const GAS_MARGIN = 1.2
+
+/**
+ * Validates owner,destination,amount rows and keeps the last entry of every owner, same as addRewardBatch would do
+ * since later entries override previous ones.
+ */
+const normalizeRewards = (rows) => {
+  const entries = new Map()
+
+  rows.forEach((row, i) => {
+    const owner = String(row.owner || '').trim()
+    const destination = String(row.destination || owner).trim()
+
+    if (!Web3.utils.isAddress(owner)) throw new Error(`invalid owner at row ${i + 1}: ${owner}`)
+    if (!Web3.utils.isAddress(destination)) throw new Error(`invalid destination at row ${i + 1}: ${destination}`)
+
+    let amount
+    try {
+      amount = toAmount(String(row.amount || '').trim())
+    } catch (err) {
+      throw new Error(`invalid amount at row ${i + 1}: ${row.amount}`)
+    }
+
+    const key = Web3.utils.toChecksumAddress(owner)
+    entries.delete(key)
+    entries.set(key, { owner: key, destination: Web3.utils.toChecksumAddress(destination), amount })
+  })
+
+  return [...entries.values()]
+}
+
+const hashEntries = (entries) => crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex')
+
+/**
+ * Loads journal of previous run or creates a new one. Journal is bound to contract, season and input so that resuming
+ * with different data fails instead of mixing uploads.
+ */
+const openJournal = async ({ client, entries, journalFile, reset }) => {
+  const season = await client.currentSeason()
+  const inputHash = hashEntries(entries)
+  const journal = reset ? null : readJson(journalFile, null)
+
+  if (journal) {
+    if (journal.contract !== client.address || journal.season !== season || journal.inputHash !== inputHash) {
+      throw new Error(`journal ${journalFile} belongs to a different contract, season or input, use reset to discard it`)
+    }
+    return journal
+  }
+
+  const { totalRewards, rewardCount } = await client.readSeasonInfo(season)
+  const fresh = {
+    contract: client.address,
+    season,
+    inputHash,
+    entryCount: entries.length,
+    baseline: { totalRewards, rewardCount },
+    offset: 0,
+    pending: null,
+    batches: []
+  }
+  writeJson(journalFile, fresh)
+  return fresh
+}
+
+/**
+ * Returns largest batch starting at `offset` whose estimated gas does not exceed `maxGas`.
+ */
+const planBatch = async ({ client, entries, offset, from, batchSize, maxGas }) => {
+  let size = Math.min(batchSize, entries.length - offset)
+
+  for (;;) {
+    const batch = entries.slice(offset, offset + size)
+    let gas
+    try {
+      gas = await client.contract.methods.addRewardBatch(batch).estimateGas({ from })
+    } catch (err) {
+      throw decodeError(err)
+    }
+
+    if (gas <= maxGas) return { batch, gas }
+    if (size === 1) throw new Error(`single entry at offset ${offset} requires ${gas} gas, more than max ${maxGas}`)
+
+    size = Math.max(1, Math.min(size - 1, Math.floor((size * maxGas) / gas)))
+  }
+}
+
+/**
+ * Uploads rewards through addRewardBatch in gas bounded batches and records progress in journal file after each
+ * batch. A batch whose transaction was sent but not confirmed before interruption is checked on resume and resent
+ * only if it didn't succeed.
+ */
+const uploadRewards = async ({
+  client,
+  entries,
+  journalFile,
+  from,
+  batchSize = 200,
+  maxGas = 5000000,
+  reset = false,
+  log = () => {}
+}) => {
+  const journal = await openJournal({ client, entries, journalFile, reset })
+
+  if (journal.pending) {
+    const receipt = await client.web3.eth.getTransactionReceipt(journal.pending.txHash)
+    if (receipt && receipt.status) {
+      log(`pending batch ${journal.pending.from}-${journal.pending.to} was confirmed in ${receipt.transactionHash}`)
+      journal.batches.push({ ...journal.pending, gasUsed: receipt.gasUsed })
+      journal.offset = journal.pending.to
+    } else {
+      log(`pending batch ${journal.pending.from}-${journal.pending.to} was not confirmed, resending`)
+    }
+    journal.pending = null
+    writeJson(journalFile, journal)
+  }
+
+  while (journal.offset < entries.length) {
+    const { batch, gas } = await planBatch({ client, entries, offset: journal.offset, from, batchSize, maxGas })
+    const range = { from: journal.offset, to: journal.offset + batch.length }
+
+    const receipt = await client.contract.methods.addRewardBatch(batch)
+      .send({ from, gas: Math.min(Math.ceil(gas * GAS_MARGIN), Math.max(maxGas, gas)) })
+      .on('transactionHash', (txHash) => {
+        journal.pending = { ...range, txHash }
+        writeJson(journalFile, journal)
+      })
+      .catch((err) => { throw decodeError(err) })
+
+    journal.batches.push({ ...range, txHash: receipt.transactionHash, gasUsed: receipt.gasUsed })
+    journal.offset = range.to
+    journal.pending = null
+    writeJson(journalFile, journal)
+
+    log(`uploaded entries ${range.from}-${range.to} of ${entries.length}, gas used ${receipt.gasUsed}`)
+  }
+
+  return journal
+}
+
+/**
+ * Checks that every entry is stored on chain and that season totals match input. Totals are compared only when
+ * season had no rewards before the upload, otherwise they include rewards not part of the input.
+ */
+const verifyUpload = async ({ client, entries, journal, concurrency = 10 }) => {
+  const mismatches = (await mapLimit(entries, concurrency, async (entry) => {
+    const reward = await client.readReward(journal.season, entry.owner)
+    if (reward.amount === entry.amount && reward.destination === entry.destination) return null
+    return { owner: entry.owner, expected: entry, actual: reward }
+  })).filter(Boolean)
+
+  const seasonInfo = await client.readSeasonInfo(journal.season)
+  const expected = {
+    totalRewards: entries.reduce((acc, entry) => acc.add(new BN(entry.amount)), new BN(0)).toString(),
+    rewardCount: String(entries.length)
+  }
+  const totalsComparable = journal.baseline.rewardCount === '0'
+  const totalsMatch = !totalsComparable || (
+    seasonInfo.totalRewards === expected.totalRewards && seasonInfo.rewardCount === expected.rewardCount
+  )
+
+  return {
+    ok: !mismatches.length && totalsMatch,
+    mismatches,
+    totalsComparable,
+    expected,
+    actual: { totalRewards: seasonInfo.totalRewards, rewardCount: seasonInfo.rewardCount }
+  }
+}
+
+module.exports = {
+  normalizeRewards,
+  planBatch,
+  uploadRewards,
+  verifyUpload
+}
@@ -0,0 +1,121 @@
+'use strict'
+
+const Web3 = require('web3')
+const { ROLES } = require('../lib/contract-client')
+const { decodeError } = require('../lib/errors')
+
+const GAS_MARGIN = 1.2
+
+// role names accepted by CLI, roles of other contracts can be passed as bytes32 hex
+const ROLE_NAMES = {
+  admin: ROLES.DEFAULT_ADMIN_ROLE,
+  writer: ROLES.WRITER_ROLE,
+  pauser: ROLES.PAUSER_ROLE
+}
+
+const ACTIONS = ['grant', 'revoke']
+
+const resolveRole = (role) => {
+  if (role in ROLE_NAMES) return ROLE_NAMES[role]
+  if (/^0x[0-9a-f]{64}$/i.test(role)) return role.toLowerCase()
+  throw new TypeError(`unknown role: ${role}, expected one of ${Object.keys(ROLE_NAMES).join(', ')} or bytes32 hex`)
+}
+
+const roleName = (role) => Object.keys(ROLE_NAMES).find(name => ROLE_NAMES[name] === role) || role
+
+/**
+ * Lists members of roles in format role name => members, by default of `DEFAULT_ADMIN_ROLE` and `WRITER_ROLE`.
+ */
+const listRoles = async ({ client, roles = ['admin', 'writer'] }) => {
+  const res = {}
+  for (const role of roles) {
+    res[roleName(resolveRole(role))] = await client.listRoleMembers(resolveRole(role))
+  }
+  return res
+}
+
+/**
+ * Prepares grant or revoke of role without sending it. The plan is marked as `noop` when account already has (or
+ * doesn't have) the role, and `error` holds revert reason when the transaction would fail, e.g. when sender is not
+ * admin of the role.
+ */
+const planRoleChange = async ({ client, action, role, account, from }) => {
+  if (!ACTIONS.includes(action)) throw new TypeError(`unknown action: ${action}, expected grant or revoke`)
+  if (!client.web3.utils.isAddress(account)) throw new TypeError(`invalid account: ${account}`)
+  if (!from) throw new TypeError('transaction sender is required')
+
+  const roleId = resolveRole(role)
+  const method = `${action}Role`
+  const hasRole = await client.hasRole(roleId, account)
+  const plan = {
+    contract: client.address,
+    action,
+    role: roleName(roleId),
+    roleId,
+    account: client.web3.utils.toChecksumAddress(account),
+    from,
+    hasRole,
+    noop: action === 'grant' ? hasRole : !hasRole,
+    data: client.contract.methods[method](roleId, account).encodeABI(),
+    gas: null,
+    error: null
+  }
+
+  if (!plan.noop) {
+    try {
+      plan.gas = Math.ceil((await client.contract.methods[method](roleId, account).estimateGas({ from })) * GAS_MARGIN)
+    } catch (err) {
+      plan.error = decodeError(err).reason || err.message
+    }
+  }
+
+  return plan
+}
+
+/**
+ * Sends planned role change from plan sender.
+ */
+const sendRoleChange = async ({ client, plan }) => {
+  return client[`${plan.action}Role`](plan.roleId, plan.account, { from: plan.from, gas: plan.gas })
+}
+
+/**
+ * Signs planned role change without broadcasting it, with `privateKey` when given and otherwise with sender key of
+ * the provider (e.g. HDWalletProvider). Resolves with multisig payload (`to`, `value`, `data`) and signed raw
+ * transaction that can be broadcast later with `eth_sendRawTransaction`.
+ */
+const signRoleChange = async ({ web3, plan, privateKey }) => {
+  const tx = {
+    from: plan.from,
+    to: plan.contract,
+    value: '0',
+    data: plan.data,
+    gas: plan.gas,
+    gasPrice: String(await web3.eth.getGasPrice()),
+    nonce: await web3.eth.getTransactionCount(plan.from, 'pending'),
+    chainId: await web3.eth.getChainId()
+  }
+
+  let rawTransaction
+  if (privateKey) {
+    // signed offline, nonce, chain id and gas price are already resolved
+    const account = new Web3().eth.accounts.privateKeyToAccount(privateKey)
+    if (account.address !== web3.utils.toChecksumAddress(plan.from)) {
+      throw new Error(`private key does not belong to sender ${plan.from}`)
+    }
+    rawTransaction = (await account.signTransaction(tx)).rawTransaction
+  } else {
+    rawTransaction = (await web3.eth.signTransaction(tx)).raw
+  }
+
+  return { ...plan, transaction: tx, rawTransaction, transactionHash: web3.utils.keccak256(rawTransaction) }
+}
+
+module.exports = {
+  ROLE_NAMES,
+  listRoles,
+  planRoleChange,
+  resolveRole,
+  sendRoleChange,
+  signRoleChange
+}
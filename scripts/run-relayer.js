@@ -0,0 +1,32 @@
+'use strict'
+
+const yargs = require('yargs')
+  .usage('Relays EIP-2771 meta-transactions (e.g. gasless claimReward) through MinimalForwarder')
+  .option('network', { alias: 'n', type: 'string', demandOption: true, describe: 'Network from truffle-config.js' })
+  .option('forwarder', { type: 'string', demandOption: true, describe: 'MinimalForwarder contract address' })
+  .option('target', { alias: 't', type: 'array', demandOption: true, describe: 'Allowed reward season contracts' })
+  .option('from', { alias: 'f', type: 'string', describe: 'Relayer account, defaults to first provider account' })
+  .option('host', { default: '127.0.0.1', type: 'string' })
+  .option('port', { alias: 'p', default: 8546, type: 'number' })
+
+const { MinimalForwarderClient } = require('../lib/forwarder')
+const { getWeb3 } = require('./helper')
+const { createRelayServer } = require('./relayer')
+
+const main = async () => {
+  const argv = yargs.argv
+
+  const web3 = getWeb3(argv.network)
+  const from = argv.from || (await web3.eth.getAccounts())[0]
+  const forwarder = new MinimalForwarderClient({ web3, address: argv.forwarder, from })
+
+  const server = createRelayServer({ forwarder, targets: argv.target })
+  server.listen(argv.port, argv.host, () => {
+    console.log(`relayer ${from} listening on ${argv.host}:${argv.port}, targets:`, argv.target.join(', '))
+  })
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
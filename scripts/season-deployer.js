@@ -0,0 +1,192 @@
+'use strict'
+
+const path = require('path')
+const Web3 = require('web3')
+const { ROLES } = require('../lib/contract-client')
+const { toAmount } = require('../lib/utils')
+const { readJson, writeJson } = require('./helper')
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 }
+
+// constructor params of each contract that can be deployed from config, in order
+const VARIANTS = {
+  ThriveCoinRewardSeason: ['defaultDestination', 'closeDate', 'claimCloseDate'],
+  ThriveCoinRewardSeasonIERC20: ['defaultDestination', 'closeDate', 'claimCloseDate', 'tokenAddress'],
+  ThriveCoinRewardSeasonGasRefundable: ['defaultDestination', 'closeDate', 'claimCloseDate', 'fixedGasFee'],
+  ThriveCoinRewardSeasonIERC20GasRefundable: [
+    'defaultDestination',
+    'closeDate',
+    'claimCloseDate',
+    'fixedGasFee',
+    'tokenAddress'
+  ],
+  ThriveCoinRewardSeasonMerkle: ['defaultDestination', 'merkleRoot', 'totalRewards', 'claimCloseDate'],
+  ThriveCoinRewardSeasonMerkleIERC20: [
+    'defaultDestination',
+    'merkleRoot',
+    'totalRewards',
+    'claimCloseDate',
+    'tokenAddress'
+  ]
+}
+
+/**
+ * Resolves date config to unix timestamp, either a duration from `now` (e.g. `12h`, `30d`) or an ISO date.
+ */
+const resolveDate = (value, now) => {
+  const duration = /^(\d+)([smhdw])$/.exec(String(value).trim())
+  if (duration) return Math.floor(now / 1000) + +duration[1] * DURATION_UNITS[duration[2]]
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value))) {
+    return Math.floor(Date.parse(value) / 1000)
+  }
+
+  throw new TypeError(`invalid date: ${value}, expected duration (e.g. 12h, 30d) or ISO date`)
+}
+
+/**
+ * Resolves account config, either an address or `accounts[<index>]` referring to provider accounts.
+ */
+const resolveAccount = (value, accounts) => {
+  const ref = /^accounts\[(\d+)\]$/.exec(String(value).trim())
+  if (ref) {
+    if (!accounts[ref[1]]) throw new TypeError(`account not found: ${value}`)
+    return accounts[ref[1]]
+  }
+
+  if (!Web3.utils.isAddress(value)) throw new TypeError(`invalid address: ${value}`)
+  return Web3.utils.toChecksumAddress(value)
+}
+
+/**
+ * Validates season config and resolves constructor args. Merkle root and total rewards are read from distribution
+ * file built with `merkle:build`, relative to `baseDir`.
+ */
+const resolveSeason = (name, season, { accounts, now, baseDir }) => {
+  const params = VARIANTS[season.variant]
+  if (!params) throw new TypeError(`${name}: unknown variant ${season.variant}`)
+
+  const isMerkle = params.includes('merkleRoot')
+  const isERC20 = params.includes('tokenAddress')
+  if (isMerkle && season.writers && season.writers.length) {
+    throw new TypeError(`${name}: merkle seasons have no writer role`)
+  }
+  if (!isERC20 && season.fund !== undefined) throw new TypeError(`${name}: only IERC20 seasons can be funded`)
+
+  const distribution = isMerkle && season.distribution ? readJson(path.resolve(baseDir, season.distribution)) : {}
+  const resolvers = {
+    defaultDestination: value => resolveAccount(value, accounts),
+    closeDate: value => resolveDate(value, now),
+    claimCloseDate: value => resolveDate(value, now),
+    tokenAddress: value => resolveAccount(value, accounts),
+    fixedGasFee: toAmount,
+    merkleRoot: value => value,
+    totalRewards: toAmount
+  }
+
+  const args = params.reduce((acc, param) => {
+    const fromDistribution = ['merkleRoot', 'totalRewards'].includes(param)
+    const value = fromDistribution ? distribution[param] : season[param]
+    if (value === undefined || value === null || value === '') {
+      throw new TypeError(`${name}: ${fromDistribution ? 'distribution' : param} is required for ${season.variant}`)
+    }
+    acc[param] = resolvers[param](value)
+    return acc
+  }, {})
+
+  return {
+    variant: season.variant,
+    args,
+    admins: (season.admins || []).map(account => resolveAccount(account, accounts)),
+    writers: (season.writers || []).map(account => resolveAccount(account, accounts)),
+    fund: season.fund !== undefined ? toAmount(season.fund) : null
+  }
+}
+
+/**
+ * Loads deployment config of network, resolves to null when the network has no config.
+ */
+const loadDeployConfig = (configDir, network) => {
+  const file = path.join(configDir, `${network}.json`)
+  const config = readJson(file, null)
+  if (config && (typeof config.seasons !== 'object' || Array.isArray(config.seasons))) {
+    throw new TypeError(`${file} should contain seasons object in format name => season config`)
+  }
+  return config
+}
+
+/**
+ * Deploys all seasons of config, grants roles to configured accounts, funds IERC20 seasons by transferring tokens
+ * from deployer and stores deployments in manifest. `deploy(artifact, ...args)` resolves with the deployed instance,
+ * so migrations can pass truffle deployer while tests pass `artifact.new`.
+ */
+const deploySeasons = async ({
+  web3,
+  artifacts,
+  deploy,
+  config,
+  network,
+  from,
+  accounts,
+  configDir,
+  manifestFile,
+  now = Date.now(),
+  log = () => {}
+}) => {
+  // resolve all seasons first so that invalid config fails before sending any transaction
+  const seasons = Object.entries(config.seasons).map(([name, season]) => ({
+    name,
+    ...resolveSeason(name, season, { accounts, now, baseDir: configDir })
+  }))
+
+  const { seasons: deployed } = readJson(manifestFile, { seasons: {} })
+  const manifest = { network, chainId: await web3.eth.getChainId(), updatedAt: null, seasons: deployed }
+
+  for (const season of seasons) {
+    const artifact = artifacts.require(season.variant)
+    const instance = await deploy(artifact, ...Object.values(season.args), { from })
+    log(`${season.name}: deployed ${season.variant} at ${instance.address}`)
+
+    const isMerkle = 'merkleRoot' in season.args
+    const roles = { admins: [from], writers: isMerkle ? [] : [from] }
+    const grants = [
+      ...season.admins.map(account => ['admins', ROLES.DEFAULT_ADMIN_ROLE, account]),
+      ...season.writers.map(account => ['writers', ROLES.WRITER_ROLE, account])
+    ]
+    for (const [key, role, account] of grants) {
+      if (roles[key].includes(account)) continue
+      await instance.grantRole(role, account, { from })
+      roles[key].push(account)
+      log(`${season.name}: granted ${key.slice(0, -1)} role to ${account}`)
+    }
+
+    if (season.fund !== null) {
+      const token = await artifacts.require('IERC20').at(season.args.tokenAddress)
+      await token.transfer(instance.address, season.fund, { from })
+      log(`${season.name}: funded with ${season.fund} tokens`)
+    }
+
+    manifest.seasons[season.name] = {
+      variant: season.variant,
+      address: instance.address,
+      transactionHash: instance.transactionHash,
+      deployer: from,
+      args: Object.fromEntries(Object.entries(season.args).map(([key, value]) => [key, String(value)])),
+      roles,
+      ...(season.fund !== null ? { fund: season.fund } : {})
+    }
+    manifest.updatedAt = new Date().toISOString()
+    writeJson(manifestFile, manifest)
+  }
+
+  return manifest
+}
+
+module.exports = {
+  VARIANTS,
+  deploySeasons,
+  loadDeployConfig,
+  resolveAccount,
+  resolveDate,
+  resolveSeason
+}
@@ -0,0 +1,48 @@
+'use strict'
+
+const Web3 = require('web3')
+const { mapLimit } = require('../lib/utils')
+
+const { BN } = Web3.utils
+
+/**
+ * Reads all rewards of a season through readRewardByIndex, running at most `concurrency` calls at once, and
+ * reconciles their sum against season totalRewards and claimedRewards. All calls read state of the same block
+ * (latest one when `blockNumber` is omitted), so claims and removals that swap reward indexes during the export
+ * don't skip or duplicate owners.
+ */
+const exportSeason = async ({ client, season, concurrency = 10, blockNumber }) => {
+  if (blockNumber === undefined) blockNumber = await client.web3.eth.getBlockNumber()
+
+  const seasonInfo = await client.readSeasonInfo(season, blockNumber)
+  const indexes = Array.from({ length: +seasonInfo.rewardCount }, (_, i) => i)
+
+  const rewards = await mapLimit(indexes, concurrency, async (index) => {
+    const { owner, reward } = await client.readRewardByIndex(season, index, blockNumber)
+    return { index, owner, destination: reward.destination, amount: reward.amount, claimed: reward.claimed }
+  })
+
+  const sumRewards = rewards.reduce((acc, r) => acc.add(new BN(r.amount)), new BN(0)).toString()
+  const sumClaimed = rewards.filter(r => r.claimed).reduce((acc, r) => acc.add(new BN(r.amount)), new BN(0)).toString()
+
+  const summary = {
+    contract: client.address,
+    season: +season,
+    blockNumber,
+    rewardCount: rewards.length,
+    claimedCount: rewards.filter(r => r.claimed).length,
+    totalRewards: seasonInfo.totalRewards,
+    claimedRewards: seasonInfo.claimedRewards,
+    unclaimedFundsSent: seasonInfo.unclaimedFundsSent,
+    sumRewards,
+    sumClaimed,
+    totalRewardsMatch: sumRewards === seasonInfo.totalRewards,
+    claimedRewardsMatch: sumClaimed === seasonInfo.claimedRewards
+  }
+
+  return { summary, rewards }
+}
+
+module.exports = {
+  exportSeason
+}
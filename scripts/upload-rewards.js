@@ -0,0 +1,61 @@
+'use strict'
+
+const yargs = require('yargs')
+  .usage('Uploads owner,destination,amount CSV/JSON rewards to current season through addRewardBatch')
+  .option('network', { alias: 'n', type: 'string', demandOption: true, describe: 'Network from truffle-config.js' })
+  .option('contract', { alias: 'c', type: 'string', demandOption: true, describe: 'Reward season contract address' })
+  .option('input', { alias: 'i', type: 'string', demandOption: true, describe: 'CSV or JSON rewards file' })
+  .option('journal', { alias: 'j', type: 'string', describe: 'Progress journal, defaults to <input>.journal.json' })
+  .option('from', { alias: 'f', type: 'string', describe: 'Writer account, defaults to first provider account' })
+  .option('batch-size', { alias: 'b', default: 200, type: 'number', describe: 'Max entries per transaction' })
+  .option('max-gas', { alias: 'g', default: 5000000, type: 'number', describe: 'Max gas per transaction' })
+  .option('verify-only', { default: false, type: 'boolean', describe: 'Skip upload and only verify journal' })
+  .option('reset', { default: false, type: 'boolean', describe: 'Discard existing journal and start over' })
+
+const { ThriveCoinRewardSeasonClient } = require('../lib/reward-season')
+const { closeWeb3, getWeb3, readJson, readRecords } = require('./helper')
+const { normalizeRewards, uploadRewards, verifyUpload } = require('./reward-uploader')
+
+const main = async () => {
+  const argv = yargs.argv
+  const journalFile = argv.journal || `${argv.input}.journal.json`
+  const entries = normalizeRewards(readRecords(argv.input, ['owner', 'destination', 'amount']))
+
+  const web3 = getWeb3(argv.network)
+  try {
+    const from = argv.from || (await web3.eth.getAccounts())[0]
+    const client = new ThriveCoinRewardSeasonClient({ web3, address: argv.contract, from })
+
+    const journal = argv.verifyOnly
+      ? readJson(journalFile)
+      : await uploadRewards({
+        client,
+        entries,
+        journalFile,
+        from,
+        batchSize: argv.batchSize,
+        maxGas: argv.maxGas,
+        reset: argv.reset,
+        log: console.log
+      })
+
+    const res = await verifyUpload({ client, entries, journal })
+    console.log('----')
+    console.log('season', journal.season)
+    console.log('transactions', journal.batches.length)
+    console.log('expected', res.expected)
+    console.log('actual', res.actual)
+    if (!res.totalsComparable) console.log('season had rewards before upload, totals are not compared')
+    res.mismatches.forEach(m => console.log('mismatch', m.owner, m.expected, m.actual))
+    console.log(res.ok ? 'verification passed' : 'verification failed')
+
+    process.exitCode = res.ok ? 0 : 1
+  } finally {
+    closeWeb3(web3)
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
@@ -0,0 +1,36 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const Web3 = require('web3')
+const yargs = require('yargs')
+  .usage('Serves merkle proofs for ThriveCoinRewardSeasonMerkle claimants')
+  .option('config', { alias: 'c', type: 'string', default: path.join(__dirname, 'config.json') })
+
+const { createProofServer } = require('./proof-server')
+
+const main = async () => {
+  const argv = yargs.argv
+  const config = JSON.parse(fs.readFileSync(argv.config, 'utf8'))
+  const baseDir = path.dirname(path.resolve(argv.config))
+
+  const distributions = {}
+  for (const [season, file] of Object.entries(config.distributions)) {
+    distributions[season] = JSON.parse(fs.readFileSync(path.resolve(baseDir, file), 'utf8'))
+  }
+
+  const web3 = new Web3(config.rpcUrl)
+  // multi token distributions need ABI of ThriveCoinRewardSeasonMerkleMultiToken for claimed status per token
+  const contractJson = require(`../build/contracts/${config.contractName || 'ThriveCoinRewardSeasonMerkle'}.json`)
+  const contract = new web3.eth.Contract(contractJson.abi, config.contractAddress)
+
+  const server = createProofServer({ distributions, contract })
+  server.listen(config.port, config.host, () => {
+    console.log(`proof server listening on ${config.host}:${config.port}, seasons:`, Object.keys(distributions).join(', '))
+  })
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
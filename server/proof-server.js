@@ -0,0 +1,97 @@
+'use strict'
+
+const http = require('http')
+const { getClaim } = require('../lib/merkle-distribution')
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Creates HTTP server that serves claim amounts and merkle proofs from distribution files. Distributions built with
+ * `withToken` hold a claim per token of the address, those are served all at once or for a single token.
+ *
+ * @param {object} opts
+ * @param {object} opts.distributions - Distribution data in format season_index => distribution
+ * @param {object} opts.contract - web3 contract instance of ThriveCoinRewardSeasonMerkle, or of
+ *                                 ThriveCoinRewardSeasonMerkleMultiToken for multi token distributions, used for
+ *                                 claimed status
+ */
+const createProofServer = ({ distributions, contract }) => {
+  const readTokenClaim = async (season, address, token, { amount, proof }) => {
+    const claimed = await contract.methods.readReward(season, address, token).call()
+    return { amount, proof, claimed }
+  }
+
+  const routes = [
+    {
+      pattern: /^\/seasons\/?$/,
+      handler: async () => [200, Object.keys(distributions).map((season) => ({
+        season: +season,
+        merkleRoot: distributions[season].merkleRoot,
+        ...(distributions[season].tokens && { tokens: distributions[season].tokens }),
+        totalRewards: distributions[season].totalRewards,
+        claimCount: distributions[season].claimCount
+      }))]
+    },
+    {
+      pattern: /^\/seasons\/(\d+)\/proofs\/([^/]+)\/?$/,
+      handler: async (season, address) => {
+        const distribution = distributions[season]
+        if (!distribution) return [404, { error: 'season not found' }]
+
+        const claim = getClaim(distribution, address)
+        if (!claim) return [404, { error: 'reward not found' }]
+
+        if (distribution.tokens) {
+          const claims = {}
+          for (const token of Object.keys(claim)) {
+            claims[token] = await readTokenClaim(season, address, token, claim[token])
+          }
+          return [200, { season: +season, address, claims }]
+        }
+
+        const claimed = await contract.methods.readReward(season, address).call()
+        const { amount, proof, destination } = claim
+        return [200, { season: +season, address, ...(destination && { destination }), amount, proof, claimed }]
+      }
+    },
+    {
+      pattern: /^\/seasons\/(\d+)\/proofs\/([^/]+)\/([^/]+)\/?$/,
+      handler: async (season, address, token) => {
+        const distribution = distributions[season]
+        if (!distribution) return [404, { error: 'season not found' }]
+        if (!distribution.tokens) return [404, { error: 'season has no tokens' }]
+
+        const claim = getClaim(distribution, address, token)
+        if (!claim) return [404, { error: 'reward not found' }]
+
+        return [200, { season: +season, address, token, ...(await readTokenClaim(season, address, token, claim)) }]
+      }
+    }
+  ]
+
+  return http.createServer(async (req, res) => {
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'method not allowed' })
+
+    const { pathname } = new URL(req.url, 'http://localhost')
+    for (const { pattern, handler } of routes) {
+      const match = pathname.match(pattern)
+      if (!match) continue
+
+      try {
+        const [status, body] = await handler(...match.slice(1))
+        return sendJson(res, status, body)
+      } catch (err) {
+        return sendJson(res, 502, { error: err.message })
+      }
+    }
+
+    sendJson(res, 404, { error: 'not found' })
+  })
+}
+
+module.exports = {
+  createProofServer
+}
@@ -3,3 +3,4 @@ set -e
 
 cp truffle-config.js.example truffle-config.js
 cp client/config.json.example client/config.json
+cp server/config.json.example server/config.json
@@ -121,45 +121,44 @@ describe('ThriveCoinRewardSeason', () => {
       assert.strictEqual(seasonInfo.unclaimedFundsSent, false)
     })
 
-    it('adding season should fail if block time is before claim close date', async () => {
+    it('season can be added while previous season is still open', async () => {
       contract = await ThriveCoinRewardSeason.new(
         ...Object.values(contractArgs),
         { from: accounts[0] }
       )
 
-      try {
-        const defaultDestination = accounts[1]
-        const closeDate = Math.floor(now / 1000) + 43200
-        const claimCloseDate = Math.floor(now / 1000) + 86400
-        await contract.addSeason(defaultDestination, closeDate, claimCloseDate, { from: accounts[0] })
-        throw new Error('Should not reach here')
-      } catch (err) {
-        assert.ok(err.message.includes('ThriveCoinRewardSeason: previous season not fully closed'))
-      }
+      const defaultDestination = accounts[1]
+      const closeDate = Math.floor(now / 1000) + 43200
+      const claimCloseDate = Math.floor(now / 1000) + 86400
+      await contract.addSeason(defaultDestination, closeDate, claimCloseDate, { from: accounts[0] })
+
+      assert.strictEqual((await contract.currentSeason()).toString(), '2')
+      assert.strictEqual(await contract.isSeasonOpen(1), true)
+      assert.strictEqual(await contract.isSeasonOpen(2), true)
+      assert.strictEqual(await contract.isSeasonOpen(3), false)
     })
 
-    it('adding season should fail if unclaimed funds are not sent', async () => {
+    it('season can be added while previous season has unclaimed funds', async () => {
       contract = await ThriveCoinRewardSeason.new(
         ...Object.values(contractArgs),
         { from: accounts[0] }
       )
 
-      try {
-        const userReward = { owner: accounts[0], destination: accounts[0], amount: '5' }
-        await contract.addReward(userReward, { from: accounts[0] })
+      const userReward = { owner: accounts[0], destination: accounts[0], amount: '5' }
+      await contract.addReward(userReward, { from: accounts[0] })
 
-        const checkpoint = 86400 * 2
-        await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
-        await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+      const checkpoint = 86400 * 2
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
 
-        const defaultDestination = accounts[1]
-        const closeDate = Math.floor(now / 1000) + checkpoint + 43200
-        const claimCloseDate = Math.floor(now / 1000) + checkpoint + 86400
-        await contract.addSeason(defaultDestination, closeDate, claimCloseDate, { from: accounts[0] })
-        throw new Error('Should not reach here')
-      } catch (err) {
-        assert.ok(err.message.includes('ThriveCoinRewardSeason: unclaimed funds not sent yet'))
-      }
+      const defaultDestination = accounts[1]
+      const closeDate = Math.floor(now / 1000) + checkpoint + 43200
+      const claimCloseDate = Math.floor(now / 1000) + checkpoint + 86400
+      await contract.addSeason(defaultDestination, closeDate, claimCloseDate, { from: accounts[0] })
+
+      assert.strictEqual(await contract.isSeasonOpen(1), false)
+      await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+      assert.strictEqual((await contract.readSeasonInfo(1)).unclaimedFundsSent, true)
     })
 
     it('adding season should fail if default destination is zero address', async () => {
@@ -382,5 +381,197 @@ describe('ThriveCoinRewardSeason', () => {
         assert.strictEqual(season.defaultDestination, accounts[1])
       }
     })
+
+    it('deployment should emit SeasonAdded event for initial season', async () => {
+      contract = await ThriveCoinRewardSeason.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const [txLog] = await contract.getPastEvents('SeasonAdded', { fromBlock: 0, toBlock: 'latest' })
+      assert.strictEqual(txLog.event, 'SeasonAdded')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(txLog.args.defaultDestination, contractArgs.defaultDestination)
+      assert.strictEqual(+txLog.args.closeDate, contractArgs.closeDate)
+      assert.strictEqual(+txLog.args.claimCloseDate, contractArgs.claimCloseDate)
+    })
+
+    it('addSeason should emit SeasonAdded event', async () => {
+      contract = await ThriveCoinRewardSeason.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const checkpoint = 86401
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const defaultDestination = accounts[2]
+      const closeDate = Math.floor(now / 1000) + checkpoint + 43200
+      const claimCloseDate = Math.floor(now / 1000) + checkpoint + 86400
+      const res = await contract.addSeason(defaultDestination, closeDate, claimCloseDate, { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'SeasonAdded')
+      assert.strictEqual(+txLog.args.season, 2)
+      assert.strictEqual(txLog.args.defaultDestination, defaultDestination)
+      assert.strictEqual(+txLog.args.closeDate, closeDate)
+      assert.strictEqual(+txLog.args.claimCloseDate, claimCloseDate)
+    })
+
+    it('setSeasonCloseDate should extend close date of current season and emit event', async () => {
+      contract = await ThriveCoinRewardSeason.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const closeDate = contractArgs.closeDate + 3600
+      const res = await contract.setSeasonCloseDate(closeDate, { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'SeasonCloseDateChanged')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(+txLog.args.oldCloseDate, contractArgs.closeDate)
+      assert.strictEqual(+txLog.args.newCloseDate, closeDate)
+      assert.strictEqual(+(await contract.readSeasonInfo(1)).closeDate, closeDate)
+
+      // season stays open past its original close date
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+      assert.strictEqual(await contract.isSeasonOpen(1), true)
+    })
+
+    it('setSeasonCloseDate should shorten close date while season is open', async () => {
+      contract = await ThriveCoinRewardSeason.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      await contract.setSeasonCloseDate(contractArgs.closeDate - 3600, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200 - 3599], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+      assert.strictEqual(await contract.isSeasonOpen(1), false)
+    })
+
+    it('setSeasonCloseDate should fail with invalid dates or once season is closed', async () => {
+      contract = await ThriveCoinRewardSeason.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      try {
+        await contract.setSeasonCloseDate(Math.floor(now / 1000) - 60, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: close date already reached'))
+      }
+
+      try {
+        await contract.setSeasonCloseDate(contractArgs.claimCloseDate, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: close date should be before claim close date'))
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.setSeasonCloseDate(contractArgs.closeDate + 43200, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+      }
+    })
+
+    it('setClaimCloseDate should extend claim window of current season and emit event', async () => {
+      contract = await ThriveCoinRewardSeason.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+      await contract.addReward({ owner: accounts[2], destination: accounts[2], amount: '5' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      // claim close date can be changed after season is closed
+      const claimCloseDate = contractArgs.claimCloseDate + 86400
+      const res = await contract.setClaimCloseDate(claimCloseDate, { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'ClaimCloseDateChanged')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(+txLog.args.oldClaimCloseDate, contractArgs.claimCloseDate)
+      assert.strictEqual(+txLog.args.newClaimCloseDate, claimCloseDate)
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.sendUnclaimedFunds({ from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: deadline for claiming not reached'))
+      }
+
+      await contract.claimReward(accounts[2], { from: accounts[2] })
+      assert.strictEqual((await contract.readReward(1, accounts[2])).claimed, true)
+    })
+
+    it('setClaimCloseDate should fail with invalid dates or once claim window is over', async () => {
+      contract = await ThriveCoinRewardSeason.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      try {
+        await contract.setClaimCloseDate(contractArgs.closeDate, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: close date should be before claim close date'))
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.setClaimCloseDate(Math.floor(now / 1000) + 60, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: claim close date already reached'))
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.setClaimCloseDate(contractArgs.claimCloseDate + 86400, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: deadline for claiming reached'))
+      }
+    })
+
+    it('only admin can change season dates', async () => {
+      contract = await ThriveCoinRewardSeason.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      try {
+        await contract.setSeasonCloseDate(contractArgs.closeDate + 60, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+
+      try {
+        await contract.setClaimCloseDate(contractArgs.claimCloseDate + 60, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+    })
   })
 })
@@ -593,5 +593,659 @@ describe('ThriveCoinRewardSeason', () => {
         assert.strictEqual(rewardByIndex.reward.amount, userRewardsSeason2[i].amount)
       }
     })
+
+    it('addReward should emit RewardSet event with old and new amount', async () => {
+      let res = await contract.addReward(
+        { owner: accounts[0], destination: accounts[1], amount: '5' },
+        { from: accounts[0] }
+      )
+      let txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'RewardSet')
+      assert.strictEqual(+txLog.args.season, seasonIndex)
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.destination, accounts[1])
+      assert.strictEqual(txLog.args.oldAmount.toString(), '0')
+      assert.strictEqual(txLog.args.newAmount.toString(), '5')
+
+      res = await contract.addReward(
+        { owner: accounts[0], destination: accounts[2], amount: '3' },
+        { from: accounts[0] }
+      )
+      txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'RewardSet')
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.destination, accounts[2])
+      assert.strictEqual(txLog.args.oldAmount.toString(), '5')
+      assert.strictEqual(txLog.args.newAmount.toString(), '3')
+    })
+
+    it('addRewardBatch should emit RewardSet event for each entry', async () => {
+      await contract.addReward({ owner: accounts[1], destination: accounts[1], amount: '2' }, { from: accounts[0] })
+
+      const userRewards = [
+        { owner: accounts[0], destination: accounts[0], amount: '3' },
+        { owner: accounts[1], destination: accounts[2], amount: '4' }
+      ]
+      const res = await contract.addRewardBatch(userRewards, { from: accounts[0] })
+
+      assert.strictEqual(res.logs.length, 2)
+      assert.ok(res.logs.every(txLog => txLog.event === 'RewardSet'))
+      assert.strictEqual(res.logs[0].args.owner, accounts[0])
+      assert.strictEqual(res.logs[0].args.oldAmount.toString(), '0')
+      assert.strictEqual(res.logs[0].args.newAmount.toString(), '3')
+      assert.strictEqual(res.logs[1].args.owner, accounts[1])
+      assert.strictEqual(res.logs[1].args.destination, accounts[2])
+      assert.strictEqual(res.logs[1].args.oldAmount.toString(), '2')
+      assert.strictEqual(res.logs[1].args.newAmount.toString(), '4')
+    })
+
+    it('claimReward should emit RewardClaimed event', async () => {
+      const userReward = { owner: accounts[0], destination: accounts[1], amount: '5' }
+      await contract.addReward(userReward, { from: accounts[0] })
+
+      const checkpoint = 43201
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const res = await contract.claimReward(accounts[0], { from: accounts[1] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'RewardClaimed')
+      assert.strictEqual(+txLog.args.season, seasonIndex)
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.destination, accounts[1])
+      assert.strictEqual(txLog.args.amount.toString(), '5')
+    })
+
+    it('sendUnclaimedFunds should emit UnclaimedFundsSent event', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[1], destination: accounts[1], amount: '3' }, { from: accounts[0] })
+
+      const checkpoint = 43201
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint * 2], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const res = await contract.sendUnclaimedFunds({ from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'UnclaimedFundsSent')
+      assert.strictEqual(+txLog.args.season, seasonIndex)
+      assert.strictEqual(txLog.args.destination, contractArgs.defaultDestination)
+      assert.strictEqual(txLog.args.amount.toString(), '3')
+    })
+
+    it('pause and unpause should emit Paused and Unpaused events', async () => {
+      let res = await contract.pause({ from: accounts[0] })
+      assert.strictEqual(res.logs[0].event, 'Paused')
+      assert.strictEqual(res.logs[0].args.account, accounts[0])
+      assert.strictEqual(await contract.paused(), true)
+
+      res = await contract.unpause({ from: accounts[0] })
+      assert.strictEqual(res.logs[0].event, 'Unpaused')
+      assert.strictEqual(res.logs[0].args.account, accounts[0])
+      assert.strictEqual(await contract.paused(), false)
+    })
+
+    it('addReward should fail while contract is paused', async () => {
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+    })
+
+    it('addRewardBatch should fail while contract is paused', async () => {
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        const userRewards = [
+          { owner: accounts[0], destination: accounts[0], amount: '3' },
+          { owner: accounts[1], destination: accounts[2], amount: '4' }
+        ]
+        await contract.addRewardBatch(userRewards, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+    })
+
+    it('claimReward should fail while contract is paused and succeed once unpaused', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      const checkpoint = 43201
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.claimReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      await contract.unpause({ from: accounts[0] })
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+
+      const reward = await contract.readReward(seasonIndex, accounts[0])
+      assert.strictEqual(reward.claimed, true)
+    })
+
+    it('sendUnclaimedFunds should not be affected by pause', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+      await contract.pause({ from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86401], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.unclaimedFundsSent, true)
+    })
+
+    it('incrementReward should create reward when it does not exist and add to it otherwise', async () => {
+      let res = await contract.incrementReward(
+        { owner: accounts[0], destination: accounts[1], amount: '5' },
+        { from: accounts[0] }
+      )
+      assert.strictEqual(res.logs[0].event, 'RewardSet')
+      assert.strictEqual(res.logs[0].args.oldAmount.toString(), '0')
+      assert.strictEqual(res.logs[0].args.newAmount.toString(), '5')
+
+      res = await contract.incrementReward(
+        { owner: accounts[0], destination: accounts[2], amount: '3' },
+        { from: accounts[0] }
+      )
+      assert.strictEqual(res.logs[0].args.oldAmount.toString(), '5')
+      assert.strictEqual(res.logs[0].args.newAmount.toString(), '8')
+
+      const reward = await contract.readReward(seasonIndex, accounts[0])
+      assert.strictEqual(reward.destination, accounts[2])
+      assert.strictEqual(reward.amount, '8')
+      assert.strictEqual(reward.claimed, false)
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.totalRewards, '8')
+      assert.strictEqual(seasonInfo.rewardCount, '1')
+    })
+
+    it('incrementRewardBatch should sum up amounts including repeated owners', async () => {
+      await contract.addReward({ owner: accounts[1], destination: accounts[1], amount: '2' }, { from: accounts[0] })
+
+      const userRewards = [
+        { owner: accounts[0], destination: accounts[0], amount: '3' },
+        { owner: accounts[1], destination: accounts[1], amount: '4' },
+        { owner: accounts[0], destination: accounts[0], amount: '1' }
+      ]
+      const res = await contract.incrementRewardBatch(userRewards, { from: accounts[0] })
+      assert.strictEqual(res.logs.length, 3)
+
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[0])).amount, '4')
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[1])).amount, '6')
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.totalRewards, '10')
+      assert.strictEqual(seasonInfo.rewardCount, '2')
+    })
+
+    it('decrementReward should subtract from existing reward', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      const res = await contract.decrementReward(
+        { owner: accounts[0], destination: accounts[1], amount: '2' },
+        { from: accounts[0] }
+      )
+      assert.strictEqual(res.logs[0].args.oldAmount.toString(), '5')
+      assert.strictEqual(res.logs[0].args.newAmount.toString(), '3')
+
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[0])).amount, '3')
+      assert.strictEqual((await contract.readSeasonInfo(seasonIndex)).totalRewards, '3')
+    })
+
+    it('decrementReward should fail when reward is not found or amount exceeds reward', async () => {
+      try {
+        await contract.decrementReward({ owner: accounts[0], destination: accounts[1], amount: '0' }, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: reward not found'))
+      }
+
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      try {
+        await contract.decrementReward({ owner: accounts[0], destination: accounts[1], amount: '6' }, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: decrement exceeds reward amount'))
+      }
+
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[0])).amount, '5')
+    })
+
+    it('decrementRewardBatch should revert whole batch on underflow', async () => {
+      await contract.addRewardBatch([
+        { owner: accounts[0], destination: accounts[0], amount: '3' },
+        { owner: accounts[1], destination: accounts[1], amount: '4' }
+      ], { from: accounts[0] })
+
+      try {
+        await contract.decrementRewardBatch([
+          { owner: accounts[0], destination: accounts[0], amount: '3' },
+          { owner: accounts[1], destination: accounts[1], amount: '5' }
+        ], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: decrement exceeds reward amount'))
+      }
+
+      await contract.decrementRewardBatch([
+        { owner: accounts[0], destination: accounts[0], amount: '3' },
+        { owner: accounts[1], destination: accounts[1], amount: '1' }
+      ], { from: accounts[0] })
+
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[0])).amount, '0')
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[1])).amount, '3')
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.totalRewards, '3')
+      assert.strictEqual(seasonInfo.rewardCount, '2')
+    })
+
+    it('mixed set, increment and decrement calls should keep total rewards consistent', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[0], amount: '10' }, { from: accounts[0] })
+      await contract.incrementReward({ owner: accounts[0], destination: accounts[0], amount: '5' }, { from: accounts[0] })
+      await contract.incrementRewardBatch([
+        { owner: accounts[1], destination: accounts[1], amount: '7' },
+        { owner: accounts[2], destination: accounts[2], amount: '1' }
+      ], { from: accounts[0] })
+      await contract.decrementReward({ owner: accounts[1], destination: accounts[1], amount: '2' }, { from: accounts[0] })
+      await contract.addRewardBatch([
+        { owner: accounts[0], destination: accounts[0], amount: '4' },
+        { owner: accounts[3], destination: accounts[3], amount: '6' }
+      ], { from: accounts[0] })
+      await contract.incrementReward({ owner: accounts[0], destination: accounts[0], amount: '1' }, { from: accounts[0] })
+
+      const expected = { [accounts[0]]: '5', [accounts[1]]: '5', [accounts[2]]: '1', [accounts[3]]: '6' }
+      for (const owner in expected) {
+        assert.strictEqual((await contract.readReward(seasonIndex, owner)).amount, expected[owner])
+      }
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.totalRewards, '17')
+      assert.strictEqual(seasonInfo.rewardCount, '4')
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.claimReward(accounts[1], { from: accounts[1] })
+      assert.strictEqual((await contract.readSeasonInfo(seasonIndex)).claimedRewards, '5')
+    })
+
+    it('increment and decrement should fail when season is closed or contract is paused', async () => {
+      const userReward = { owner: accounts[0], destination: accounts[1], amount: '5' }
+      await contract.addReward(userReward, { from: accounts[0] })
+      await contract.pause({ from: accounts[0] })
+
+      for (const method of ['incrementReward', 'decrementReward']) {
+        try {
+          await contract[method](userReward, { from: accounts[0] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('Pausable: paused'))
+        }
+      }
+
+      await contract.unpause({ from: accounts[0] })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      for (const method of ['incrementReward', 'decrementReward']) {
+        try {
+          await contract[method](userReward, { from: accounts[0] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+        }
+      }
+
+      for (const method of ['incrementRewardBatch', 'decrementRewardBatch']) {
+        try {
+          await contract[method]([userReward], { from: accounts[0] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+        }
+      }
+    })
+
+    it('removeReward should drop reward from index and update season totals', async () => {
+      const userRewards = [
+        { owner: accounts[0], destination: accounts[0], amount: '3' },
+        { owner: accounts[1], destination: accounts[2], amount: '4' },
+        { owner: accounts[2], destination: accounts[2], amount: '5' }
+      ]
+      await contract.addRewardBatch(userRewards, { from: accounts[0] })
+
+      const res = await contract.removeReward(accounts[0], { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'RewardRemoved')
+      assert.strictEqual(+txLog.args.season, seasonIndex)
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.amount.toString(), '3')
+
+      const reward = await contract.readReward(seasonIndex, accounts[0])
+      assert.strictEqual(reward.destination, ADDRESS_ZERO)
+      assert.strictEqual(reward.amount, '0')
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.totalRewards, '9')
+      assert.strictEqual(seasonInfo.rewardCount, '2')
+
+      // last entry is moved to the index of removed one
+      let rewardByIndex = await contract.readRewardByIndex(seasonIndex, 0)
+      assert.strictEqual(rewardByIndex.owner, accounts[2])
+      assert.strictEqual(rewardByIndex.reward.amount, '5')
+      rewardByIndex = await contract.readRewardByIndex(seasonIndex, 1)
+      assert.strictEqual(rewardByIndex.owner, accounts[1])
+      rewardByIndex = await contract.readRewardByIndex(seasonIndex, 2)
+      assert.strictEqual(rewardByIndex.owner, ADDRESS_ZERO)
+    })
+
+    it('removed reward can be added again as a new entry', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[0], amount: '3' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[1], destination: accounts[1], amount: '4' }, { from: accounts[0] })
+      await contract.removeReward(accounts[1], { from: accounts[0] })
+
+      const res = await contract.incrementReward(
+        { owner: accounts[1], destination: accounts[2], amount: '2' },
+        { from: accounts[0] }
+      )
+      assert.strictEqual(res.logs[0].args.oldAmount.toString(), '0')
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.totalRewards, '5')
+      assert.strictEqual(seasonInfo.rewardCount, '2')
+
+      const rewardByIndex = await contract.readRewardByIndex(seasonIndex, 1)
+      assert.strictEqual(rewardByIndex.owner, accounts[1])
+      assert.strictEqual(rewardByIndex.reward.destination, accounts[2])
+      assert.strictEqual(rewardByIndex.reward.amount, '2')
+    })
+
+    it('zero amount rewards should be registered once and be removable', async () => {
+      await contract.addReward({ owner: accounts[0], destination: ADDRESS_ZERO, amount: '0' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[0], destination: ADDRESS_ZERO, amount: '0' }, { from: accounts[0] })
+      assert.strictEqual((await contract.readSeasonInfo(seasonIndex)).rewardCount, '1')
+
+      await contract.removeReward(accounts[0], { from: accounts[0] })
+      assert.strictEqual((await contract.readSeasonInfo(seasonIndex)).rewardCount, '0')
+    })
+
+    it('removeReward should fail when reward is not found', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[0], amount: '3' }, { from: accounts[0] })
+      await contract.removeReward(accounts[0], { from: accounts[0] })
+
+      try {
+        await contract.removeReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: reward not found'))
+      }
+    })
+
+    it('removeRewardBatch should remove multiple rewards and revert whole batch when one is missing', async () => {
+      const userRewards = accounts.slice(0, 5).map((owner, i) => ({ owner, destination: owner, amount: `${i + 1}` }))
+      await contract.addRewardBatch(userRewards, { from: accounts[0] })
+
+      try {
+        await contract.removeRewardBatch([accounts[1], accounts[6]], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: reward not found'))
+      }
+
+      const res = await contract.removeRewardBatch([accounts[4], accounts[0], accounts[2]], { from: accounts[0] })
+      assert.strictEqual(res.logs.length, 3)
+      assert.ok(res.logs.every(txLog => txLog.event === 'RewardRemoved'))
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.totalRewards, '6')
+      assert.strictEqual(seasonInfo.rewardCount, '2')
+
+      const owners = []
+      for (let i = 0; i < 2; i++) {
+        owners.push((await contract.readRewardByIndex(seasonIndex, i)).owner)
+      }
+      assert.deepStrictEqual(owners.sort(), [accounts[1], accounts[3]].sort())
+    })
+
+    it('removeReward and removeRewardBatch should fail when season is closed or contract is paused', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[0], amount: '3' }, { from: accounts[0] })
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.removeReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      await contract.unpause({ from: accounts[0] })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.removeReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+      }
+
+      try {
+        await contract.removeRewardBatch([accounts[0]], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+      }
+    })
+
+    it('rewards can be added to multiple open seasons at once', async () => {
+      await contract.addSeason(accounts[2], contractArgs.closeDate + 100, contractArgs.claimCloseDate + 100, { from: accounts[0] })
+      assert.strictEqual((await contract.currentSeason()).toString(), '2')
+
+      // single argument variants write to current season
+      await contract.addReward({ owner: accounts[0], destination: accounts[0], amount: '5' }, { from: accounts[0] })
+      const res = await contract.methods['addReward(uint256,(address,address,uint256))'](1, { owner: accounts[0], destination: accounts[1], amount: '3' }, { from: accounts[0] })
+      assert.strictEqual(+res.logs[0].args.season, 1)
+      await contract.methods['addRewardBatch(uint256,(address,address,uint256)[])'](1, [
+        { owner: accounts[1], destination: accounts[1], amount: '4' },
+        { owner: accounts[2], destination: accounts[2], amount: '1' }
+      ], { from: accounts[0] })
+
+      let reward = await contract.readReward(1, accounts[0])
+      assert.strictEqual(reward.destination, accounts[1])
+      assert.strictEqual(reward.amount, '3')
+      reward = await contract.readReward(2, accounts[0])
+      assert.strictEqual(reward.destination, accounts[0])
+      assert.strictEqual(reward.amount, '5')
+
+      assert.strictEqual((await contract.readSeasonInfo(1)).totalRewards, '8')
+      assert.strictEqual((await contract.readSeasonInfo(1)).rewardCount, '3')
+      assert.strictEqual((await contract.readSeasonInfo(2)).totalRewards, '5')
+      assert.strictEqual((await contract.readSeasonInfo(2)).rewardCount, '1')
+    })
+
+    it('addReward with explicit season should fail when that season is closed or not found', async () => {
+      const userReward = { owner: accounts[0], destination: accounts[1], amount: '5' }
+
+      for (const season of [0, 2]) {
+        try {
+          await contract.methods['addReward(uint256,(address,address,uint256))'](season, userReward, { from: accounts[0] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+        }
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const closeDate = Math.floor(now / 1000) + 86400 * 2
+      await contract.addSeason(accounts[2], closeDate, closeDate + 43200, { from: accounts[0] })
+      await contract.methods['addReward(uint256,(address,address,uint256))'](2, userReward, { from: accounts[0] })
+
+      try {
+        await contract.methods['addRewardBatch(uint256,(address,address,uint256)[])'](1, [userReward], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+      }
+    })
+
+    it('claimReward and sendUnclaimedFunds with explicit season should check that season status', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[1], destination: accounts[1], amount: '2' }, { from: accounts[0] })
+
+      const closeDate = Math.floor(now / 1000) + 86400 * 2
+      await contract.addSeason(accounts[2], closeDate, closeDate + 43200, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[0], destination: accounts[0], amount: '7' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      // current season is still open while first one can be claimed
+      try {
+        await contract.claimReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: season is not closed yet'))
+      }
+
+      const res = await contract.methods['claimReward(uint256,address)'](1, accounts[0], { from: accounts[0] })
+      assert.strictEqual(+res.logs[0].args.season, 1)
+      assert.strictEqual(res.logs[0].args.amount.toString(), '5')
+      assert.strictEqual((await contract.readReward(1, accounts[0])).claimed, true)
+      assert.strictEqual((await contract.readReward(2, accounts[0])).claimed, false)
+      assert.strictEqual((await contract.readSeasonInfo(1)).claimedRewards, '5')
+
+      try {
+        await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: deadline for claiming not reached'))
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const unclaimedRes = await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+      assert.strictEqual(+unclaimedRes.logs[0].args.season, 1)
+      assert.strictEqual(unclaimedRes.logs[0].args.destination, contractArgs.defaultDestination)
+      assert.strictEqual(unclaimedRes.logs[0].args.amount.toString(), '2')
+      assert.strictEqual((await contract.readSeasonInfo(2)).unclaimedFundsSent, false)
+    })
+
+    it('claimRewardForSeason should claim reward of past season while its claim window is open', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const closeDate = Math.floor(now / 1000) + 86400 * 2
+      await contract.addSeason(accounts[2], closeDate, closeDate + 43200, { from: accounts[0] })
+
+      const res = await contract.claimRewardForSeason(1, accounts[0], { from: accounts[1] })
+      const txLog = res.logs[0]
+      assert.strictEqual(txLog.event, 'RewardClaimed')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.amount.toString(), '5')
+      assert.strictEqual((await contract.readReward(1, accounts[0])).claimed, true)
+
+      try {
+        await contract.claimRewardForSeason(1, accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: reward is already claimed'))
+      }
+
+      try {
+        await contract.claimRewardForSeason(2, accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: season is not closed yet'))
+      }
+    })
+
+    it('claimRewardForSeason should fail when claim window of season is over', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86401], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.claimRewardForSeason(1, accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: deadline for claiming reached'))
+      }
+    })
+
+    it('claimAll should claim rewards of caller in all claimable seasons', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      const closeDate = Math.floor(now / 1000) + 43200 + 3600
+      await contract.addSeason(accounts[2], closeDate, closeDate + 86400, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[0], destination: accounts[0], amount: '7' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[2], destination: accounts[2], amount: '1' }, { from: accounts[0] })
+
+      await contract.addSeason(accounts[2], closeDate + 86400, closeDate + 86400 * 2, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[0], destination: accounts[0], amount: '9' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200 + 3601], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      // third season is still open, so its reward is skipped
+      const res = await contract.claimAll({ from: accounts[0] })
+      assert.strictEqual(res.logs.length, 2)
+      assert.deepStrictEqual(res.logs.map(log => +log.args.season), [1, 2])
+      assert.deepStrictEqual(res.logs.map(log => log.args.amount.toString()), ['5', '7'])
+      assert.strictEqual((await contract.readReward(3, accounts[0])).claimed, false)
+      assert.strictEqual((await contract.readReward(2, accounts[2])).claimed, false)
+
+      try {
+        await contract.claimAll({ from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: no rewards to claim'))
+      }
+    })
+
+    it('claimAll should fail while contract is paused', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.claimAll({ from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+    })
   })
 })
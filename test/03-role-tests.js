@@ -8,6 +8,9 @@ const { promisify } = require('util')
 const ThriveCoinRewardSeason = artifacts.require('ThriveCoinRewardSeason')
 const ThriveCoinRewardSeasonGasRefundable = artifacts.require('ThriveCoinRewardSeasonGasRefundable')
 const ThriveCoinRewardSeasonIERC20GasRefundable = artifacts.require('ThriveCoinRewardSeasonIERC20GasRefundable')
+const ThriveCoinRewardSeasonMerkle = artifacts.require('ThriveCoinRewardSeasonMerkle')
+const ThriveCoinRewardSeasonMerkleMultiToken = artifacts.require('ThriveCoinRewardSeasonMerkleMultiToken')
+const ThriveCoinRewardSeasonMultiToken = artifacts.require('ThriveCoinRewardSeasonMultiToken')
 const DummyToken = artifacts.require('DummyToken')
 
 describe('ThriveCoinRewardSeason', () => {
@@ -15,6 +18,7 @@ describe('ThriveCoinRewardSeason', () => {
     let contract = null
     const ADMIN_ROLE = '0x0000000000000000000000000000000000000000000000000000000000000000'
     const WRITER_ROLE = keccak256(Buffer.from('WRITER_ROLE', 'utf8'))
+    const PAUSER_ROLE = keccak256(Buffer.from('PAUSER_ROLE', 'utf8'))
     const DUMMY_ROLE = keccak256(Buffer.from('DUMMY_ROLE', 'utf8'))
     const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
     let snapshotId = null
@@ -43,7 +47,8 @@ describe('ThriveCoinRewardSeason', () => {
     it('deployer should have all three roles by default', async () => {
       const res = await Promise.all([
         contract.hasRole.call(ADMIN_ROLE, accounts[0]),
-        contract.hasRole.call(WRITER_ROLE, accounts[0])
+        contract.hasRole.call(WRITER_ROLE, accounts[0]),
+        contract.hasRole.call(PAUSER_ROLE, accounts[0])
       ])
 
       assert.strictEqual(res.every(r => r === true), true)
@@ -52,7 +57,8 @@ describe('ThriveCoinRewardSeason', () => {
     it('getRoleAdmin should return admin role for all three roles', async () => {
       const res = await Promise.all([
         contract.getRoleAdmin.call(ADMIN_ROLE),
-        contract.getRoleAdmin.call(WRITER_ROLE)
+        contract.getRoleAdmin.call(WRITER_ROLE),
+        contract.getRoleAdmin.call(PAUSER_ROLE)
       ])
 
       assert.strictEqual(res.every(r => r === ADMIN_ROLE), true)
@@ -208,6 +214,107 @@ describe('ThriveCoinRewardSeason', () => {
       }
     })
 
+    it('incrementReward and decrementReward can be done only by WRITER_ROLE', async () => {
+      const userReward = { owner: accounts[0], destination: accounts[0], amount: '5' }
+
+      await contract.incrementReward(userReward, { from: accounts[0] })
+      await contract.incrementRewardBatch([userReward], { from: accounts[1] })
+      await contract.decrementReward(userReward, { from: accounts[1] })
+      await contract.decrementRewardBatch([userReward], { from: accounts[0] })
+
+      for (const [method, arg] of [
+        ['incrementReward', userReward],
+        ['incrementRewardBatch', [userReward]],
+        ['decrementReward', userReward],
+        ['decrementRewardBatch', [userReward]]
+      ]) {
+        try {
+          await contract[method](arg, { from: accounts[2] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeason: must have writer role'))
+        }
+      }
+    })
+
+    it('removeReward and removeRewardBatch can be done only by WRITER_ROLE', async () => {
+      const userRewards = [
+        { owner: accounts[3], destination: accounts[3], amount: '3' },
+        { owner: accounts[4], destination: accounts[4], amount: '4' }
+      ]
+      await contract.addRewardBatch(userRewards, { from: accounts[0] })
+
+      for (const [method, arg] of [['removeReward', accounts[3]], ['removeRewardBatch', [accounts[4]]]]) {
+        try {
+          await contract[method](arg, { from: accounts[2] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeason: must have writer role'))
+        }
+      }
+
+      await contract.removeReward(accounts[3], { from: accounts[1] })
+      await contract.removeRewardBatch([accounts[4]], { from: accounts[0] })
+    })
+
+    it('addReward and addRewardBatch with explicit season can be done only by WRITER_ROLE', async () => {
+      const season = await contract.currentSeason()
+      const userReward = { owner: accounts[0], destination: accounts[0], amount: '5' }
+
+      await contract.methods['addReward(uint256,(address,address,uint256))'](season, userReward, { from: accounts[1] })
+      await contract.methods['addRewardBatch(uint256,(address,address,uint256)[])'](season, [userReward], { from: accounts[0] })
+
+      for (const [method, arg] of [
+        ['addReward(uint256,(address,address,uint256))', userReward],
+        ['addRewardBatch(uint256,(address,address,uint256)[])', [userReward]]
+      ]) {
+        try {
+          await contract.methods[method](season, arg, { from: accounts[2] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeason: must have writer role'))
+        }
+      }
+    })
+
+    it('sendUnclaimedFunds with explicit season can be done only by admin', async () => {
+      try {
+        await contract.methods['sendUnclaimedFunds(uint256)'](await contract.currentSeason(), { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+    })
+
+    it('pause and unpause can be done only by PAUSER_ROLE', async () => {
+      try {
+        await contract.pause({ from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.strictEqual(
+          err.message.includes('ThriveCoinRewardSeason: must have pauser role'),
+          true
+        )
+      }
+
+      await contract.grantRole(PAUSER_ROLE, accounts[1], { from: accounts[0] })
+      await contract.pause({ from: accounts[1] })
+      assert.strictEqual(await contract.paused(), true)
+
+      try {
+        await contract.unpause({ from: accounts[2] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.strictEqual(
+          err.message.includes('ThriveCoinRewardSeason: must have pauser role'),
+          true
+        )
+      }
+
+      await contract.unpause({ from: accounts[0] })
+      assert.strictEqual(await contract.paused(), false)
+    })
+
     it('sendUnclaimedFunds - only admin can send unclaimed funds', async () => {
       await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86500], id: 0 })
       await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
@@ -407,4 +514,250 @@ describe('ThriveCoinRewardSeason', () => {
       })
     })
   })
+
+  contract('admin transfer tests', (accounts) => {
+    let contract = null
+    const ADMIN_ROLE = '0x0000000000000000000000000000000000000000000000000000000000000000'
+    const ADMIN_TRANSFER_DELAY = 2 * 24 * 3600
+    const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const increaseTime = async (seconds) => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [seconds], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    const assertReverts = async (promise, reason) => {
+      try {
+        await promise
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes(reason), err.message)
+      }
+    }
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      contract = await ThriveCoinRewardSeason.new(
+        accounts[0],
+        Math.floor(Date.now() / 1000) + 286400,
+        Math.floor(Date.now() / 1000) + 386400,
+        { from: accounts[0] }
+      )
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('ADMIN_TRANSFER_DELAY should be two days', async () => {
+      assert.strictEqual(+(await contract.ADMIN_TRANSFER_DELAY()), ADMIN_TRANSFER_DELAY)
+    })
+
+    it('proposeAdmin should store proposal and emit AdminProposed event', async () => {
+      const res = await contract.proposeAdmin(accounts[1], { from: accounts[0] })
+      const block = await web3.eth.getBlock(res.receipt.blockNumber)
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'AdminProposed')
+      assert.strictEqual(txLog.args.proposer, accounts[0])
+      assert.strictEqual(txLog.args.account, accounts[1])
+      assert.strictEqual(+txLog.args.acceptAfter, block.timestamp + ADMIN_TRANSFER_DELAY)
+
+      const proposal = await contract.readAdminProposal()
+      assert.strictEqual(proposal.account, accounts[1])
+      assert.strictEqual(proposal.proposer, accounts[0])
+      assert.strictEqual(+proposal.acceptAfter, block.timestamp + ADMIN_TRANSFER_DELAY)
+      assert.strictEqual(await contract.hasRole(ADMIN_ROLE, accounts[1]), false)
+    })
+
+    it('proposeAdmin can be done only by admin', async () => {
+      await assertReverts(
+        contract.proposeAdmin(accounts[2], { from: accounts[1] }),
+        'ThriveCoinRewardSeasonAccessControl: must have admin role'
+      )
+    })
+
+    it('proposeAdmin should fail for zero address and existing admin', async () => {
+      await assertReverts(
+        contract.proposeAdmin(ZERO_ADDRESS, { from: accounts[0] }),
+        'ThriveCoinRewardSeasonAccessControl: account is the zero address'
+      )
+      await assertReverts(
+        contract.proposeAdmin(accounts[0], { from: accounts[0] }),
+        'ThriveCoinRewardSeasonAccessControl: account is already admin'
+      )
+    })
+
+    it('acceptAdmin should fail before transfer delay has passed', async () => {
+      await contract.proposeAdmin(accounts[1], { from: accounts[0] })
+      await increaseTime(ADMIN_TRANSFER_DELAY - 60)
+
+      await assertReverts(
+        contract.acceptAdmin({ from: accounts[1] }),
+        'ThriveCoinRewardSeasonAccessControl: transfer delay not passed'
+      )
+    })
+
+    it('acceptAdmin can be done only by proposed account', async () => {
+      await assertReverts(
+        contract.acceptAdmin({ from: accounts[1] }),
+        'ThriveCoinRewardSeasonAccessControl: caller is not proposed admin'
+      )
+
+      await contract.proposeAdmin(accounts[1], { from: accounts[0] })
+      await increaseTime(ADMIN_TRANSFER_DELAY)
+
+      await assertReverts(
+        contract.acceptAdmin({ from: accounts[2] }),
+        'ThriveCoinRewardSeasonAccessControl: caller is not proposed admin'
+      )
+    })
+
+    it('acceptAdmin should move admin role from proposer to proposed account', async () => {
+      await contract.proposeAdmin(accounts[1], { from: accounts[0] })
+      await increaseTime(ADMIN_TRANSFER_DELAY)
+
+      const res = await contract.acceptAdmin({ from: accounts[1] })
+      const txLog = res.logs.find(log => log.event === 'AdminTransferred')
+      assert.strictEqual(txLog.args.previousAdmin, accounts[0])
+      assert.strictEqual(txLog.args.account, accounts[1])
+
+      assert.strictEqual(await contract.hasRole(ADMIN_ROLE, accounts[0]), false)
+      assert.strictEqual(await contract.hasRole(ADMIN_ROLE, accounts[1]), true)
+      assert.strictEqual(+(await contract.getRoleMemberCount(ADMIN_ROLE)), 1)
+      assert.strictEqual((await contract.readAdminProposal()).account, ZERO_ADDRESS)
+
+      await contract.addSeason(
+        accounts[0],
+        Math.floor(Date.now() / 1000) + 3 * 286400,
+        Math.floor(Date.now() / 1000) + 3 * 386400,
+        { from: accounts[1] }
+      )
+      await assertReverts(
+        contract.proposeAdmin(accounts[2], { from: accounts[0] }),
+        'ThriveCoinRewardSeasonAccessControl: must have admin role'
+      )
+    })
+
+    it('acceptAdmin should fail when proposer is no longer admin', async () => {
+      await contract.grantRole(ADMIN_ROLE, accounts[2], { from: accounts[0] })
+      await contract.proposeAdmin(accounts[1], { from: accounts[2] })
+      await contract.revokeRole(ADMIN_ROLE, accounts[2], { from: accounts[0] })
+      await increaseTime(ADMIN_TRANSFER_DELAY)
+
+      await assertReverts(
+        contract.acceptAdmin({ from: accounts[1] }),
+        'ThriveCoinRewardSeasonAccessControl: proposer is no longer admin'
+      )
+    })
+
+    it('proposeAdmin should replace pending proposal', async () => {
+      await contract.proposeAdmin(accounts[1], { from: accounts[0] })
+      await contract.proposeAdmin(accounts[2], { from: accounts[0] })
+      await increaseTime(ADMIN_TRANSFER_DELAY)
+
+      await assertReverts(
+        contract.acceptAdmin({ from: accounts[1] }),
+        'ThriveCoinRewardSeasonAccessControl: caller is not proposed admin'
+      )
+      await contract.acceptAdmin({ from: accounts[2] })
+      assert.strictEqual(await contract.hasRole(ADMIN_ROLE, accounts[2]), true)
+    })
+
+    it('cancelAdminProposal should remove pending proposal', async () => {
+      await assertReverts(
+        contract.cancelAdminProposal({ from: accounts[0] }),
+        'ThriveCoinRewardSeasonAccessControl: no admin proposal'
+      )
+
+      await contract.proposeAdmin(accounts[1], { from: accounts[0] })
+      await assertReverts(
+        contract.cancelAdminProposal({ from: accounts[1] }),
+        'ThriveCoinRewardSeasonAccessControl: must have admin role'
+      )
+
+      const res = await contract.cancelAdminProposal({ from: accounts[0] })
+      assert.strictEqual(res.logs[0].event, 'AdminProposalCancelled')
+      assert.strictEqual(res.logs[0].args.account, accounts[1])
+      assert.strictEqual((await contract.readAdminProposal()).account, ZERO_ADDRESS)
+
+      await increaseTime(ADMIN_TRANSFER_DELAY)
+      await assertReverts(
+        contract.acceptAdmin({ from: accounts[1] }),
+        'ThriveCoinRewardSeasonAccessControl: caller is not proposed admin'
+      )
+    })
+
+    it('last admin can not renounce or be revoked admin role', async () => {
+      await assertReverts(
+        contract.renounceRole(ADMIN_ROLE, accounts[0], { from: accounts[0] }),
+        "ThriveCoinRewardSeasonAccessControl: can't remove last admin"
+      )
+      await assertReverts(
+        contract.revokeRole(ADMIN_ROLE, accounts[0], { from: accounts[0] }),
+        "ThriveCoinRewardSeasonAccessControl: can't remove last admin"
+      )
+      assert.strictEqual(await contract.hasRole(ADMIN_ROLE, accounts[0]), true)
+    })
+
+    it('admin role can be renounced and revoked while other admins remain', async () => {
+      await contract.grantRole(ADMIN_ROLE, accounts[1], { from: accounts[0] })
+      await contract.grantRole(ADMIN_ROLE, accounts[2], { from: accounts[0] })
+
+      await contract.revokeRole(ADMIN_ROLE, accounts[2], { from: accounts[1] })
+      await contract.renounceRole(ADMIN_ROLE, accounts[0], { from: accounts[0] })
+      assert.strictEqual(+(await contract.getRoleMemberCount(ADMIN_ROLE)), 1)
+      assert.strictEqual(await contract.getRoleMember(ADMIN_ROLE, 0), accounts[1])
+
+      await assertReverts(
+        contract.renounceRole(ADMIN_ROLE, accounts[1], { from: accounts[1] }),
+        "ThriveCoinRewardSeasonAccessControl: can't remove last admin"
+      )
+    })
+
+    it('revoking admin role of non admin should not be affected by last admin check', async () => {
+      const res = await contract.revokeRole(ADMIN_ROLE, accounts[1], { from: accounts[0] })
+      assert.strictEqual(res.logs.length, 0)
+    })
+
+    it('last admin should be protected in merkle and multi token seasons too', async () => {
+      const token = await DummyToken.new('MyToken', 'MTK', { from: accounts[0] })
+      const merkleRoot = web3.utils.soliditySha3('merkle root')
+      const claimCloseDate = Math.floor(Date.now() / 1000) + 386400
+      const seasons = [
+        await ThriveCoinRewardSeasonMerkle.new(accounts[0], merkleRoot, '100', claimCloseDate, { from: accounts[0] }),
+        await ThriveCoinRewardSeasonMultiToken.new(
+          accounts[0],
+          Math.floor(Date.now() / 1000) + 286400,
+          claimCloseDate,
+          [token.address],
+          { from: accounts[0] }
+        ),
+        await ThriveCoinRewardSeasonMerkleMultiToken.new(
+          accounts[0],
+          merkleRoot,
+          claimCloseDate,
+          [token.address],
+          ['100'],
+          { from: accounts[0] }
+        )
+      ]
+
+      for (const season of seasons) {
+        await assertReverts(
+          season.renounceRole(ADMIN_ROLE, accounts[0], { from: accounts[0] }),
+          "ThriveCoinRewardSeasonAccessControl: can't remove last admin"
+        )
+
+        await season.proposeAdmin(accounts[1], { from: accounts[0] })
+        await increaseTime(ADMIN_TRANSFER_DELAY)
+        await season.acceptAdmin({ from: accounts[1] })
+        assert.strictEqual(await season.hasRole(ADMIN_ROLE, accounts[0]), false)
+        assert.strictEqual(await season.hasRole(ADMIN_ROLE, accounts[1]), true)
+      }
+    })
+  })
 })
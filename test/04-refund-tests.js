@@ -182,5 +182,116 @@ describe('ThriveCoinRewardSeasonGasRefundable', () => {
       assert.ok(contractBalanceBefore > contractBalanceAfter)
       assert.ok(Math.abs(accBalanceAfter - accBalanceBefore) <= 0.0001)
     })
+
+    it('incrementRewardBatch and decrementRewardBatch should send gas fees back to caller (refundGasCost)', async () => {
+      const accBalanceBefore = +web3.utils.fromWei(await web3.eth.getBalance(accounts[1]))
+      const contractBalanceBefore = +web3.utils.fromWei(await web3.eth.getBalance(contract.address))
+
+      const userRewards = [
+        { owner: accounts[0], destination: accounts[0], amount: '3' },
+        { owner: accounts[1], destination: accounts[2], amount: '4' }
+      ]
+      await contract.incrementRewardBatch(userRewards, { from: accounts[1] })
+      await contract.incrementReward(userRewards[0], { from: accounts[1] })
+      await contract.decrementReward(userRewards[1], { from: accounts[1] })
+      await contract.decrementRewardBatch([userRewards[0]], { from: accounts[1] })
+
+      const accBalanceAfter = +web3.utils.fromWei(await web3.eth.getBalance(accounts[1]))
+      const contractBalanceAfter = +web3.utils.fromWei(await web3.eth.getBalance(contract.address))
+
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[0])).amount, '3')
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[1])).amount, '0')
+      assert.strictEqual((await contract.readSeasonInfo(seasonIndex)).totalRewards, '3')
+
+      assert.ok(contractBalanceBefore > contractBalanceAfter)
+      assert.ok(Math.abs(accBalanceAfter - accBalanceBefore) <= 0.0004)
+    })
+
+    it('removeReward and removeRewardBatch should send gas fees back to caller (refundGasCost)', async () => {
+      const userRewards = [
+        { owner: accounts[0], destination: accounts[0], amount: '3' },
+        { owner: accounts[1], destination: accounts[2], amount: '4' }
+      ]
+      await contract.addRewardBatch(userRewards, { from: accounts[0] })
+
+      const accBalanceBefore = +web3.utils.fromWei(await web3.eth.getBalance(accounts[1]))
+      const contractBalanceBefore = +web3.utils.fromWei(await web3.eth.getBalance(contract.address))
+
+      await contract.removeReward(accounts[0], { from: accounts[1] })
+      await contract.removeRewardBatch([accounts[1]], { from: accounts[1] })
+
+      const accBalanceAfter = +web3.utils.fromWei(await web3.eth.getBalance(accounts[1]))
+      const contractBalanceAfter = +web3.utils.fromWei(await web3.eth.getBalance(contract.address))
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.totalRewards, '0')
+      assert.strictEqual(seasonInfo.rewardCount, '0')
+
+      // storage refunds for deleted entries are applied on top of refunded gas cost
+      assert.ok(contractBalanceBefore > contractBalanceAfter)
+      assert.ok(accBalanceAfter - accBalanceBefore >= -0.0002)
+    })
+
+    it('addReward and addRewardBatch with explicit season should send gas fees back to caller', async () => {
+      const accBalanceBefore = +web3.utils.fromWei(await web3.eth.getBalance(accounts[1]))
+      const contractBalanceBefore = +web3.utils.fromWei(await web3.eth.getBalance(contract.address))
+
+      await contract.methods['addReward(uint256,(address,address,uint256))'](seasonIndex, { owner: accounts[0], destination: accounts[0], amount: '3' }, { from: accounts[1] })
+      await contract.methods['addRewardBatch(uint256,(address,address,uint256)[])'](seasonIndex, [
+        { owner: accounts[1], destination: accounts[2], amount: '4' }
+      ], { from: accounts[1] })
+
+      const accBalanceAfter = +web3.utils.fromWei(await web3.eth.getBalance(accounts[1]))
+      const contractBalanceAfter = +web3.utils.fromWei(await web3.eth.getBalance(contract.address))
+
+      assert.strictEqual((await contract.readSeasonInfo(seasonIndex)).totalRewards, '7')
+
+      assert.ok(contractBalanceBefore > contractBalanceAfter)
+      assert.ok(Math.abs(accBalanceAfter - accBalanceBefore) <= 0.0002)
+    })
+
+    it('setFixedGasFee should emit FixedGasFeeChanged event', async () => {
+      const res = await contract.setFixedGasFee('500', { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'FixedGasFeeChanged')
+      assert.strictEqual(txLog.args.oldFee.toString(), contractArgs._fixedGasFee)
+      assert.strictEqual(txLog.args.newFee.toString(), '500')
+    })
+
+    it('withdrawEther should emit Withdrawn event', async () => {
+      const amount = web3.utils.toWei('0.5', 'ether').toString()
+      const res = await contract.withdrawEther(accounts[4], amount, { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'Withdrawn')
+      assert.strictEqual(txLog.args.token, '0x0000000000000000000000000000000000000000')
+      assert.strictEqual(txLog.args.account, accounts[4])
+      assert.strictEqual(txLog.args.amount.toString(), amount)
+    })
+
+    it('addReward and addRewardBatch should fail while contract is paused', async () => {
+      await contract.pause({ from: accounts[0] })
+      const userReward = { owner: accounts[0], destination: accounts[1], amount: '5' }
+
+      try {
+        await contract.addReward(userReward, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      try {
+        await contract.addRewardBatch([userReward], { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      await contract.unpause({ from: accounts[0] })
+      await contract.addReward(userReward, { from: accounts[1] })
+      const reward = await contract.readReward(seasonIndex, accounts[0])
+      assert.strictEqual(reward.amount, '5')
+    })
   })
 })
@@ -326,5 +326,88 @@ describe('ThriveCoinRewardSeasonIERC20GasRefundable', () => {
         assert.ok(err.message.includes('ThriveCoinRewardSeason: not enough funds available'))
       }
     })
+
+    it('claim reward and withdraw should emit RewardClaimed and Withdrawn events', async () => {
+      const userReward = { owner: accounts[0], destination: accounts[1], amount: '5' }
+      await contract.addReward(userReward, { from: accounts[0] })
+
+      const checkpoint = 43201
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      let res = await contract.claimReward(accounts[0], { from: accounts[0] })
+      let txLog = res.logs.find(l => l.event === 'RewardClaimed')
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.destination, accounts[1])
+      assert.strictEqual(txLog.args.amount.toString(), '5')
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint * 2], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      res = await contract.withdrawERC20(accounts[4], 95, { from: accounts[0] })
+      txLog = res.logs.find(l => l.event === 'Withdrawn')
+      assert.strictEqual(txLog.args.token, erc20.address)
+      assert.strictEqual(txLog.args.account, accounts[4])
+      assert.strictEqual(txLog.args.amount.toString(), '95')
+    })
+
+    it('claim reward should not send IERC20 funds while contract is paused', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      const checkpoint = 43201
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.claimReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 0)
+      assert.strictEqual(+(await erc20.balanceOf(contract.address)), 100)
+
+      await contract.unpause({ from: accounts[0] })
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 5)
+    })
+
+    it('strict funding mode should revert rewards and increments that exceed funded balance', async () => {
+      assert.strictEqual(await contract.isStrictFunding(), false)
+      const res = await contract.setStrictFunding(true, { from: accounts[0] })
+      assert.strictEqual(res.logs[0].event, 'StrictFundingChanged')
+      assert.strictEqual(res.logs[0].args.enabled, true)
+
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '90' }, { from: accounts[1] })
+
+      for (const [method, arg] of [
+        ['addReward', { owner: accounts[2], destination: accounts[2], amount: '11' }],
+        ['addRewardBatch', [{ owner: accounts[2], destination: accounts[2], amount: '11' }]],
+        ['incrementReward', { owner: accounts[0], destination: accounts[1], amount: '11' }],
+        ['incrementRewardBatch', [{ owner: accounts[0], destination: accounts[1], amount: '11' }]]
+      ]) {
+        try {
+          await contract[method](arg, { from: accounts[1] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeason: rewards exceed funded balance'))
+        }
+      }
+
+      await contract.incrementReward({ owner: accounts[0], destination: accounts[1], amount: '10' }, { from: accounts[1] })
+      const { funded, required } = await contract.readFundingStatus()
+      assert.strictEqual(funded.toString(), '100')
+      assert.strictEqual(required.toString(), '100')
+
+      try {
+        await contract.setStrictFunding(false, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+    })
   })
 })
@@ -320,5 +320,359 @@ describe('ThriveCoinRewardSeasonIERC20', () => {
         assert.ok(err.message.includes('ThriveCoinRewardSeason: not enough funds available'))
       }
     })
+
+    it('claim reward and withdraw should emit RewardClaimed and Withdrawn events', async () => {
+      const userReward = { owner: accounts[0], destination: accounts[1], amount: '5' }
+      await contract.addReward(userReward, { from: accounts[0] })
+
+      const checkpoint = 43201
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      let res = await contract.claimReward(accounts[0], { from: accounts[0] })
+      let txLog = res.logs.find(l => l.event === 'RewardClaimed')
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.destination, accounts[1])
+      assert.strictEqual(txLog.args.amount.toString(), '5')
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint * 2], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      res = await contract.withdrawERC20(accounts[4], 95, { from: accounts[0] })
+      txLog = res.logs.find(l => l.event === 'Withdrawn')
+      assert.strictEqual(txLog.args.token, erc20.address)
+      assert.strictEqual(txLog.args.account, accounts[4])
+      assert.strictEqual(txLog.args.amount.toString(), '95')
+    })
+
+    it('claim reward should not send IERC20 funds while contract is paused', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+
+      const checkpoint = 43201
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.claimReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 0)
+      assert.strictEqual(+(await erc20.balanceOf(contract.address)), 100)
+
+      await contract.unpause({ from: accounts[0] })
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 5)
+    })
+
+    it('rewards of concurrent seasons should be paid out per season', async () => {
+      const closeDate = contractArgs.closeDate + 43200
+      await contract.addSeason(accounts[4], closeDate, closeDate + 43200, { from: accounts[0] })
+
+      await contract.methods['addReward(uint256,(address,address,uint256))'](1, { owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+      await contract.methods['addReward(uint256,(address,address,uint256))'](1, { owner: accounts[2], destination: accounts[2], amount: '3' }, { from: accounts[0] })
+      await contract.methods['addReward(uint256,(address,address,uint256))'](2, { owner: accounts[0], destination: accounts[1], amount: '7' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.methods['claimReward(uint256,address)'](1, accounts[0], { from: accounts[1] })
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 5)
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.claimReward(accounts[0], { from: accounts[1] })
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 12)
+
+      // season 1 has unclaimed rewards, season 2 is not fully closed
+      try {
+        await contract.withdrawERC20(accounts[5], 85, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: unclaimed funds not sent yet'))
+      }
+
+      await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+      assert.strictEqual(+(await erc20.balanceOf(contractArgs.defaultDestination)), 3)
+
+      try {
+        await contract.withdrawERC20(accounts[5], 85, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: previous season not fully closed'))
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.withdrawERC20(accounts[5], 85, { from: accounts[0] })
+      assert.strictEqual(+(await erc20.balanceOf(contract.address)), 0)
+    })
+
+    it('claimAll should send IERC20 funds of all claimable seasons to reward destinations', async () => {
+      const closeDate = contractArgs.closeDate + 3600
+      await contract.addSeason(accounts[4], closeDate, closeDate + 86400, { from: accounts[0] })
+
+      await contract.methods['addReward(uint256,(address,address,uint256))'](1, { owner: accounts[0], destination: accounts[1], amount: '5' }, { from: accounts[0] })
+      await contract.methods['addReward(uint256,(address,address,uint256))'](2, { owner: accounts[0], destination: accounts[2], amount: '7' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200 + 3601], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.claimAll({ from: accounts[0] })
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 5)
+      assert.strictEqual(+(await erc20.balanceOf(accounts[2])), 7)
+      assert.strictEqual(+(await erc20.balanceOf(contract.address)), 88)
+    })
+
+    it('readFundingStatus should report balance against outstanding rewards of all seasons', async () => {
+      let status = await contract.readFundingStatus()
+      assert.strictEqual(status.funded.toString(), '100')
+      assert.strictEqual(status.required.toString(), '0')
+
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '60' }, { from: accounts[0] })
+      await contract.addSeason(accounts[4], contractArgs.closeDate + 3600, contractArgs.claimCloseDate + 3600, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '70' }, { from: accounts[0] })
+
+      status = await contract.readFundingStatus()
+      assert.strictEqual(status.funded.toString(), '100')
+      assert.strictEqual(status.required.toString(), '130')
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+      await contract.methods['claimReward(uint256,address)'](1, accounts[0], { from: accounts[0] })
+
+      status = await contract.readFundingStatus()
+      assert.strictEqual(status.funded.toString(), '40')
+      assert.strictEqual(status.required.toString(), '70')
+    })
+
+    it('strict funding mode should revert rewards that exceed funded balance', async () => {
+      assert.strictEqual(await contract.isStrictFunding(), false)
+
+      const res = await contract.setStrictFunding(true, { from: accounts[0] })
+      assert.strictEqual(res.logs[0].event, 'StrictFundingChanged')
+      assert.strictEqual(res.logs[0].args.enabled, true)
+      assert.strictEqual(await contract.isStrictFunding(), true)
+
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '60' }, { from: accounts[1] })
+
+      try {
+        await contract.addReward({ owner: accounts[2], destination: accounts[2], amount: '41' }, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: rewards exceed funded balance'))
+      }
+
+      try {
+        await contract.addRewardBatch([
+          { owner: accounts[2], destination: accounts[2], amount: '20' },
+          { owner: accounts[3], destination: accounts[3], amount: '21' }
+        ], { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: rewards exceed funded balance'))
+      }
+
+      try {
+        await contract.methods['addReward(uint256,(address,address,uint256))'](1, { owner: accounts[2], destination: accounts[2], amount: '50' }, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: rewards exceed funded balance'))
+      }
+
+      // overriding existing reward with lower amount frees up funds
+      await contract.addRewardBatch([
+        { owner: accounts[0], destination: accounts[1], amount: '50' },
+        { owner: accounts[2], destination: accounts[2], amount: '50' }
+      ], { from: accounts[1] })
+      assert.strictEqual((await contract.readSeasonInfo(seasonIndex)).totalRewards.toString(), '100')
+
+      await contract.setStrictFunding(false, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[3], destination: accounts[3], amount: '1' }, { from: accounts[1] })
+    })
+
+    it('strict funding mode should revert reward increments that exceed funded balance', async () => {
+      await contract.setStrictFunding(true, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '60' }, { from: accounts[1] })
+      await contract.incrementReward({ owner: accounts[0], destination: accounts[1], amount: '40' }, { from: accounts[1] })
+
+      for (const [method, arg] of [
+        ['incrementReward', { owner: accounts[0], destination: accounts[1], amount: '1' }],
+        ['incrementRewardBatch', [{ owner: accounts[2], destination: accounts[2], amount: '1' }]]
+      ]) {
+        try {
+          await contract[method](arg, { from: accounts[1] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeason: rewards exceed funded balance'))
+        }
+      }
+
+      const { funded, required } = await contract.readFundingStatus()
+      assert.strictEqual(funded.toString(), '100')
+      assert.strictEqual(required.toString(), '100')
+    })
+
+    it('only admin can set strict funding mode', async () => {
+      try {
+        await contract.setStrictFunding(true, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+    })
+
+    it('fundSeason should pull approved IERC20 funds from the caller', async () => {
+      await erc20.mint(accounts[2], '50', { from: accounts[0] })
+
+      try {
+        await contract.fundSeason('50', { from: accounts[2] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ERC20: insufficient allowance'))
+      }
+
+      await erc20.approve(contract.address, '50', { from: accounts[2] })
+      const res = await contract.fundSeason('50', { from: accounts[2] })
+      const txLog = res.logs.find(log => log.event === 'Funded')
+
+      assert.strictEqual(txLog.args.token, erc20.address)
+      assert.strictEqual(txLog.args.account, accounts[2])
+      assert.strictEqual(txLog.args.amount.toString(), '50')
+      assert.strictEqual((await erc20.balanceOf(contract.address)).toString(), '150')
+      assert.strictEqual((await erc20.balanceOf(accounts[2])).toString(), '0')
+    })
+
+    it('claimReward should release only vested part of rewards in vesting season', async () => {
+      const res = await contract.setSeasonVesting(seasonIndex, 3600, 7200, { from: accounts[0] })
+      assert.strictEqual(res.logs[0].event, 'SeasonVestingSet')
+      assert.strictEqual(+res.logs[0].args.season, seasonIndex)
+      assert.strictEqual(+res.logs[0].args.cliff, 3600)
+      assert.strictEqual(+res.logs[0].args.duration, 7200)
+
+      const vesting = await contract.readSeasonVesting(seasonIndex)
+      assert.strictEqual(vesting.cliff, '3600')
+      assert.strictEqual(vesting.duration, '7200')
+
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '100' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      // claim before cliff only registers the claim
+      const claimRes = await contract.claimReward(accounts[0], { from: accounts[0] })
+      assert.deepStrictEqual(claimRes.logs.map(log => log.event), ['RewardClaimed'])
+      assert.strictEqual(claimRes.logs[0].args.amount.toString(), '100')
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 0)
+
+      let reward = await contract.readReward(seasonIndex, accounts[0])
+      assert.strictEqual(reward.claimed, true)
+      assert.strictEqual(reward.released, '0')
+      assert.strictEqual((await contract.readSeasonInfo(seasonIndex)).claimedRewards, '100')
+
+      try {
+        await contract.claimReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: no vested rewards to release'))
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [3600], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const releaseRes = await contract.claimReward(accounts[0], { from: accounts[1] })
+      const txLog = releaseRes.logs.find(log => log.event === 'RewardReleased')
+      const released = +txLog.args.amount
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.destination, accounts[1])
+      assert.ok(released >= 50 && released < 55)
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), released)
+
+      reward = await contract.readReward(seasonIndex, accounts[0])
+      assert.strictEqual(+reward.released, released)
+    })
+
+    it('owed vesting rewards should be released after claim close date and kept from withdrawals', async () => {
+      await contract.setSeasonVesting(seasonIndex, 0, 86400, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[0], destination: accounts[1], amount: '80' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[2], destination: accounts[2], amount: '20' }, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+      const released = +(await erc20.balanceOf(accounts[1]))
+      assert.ok(released < 5)
+
+      let status = await contract.readFundingStatus()
+      assert.strictEqual(+status.required, 100 - released)
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.claimReward(accounts[2], { from: accounts[2] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: deadline for claiming reached'))
+      }
+
+      // only never claimed reward is sent, owed vesting reward stays in contract
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+      assert.strictEqual(+(await erc20.balanceOf(contractArgs.defaultDestination)), 20)
+      assert.strictEqual(+(await erc20.balanceOf(contract.address)), 80 - released)
+
+      await erc20.mint(contract.address, '10', { from: accounts[0] })
+      try {
+        await contract.withdrawERC20(accounts[5], 11, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: not enough funds available'))
+      }
+      await contract.withdrawERC20(accounts[5], 10, { from: accounts[0] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43200], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.claimAll({ from: accounts[0] })
+      assert.strictEqual(+(await erc20.balanceOf(accounts[1])), 80)
+      assert.strictEqual((await contract.readReward(seasonIndex, accounts[0])).released, '80')
+
+      status = await contract.readFundingStatus()
+      assert.strictEqual(status.funded.toString(), '0')
+      assert.strictEqual(status.required.toString(), '0')
+    })
+
+    it('setSeasonVesting should fail for closed season, invalid cliff or non admin caller', async () => {
+      try {
+        await contract.setSeasonVesting(seasonIndex, 7201, 7200, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: cliff exceeds vesting duration'))
+      }
+
+      try {
+        await contract.setSeasonVesting(seasonIndex, 0, 7200, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.setSeasonVesting(seasonIndex, 0, 7200, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+      }
+    })
   })
 })
@@ -143,44 +143,41 @@ describe('ThriveCoinRewardSeasonMerkle', () => {
       assert.strictEqual(seasonInfo.unclaimedFundsSent, false)
     })
 
-    it('adding season should fail if previous season is not closed yet', async () => {
+    it('season can be added while previous season claim window is still open', async () => {
       contract = await ThriveCoinRewardSeasonMerkle.new(
         ...Object.values(contractArgs),
         { from: accounts[0] }
       )
 
-      try {
-        const defaultDestination = accounts[1]
-        const merkleRoot = contractArgs.merkleRoot
-        const totalRewards = contractArgs.totalRewards
-        const claimCloseDate = Math.floor(now / 1000) + 86400
-        await contract.addSeason(defaultDestination, merkleRoot, totalRewards, claimCloseDate, { from: accounts[0] })
-        throw new Error('Should not reach here')
-      } catch (err) {
-        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: previous season not fully closed'))
-      }
+      const defaultDestination = accounts[1]
+      const merkleRoot = contractArgs.merkleRoot
+      const totalRewards = contractArgs.totalRewards
+      const claimCloseDate = Math.floor(now / 1000) + 86400
+      await contract.addSeason(defaultDestination, merkleRoot, totalRewards, claimCloseDate, { from: accounts[0] })
+
+      assert.strictEqual((await contract.currentSeason()).toString(), '2')
+      assert.strictEqual((await contract.readSeasonInfo(1)).unclaimedFundsSent, false)
     })
 
-    it('adding season should fail if unclaimed funds are not sent', async () => {
+    it('season can be added while previous season has unclaimed funds', async () => {
       contract = await ThriveCoinRewardSeasonMerkle.new(
         ...Object.values(contractArgs),
         { from: accounts[0] }
       )
 
-      try {
-        const checkpoint = 86400 * 2
-        await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
-        await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+      const checkpoint = 86400 * 2
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
 
-        const defaultDestination = accounts[1]
-        const merkleRoot = contractArgs.merkleRoot
-        const totalRewards = contractArgs.totalRewards
-        const claimCloseDate = Math.floor(now / 1000) + checkpoint + 86400
-        await contract.addSeason(defaultDestination, merkleRoot, totalRewards, claimCloseDate, { from: accounts[0] })
-        throw new Error('Should not reach here')
-      } catch (err) {
-        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: unclaimed funds not sent yet'))
-      }
+      const defaultDestination = accounts[1]
+      const merkleRoot = contractArgs.merkleRoot
+      const totalRewards = contractArgs.totalRewards
+      const claimCloseDate = Math.floor(now / 1000) + checkpoint + 86400
+      await contract.addSeason(defaultDestination, merkleRoot, totalRewards, claimCloseDate, { from: accounts[0] })
+
+      await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+      assert.strictEqual((await contract.readSeasonInfo(1)).unclaimedFundsSent, true)
+      assert.strictEqual((await contract.readSeasonInfo(2)).unclaimedFundsSent, false)
     })
 
     it('adding season should fail if default destination is zero address', async () => {
@@ -859,5 +856,302 @@ describe('ThriveCoinRewardSeasonMerkle', () => {
 
       await contract.addSeason(defaultDestination, merkleRoot, totalRewards, claimCloseDate, { from: accounts[0] })
     })
+
+    it('deployment and addSeason should emit SeasonAdded event', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      let [txLog] = await contract.getPastEvents('SeasonAdded', { fromBlock: 0, toBlock: 'latest' })
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(txLog.args.defaultDestination, contractArgs.defaultDestination)
+      assert.strictEqual(txLog.args.merkleRoot, contractArgs.merkleRoot)
+      assert.strictEqual(txLog.args.totalRewards.toString(), contractArgs.totalRewards)
+      assert.strictEqual(+txLog.args.claimCloseDate, contractArgs.claimCloseDate)
+
+      const checkpoint = 86400 * 2
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+
+      const claimCloseDate = Math.floor(now / 1000) + 86400 * 4
+      const res = await contract.addSeason(
+        accounts[2],
+        contractArgs.merkleRoot,
+        contractArgs.totalRewards,
+        claimCloseDate,
+        { from: accounts[0] }
+      )
+      txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'SeasonAdded')
+      assert.strictEqual(+txLog.args.season, 2)
+      assert.strictEqual(txLog.args.defaultDestination, accounts[2])
+      assert.strictEqual(+txLog.args.claimCloseDate, claimCloseDate)
+    })
+
+    it('claimReward should emit RewardClaimed event', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const proof = tree.getHexProof(
+        web3.utils.keccak256(selector(records[1]))
+      )
+      const amount = '20000000000000000000000000'
+      const res = await contract.claimReward(amount, proof, { from: accounts[1] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'RewardClaimed')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(txLog.args.owner, accounts[1])
+      assert.strictEqual(txLog.args.destination, accounts[1])
+      assert.strictEqual(txLog.args.amount.toString(), amount)
+    })
+
+    it('sendUnclaimedFunds should emit UnclaimedFundsSent event', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const proof = tree.getHexProof(
+        web3.utils.keccak256(selector(records[0]))
+      )
+      await contract.claimReward('10000000000000000000000000', proof, { from: accounts[0] })
+
+      const checkpoint = 86401
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const res = await contract.sendUnclaimedFunds({ from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'UnclaimedFundsSent')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(txLog.args.destination, contractArgs.defaultDestination)
+      assert.strictEqual(txLog.args.amount.toString(), '50000000000000000000000000')
+    })
+
+    it('deployer should have pauser role by default', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const PAUSER_ROLE = web3.utils.keccak256(Buffer.from('PAUSER_ROLE', 'utf8'))
+      assert.strictEqual(await contract.hasRole(PAUSER_ROLE, accounts[0]), true)
+      assert.strictEqual(await contract.getRoleAdmin(PAUSER_ROLE), ADMIN_ROLE)
+    })
+
+    it('only pauser can pause and unpause claims', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      try {
+        await contract.pause({ from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: must have pauser role'))
+      }
+
+      const res = await contract.pause({ from: accounts[0] })
+      assert.strictEqual(res.logs[0].event, 'Paused')
+      assert.strictEqual(res.logs[0].args.account, accounts[0])
+
+      try {
+        await contract.unpause({ from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: must have pauser role'))
+      }
+
+      await contract.unpause({ from: accounts[0] })
+      assert.strictEqual(await contract.paused(), false)
+    })
+
+    it('claimReward should fail while contract is paused and succeed once unpaused', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const proof = tree.getHexProof(
+        web3.utils.keccak256(selector(records[1]))
+      )
+      const amount = '20000000000000000000000000'
+
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.claimReward(amount, proof, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      await contract.unpause({ from: accounts[0] })
+      await contract.claimReward(amount, proof, { from: accounts[1] })
+
+      const reward = await contract.readReward(1, accounts[1])
+      assert.strictEqual(reward, true)
+    })
+
+    it('only admin can set trusted forwarder', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      try {
+        await contract.setTrustedForwarder(accounts[5], { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: must have admin role'))
+      }
+
+      const res = await contract.setTrustedForwarder(accounts[5], { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'TrustedForwarderChanged')
+      assert.strictEqual(txLog.args.oldForwarder, ADDRESS_ZERO)
+      assert.strictEqual(txLog.args.newForwarder, accounts[5])
+      assert.strictEqual(await contract.getTrustedForwarder(), accounts[5])
+      assert.strictEqual(await contract.isTrustedForwarder(accounts[5]), true)
+    })
+
+    it('claimRewardForSeason should claim reward of past season while its claim window is open', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const claimCloseDate = Math.floor(now / 1000) + 86400 * 2
+      await contract.addSeason(accounts[2], contractArgs.merkleRoot, contractArgs.totalRewards, claimCloseDate, { from: accounts[0] })
+
+      const proof = tree.getHexProof(web3.utils.keccak256(selector(records[1])))
+      const res = await contract.claimRewardForSeason(1, '20000000000000000000000000', proof, { from: accounts[1] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'RewardClaimed')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(txLog.args.owner, accounts[1])
+      assert.strictEqual(await contract.readReward(1, accounts[1]), true)
+      assert.strictEqual(await contract.readReward(2, accounts[1]), false)
+      assert.strictEqual((await contract.readSeasonInfo(1)).claimedRewards.toString(), '20000000000000000000000000')
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86401], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.claimRewardForSeason(1, '10000000000000000000000000', tree.getHexProof(web3.utils.keccak256(selector(records[0]))), { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: deadline for claiming reached'))
+      }
+
+      await contract.claimReward('20000000000000000000000000', proof, { from: accounts[1] })
+      assert.strictEqual(await contract.readReward(2, accounts[1]), true)
+    })
+
+    it('claimAll should claim rewards of eligible seasons and skip the rest', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const claimCloseDate = Math.floor(now / 1000) + 86400 * 2
+      await contract.addSeason(accounts[2], contractArgs.merkleRoot, contractArgs.totalRewards, claimCloseDate, { from: accounts[0] })
+
+      const amount = '10000000000000000000000000'
+      const proof = tree.getHexProof(web3.utils.keccak256(selector(records[0])))
+
+      try {
+        await contract.claimAll([1, 2], [amount], [proof, proof], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: claim arguments length mismatch'))
+      }
+
+      await contract.claimRewardForSeason(2, amount, proof, { from: accounts[0] })
+
+      const res = await contract.claimAll([1, 2], [amount, amount], [proof, proof], { from: accounts[0] })
+      assert.strictEqual(res.logs.length, 1)
+      assert.strictEqual(+res.logs[0].args.season, 1)
+      assert.strictEqual(await contract.readReward(1, accounts[0]), true)
+
+      try {
+        await contract.claimAll([1, 2], [amount, amount], [proof, proof], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: no rewards to claim'))
+      }
+
+      try {
+        await contract.claimAll([1, 2], [amount, amount], [proof, proof], { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: reward not found'))
+      }
+    })
+
+    it('setClaimCloseDate should extend claim window of current season and emit event', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      const claimCloseDate = contractArgs.claimCloseDate + 86400
+      const res = await contract.setClaimCloseDate(claimCloseDate, { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'ClaimCloseDateChanged')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(+txLog.args.oldClaimCloseDate, contractArgs.claimCloseDate)
+      assert.strictEqual(+txLog.args.newClaimCloseDate, claimCloseDate)
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86401], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const proof = tree.getHexProof(web3.utils.keccak256(selector(records[0])))
+      await contract.claimReward('10000000000000000000000000', proof, { from: accounts[0] })
+      assert.strictEqual(await contract.readReward(1, accounts[0]), true)
+    })
+
+    it('setClaimCloseDate should fail with past date, once claim window is over or when caller is not admin', async () => {
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      try {
+        await contract.setClaimCloseDate(contractArgs.claimCloseDate + 60, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: must have admin role'))
+      }
+
+      try {
+        await contract.setClaimCloseDate(Math.floor(now / 1000) - 60, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: claim close date already reached'))
+      }
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86401], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.setClaimCloseDate(contractArgs.claimCloseDate + 86400, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: deadline for claiming reached'))
+      }
+    })
   })
 })
@@ -181,7 +181,7 @@ describe('ThriveCoinRewardSeasonMerkleIERC20', () => {
         await contract.withdrawERC20(accounts[4], '20000000000000000000000000', { from: accounts[0] })
         throw new Error('Should not reach here')
       } catch (err) {
-        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleIERC20: previous season not fully closed'))
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: previous season not fully closed'))
       }
 
       const checkpoint = 43201
@@ -194,7 +194,7 @@ describe('ThriveCoinRewardSeasonMerkleIERC20', () => {
         await contract.withdrawERC20(accounts[4], '20000000000000000000000000', { from: accounts[0] })
         throw new Error('Should not reach here')
       } catch (err) {
-        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleIERC20: previous season not fully closed'))
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: previous season not fully closed'))
       }
     })
 
@@ -218,7 +218,7 @@ describe('ThriveCoinRewardSeasonMerkleIERC20', () => {
         await contract.withdrawERC20(accounts[4], '20000000000000000000000000', { from: accounts[0] })
         throw new Error('Should not reach here')
       } catch (err) {
-        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleIERC20: unclaimed funds not sent yet'))
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: unclaimed funds not sent yet'))
       }
     })
 
@@ -396,5 +396,56 @@ describe('ThriveCoinRewardSeasonMerkleIERC20', () => {
       assert.strictEqual(wdAccBalAfter.toString(), '10000000000000000000000000')
       assert.strictEqual(contractBalanceAfter.toString(), '10000000000000000000000000')
     })
+
+    it('withdrawERC20 should emit Withdrawn event', async () => {
+      await erc20.mint(contract.address, '100', { from: accounts[0] })
+
+      const checkpoint = 86401
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [checkpoint], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+
+      const res = await contract.withdrawERC20(accounts[4], '100', { from: accounts[0] })
+      const txLog = res.logs.find(l => l.event === 'Withdrawn')
+
+      assert.strictEqual(txLog.args.token, erc20.address)
+      assert.strictEqual(txLog.args.account, accounts[4])
+      assert.strictEqual(txLog.args.amount.toString(), '100')
+    })
+
+    it('claim reward should not send IERC20 funds while contract is paused', async () => {
+      const proof = tree.getHexProof(
+        web3.utils.keccak256(selector(records[1]))
+      )
+      const amount = '20000000000000000000000000'
+
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.claimReward(amount, proof, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      assert.strictEqual((await erc20.balanceOf(accounts[1])).toString(), '0')
+      assert.strictEqual((await erc20.balanceOf(contract.address)).toString(), '60000000000000000000000000')
+    })
+
+    it('claimAll should send IERC20 funds of all requested seasons to the caller', async () => {
+      const claimCloseDate = Math.floor(now / 1000) + 86400 * 2
+      await contract.addSeason(accounts[2], contractArgs.merkleRoot, contractArgs.totalRewards, claimCloseDate, { from: accounts[0] })
+      await erc20.mint(contract.address, '60000000000000000000000000', { from: accounts[0] })
+
+      const proof = tree.getHexProof(
+        web3.utils.keccak256(selector(records[1]))
+      )
+      const amount = '20000000000000000000000000'
+
+      await contract.claimAll([1, 2], [amount, amount], [proof, proof], { from: accounts[1] })
+      assert.strictEqual((await erc20.balanceOf(accounts[1])).toString(), '40000000000000000000000000')
+      assert.strictEqual((await erc20.balanceOf(contract.address)).toString(), '80000000000000000000000000')
+    })
   })
 })
@@ -0,0 +1,164 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const { buildDistribution, getClaim, normalizeEntries } = require('../lib/merkle-distribution')
+const ThriveCoinRewardSeasonMerkle = artifacts.require('ThriveCoinRewardSeasonMerkle')
+const ThriveCoinRewardSeasonMerkleDelegated = artifacts.require('ThriveCoinRewardSeasonMerkleDelegated')
+
+describe('merkle distribution', () => {
+  contract('distribution tests', (accounts) => {
+    const now = Date.now()
+    const rows = [
+      { address: accounts[0].toLowerCase(), amount: '10000000000000000000000000' },
+      { address: accounts[1], amount: '20000000000000000000000000' },
+      { address: accounts[2], amount: '30000000000000000000000000' },
+      { address: accounts[0], amount: '5' }
+    ]
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('normalizeEntries should checksum addresses and sum duplicates', async () => {
+      const { entries, duplicates } = normalizeEntries(rows)
+
+      assert.strictEqual(entries.length, 3)
+      assert.deepStrictEqual(duplicates, [accounts[0]])
+      assert.strictEqual(entries[0].address, accounts[0])
+      assert.strictEqual(entries[0].amount, '10000000000000000000000005')
+    })
+
+    it('normalizeEntries should fail on duplicates when policy is error', async () => {
+      assert.throws(() => normalizeEntries(rows, { duplicates: 'error' }), /duplicate address at row 4/)
+    })
+
+    it('normalizeEntries should fail on invalid addresses and amounts', async () => {
+      assert.throws(() => normalizeEntries([{ address: '0x123', amount: '1' }]), /invalid address at row 1/)
+      assert.throws(
+        () => normalizeEntries([{ address: '0x0000000000000000000000000000000000000000', amount: '1' }]),
+        /invalid address at row 1/
+      )
+      assert.throws(() => normalizeEntries([{ address: accounts[0], amount: '0' }]), /invalid amount at row 1/)
+      assert.throws(() => normalizeEntries([{ address: accounts[0], amount: '1.5' }]), /invalid amount at row 1/)
+    })
+
+    it('distribution proofs should be accepted by claimReward', async () => {
+      const { entries } = normalizeEntries(rows)
+      const distribution = buildDistribution(entries)
+
+      assert.strictEqual(distribution.totalRewards, '60000000000000000000000005')
+      assert.strictEqual(distribution.claimCount, 3)
+
+      const contract = await ThriveCoinRewardSeasonMerkle.new(
+        accounts[5],
+        distribution.merkleRoot,
+        distribution.totalRewards,
+        Math.floor(now / 1000) + 86400,
+        { from: accounts[0] }
+      )
+
+      for (const account of accounts.slice(0, 3)) {
+        const claim = getClaim(distribution, account.toLowerCase())
+        await contract.claimReward(claim.amount, claim.proof, { from: account })
+        assert.strictEqual(await contract.readReward(1, account), true)
+      }
+
+      const seasonInfo = await contract.readSeasonInfo(1)
+      assert.strictEqual(seasonInfo.claimedRewards, distribution.totalRewards)
+      assert.strictEqual(getClaim(distribution, accounts[3]), null)
+    })
+
+    it('normalizeEntries should keep destination and reject conflicting destinations', async () => {
+      const { entries } = normalizeEntries([
+        { address: accounts[0], destination: accounts[4].toLowerCase(), amount: '5' },
+        { address: accounts[1], amount: '3' },
+        { address: accounts[0], destination: accounts[4], amount: '2' }
+      ], { withDestination: true })
+
+      assert.deepStrictEqual(entries, [
+        { address: accounts[0], amount: '7', destination: accounts[4] },
+        { address: accounts[1], amount: '3', destination: accounts[1] }
+      ])
+
+      assert.throws(
+        () => normalizeEntries([
+          { address: accounts[0], destination: accounts[4], amount: '5' },
+          { address: accounts[0], destination: accounts[5], amount: '2' }
+        ], { withDestination: true }),
+        /conflicting destination at row 2/
+      )
+      assert.throws(
+        () => normalizeEntries([{ address: accounts[0], destination: '0x123', amount: '5' }], { withDestination: true }),
+        /invalid destination at row 1/
+      )
+    })
+
+    it('distribution proofs with destination should be accepted by delegated claimReward', async () => {
+      const { entries } = normalizeEntries([
+        { address: accounts[0], destination: accounts[4], amount: '5' },
+        { address: accounts[1], destination: accounts[5], amount: '3' },
+        { address: accounts[2], amount: '2' }
+      ], { withDestination: true })
+      const distribution = buildDistribution(entries, { withDestination: true })
+
+      const contract = await ThriveCoinRewardSeasonMerkleDelegated.new(
+        accounts[5],
+        distribution.merkleRoot,
+        distribution.totalRewards,
+        Math.floor(now / 1000) + 86400,
+        { from: accounts[0] }
+      )
+
+      const claim = getClaim(distribution, accounts[0])
+      assert.strictEqual(claim.destination, accounts[4])
+      await contract.methods['claimReward(address,address,uint256,bytes32[])'](
+        accounts[0],
+        claim.destination,
+        claim.amount,
+        claim.proof,
+        { from: accounts[4] }
+      )
+      assert.strictEqual(await contract.readReward(1, accounts[0]), true)
+
+      const selfClaim = getClaim(distribution, accounts[2])
+      await contract.methods['claimReward(uint256,bytes32[])'](selfClaim.amount, selfClaim.proof, { from: accounts[2] })
+      assert.strictEqual(await contract.readReward(1, accounts[2]), true)
+    })
+
+    it('normalizeEntries should merge duplicates per address and token when withToken is set', async () => {
+      const token = accounts[8]
+      const { entries, duplicates } = normalizeEntries([
+        { address: accounts[0], token, amount: '5' },
+        { address: accounts[0], token: accounts[9], amount: '4' },
+        { address: accounts[0].toLowerCase(), token: token.toLowerCase(), amount: '3' }
+      ], { withToken: true })
+
+      assert.deepStrictEqual(entries, [
+        { address: accounts[0], token, amount: '8' },
+        { address: accounts[0], token: accounts[9], amount: '4' }
+      ])
+      assert.deepStrictEqual(duplicates, [`${accounts[0]}:${token}`])
+      assert.throws(
+        () => normalizeEntries([{ address: accounts[0], amount: '5' }], { withToken: true }),
+        /invalid token at row 1/
+      )
+
+      const distribution = buildDistribution(entries, { withToken: true })
+      assert.deepStrictEqual(distribution.tokens, [token, accounts[9]])
+      assert.deepStrictEqual(distribution.totalRewards, ['8', '4'])
+      assert.strictEqual(getClaim(distribution, accounts[0], token.toLowerCase()).amount, '8')
+      assert.deepStrictEqual(Object.keys(getClaim(distribution, accounts[0])), [token, accounts[9]])
+      assert.strictEqual(getClaim(distribution, accounts[1], token), null)
+    })
+  })
+})
@@ -0,0 +1,224 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const fetch = require('node-fetch')
+const { promisify } = require('util')
+const { buildDistribution, normalizeEntries } = require('../lib/merkle-distribution')
+const { createProofServer } = require('../server/proof-server')
+const DummyToken = artifacts.require('DummyToken')
+const ThriveCoinRewardSeasonMerkle = artifacts.require('ThriveCoinRewardSeasonMerkle')
+const ThriveCoinRewardSeasonMerkleMultiToken = artifacts.require('ThriveCoinRewardSeasonMerkleMultiToken')
+
+describe('merkle proof server', () => {
+  contract('proof server tests', (accounts) => {
+    const now = Date.now()
+    const { entries } = normalizeEntries([
+      { address: accounts[0], amount: '100' },
+      { address: accounts[1], amount: '200' },
+      { address: accounts[2], amount: '300' }
+    ])
+    const distribution = buildDistribution(entries)
+
+    let contract
+    let server
+    let baseUrl
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      contract = await ThriveCoinRewardSeasonMerkle.new(
+        accounts[5],
+        distribution.merkleRoot,
+        distribution.totalRewards,
+        Math.floor(now / 1000) + 86400,
+        { from: accounts[0] }
+      )
+
+      server = createProofServer({
+        distributions: { 1: distribution },
+        contract: new web3.eth.Contract(ThriveCoinRewardSeasonMerkle.abi, contract.address)
+      })
+      await promisify(server.listen.bind(server))(0, '127.0.0.1')
+      baseUrl = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterEach(async () => {
+      await promisify(server.close.bind(server))()
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('should list loaded seasons', async () => {
+      const resp = await fetch(`${baseUrl}/seasons`)
+      const body = await resp.json()
+
+      assert.strictEqual(resp.status, 200)
+      assert.deepStrictEqual(body, [{
+        season: 1,
+        merkleRoot: distribution.merkleRoot,
+        totalRewards: '600',
+        claimCount: 3
+      }])
+    })
+
+    it('should return amount, proof and claimed status', async () => {
+      let resp = await fetch(`${baseUrl}/seasons/1/proofs/${accounts[1].toLowerCase()}`)
+      let body = await resp.json()
+
+      assert.strictEqual(resp.status, 200)
+      assert.strictEqual(body.amount, '200')
+      assert.deepStrictEqual(body.proof, distribution.claims[accounts[1]].proof)
+      assert.strictEqual(body.claimed, false)
+
+      await contract.claimReward(body.amount, body.proof, { from: accounts[1] })
+
+      resp = await fetch(`${baseUrl}/seasons/1/proofs/${accounts[1]}`)
+      body = await resp.json()
+      assert.strictEqual(resp.status, 200)
+      assert.strictEqual(body.claimed, true)
+    })
+
+    it('should return 404 for unknown season, address or route', async () => {
+      let resp = await fetch(`${baseUrl}/seasons/2/proofs/${accounts[1]}`)
+      assert.strictEqual(resp.status, 404)
+      assert.strictEqual((await resp.json()).error, 'season not found')
+
+      resp = await fetch(`${baseUrl}/seasons/1/proofs/${accounts[4]}`)
+      assert.strictEqual(resp.status, 404)
+      assert.strictEqual((await resp.json()).error, 'reward not found')
+
+      resp = await fetch(`${baseUrl}/seasons/1/proofs/0x123`)
+      assert.strictEqual(resp.status, 404)
+
+      resp = await fetch(`${baseUrl}/seasons/1/proofs/${accounts[1]}/${accounts[1]}`)
+      assert.strictEqual(resp.status, 404)
+      assert.strictEqual((await resp.json()).error, 'season has no tokens')
+
+      resp = await fetch(`${baseUrl}/unknown`)
+      assert.strictEqual(resp.status, 404)
+    })
+  })
+
+  contract('multi token proof server tests', (accounts) => {
+    const now = Date.now()
+
+    let thc
+    let partner
+    let distribution
+    let contract
+    let server
+    let baseUrl
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      thc = await DummyToken.new('ThriveCoin', 'THC', { from: accounts[0] })
+      partner = await DummyToken.new('PartnerToken', 'PTK', { from: accounts[0] })
+
+      const { entries } = normalizeEntries([
+        { address: accounts[1], token: thc.address, amount: '100' },
+        { address: accounts[1], token: partner.address, amount: '50' },
+        { address: accounts[2], token: thc.address, amount: '300' }
+      ], { withToken: true })
+      distribution = buildDistribution(entries, { withToken: true })
+
+      contract = await ThriveCoinRewardSeasonMerkleMultiToken.new(
+        accounts[5],
+        distribution.merkleRoot,
+        Math.floor(now / 1000) + 86400,
+        distribution.tokens,
+        distribution.totalRewards,
+        { from: accounts[0] }
+      )
+      await thc.mint(contract.address, '400', { from: accounts[0] })
+      await partner.mint(contract.address, '50', { from: accounts[0] })
+
+      server = createProofServer({
+        distributions: { 1: distribution },
+        contract: new web3.eth.Contract(ThriveCoinRewardSeasonMerkleMultiToken.abi, contract.address)
+      })
+      await promisify(server.listen.bind(server))(0, '127.0.0.1')
+      baseUrl = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterEach(async () => {
+      await promisify(server.close.bind(server))()
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('should list tokens and per token totals of loaded seasons', async () => {
+      const resp = await fetch(`${baseUrl}/seasons`)
+      const body = await resp.json()
+
+      assert.strictEqual(resp.status, 200)
+      assert.deepStrictEqual(body, [{
+        season: 1,
+        merkleRoot: distribution.merkleRoot,
+        tokens: [thc.address, partner.address],
+        totalRewards: ['400', '50'],
+        claimCount: 3
+      }])
+    })
+
+    it('should return claims of all tokens of the address', async () => {
+      await contract.methods['claimReward(address,uint256,bytes32[])'](
+        partner.address,
+        '50',
+        distribution.claims[accounts[1]][partner.address].proof,
+        { from: accounts[1] }
+      )
+
+      const resp = await fetch(`${baseUrl}/seasons/1/proofs/${accounts[1]}`)
+      const body = await resp.json()
+
+      assert.strictEqual(resp.status, 200)
+      assert.deepStrictEqual(body, {
+        season: 1,
+        address: accounts[1],
+        claims: {
+          [thc.address]: {
+            amount: '100',
+            proof: distribution.claims[accounts[1]][thc.address].proof,
+            claimed: false
+          },
+          [partner.address]: {
+            amount: '50',
+            proof: distribution.claims[accounts[1]][partner.address].proof,
+            claimed: true
+          }
+        }
+      })
+    })
+
+    it('should return claim of a single token', async () => {
+      let resp = await fetch(`${baseUrl}/seasons/1/proofs/${accounts[2]}/${thc.address.toLowerCase()}`)
+      let body = await resp.json()
+
+      assert.strictEqual(resp.status, 200)
+      assert.strictEqual(body.token, thc.address.toLowerCase())
+      assert.strictEqual(body.amount, '300')
+      assert.deepStrictEqual(body.proof, distribution.claims[accounts[2]][thc.address].proof)
+      assert.strictEqual(body.claimed, false)
+
+      await contract.methods['claimReward(address,uint256,bytes32[])'](thc.address, body.amount, body.proof, {
+        from: accounts[2]
+      })
+
+      resp = await fetch(`${baseUrl}/seasons/1/proofs/${accounts[2]}/${thc.address}`)
+      body = await resp.json()
+      assert.strictEqual(resp.status, 200)
+      assert.strictEqual(body.claimed, true)
+
+      resp = await fetch(`${baseUrl}/seasons/1/proofs/${accounts[2]}/${partner.address}`)
+      assert.strictEqual(resp.status, 404)
+      assert.strictEqual((await resp.json()).error, 'reward not found')
+    })
+  })
+})
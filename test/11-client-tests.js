@@ -0,0 +1,403 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const {
+  ContractPausedError,
+  InsufficientFundsError,
+  RewardAlreadyClaimedError,
+  RewardNotFoundError,
+  SeasonStateError,
+  ThriveCoinRewardSeasonClient,
+  ThriveCoinRewardSeasonIERC20Client,
+  ThriveCoinRewardSeasonIERC20GasRefundableClient,
+  ThriveCoinRewardSeasonMerkleIERC20Client,
+  UnauthorizedError,
+  buildDistribution,
+  getClaim,
+  normalizeEntries
+} = require('../lib')
+const DummyToken = artifacts.require('DummyToken')
+const ThriveCoinRewardSeason = artifacts.require('ThriveCoinRewardSeason')
+const ThriveCoinRewardSeasonIERC20 = artifacts.require('ThriveCoinRewardSeasonIERC20')
+const ThriveCoinRewardSeasonIERC20GasRefundable = artifacts.require('ThriveCoinRewardSeasonIERC20GasRefundable')
+const ThriveCoinRewardSeasonMerkleIERC20 = artifacts.require('ThriveCoinRewardSeasonMerkleIERC20')
+
+describe('js client', () => {
+  contract('client tests', (accounts) => {
+    const now = Date.now()
+    const closeDate = Math.floor(now / 1000) + 43200
+    const claimCloseDate = Math.floor(now / 1000) + 86400
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const increaseTime = async (seconds) => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [seconds], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('addRewardBatch should split entries in chunks and rewards should be iterable', async () => {
+      const instance = await ThriveCoinRewardSeason.new(accounts[1], closeDate, claimCloseDate, { from: accounts[0] })
+      const client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+
+      const entries = accounts.slice(0, 5).map((owner, i) => ({ owner, amount: i % 2 ? i + 1 : web3.utils.toBN(i + 1) }))
+      const receipts = await client.addRewardBatch(entries, { batchSize: 2 })
+      assert.strictEqual(receipts.length, 3)
+
+      const season = await client.currentSeason()
+      assert.strictEqual(season, 1)
+
+      const seasonInfo = await client.readSeasonInfo(season)
+      assert.strictEqual(seasonInfo.totalRewards, '15')
+      assert.strictEqual(seasonInfo.rewardCount, '5')
+      assert.strictEqual(seasonInfo.unclaimedFundsSent, false)
+
+      const rewards = []
+      for await (const entry of client.iterateRewards(season)) {
+        rewards.push(entry)
+      }
+      assert.deepStrictEqual(rewards.map(r => r.owner), accounts.slice(0, 5))
+      assert.deepStrictEqual(rewards.map(r => r.reward.amount), ['1', '2', '3', '4', '5'])
+      assert.deepStrictEqual(rewards[1].reward, { destination: accounts[1], amount: '2', claimed: false, released: '0' })
+    })
+
+    it('reverted transactions should be converted to typed errors', async () => {
+      const instance = await ThriveCoinRewardSeason.new(accounts[1], closeDate, claimCloseDate, { from: accounts[0] })
+      const client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+
+      await client.addReward({ owner: accounts[2], destination: accounts[3], amount: '5' })
+
+      await assert.rejects(client.claimReward(accounts[2]), (err) => {
+        assert.ok(err instanceof SeasonStateError)
+        assert.strictEqual(err.reason, 'ThriveCoinRewardSeason: season is not closed yet')
+        assert.strictEqual(err.contract, 'ThriveCoinRewardSeason')
+        return true
+      })
+
+      await assert.rejects(client.addReward({ owner: accounts[2], amount: '5' }, { from: accounts[4] }), UnauthorizedError)
+
+      await increaseTime(43201)
+      await client.claimReward(accounts[2], { from: accounts[3] })
+      assert.strictEqual((await client.readReward(1, accounts[2])).claimed, true)
+
+      await assert.rejects(client.claimReward(accounts[2], { from: accounts[3] }), RewardAlreadyClaimedError)
+    })
+
+    it('pause and unpause should toggle paused state', async () => {
+      const instance = await ThriveCoinRewardSeason.new(accounts[1], closeDate, claimCloseDate, { from: accounts[0] })
+      const client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+
+      await client.pause()
+      assert.strictEqual(await client.paused(), true)
+      await assert.rejects(client.addReward({ owner: accounts[2], amount: '5' }), ContractPausedError)
+
+      await client.unpause()
+      assert.strictEqual(await client.paused(), false)
+      await client.addReward({ owner: accounts[2], amount: '5' })
+    })
+
+    it('erc20 gas refundable client should expose fee and withdraw methods', async () => {
+      const erc20 = await DummyToken.new('MyToken', 'MTK', { from: accounts[0] })
+      const instance = await ThriveCoinRewardSeasonIERC20GasRefundable.new(
+        accounts[1],
+        closeDate,
+        claimCloseDate,
+        '31602',
+        erc20.address,
+        { from: accounts[0] }
+      )
+      const client = new ThriveCoinRewardSeasonIERC20GasRefundableClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeasonIERC20GasRefundable.abi,
+        from: accounts[0]
+      })
+
+      await client.setFixedGasFee(500)
+      assert.strictEqual(await client.getFixedGasFee(), '500')
+
+      await erc20.mint(instance.address, '100', { from: accounts[0] })
+      await increaseTime(86401)
+      await client.withdrawERC20(accounts[4], '100')
+      assert.strictEqual((await erc20.balanceOf(accounts[4])).toString(), '100')
+    })
+
+    it('merkle client should claim reward with distribution entry', async () => {
+      const { entries } = normalizeEntries([
+        { address: accounts[0], amount: '100' },
+        { address: accounts[1], amount: '200' }
+      ])
+      const distribution = buildDistribution(entries)
+      const erc20 = await DummyToken.new('MyToken', 'MTK', { from: accounts[0] })
+      const instance = await ThriveCoinRewardSeasonMerkleIERC20.new(
+        accounts[5],
+        distribution.merkleRoot,
+        distribution.totalRewards,
+        claimCloseDate,
+        erc20.address,
+        { from: accounts[0] }
+      )
+      await erc20.mint(instance.address, distribution.totalRewards, { from: accounts[0] })
+
+      const client = new ThriveCoinRewardSeasonMerkleIERC20Client({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeasonMerkleIERC20.abi
+      })
+
+      assert.strictEqual(await client.getTokenAddress(), erc20.address)
+      await client.claimReward(getClaim(distribution, accounts[1]), { from: accounts[1] })
+
+      assert.strictEqual(await client.readReward(1, accounts[1]), true)
+      assert.strictEqual((await client.readSeasonInfo(1)).claimedRewards, '200')
+      assert.strictEqual((await erc20.balanceOf(accounts[1])).toString(), '200')
+    })
+
+    it('incrementRewardBatch and decrementRewardBatch should accumulate amounts in chunks', async () => {
+      const instance = await ThriveCoinRewardSeason.new(accounts[1], closeDate, claimCloseDate, { from: accounts[0] })
+      const client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+
+      await client.addReward({ owner: accounts[2], amount: '5' })
+      const receipts = await client.incrementRewardBatch([
+        { owner: accounts[2], amount: 2 },
+        { owner: accounts[3], amount: '4' },
+        { owner: accounts[2], amount: web3.utils.toBN(1) }
+      ], { batchSize: 2 })
+      assert.strictEqual(receipts.length, 2)
+
+      await client.decrementReward({ owner: accounts[3], amount: '1' })
+      await client.incrementReward({ owner: accounts[3], amount: '2' })
+
+      assert.strictEqual((await client.readReward(1, accounts[2])).amount, '8')
+      assert.strictEqual((await client.readReward(1, accounts[3])).amount, '5')
+      assert.strictEqual((await client.readSeasonInfo(1)).totalRewards, '13')
+
+      await assert.rejects(client.decrementRewardBatch([{ owner: accounts[3], amount: '6' }]), (err) => {
+        assert.strictEqual(err.reason, 'ThriveCoinRewardSeason: decrement exceeds reward amount')
+        return true
+      })
+    })
+
+    it('removeRewardBatch should remove rewards in chunks', async () => {
+      const instance = await ThriveCoinRewardSeason.new(accounts[1], closeDate, claimCloseDate, { from: accounts[0] })
+      const client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+
+      await client.addRewardBatch(accounts.slice(0, 4).map(owner => ({ owner, amount: '2' })))
+      const receipts = await client.removeRewardBatch(accounts.slice(1, 4), { batchSize: 2 })
+      assert.strictEqual(receipts.length, 2)
+
+      await assert.rejects(client.removeReward(accounts[1]), RewardNotFoundError)
+      await client.removeReward(accounts[0])
+
+      const seasonInfo = await client.readSeasonInfo(1)
+      assert.strictEqual(seasonInfo.totalRewards, '0')
+      assert.strictEqual(seasonInfo.rewardCount, '0')
+    })
+
+    it('season option should target explicit season of overloaded methods', async () => {
+      const instance = await ThriveCoinRewardSeason.new(accounts[1], closeDate, claimCloseDate, { from: accounts[0] })
+      const client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+
+      await client.addSeason(accounts[1], closeDate + 43200, claimCloseDate + 43200)
+      assert.strictEqual(await client.currentSeason(), 2)
+
+      await client.addReward({ owner: accounts[2], amount: '5' }, { season: 1 })
+      await client.addRewardBatch([{ owner: accounts[3], amount: '2' }], { season: 1, batchSize: 1 })
+      await client.addReward({ owner: accounts[2], amount: '7' })
+
+      assert.strictEqual((await client.readSeasonInfo(1)).totalRewards, '7')
+      assert.strictEqual((await client.readSeasonInfo(2)).totalRewards, '7')
+
+      await increaseTime(43201)
+      assert.strictEqual(await client.isSeasonOpen(1), false)
+      assert.strictEqual(await client.isSeasonOpen(2), true)
+
+      await assert.rejects(client.claimReward(accounts[2], { from: accounts[2] }), SeasonStateError)
+      await client.claimReward(accounts[2], { season: 1, from: accounts[2] })
+      assert.strictEqual((await client.readReward(1, accounts[2])).claimed, true)
+
+      await increaseTime(43200)
+      await client.sendUnclaimedFunds({ season: 1 })
+      assert.strictEqual((await client.readSeasonInfo(1)).unclaimedFundsSent, true)
+    })
+
+    it('claimAll and claimRewardForSeason should claim rewards of past seasons', async () => {
+      const instance = await ThriveCoinRewardSeason.new(accounts[1], closeDate, claimCloseDate, { from: accounts[0] })
+      const client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+
+      await client.addReward({ owner: accounts[2], amount: '5' })
+      await client.addReward({ owner: accounts[3], amount: '3' })
+      await client.addSeason(accounts[1], closeDate + 3600, claimCloseDate + 3600)
+      await client.addReward({ owner: accounts[2], amount: '7' })
+
+      await increaseTime(43200 + 3601)
+      await client.claimRewardForSeason(1, accounts[3], { from: accounts[3] })
+      await client.claimAll({ from: accounts[2] })
+
+      assert.strictEqual((await client.readReward(1, accounts[2])).claimed, true)
+      assert.strictEqual((await client.readReward(2, accounts[2])).claimed, true)
+      assert.strictEqual((await client.readReward(1, accounts[3])).claimed, true)
+      await assert.rejects(client.claimAll({ from: accounts[2] }), RewardNotFoundError)
+    })
+
+    it('merkle client should claim rewards of multiple seasons', async () => {
+      const { entries } = normalizeEntries([
+        { address: accounts[0], amount: '100' },
+        { address: accounts[1], amount: '200' }
+      ])
+      const distribution = buildDistribution(entries)
+      const erc20 = await DummyToken.new('MyToken', 'MTK', { from: accounts[0] })
+      const instance = await ThriveCoinRewardSeasonMerkleIERC20.new(
+        accounts[5],
+        distribution.merkleRoot,
+        distribution.totalRewards,
+        claimCloseDate,
+        erc20.address,
+        { from: accounts[0] }
+      )
+      await erc20.mint(instance.address, '600', { from: accounts[0] })
+
+      const client = new ThriveCoinRewardSeasonMerkleIERC20Client({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeasonMerkleIERC20.abi,
+        from: accounts[0]
+      })
+      await client.addSeason(accounts[5], distribution.merkleRoot, distribution.totalRewards, claimCloseDate + 43200)
+
+      const claim = getClaim(distribution, accounts[1])
+      await client.claimAll([{ season: 1, ...claim }, { season: 2, ...claim }], { from: accounts[1] })
+      assert.strictEqual((await erc20.balanceOf(accounts[1])).toString(), '400')
+
+      await client.claimRewardForSeason(2, getClaim(distribution, accounts[0]))
+      await increaseTime(86401)
+      await client.sendUnclaimedFunds({ season: 1 })
+      assert.strictEqual((await erc20.balanceOf(accounts[5])).toString(), '100')
+      assert.strictEqual((await client.readSeasonInfo(1)).unclaimedFundsSent, true)
+      assert.strictEqual((await client.readSeasonInfo(2)).unclaimedFundsSent, false)
+    })
+
+    it('client should change close dates of current season', async () => {
+      const instance = await ThriveCoinRewardSeason.new(accounts[1], closeDate, claimCloseDate, { from: accounts[0] })
+      const client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+
+      await client.setClaimCloseDate(claimCloseDate + 3600)
+      await client.setSeasonCloseDate(closeDate + 3600)
+
+      const seasonInfo = await client.readSeasonInfo(1)
+      assert.strictEqual(+seasonInfo.closeDate, closeDate + 3600)
+      assert.strictEqual(+seasonInfo.claimCloseDate, claimCloseDate + 3600)
+      await assert.rejects(client.setSeasonCloseDate(claimCloseDate + 3600), SeasonStateError)
+      await assert.rejects(client.setClaimCloseDate(claimCloseDate, { from: accounts[1] }), UnauthorizedError)
+    })
+
+    it('erc20 client should fund contract and report funding status', async () => {
+      const erc20 = await DummyToken.new('MyToken', 'MTK', { from: accounts[0] })
+      const instance = await ThriveCoinRewardSeasonIERC20.new(
+        accounts[1],
+        closeDate,
+        claimCloseDate,
+        erc20.address,
+        { from: accounts[0] }
+      )
+      const client = new ThriveCoinRewardSeasonIERC20Client({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeasonIERC20.abi,
+        from: accounts[0]
+      })
+
+      await client.setStrictFunding(true)
+      assert.strictEqual(await client.isStrictFunding(), true)
+      await assert.rejects(client.addReward({ owner: accounts[2], amount: '5' }), InsufficientFundsError)
+
+      await erc20.mint(accounts[0], '5', { from: accounts[0] })
+      await erc20.approve(instance.address, '5', { from: accounts[0] })
+      await client.fundSeason('5')
+      await client.addReward({ owner: accounts[2], amount: '5' })
+
+      assert.deepStrictEqual(await client.readFundingStatus(), { funded: '5', required: '5' })
+    })
+
+    it('erc20 client should configure season vesting and read releasable amounts', async () => {
+      const erc20 = await DummyToken.new('MyToken', 'MTK', { from: accounts[0] })
+      const instance = await ThriveCoinRewardSeasonIERC20.new(
+        accounts[1],
+        closeDate,
+        claimCloseDate,
+        erc20.address,
+        { from: accounts[0] }
+      )
+      const client = new ThriveCoinRewardSeasonIERC20Client({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeasonIERC20.abi,
+        from: accounts[0]
+      })
+
+      await client.setSeasonVesting(1, { cliff: 3600, duration: 7200 })
+      assert.deepStrictEqual(await client.readSeasonVesting(1), { cliff: '3600', duration: '7200' })
+
+      await erc20.mint(instance.address, '10', { from: accounts[0] })
+      await client.addReward({ owner: accounts[2], amount: '10' })
+      assert.strictEqual(await client.releasableAmount(1, accounts[2]), '0')
+
+      await increaseTime(43200 + 7201)
+      assert.strictEqual(await client.vestedAmount(1, accounts[2]), '10')
+      await client.claimReward(accounts[2], { from: accounts[2] })
+      assert.strictEqual((await client.readReward(1, accounts[2])).released, '10')
+      assert.strictEqual(await client.releasableAmount(1, accounts[2]), '0')
+    })
+  })
+})
@@ -0,0 +1,131 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { promisify } = require('util')
+const { ThriveCoinRewardSeasonClient } = require('../lib')
+const { normalizeRewards, uploadRewards, verifyUpload } = require('../scripts/reward-uploader')
+const ThriveCoinRewardSeason = artifacts.require('ThriveCoinRewardSeason')
+
+describe('reward uploader', () => {
+  contract('uploader tests', (accounts) => {
+    const now = Date.now()
+    const entries = normalizeRewards(accounts.map((owner, i) => ({ owner, amount: String(i + 1) })))
+
+    let client
+    let journalFile
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      const instance = await ThriveCoinRewardSeason.new(
+        accounts[1],
+        Math.floor(now / 1000) + 43200,
+        Math.floor(now / 1000) + 86400,
+        { from: accounts[0] }
+      )
+      client = new ThriveCoinRewardSeasonClient({ web3, address: instance.address, abi: ThriveCoinRewardSeason.abi })
+      journalFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'thc-upload-')), 'journal.json')
+    })
+
+    afterEach(async () => {
+      fs.rmSync(path.dirname(journalFile), { recursive: true, force: true })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('normalizeRewards should keep last entry per owner and default destination to owner', async () => {
+      const res = normalizeRewards([
+        { owner: accounts[0].toLowerCase(), destination: accounts[1], amount: '1' },
+        { owner: accounts[2], amount: '2' },
+        { owner: accounts[0], destination: accounts[3], amount: '3' }
+      ])
+
+      assert.deepStrictEqual(res, [
+        { owner: accounts[2], destination: accounts[2], amount: '2' },
+        { owner: accounts[0], destination: accounts[3], amount: '3' }
+      ])
+      assert.throws(() => normalizeRewards([{ owner: '0x1', amount: '1' }]), /invalid owner at row 1/)
+      assert.throws(() => normalizeRewards([{ owner: accounts[0], amount: '-1' }]), /invalid amount at row 1/)
+    })
+
+    it('should upload rewards in gas bounded batches and verify them', async () => {
+      const journal = await uploadRewards({ client, entries, journalFile, from: accounts[0], maxGas: 300000 })
+
+      assert.ok(journal.batches.length > 1)
+      assert.strictEqual(journal.offset, entries.length)
+      assert.ok(journal.batches.every(batch => batch.gasUsed <= 300000))
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(journalFile, 'utf8')), journal)
+
+      const res = await verifyUpload({ client, entries, journal })
+      assert.strictEqual(res.ok, true)
+      assert.strictEqual(res.totalsComparable, true)
+      assert.deepStrictEqual(res.actual, { totalRewards: '55', rewardCount: '10' })
+    })
+
+    it('should resume interrupted upload without resending confirmed batches', async () => {
+      await assert.rejects(uploadRewards({
+        client,
+        entries,
+        journalFile,
+        from: accounts[0],
+        batchSize: 3,
+        log: () => { throw new Error('interrupted') }
+      }), /interrupted/)
+
+      let journal = JSON.parse(fs.readFileSync(journalFile, 'utf8'))
+      assert.strictEqual(journal.offset, 3)
+      assert.strictEqual(journal.batches.length, 1)
+
+      const blockBefore = await web3.eth.getBlockNumber()
+      journal = await uploadRewards({ client, entries, journalFile, from: accounts[0], batchSize: 3 })
+      const blockAfter = await web3.eth.getBlockNumber()
+
+      assert.strictEqual(blockAfter - blockBefore, 3)
+      assert.deepStrictEqual(journal.batches.map(b => [b.from, b.to]), [[0, 3], [3, 6], [6, 9], [9, 10]])
+      assert.strictEqual((await verifyUpload({ client, entries, journal })).ok, true)
+    })
+
+    it('should not resend pending batch that was confirmed', async () => {
+      let journal = await uploadRewards({ client, entries, journalFile, from: accounts[0], batchSize: 5 })
+      const last = journal.batches.pop()
+      journal.pending = { from: last.from, to: last.to, txHash: last.txHash }
+      journal.offset = last.from
+      fs.writeFileSync(journalFile, JSON.stringify(journal))
+
+      const blockBefore = await web3.eth.getBlockNumber()
+      journal = await uploadRewards({ client, entries, journalFile, from: accounts[0], batchSize: 5 })
+
+      assert.strictEqual(await web3.eth.getBlockNumber(), blockBefore)
+      assert.strictEqual(journal.pending, null)
+      assert.strictEqual(journal.batches.length, 2)
+      assert.strictEqual(journal.batches[1].txHash, last.txHash)
+    })
+
+    it('should refuse journal created for different input', async () => {
+      await uploadRewards({ client, entries: entries.slice(0, 2), journalFile, from: accounts[0] })
+
+      await assert.rejects(
+        uploadRewards({ client, entries, journalFile, from: accounts[0] }),
+        /belongs to a different contract, season or input/
+      )
+    })
+
+    it('verification should report mismatching rewards', async () => {
+      const journal = await uploadRewards({ client, entries, journalFile, from: accounts[0] })
+      await client.addReward({ owner: accounts[4], amount: '100' }, { from: accounts[0] })
+
+      const res = await verifyUpload({ client, entries, journal })
+      assert.strictEqual(res.ok, false)
+      assert.strictEqual(res.mismatches.length, 1)
+      assert.strictEqual(res.mismatches[0].owner, accounts[4])
+      assert.strictEqual(res.actual.totalRewards, '150')
+    })
+  })
+})
@@ -0,0 +1,104 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const { ThriveCoinRewardSeasonClient } = require('../lib')
+const { exportSeason } = require('../scripts/season-exporter')
+const ThriveCoinRewardSeason = artifacts.require('ThriveCoinRewardSeason')
+
+describe('season exporter', () => {
+  contract('exporter tests', (accounts) => {
+    const now = Date.now()
+    let client
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      const instance = await ThriveCoinRewardSeason.new(
+        accounts[1],
+        Math.floor(now / 1000) + 43200,
+        Math.floor(now / 1000) + 86400,
+        { from: accounts[0] }
+      )
+      client = new ThriveCoinRewardSeasonClient({
+        web3,
+        address: instance.address,
+        abi: ThriveCoinRewardSeason.abi,
+        from: accounts[0]
+      })
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('should export all rewards in index order with claimed flags and matching summary', async () => {
+      await client.addRewardBatch(accounts.slice(0, 6).map((owner, i) => ({
+        owner,
+        destination: accounts[9],
+        amount: String((i + 1) * 10)
+      })))
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await client.claimReward(accounts[1], { from: accounts[1] })
+      await client.claimReward(accounts[4], { from: accounts[9] })
+
+      const { summary, rewards } = await exportSeason({ client, season: 1, concurrency: 4 })
+
+      assert.deepStrictEqual(rewards.map(r => r.owner), accounts.slice(0, 6))
+      assert.deepStrictEqual(rewards.map(r => r.amount), ['10', '20', '30', '40', '50', '60'])
+      assert.deepStrictEqual(rewards.map(r => r.claimed), [false, true, false, false, true, false])
+      assert.ok(rewards.every(r => r.destination === accounts[9]))
+
+      assert.strictEqual(summary.season, 1)
+      assert.strictEqual(summary.rewardCount, 6)
+      assert.strictEqual(summary.claimedCount, 2)
+      assert.strictEqual(summary.totalRewards, '210')
+      assert.strictEqual(summary.claimedRewards, '70')
+      assert.strictEqual(summary.sumRewards, '210')
+      assert.strictEqual(summary.sumClaimed, '70')
+      assert.strictEqual(summary.totalRewardsMatch, true)
+      assert.strictEqual(summary.claimedRewardsMatch, true)
+    })
+
+    it('should export rewards at a single block while rewards change', async () => {
+      await client.addRewardBatch(accounts.slice(0, 4).map((owner, i) => ({
+        owner,
+        destination: accounts[9],
+        amount: String((i + 1) * 10)
+      })))
+      const blockNumber = await web3.eth.getBlockNumber()
+
+      // swap-and-pop moves last reward to index 0
+      await client.removeReward(accounts[0])
+      await client.addReward({ owner: accounts[5], destination: accounts[9], amount: '5' })
+
+      const { summary, rewards } = await exportSeason({ client, season: 1, blockNumber })
+
+      assert.strictEqual(summary.blockNumber, blockNumber)
+      assert.deepStrictEqual(rewards.map(r => r.owner), accounts.slice(0, 4))
+      assert.strictEqual(summary.totalRewards, '100')
+      assert.strictEqual(summary.totalRewardsMatch, true)
+
+      const latest = await exportSeason({ client, season: 1 })
+      assert.strictEqual(latest.summary.blockNumber, await web3.eth.getBlockNumber())
+      assert.deepStrictEqual(latest.rewards.map(r => r.owner), [accounts[3], accounts[1], accounts[2], accounts[5]])
+      assert.strictEqual(latest.summary.totalRewards, '95')
+    })
+
+    it('should export empty season', async () => {
+      const { summary, rewards } = await exportSeason({ client, season: 1 })
+
+      assert.deepStrictEqual(rewards, [])
+      assert.strictEqual(summary.rewardCount, 0)
+      assert.strictEqual(summary.totalRewardsMatch, true)
+    })
+  })
+})
@@ -0,0 +1,214 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const ThriveCoinRewardSeasonNative = artifacts.require('ThriveCoinRewardSeasonNative')
+const DummyReentrantReceiver = artifacts.require('DummyReentrantReceiver')
+
+describe('ThriveCoinRewardSeasonNative', () => {
+  contract('reward tests', (accounts) => {
+    const now = Date.now()
+    const { toBN } = web3.utils
+
+    let contract
+    const contractArgs = {
+      defaultDestination: accounts[3],
+      closeDate: Math.floor(now / 1000) + 43200,
+      claimCloseDate: Math.floor(now / 1000) + 86400
+    }
+    const seasonIndex = 1
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    const getBalance = async (address) => toBN(await web3.eth.getBalance(address))
+    let snapshotId = null
+
+    const closeSeason = async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    const closeClaims = async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86402], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      contract = await ThriveCoinRewardSeasonNative.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      await web3.eth.sendTransaction({ to: contract.address, value: '100', from: accounts[0] })
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('should accept native funds', async () => {
+      await web3.eth.sendTransaction({ to: contract.address, value: '50', from: accounts[0] })
+      const balance = await getBalance(contract.address)
+      assert.strictEqual(balance.toString(), '150')
+    })
+
+    it('claim reward should send native funds from contract to destination', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[5], amount: '5' }, { from: accounts[0] })
+
+      const accBalanceBefore = await getBalance(accounts[5])
+      await closeSeason()
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+
+      const accBalanceAfter = await getBalance(accounts[5])
+      const contractBalanceAfter = await getBalance(contract.address)
+      assert.strictEqual(accBalanceAfter.sub(accBalanceBefore).toString(), '5')
+      assert.strictEqual(contractBalanceAfter.toString(), '95')
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(+seasonInfo.claimedRewards, 5)
+
+      const reward = await contract.readReward(seasonIndex, accounts[0])
+      assert.strictEqual(reward.claimed, true)
+    })
+
+    it('claim reward should fail when contract does not hold enough funds', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[5], amount: '500' }, { from: accounts[0] })
+      await closeSeason()
+
+      try {
+        await contract.claimReward(accounts[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Address: insufficient balance'))
+      }
+
+      const reward = await contract.readReward(seasonIndex, accounts[0])
+      assert.strictEqual(reward.claimed, false)
+    })
+
+    it('claim reward should not allow reentrancy from destination', async () => {
+      const receiver = await DummyReentrantReceiver.new(contract.address, { from: accounts[0] })
+      await contract.addReward({ owner: receiver.address, destination: receiver.address, amount: '5' }, { from: accounts[0] })
+      await closeSeason()
+
+      try {
+        await receiver.claimReward(receiver.address, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Address: unable to send value, recipient may have reverted'))
+      }
+
+      const reward = await contract.readReward(seasonIndex, receiver.address)
+      assert.strictEqual(reward.claimed, false)
+      assert.strictEqual((await getBalance(contract.address)).toString(), '100')
+    })
+
+    it('send unclaimed funds should send native funds to season default destination', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[5], amount: '5' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[1], destination: accounts[5], amount: '3' }, { from: accounts[0] })
+
+      await closeSeason()
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+      await closeClaims()
+
+      const defaultDestBalanceBefore = await getBalance(contractArgs.defaultDestination)
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.unclaimedFundsSent, true)
+
+      const defaultDestBalanceAfter = await getBalance(contractArgs.defaultDestination)
+      assert.strictEqual(defaultDestBalanceAfter.sub(defaultDestBalanceBefore).toString(), '3')
+      assert.strictEqual((await getBalance(contract.address)).toString(), '92')
+    })
+
+    it('remaining native funds cannot be withdrawn during active season', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[5], amount: '5' }, { from: accounts[0] })
+
+      try {
+        await contract.withdrawEther(accounts[4], 95, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: previous season not fully closed'))
+      }
+    })
+
+    it('remaining native funds cannot be withdrawn before unclaimed funds are sent', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[5], amount: '5' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[1], destination: accounts[5], amount: '3' }, { from: accounts[0] })
+
+      await closeSeason()
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+      await closeClaims()
+
+      try {
+        await contract.withdrawEther(accounts[4], 92, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: unclaimed funds not sent yet'))
+      }
+    })
+
+    it('only admin can withdraw remaining funds after sending unclaimed funds', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[5], amount: '5' }, { from: accounts[0] })
+      await contract.addReward({ owner: accounts[1], destination: accounts[5], amount: '3' }, { from: accounts[0] })
+
+      await closeSeason()
+      await contract.claimReward(accounts[0], { from: accounts[0] })
+      await closeClaims()
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+
+      try {
+        await contract.withdrawEther(accounts[4], 92, { from: accounts[4] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+
+      try {
+        await contract.withdrawEther(accounts[4], 100, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonNative: not enough funds available'))
+      }
+
+      const wdAccBalBefore = await getBalance(accounts[4])
+      const res = await contract.withdrawEther(accounts[4], 92, { from: accounts[0] })
+      const wdAccBalAfter = await getBalance(accounts[4])
+
+      assert.strictEqual(wdAccBalAfter.sub(wdAccBalBefore).toString(), '92')
+      assert.strictEqual((await getBalance(contract.address)).toString(), '0')
+
+      const txLog = res.logs[0]
+      assert.strictEqual(txLog.event, 'Withdrawn')
+      assert.strictEqual(txLog.args.token, '0x0000000000000000000000000000000000000000')
+      assert.strictEqual(txLog.args.account, accounts[4])
+      assert.strictEqual(txLog.args.amount.toString(), '92')
+    })
+
+    it('remaining native funds cannot be withdrawn while an older season is unsettled', async () => {
+      await contract.addReward({ owner: accounts[0], destination: accounts[5], amount: '5' }, { from: accounts[0] })
+
+      await closeSeason()
+      await closeClaims()
+      const closeDate = Math.floor(now / 1000) + 86400 * 3
+      await contract.addSeason(accounts[3], closeDate, closeDate + 1, { from: accounts[0] })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86400 * 2], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.withdrawEther(accounts[4], 95, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: unclaimed funds not sent yet'))
+      }
+
+      await contract.methods['sendUnclaimedFunds(uint256)'](seasonIndex, { from: accounts[0] })
+      await contract.withdrawEther(accounts[4], 95, { from: accounts[0] })
+      assert.strictEqual((await getBalance(contract.address)).toString(), '0')
+    })
+  })
+})
@@ -0,0 +1,144 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const { web3Utils: { buildMerkleTree } } = require('@thrivecoin/web3-utils')
+const ThriveCoinRewardSeasonMerkleNative = artifacts.require('ThriveCoinRewardSeasonMerkleNative')
+
+describe('ThriveCoinRewardSeasonMerkleNative', () => {
+  contract('contract tests', (accounts) => {
+    const now = Date.now()
+    const { toBN } = web3.utils
+
+    const records = [
+      { addr: accounts[5], amount: web3.eth.abi.encodeParameter('uint256', '1000') },
+      { addr: accounts[6], amount: web3.eth.abi.encodeParameter('uint256', '2000') },
+      { addr: accounts[7], amount: web3.eth.abi.encodeParameter('uint256', '3000') }
+    ]
+
+    const selector = (x) => Buffer.concat([
+      Buffer.from(x.addr.replace('0x', ''), 'hex'),
+      Buffer.from(x.amount.replace('0x', ''), 'hex')
+    ])
+    const tree = buildMerkleTree(web3, records, selector)
+    const getProof = (record) => tree.getHexProof(web3.utils.keccak256(selector(record)))
+
+    let contract
+    const contractArgs = {
+      defaultDestination: accounts[3],
+      merkleRoot: tree.getHexRoot(),
+      totalRewards: '6000',
+      claimCloseDate: Math.floor(now / 1000) + 86400
+    }
+    const seasonIndex = '1'
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    const getBalance = async (address) => toBN(await web3.eth.getBalance(address))
+    let snapshotId = null
+
+    const closeClaims = async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86401], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      contract = await ThriveCoinRewardSeasonMerkleNative.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+
+      await web3.eth.sendTransaction({ to: contract.address, value: '7000', from: accounts[0] })
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('claim reward should send native funds from contract to caller', async () => {
+      const gasPrice = '1'
+      const accBalanceBefore = await getBalance(accounts[6])
+
+      const res = await contract.claimReward('2000', getProof(records[1]), { from: accounts[6], gasPrice })
+
+      const accBalanceAfter = await getBalance(accounts[6])
+      const gasCost = toBN(res.receipt.gasUsed).mul(toBN(gasPrice))
+      assert.strictEqual(accBalanceAfter.sub(accBalanceBefore).add(gasCost).toString(), '2000')
+      assert.strictEqual((await getBalance(contract.address)).toString(), '5000')
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.claimedRewards.toString(), '2000')
+      assert.strictEqual(await contract.readReward(seasonIndex, accounts[6]), true)
+    })
+
+    it('send unclaimed funds should send native funds to season default destination', async () => {
+      await contract.claimReward('1000', getProof(records[0]), { from: accounts[5] })
+      await closeClaims()
+
+      const defaultDestBalanceBefore = await getBalance(contractArgs.defaultDestination)
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+      const defaultDestBalanceAfter = await getBalance(contractArgs.defaultDestination)
+
+      assert.strictEqual(defaultDestBalanceAfter.sub(defaultDestBalanceBefore).toString(), '5000')
+      assert.strictEqual((await getBalance(contract.address)).toString(), '1000')
+
+      const seasonInfo = await contract.readSeasonInfo(seasonIndex)
+      assert.strictEqual(seasonInfo.unclaimedFundsSent, true)
+    })
+
+    it('remaining native funds cannot be withdrawn during active season', async () => {
+      try {
+        await contract.withdrawEther(accounts[4], '1000', { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: previous season not fully closed'))
+      }
+    })
+
+    it('remaining native funds cannot be withdrawn before unclaimed funds are sent', async () => {
+      await closeClaims()
+
+      try {
+        await contract.withdrawEther(accounts[4], '1000', { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: unclaimed funds not sent yet'))
+      }
+    })
+
+    it('only admin can withdraw remaining funds after sending unclaimed funds', async () => {
+      await closeClaims()
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+
+      try {
+        await contract.withdrawEther(accounts[4], '1000', { from: accounts[4] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: must have admin role'))
+      }
+
+      try {
+        await contract.withdrawEther(accounts[4], '1001', { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleNative: not enough funds available'))
+      }
+
+      const wdAccBalBefore = await getBalance(accounts[4])
+      const res = await contract.withdrawEther(accounts[4], '1000', { from: accounts[0] })
+      const wdAccBalAfter = await getBalance(accounts[4])
+
+      assert.strictEqual(wdAccBalAfter.sub(wdAccBalBefore).toString(), '1000')
+      assert.strictEqual((await getBalance(contract.address)).toString(), '0')
+
+      const txLog = res.logs[0]
+      assert.strictEqual(txLog.event, 'Withdrawn')
+      assert.strictEqual(txLog.args.token, '0x0000000000000000000000000000000000000000')
+      assert.strictEqual(txLog.args.account, accounts[4])
+      assert.strictEqual(txLog.args.amount.toString(), '1000')
+    })
+  })
+})
@@ -0,0 +1,329 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const { Wallet } = require('ethers')
+const { web3Utils: { buildMerkleTree } } = require('@thrivecoin/web3-utils')
+const {
+  ThriveCoinRewardSeasonMerkleDelegatedClient,
+  ThriveCoinRewardSeasonMerkleDelegatedIERC20Client
+} = require('../lib')
+const DummyToken = artifacts.require('DummyToken')
+const ThriveCoinRewardSeasonMerkleDelegated = artifacts.require('ThriveCoinRewardSeasonMerkleDelegated')
+const ThriveCoinRewardSeasonMerkleDelegatedIERC20 = artifacts.require('ThriveCoinRewardSeasonMerkleDelegatedIERC20')
+const ThriveCoinRewardSeasonMerkleDelegatedUpgradeable = artifacts.require('ThriveCoinRewardSeasonMerkleDelegatedUpgradeable')
+const ThriveCoinRewardSeasonProxy = artifacts.require('ThriveCoinRewardSeasonProxy')
+
+describe('ThriveCoinRewardSeasonMerkleDelegated', () => {
+  contract('contract tests', (accounts) => {
+    const now = Date.now()
+    const signer = Wallet.createRandom()
+
+    const records = [
+      { owner: accounts[0], destination: accounts[4], amount: '1000' },
+      { owner: accounts[1], destination: accounts[1], amount: '2000' },
+      { owner: signer.address, destination: accounts[6], amount: '3000' }
+    ]
+
+    const selector = (x) => Buffer.concat([
+      Buffer.from(x.owner.replace('0x', ''), 'hex'),
+      Buffer.from(x.destination.replace('0x', ''), 'hex'),
+      Buffer.from(web3.eth.abi.encodeParameter('uint256', x.amount).replace('0x', ''), 'hex')
+    ])
+    const tree = buildMerkleTree(web3, records, selector)
+    const getProof = (record) => tree.getHexProof(web3.utils.keccak256(selector(record)))
+
+    const claimFor = (instance, record, opts) => instance.methods['claimReward(address,address,uint256,bytes32[])'](
+      record.owner,
+      record.destination,
+      record.amount,
+      getProof(record),
+      opts
+    )
+
+    let contract
+    let client
+    const contractArgs = {
+      defaultDestination: accounts[3],
+      merkleRoot: tree.getHexRoot(),
+      totalRewards: '6000',
+      claimCloseDate: Math.floor(now / 1000) + 86400
+    }
+    const deadline = Math.floor(now / 1000) + 3600
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const signClaim = async (wallet, record, claimDeadline = deadline) => {
+      const { domain, types, message } = await client.buildClaimTypedData(record.owner, record, claimDeadline)
+      return wallet._signTypedData(domain, { ClaimReward: types.ClaimReward }, message)
+    }
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      contract = await ThriveCoinRewardSeasonMerkleDelegated.new(
+        ...Object.values(contractArgs),
+        { from: accounts[0] }
+      )
+      client = new ThriveCoinRewardSeasonMerkleDelegatedClient({
+        web3,
+        address: contract.address,
+        abi: ThriveCoinRewardSeasonMerkleDelegated.abi,
+        from: accounts[5]
+      })
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('owner should be able to claim reward', async () => {
+      const res = await claimFor(contract, records[0], { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'RewardClaimed')
+      assert.strictEqual(+txLog.args.season, 1)
+      assert.strictEqual(txLog.args.owner, accounts[0])
+      assert.strictEqual(txLog.args.destination, accounts[4])
+      assert.strictEqual(txLog.args.amount.toString(), '1000')
+
+      assert.strictEqual(await contract.readReward(1, accounts[0]), true)
+      const seasonInfo = await contract.readSeasonInfo(1)
+      assert.strictEqual(seasonInfo.claimedRewards.toString(), '1000')
+    })
+
+    it('destination should be able to claim reward', async () => {
+      await claimFor(contract, records[0], { from: accounts[4] })
+      assert.strictEqual(await contract.readReward(1, accounts[0]), true)
+    })
+
+    it('claimReward should fail when neither owner or destination is the caller', async () => {
+      try {
+        await claimFor(contract, records[0], { from: accounts[2] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: caller is not allowed to claim reward'))
+      }
+    })
+
+    it('claimReward should fail when destination does not match the leaf', async () => {
+      try {
+        await claimFor(contract, { ...records[0], destination: accounts[2] }, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: reward not found'))
+      }
+    })
+
+    it('claimReward should fail when reward is already claimed', async () => {
+      await claimFor(contract, records[0], { from: accounts[0] })
+
+      try {
+        await claimFor(contract, records[0], { from: accounts[4] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: reward is already claimed'))
+      }
+    })
+
+    it('claimReward should fail when claim deadline is reached', async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86401], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await claimFor(contract, records[0], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: deadline for claiming reached'))
+      }
+    })
+
+    it('claimReward with amount and proof should claim leaf where caller is owner and destination', async () => {
+      await contract.methods['claimReward(uint256,bytes32[])'](
+        records[1].amount,
+        getProof(records[1]),
+        { from: accounts[1] }
+      )
+      assert.strictEqual(await contract.readReward(1, accounts[1]), true)
+
+      try {
+        await contract.methods['claimReward(uint256,bytes32[])'](
+          records[0].amount,
+          getProof(records[0]),
+          { from: accounts[0] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: reward not found'))
+      }
+    })
+
+    it('relayer should be able to claim reward with owner signature', async () => {
+      const signature = await signClaim(signer, records[2])
+      const res = await client.claimRewardBySig(signer.address, { ...records[2], proof: getProof(records[2]) }, deadline, signature)
+
+      assert.strictEqual(res.from.toLowerCase(), accounts[5].toLowerCase())
+      assert.strictEqual(res.events.RewardClaimed.returnValues.owner, signer.address)
+      assert.strictEqual(res.events.RewardClaimed.returnValues.destination, accounts[6])
+      assert.strictEqual(await contract.readReward(1, signer.address), true)
+    })
+
+    it('relayer should be able to claim reward with owner signature behind proxy', async () => {
+      const implementation = await ThriveCoinRewardSeasonMerkleDelegatedUpgradeable.new({ from: accounts[0] })
+      const data = implementation.contract.methods.initialize(...Object.values(contractArgs)).encodeABI()
+      const proxy = await ThriveCoinRewardSeasonProxy.new(implementation.address, data, { from: accounts[0] })
+      client = new ThriveCoinRewardSeasonMerkleDelegatedClient({
+        web3,
+        address: proxy.address,
+        abi: ThriveCoinRewardSeasonMerkleDelegatedUpgradeable.abi,
+        from: accounts[5]
+      })
+
+      const signature = await signClaim(signer, records[2])
+      const res = await client.claimRewardBySig(signer.address, { ...records[2], proof: getProof(records[2]) }, deadline, signature)
+
+      assert.strictEqual(res.events.RewardClaimed.returnValues.owner, signer.address)
+      assert.strictEqual(await client.readReward(1, signer.address), true)
+    })
+
+    it('claimRewardBySig should fail when signature is not signed by owner', async () => {
+      const signature = await signClaim(Wallet.createRandom(), records[2])
+
+      try {
+        await contract.claimRewardBySig(
+          signer.address,
+          records[2].destination,
+          records[2].amount,
+          getProof(records[2]),
+          deadline,
+          signature,
+          { from: accounts[5] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: invalid signature'))
+      }
+    })
+
+    it('claimRewardBySig should fail when signed destination is changed', async () => {
+      const signature = await signClaim(signer, records[2])
+
+      try {
+        await contract.claimRewardBySig(
+          signer.address,
+          accounts[5],
+          records[2].amount,
+          getProof(records[2]),
+          deadline,
+          signature,
+          { from: accounts[5] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: invalid signature'))
+      }
+    })
+
+    it('claimRewardBySig should fail when signature is expired', async () => {
+      const expiredDeadline = Math.floor(now / 1000) - 1
+      const signature = await signClaim(signer, records[2], expiredDeadline)
+
+      try {
+        await contract.claimRewardBySig(
+          signer.address,
+          records[2].destination,
+          records[2].amount,
+          getProof(records[2]),
+          expiredDeadline,
+          signature,
+          { from: accounts[5] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: signature expired'))
+      }
+    })
+
+    it('signed claims should fail while contract is paused', async () => {
+      const signature = await signClaim(signer, records[2])
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.claimRewardBySig(
+          signer.address,
+          records[2].destination,
+          records[2].amount,
+          getProof(records[2]),
+          deadline,
+          signature,
+          { from: accounts[5] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+    })
+
+    it('erc20 variant should send funds to destination', async () => {
+      const erc20 = await DummyToken.new('MyToken', 'MTK', { from: accounts[0] })
+      const erc20Contract = await ThriveCoinRewardSeasonMerkleDelegatedIERC20.new(
+        ...Object.values({ ...contractArgs, _tokenAddress: erc20.address }),
+        { from: accounts[0] }
+      )
+      await erc20.mint(erc20Contract.address, '6000', { from: accounts[0] })
+
+      await claimFor(erc20Contract, records[0], { from: accounts[0] })
+      assert.strictEqual((await erc20.balanceOf(accounts[4])).toString(), '1000')
+      assert.strictEqual((await erc20.balanceOf(accounts[0])).toString(), '0')
+
+      const erc20Client = new ThriveCoinRewardSeasonMerkleDelegatedIERC20Client({
+        web3,
+        address: erc20Contract.address,
+        abi: ThriveCoinRewardSeasonMerkleDelegatedIERC20.abi,
+        from: accounts[5]
+      })
+      const { domain, types, message } = await erc20Client.buildClaimTypedData(signer.address, records[2], deadline)
+      const signature = await signer._signTypedData(domain, { ClaimReward: types.ClaimReward }, message)
+      await erc20Client.claimRewardBySig(signer.address, { ...records[2], proof: getProof(records[2]) }, deadline, signature)
+      assert.strictEqual((await erc20.balanceOf(accounts[6])).toString(), '3000')
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [86401], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      await erc20Contract.sendUnclaimedFunds({ from: accounts[0] })
+      assert.strictEqual((await erc20.balanceOf(accounts[3])).toString(), '2000')
+    })
+
+    it('claimRewardForSeason should claim delegated reward of past season', async () => {
+      const claimCloseDate = Math.floor(now / 1000) + 86400 * 2
+      await contract.addSeason(accounts[3], contractArgs.merkleRoot, contractArgs.totalRewards, claimCloseDate, { from: accounts[0] })
+
+      const res = await contract.methods['claimRewardForSeason(uint256,address,address,uint256,bytes32[])'](
+        1,
+        records[0].owner,
+        records[0].destination,
+        records[0].amount,
+        getProof(records[0]),
+        { from: accounts[4] }
+      )
+      assert.strictEqual(+res.logs[0].args.season, 1)
+      assert.strictEqual(res.logs[0].args.destination, accounts[4])
+      assert.strictEqual(await contract.readReward(1, accounts[0]), true)
+      assert.strictEqual(await contract.readReward(2, accounts[0]), false)
+
+      try {
+        await contract.methods['claimRewardForSeason(uint256,uint256,bytes32[])'](1, records[1].amount, getProof(records[1]), { from: accounts[2] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleDelegated: reward not found'))
+      }
+
+      await contract.claimAll([1, 2], [records[1].amount, records[1].amount], [getProof(records[1]), getProof(records[1])], { from: accounts[1] })
+      assert.strictEqual(await contract.readReward(1, accounts[1]), true)
+      assert.strictEqual(await contract.readReward(2, accounts[1]), true)
+    })
+  })
+})
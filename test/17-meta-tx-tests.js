@@ -0,0 +1,163 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const fetch = require('node-fetch')
+const { promisify } = require('util')
+const { Wallet } = require('ethers')
+const { MinimalForwarderClient } = require('../lib')
+const { createRelayServer } = require('../scripts/relayer')
+const DummyToken = artifacts.require('DummyToken')
+const Forwarder = artifacts.require('Forwarder')
+const ThriveCoinRewardSeason = artifacts.require('ThriveCoinRewardSeason')
+const ThriveCoinRewardSeasonIERC20 = artifacts.require('ThriveCoinRewardSeasonIERC20')
+
+describe('meta-transactions', () => {
+  contract('trusted forwarder tests', (accounts) => {
+    const now = Date.now()
+    const owner = Wallet.createRandom()
+    const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000'
+
+    let forwarder
+    let forwarderClient
+    let contract
+    let erc20
+    let server
+    let baseUrl
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const closeSeason = async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    const signClaim = async (wallet, rewardOwner) => {
+      const data = contract.contract.methods.claimReward(rewardOwner).encodeABI()
+      const request = await forwarderClient.buildRequest({ from: wallet.address, to: contract.address, data, gas: 200000 })
+      const { domain, types, message } = await forwarderClient.buildTypedData(request)
+      const signature = await wallet._signTypedData(domain, { ForwardRequest: types.ForwardRequest }, message)
+      return { request, signature }
+    }
+
+    const relay = async (payload) => {
+      const resp = await fetch(`${baseUrl}/relay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      })
+      return { status: resp.status, body: await resp.json() }
+    }
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      forwarder = await Forwarder.deployed()
+      forwarderClient = new MinimalForwarderClient({
+        web3,
+        address: forwarder.address,
+        abi: Forwarder.abi,
+        from: accounts[9]
+      })
+
+      erc20 = await DummyToken.new('MyToken', 'MTK', { from: accounts[0] })
+      contract = await ThriveCoinRewardSeasonIERC20.new(
+        accounts[3],
+        Math.floor(now / 1000) + 43200,
+        Math.floor(now / 1000) + 86400,
+        erc20.address,
+        { from: accounts[0] }
+      )
+      await contract.setTrustedForwarder(forwarder.address, { from: accounts[0] })
+      await erc20.mint(contract.address, '100', { from: accounts[0] })
+      await contract.addReward({ owner: owner.address, destination: accounts[5], amount: '5' }, { from: accounts[0] })
+
+      server = createRelayServer({ forwarder: forwarderClient, targets: [contract.address] })
+      await promisify(server.listen.bind(server))(0, '127.0.0.1')
+      baseUrl = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterEach(async () => {
+      await promisify(server.close.bind(server))()
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('migrations should set deployed forwarder as trusted forwarder', async () => {
+      const deployed = await ThriveCoinRewardSeason.deployed()
+      assert.strictEqual(await deployed.getTrustedForwarder(), forwarder.address)
+      assert.strictEqual(await deployed.isTrustedForwarder(forwarder.address), true)
+    })
+
+    it('only admin can set trusted forwarder', async () => {
+      try {
+        await contract.setTrustedForwarder(accounts[2], { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+
+      const res = await contract.setTrustedForwarder(ADDRESS_ZERO, { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'TrustedForwarderChanged')
+      assert.strictEqual(txLog.args.oldForwarder, forwarder.address)
+      assert.strictEqual(txLog.args.newForwarder, ADDRESS_ZERO)
+      assert.strictEqual(await contract.isTrustedForwarder(forwarder.address), false)
+    })
+
+    it('relayer should submit claim signed by owner without funds', async () => {
+      await closeSeason()
+      assert.strictEqual(await web3.eth.getBalance(owner.address), '0')
+
+      const nonceResp = await fetch(`${baseUrl}/nonce/${owner.address}`)
+      assert.deepStrictEqual(await nonceResp.json(), { nonce: '0' })
+
+      const { status, body } = await relay(await signClaim(owner, owner.address))
+      assert.strictEqual(status, 200)
+
+      const receipt = await web3.eth.getTransactionReceipt(body.transactionHash)
+      assert.strictEqual(receipt.from.toLowerCase(), accounts[9].toLowerCase())
+
+      const reward = await contract.readReward(1, owner.address)
+      assert.strictEqual(reward.claimed, true)
+      assert.strictEqual((await erc20.balanceOf(accounts[5])).toString(), '5')
+
+      const events = await contract.getPastEvents('RewardClaimed', { fromBlock: receipt.blockNumber })
+      assert.strictEqual(events[0].args.owner, owner.address)
+      assert.strictEqual(await forwarderClient.getNonce(owner.address), '1')
+    })
+
+    it('relayer should return revert reason of forwarded call', async () => {
+      const { status, body } = await relay(await signClaim(owner, owner.address))
+
+      assert.strictEqual(status, 422)
+      assert.strictEqual(body.error, 'ThriveCoinRewardSeason: season is not closed yet')
+    })
+
+    it('relayer should reject invalid signatures and unknown targets', async () => {
+      await closeSeason()
+      const { request, signature } = await signClaim(owner, owner.address)
+
+      let res = await relay({ request: { ...request, from: accounts[5] }, signature })
+      assert.strictEqual(res.status, 400)
+      assert.strictEqual(res.body.error, 'invalid signature')
+
+      res = await relay({ request: { ...request, to: erc20.address }, signature })
+      assert.strictEqual(res.status, 403)
+
+      res = await relay({ request })
+      assert.strictEqual(res.status, 400)
+    })
+
+    it('forwarded calls should not resolve signer when forwarder is not trusted', async () => {
+      await closeSeason()
+      await contract.setTrustedForwarder(ADDRESS_ZERO, { from: accounts[0] })
+
+      const { status, body } = await relay(await signClaim(owner, owner.address))
+      assert.strictEqual(status, 422)
+      assert.strictEqual(body.error, 'ThriveCoinRewardSeason: caller is not allowed to claim the reward')
+    })
+  })
+})
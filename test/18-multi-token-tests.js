@@ -0,0 +1,416 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const DummyToken = artifacts.require('DummyToken')
+const ThriveCoinRewardSeasonMultiToken = artifacts.require('ThriveCoinRewardSeasonMultiToken')
+
+describe('ThriveCoinRewardSeasonMultiToken', () => {
+  contract('contract tests', (accounts) => {
+    const now = Date.now()
+    const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000'
+
+    let thc
+    let partner
+    let contract
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const increaseTime = async (seconds) => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [seconds], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    const addRewards = async () => {
+      await contract.methods['addRewardBatch((address,address,address,uint256)[])']([
+        { owner: accounts[1], destination: accounts[4], token: thc.address, amount: '10' },
+        { owner: accounts[1], destination: accounts[4], token: partner.address, amount: '7' },
+        { owner: accounts[2], destination: accounts[2], token: thc.address, amount: '20' }
+      ], { from: accounts[0] })
+    }
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      thc = await DummyToken.new('ThriveCoin', 'THC', { from: accounts[0] })
+      partner = await DummyToken.new('PartnerToken', 'PTK', { from: accounts[0] })
+      contract = await ThriveCoinRewardSeasonMultiToken.new(
+        accounts[3],
+        Math.floor(now / 1000) + 43200,
+        Math.floor(now / 1000) + 86400,
+        [thc.address, partner.address],
+        { from: accounts[0] }
+      )
+
+      await thc.mint(contract.address, '100', { from: accounts[0] })
+      await partner.mint(contract.address, '50', { from: accounts[0] })
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('constructor tokens should be allowed', async () => {
+      assert.strictEqual(await contract.isTokenAllowed(thc.address), true)
+      assert.strictEqual(await contract.isTokenAllowed(partner.address), true)
+      assert.strictEqual(await contract.isTokenAllowed(accounts[5]), false)
+    })
+
+    it('only admin can change token allowlist', async () => {
+      try {
+        await contract.setTokenAllowed(accounts[5], true, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+
+      try {
+        await contract.setTokenAllowed(ADDRESS_ZERO, true, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMultiToken: token cannot be zero address'))
+      }
+
+      const res = await contract.setTokenAllowed(partner.address, false, { from: accounts[0] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'TokenAllowed')
+      assert.strictEqual(txLog.args.token, partner.address)
+      assert.strictEqual(txLog.args.allowed, false)
+      assert.strictEqual(await contract.isTokenAllowed(partner.address), false)
+    })
+
+    it('rewards can be added only in allowed tokens and with destination', async () => {
+      await contract.setTokenAllowed(partner.address, false, { from: accounts[0] })
+
+      try {
+        await contract.methods['addReward((address,address,address,uint256))'](
+          { owner: accounts[1], destination: accounts[1], token: partner.address, amount: '5' },
+          { from: accounts[0] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMultiToken: token is not allowed'))
+      }
+
+      try {
+        await contract.methods['addReward((address,address,address,uint256))'](
+          { owner: accounts[1], destination: ADDRESS_ZERO, token: thc.address, amount: '5' },
+          { from: accounts[0] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMultiToken: destination cannot be zero address'))
+      }
+    })
+
+    it('rewards should be accounted per token and summed up in owner reward', async () => {
+      await addRewards()
+      await contract.methods['addReward((address,address,address,uint256))'](
+        { owner: accounts[2], destination: accounts[2], token: thc.address, amount: '15' },
+        { from: accounts[0] }
+      )
+
+      const thcInfo = await contract.readSeasonTokenInfo(1, thc.address)
+      const partnerInfo = await contract.readSeasonTokenInfo(1, partner.address)
+      assert.strictEqual(thcInfo.totalRewards.toString(), '25')
+      assert.strictEqual(partnerInfo.totalRewards.toString(), '7')
+      assert.strictEqual((await contract.readSeasonInfo(1)).totalRewards.toString(), '32')
+
+      const reward = await contract.readReward(1, accounts[1])
+      assert.strictEqual(reward.destination, accounts[4])
+      assert.strictEqual(reward.amount.toString(), '17')
+      assert.strictEqual((await contract.methods['readReward(uint256,address,address)'](1, accounts[1], partner.address)).toString(), '7')
+      assert.strictEqual((await contract.methods['readReward(uint256,address,address)'](1, accounts[2], partner.address)).toString(), '0')
+
+      const tokens = await contract.readRewardTokens(1, accounts[1])
+      assert.deepStrictEqual(tokens.map(entry => [entry.token, entry.amount]), [
+        [thc.address, '10'],
+        [partner.address, '7']
+      ])
+      assert.strictEqual((await contract.readRewardTokens(1, accounts[2])).length, 1)
+    })
+
+    it('rewards of owners should be registered once and iterable', async () => {
+      await addRewards()
+
+      const season = await contract.readSeasonInfo(1)
+      assert.strictEqual(season.rewardCount.toString(), '2')
+
+      const first = await contract.readRewardByIndex(1, 0)
+      const second = await contract.readRewardByIndex(1, 1)
+      assert.strictEqual(first.owner, accounts[1])
+      assert.strictEqual(first.reward.amount, '17')
+      assert.strictEqual(second.owner, accounts[2])
+      assert.strictEqual(second.reward.amount, '20')
+    })
+
+    it('rewards in the same token should not be duplicated', async () => {
+      await addRewards()
+      await contract.methods['addReward((address,address,address,uint256))'](
+        { owner: accounts[1], destination: accounts[4], token: thc.address, amount: '3' },
+        { from: accounts[0] }
+      )
+
+      assert.strictEqual((await contract.readRewardTokens(1, accounts[1])).length, 2)
+      assert.strictEqual((await contract.readSeasonTokens(1)).length, 2)
+      assert.strictEqual((await contract.readReward(1, accounts[1])).amount.toString(), '10')
+      assert.strictEqual((await contract.readSeasonTokenInfo(1, thc.address)).totalRewards.toString(), '23')
+    })
+
+    it('addReward should emit RewardSet and TokenRewardSet events', async () => {
+      const res = await contract.methods['addReward((address,address,address,uint256))'](
+        { owner: accounts[1], destination: accounts[4], token: partner.address, amount: '7' },
+        { from: accounts[0] }
+      )
+
+      assert.strictEqual(res.logs[0].event, 'RewardSet')
+      assert.strictEqual(res.logs[0].args.destination, accounts[4])
+      assert.strictEqual(res.logs[0].args.newAmount.toString(), '7')
+
+      const txLog = res.logs[1]
+      assert.strictEqual(txLog.event, 'TokenRewardSet')
+      assert.strictEqual(txLog.args.season.toString(), '1')
+      assert.strictEqual(txLog.args.owner, accounts[1])
+      assert.strictEqual(txLog.args.token, partner.address)
+      assert.strictEqual(txLog.args.oldAmount.toString(), '0')
+      assert.strictEqual(txLog.args.newAmount.toString(), '7')
+    })
+
+    it('addReward and addRewardBatch can target explicit open season', async () => {
+      const entry = { owner: accounts[1], destination: accounts[1], token: thc.address, amount: '5' }
+      await contract.methods['addReward(uint256,(address,address,address,uint256))'](1, entry, { from: accounts[0] })
+      await contract.methods['addRewardBatch(uint256,(address,address,address,uint256)[])'](
+        1,
+        [{ ...entry, token: partner.address, amount: '2' }],
+        { from: accounts[0] }
+      )
+
+      assert.strictEqual((await contract.readReward(1, accounts[1])).amount.toString(), '7')
+
+      await increaseTime(43201)
+      try {
+        await contract.methods['addReward(uint256,(address,address,address,uint256))'](1, entry, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: season is closed'))
+      }
+    })
+
+    it('increment and decrement should update token reward and owner reward', async () => {
+      await addRewards()
+      await contract.incrementRewardBatch([
+        { owner: accounts[1], destination: accounts[4], token: partner.address, amount: '3' },
+        { owner: accounts[1], destination: accounts[4], token: partner.address, amount: '2' }
+      ], { from: accounts[0] })
+      await contract.decrementReward(
+        { owner: accounts[1], destination: accounts[4], token: thc.address, amount: '4' },
+        { from: accounts[0] }
+      )
+
+      assert.strictEqual((await contract.methods['readReward(uint256,address,address)'](1, accounts[1], partner.address)).toString(), '12')
+      assert.strictEqual((await contract.methods['readReward(uint256,address,address)'](1, accounts[1], thc.address)).toString(), '6')
+      assert.strictEqual((await contract.readReward(1, accounts[1])).amount.toString(), '18')
+      assert.strictEqual((await contract.readSeasonInfo(1)).totalRewards.toString(), '38')
+
+      try {
+        await contract.decrementReward(
+          { owner: accounts[2], destination: accounts[2], token: partner.address, amount: '1' },
+          { from: accounts[0] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMultiToken: reward not found'))
+      }
+
+      try {
+        await contract.decrementRewardBatch([
+          { owner: accounts[1], destination: accounts[4], token: thc.address, amount: '1' },
+          { owner: accounts[2], destination: accounts[2], token: thc.address, amount: '21' }
+        ], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMultiToken: decrement exceeds reward amount'))
+      }
+    })
+
+    it('removeReward should remove rewards of owner in all tokens', async () => {
+      await addRewards()
+      await contract.removeReward(accounts[1], { from: accounts[0] })
+
+      assert.strictEqual((await contract.readReward(1, accounts[1])).amount.toString(), '0')
+      assert.strictEqual((await contract.readRewardTokens(1, accounts[1])).length, 0)
+      assert.strictEqual((await contract.readSeasonTokenInfo(1, thc.address)).totalRewards.toString(), '20')
+      assert.strictEqual((await contract.readSeasonTokenInfo(1, partner.address)).totalRewards.toString(), '0')
+      assert.strictEqual((await contract.readSeasonInfo(1)).rewardCount.toString(), '1')
+
+      await contract.methods['addReward((address,address,address,uint256))'](
+        { owner: accounts[1], destination: accounts[1], token: partner.address, amount: '4' },
+        { from: accounts[0] }
+      )
+      assert.strictEqual((await contract.readReward(1, accounts[1])).amount.toString(), '4')
+      assert.strictEqual((await contract.readRewardTokens(1, accounts[1])).length, 1)
+    })
+
+    it('claimReward should send rewards of all tokens to destination', async () => {
+      await addRewards()
+      await increaseTime(43201)
+
+      const res = await contract.claimReward(accounts[1], { from: accounts[1] })
+      const claimLogs = res.logs.filter(log => log.event === 'TokenRewardClaimed')
+      assert.strictEqual(res.logs[0].event, 'RewardClaimed')
+      assert.strictEqual(claimLogs.length, 2)
+      assert.strictEqual(claimLogs[1].args.token, partner.address)
+      assert.strictEqual(claimLogs[1].args.destination, accounts[4])
+      assert.strictEqual(claimLogs[1].args.amount.toString(), '7')
+
+      assert.strictEqual((await thc.balanceOf(accounts[4])).toString(), '10')
+      assert.strictEqual((await partner.balanceOf(accounts[4])).toString(), '7')
+      assert.strictEqual((await contract.readSeasonTokenInfo(1, thc.address)).claimedRewards.toString(), '10')
+      assert.strictEqual((await contract.readSeasonTokenInfo(1, partner.address)).claimedRewards.toString(), '7')
+
+      try {
+        await contract.claimReward(accounts[1], { from: accounts[4] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: reward is already claimed'))
+      }
+    })
+
+    it('claimReward should fail for callers other than owner or destination', async () => {
+      await addRewards()
+      await increaseTime(43201)
+
+      try {
+        await contract.claimReward(accounts[1], { from: accounts[5] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: caller is not allowed to claim the reward'))
+      }
+
+      await contract.methods['claimReward(uint256,address)'](1, accounts[1], { from: accounts[4] })
+      assert.strictEqual((await contract.readReward(1, accounts[1])).claimed, true)
+    })
+
+    it('sendUnclaimedFunds should send unclaimed funds of all tokens', async () => {
+      await addRewards()
+      await increaseTime(43201)
+      await contract.claimReward(accounts[1], { from: accounts[1] })
+
+      try {
+        await contract.sendUnclaimedFunds({ from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: deadline for claiming not reached'))
+      }
+
+      await increaseTime(43200)
+      const res = await contract.sendUnclaimedFunds({ from: accounts[0] })
+      const tokenLogs = res.logs.filter(log => log.event === 'UnclaimedTokensSent')
+
+      assert.strictEqual(res.logs[0].event, 'UnclaimedFundsSent')
+      assert.strictEqual(res.logs[0].args.amount.toString(), '20')
+      assert.strictEqual(tokenLogs.length, 1)
+      assert.strictEqual(tokenLogs[0].args.token, thc.address)
+      assert.strictEqual(tokenLogs[0].args.destination, accounts[3])
+      assert.strictEqual(tokenLogs[0].args.amount.toString(), '20')
+      assert.strictEqual((await thc.balanceOf(accounts[3])).toString(), '20')
+      assert.strictEqual((await partner.balanceOf(accounts[3])).toString(), '0')
+      assert.strictEqual((await contract.readSeasonInfo(1)).unclaimedFundsSent, true)
+
+      try {
+        await contract.sendUnclaimedFunds({ from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: funds already sent'))
+      }
+    })
+
+    it('claimReward should fail once unclaimed funds are sent', async () => {
+      await addRewards()
+      await increaseTime(86401)
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+
+      // rewinds clock back into claim window, unclaimed funds of all tokens are sent at this point
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_setTime', params: [now + 50000 * 1000], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      try {
+        await contract.claimReward(accounts[1], { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: unclaimed funds already sent'))
+      }
+    })
+
+    it('withdrawERC20 should require unclaimed funds of all seasons to be sent', async () => {
+      await addRewards()
+      await increaseTime(86401)
+
+      try {
+        await contract.withdrawERC20(thc.address, accounts[6], '70', { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: unclaimed funds not sent yet'))
+      }
+
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+      const res = await contract.withdrawERC20(thc.address, accounts[6], '70', { from: accounts[0] })
+
+      assert.strictEqual(res.logs[0].event, 'Withdrawn')
+      assert.strictEqual(res.logs[0].args.token, thc.address)
+      assert.strictEqual((await thc.balanceOf(accounts[6])).toString(), '70')
+
+      try {
+        await contract.withdrawERC20(partner.address, accounts[6], '44', { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMultiToken: not enough funds available'))
+      }
+    })
+
+    it('only admin can send unclaimed funds and withdraw remaining funds', async () => {
+      await increaseTime(86401)
+
+      try {
+        await contract.sendUnclaimedFunds({ from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+
+      try {
+        await contract.withdrawERC20(thc.address, accounts[1], '1', { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+    })
+
+    it('rewards cannot be added or claimed while contract is paused', async () => {
+      await addRewards()
+      await contract.pause({ from: accounts[0] })
+
+      try {
+        await contract.methods['addReward((address,address,address,uint256))'](
+          { owner: accounts[1], destination: accounts[1], token: thc.address, amount: '5' },
+          { from: accounts[0] }
+        )
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+
+      await increaseTime(43201)
+      try {
+        await contract.claimReward(accounts[1], { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Pausable: paused'))
+      }
+    })
+  })
+})
@@ -0,0 +1,272 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const {
+  ThriveCoinRewardSeasonMerkleMultiTokenClient,
+  buildDistribution,
+  getClaim,
+  normalizeEntries
+} = require('../lib')
+const DummyToken = artifacts.require('DummyToken')
+const ThriveCoinRewardSeasonMerkleMultiToken = artifacts.require('ThriveCoinRewardSeasonMerkleMultiToken')
+
+describe('ThriveCoinRewardSeasonMerkleMultiToken', () => {
+  contract('contract tests', (accounts) => {
+    const now = Date.now()
+    const claimCloseDate = Math.floor(now / 1000) + 86400
+
+    let thc
+    let partner
+    let distribution
+    let contract
+    let client
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const increaseTime = async (seconds) => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [seconds], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    const claimOf = (address, token) => getClaim(distribution, address, token)
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      thc = await DummyToken.new('ThriveCoin', 'THC', { from: accounts[0] })
+      partner = await DummyToken.new('PartnerToken', 'PTK', { from: accounts[0] })
+
+      const { entries } = normalizeEntries([
+        { address: accounts[1], token: thc.address, amount: '10' },
+        { address: accounts[1], token: partner.address, amount: '7' },
+        { address: accounts[2], token: thc.address, amount: '20' }
+      ], { withToken: true })
+      distribution = buildDistribution(entries, { withToken: true })
+
+      contract = await ThriveCoinRewardSeasonMerkleMultiToken.new(
+        accounts[3],
+        distribution.merkleRoot,
+        claimCloseDate,
+        distribution.tokens,
+        distribution.totalRewards,
+        { from: accounts[0] }
+      )
+      client = new ThriveCoinRewardSeasonMerkleMultiTokenClient({
+        web3,
+        address: contract.address,
+        abi: ThriveCoinRewardSeasonMerkleMultiToken.abi,
+        from: accounts[1]
+      })
+
+      await thc.mint(contract.address, '100', { from: accounts[0] })
+      await partner.mint(contract.address, '50', { from: accounts[0] })
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('constructor should store per token totals and allow season tokens', async () => {
+      assert.deepStrictEqual(distribution.tokens, [thc.address, partner.address])
+      assert.deepStrictEqual(distribution.totalRewards, ['30', '7'])
+
+      const thcInfo = await contract.readSeasonTokenInfo(1, thc.address)
+      assert.strictEqual(thcInfo.totalRewards.toString(), '30')
+      assert.strictEqual(thcInfo.claimedRewards.toString(), '0')
+      assert.strictEqual(await contract.isTokenAllowed(partner.address), true)
+
+      const events = await contract.getPastEvents('SeasonTokenAdded', { fromBlock: 0 })
+      assert.strictEqual(events.length, 2)
+      assert.strictEqual(events[1].args.token, partner.address)
+      assert.strictEqual(events[1].args.totalRewards.toString(), '7')
+    })
+
+    it('claimReward should send reward in the token of the leaf', async () => {
+      const { amount, proof } = claimOf(accounts[1], partner.address)
+      const res = await contract.methods['claimReward(address,uint256,bytes32[])'](partner.address, amount, proof, { from: accounts[1] })
+      const txLog = res.logs[0]
+
+      assert.strictEqual(txLog.event, 'TokenRewardClaimed')
+      assert.strictEqual(txLog.args.owner, accounts[1])
+      assert.strictEqual(txLog.args.destination, accounts[1])
+      assert.strictEqual(txLog.args.token, partner.address)
+      assert.strictEqual(txLog.args.amount.toString(), '7')
+      assert.strictEqual((await partner.balanceOf(accounts[1])).toString(), '7')
+      assert.strictEqual((await thc.balanceOf(accounts[1])).toString(), '0')
+      assert.strictEqual(await contract.methods['readReward(uint256,address,address)'](1, accounts[1], partner.address), true)
+      assert.strictEqual(await contract.methods['readReward(uint256,address,address)'](1, accounts[1], thc.address), false)
+      assert.strictEqual((await contract.readSeasonTokenInfo(1, partner.address)).claimedRewards.toString(), '7')
+      assert.strictEqual((await contract.readSeasonInfo(1)).claimedRewards.toString(), '7')
+
+      try {
+        await contract.methods['claimReward(address,uint256,bytes32[])'](partner.address, amount, proof, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: reward is already claimed'))
+      }
+    })
+
+    it('claimReward should reject proof of another token', async () => {
+      const { amount, proof } = claimOf(accounts[1], thc.address)
+
+      try {
+        await contract.methods['claimReward(address,uint256,bytes32[])'](partner.address, amount, proof, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: reward not found'))
+      }
+    })
+
+    it('claims without token should not match leaves of the season', async () => {
+      const { amount, proof } = claimOf(accounts[1], thc.address)
+
+      try {
+        await contract.methods['claimReward(uint256,bytes32[])'](amount, proof, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: reward not found'))
+      }
+    })
+
+    it('claimRewardBatch should send rewards of all tokens at once', async () => {
+      await client.claimRewardBatch(1, claimOf(accounts[1]))
+
+      assert.strictEqual((await thc.balanceOf(accounts[1])).toString(), '10')
+      assert.strictEqual((await partner.balanceOf(accounts[1])).toString(), '7')
+
+      try {
+        await contract.claimRewardBatch(1, [thc.address], [], [], { from: accounts[2] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: claim arguments length mismatch'))
+      }
+    })
+
+    it('addSeason should require allowed and unique tokens', async () => {
+      const args = [accounts[3], distribution.merkleRoot, claimCloseDate]
+
+      try {
+        await contract.methods['addSeason(address,bytes32,uint256,address[],uint256[])'](...args, [thc.address, accounts[5]], ['1', '1'], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: token is not allowed'))
+      }
+
+      try {
+        await contract.methods['addSeason(address,bytes32,uint256,address[],uint256[])'](...args, [thc.address, thc.address], ['1', '1'], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: duplicate token'))
+      }
+
+      try {
+        await contract.methods['addSeason(address,bytes32,uint256,address[],uint256[])'](...args, [thc.address], ['1', '1'], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: tokens and total rewards length mismatch'))
+      }
+
+      try {
+        await contract.methods['addSeason(address,bytes32,uint256,uint256)'](...args.slice(0, 2), '1', claimCloseDate, {
+          from: accounts[0]
+        })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: season tokens are required'))
+      }
+
+      await contract.setTokenAllowed(accounts[5], true, { from: accounts[0] })
+      await contract.methods['addSeason(address,bytes32,uint256,address[],uint256[])'](...args, [accounts[5]], ['1'], { from: accounts[0] })
+      assert.strictEqual((await contract.readSeasonTokenInfo(2, accounts[5])).totalRewards.toString(), '1')
+      assert.strictEqual((await contract.readSeasonInfo(2)).totalRewards.toString(), '1')
+    })
+
+    it('sendUnclaimedFunds should send unclaimed funds of all tokens', async () => {
+      const { amount, proof } = claimOf(accounts[1], thc.address)
+      await contract.methods['claimReward(address,uint256,bytes32[])'](thc.address, amount, proof, { from: accounts[1] })
+      await increaseTime(86401)
+
+      const res = await contract.sendUnclaimedFunds({ from: accounts[0] })
+      const tokenLogs = res.logs.filter(log => log.event === 'UnclaimedTokensSent')
+
+      assert.strictEqual(res.logs[0].event, 'UnclaimedFundsSent')
+      assert.strictEqual(res.logs[0].args.amount.toString(), '27')
+      assert.deepStrictEqual(tokenLogs.map(log => [log.args.token, log.args.amount.toString()]), [
+        [thc.address, '20'],
+        [partner.address, '7']
+      ])
+      assert.strictEqual((await thc.balanceOf(accounts[3])).toString(), '20')
+      assert.strictEqual((await partner.balanceOf(accounts[3])).toString(), '7')
+
+      try {
+        await contract.sendUnclaimedFunds({ from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: funds already sent'))
+      }
+    })
+
+    it('claimReward should fail once unclaimed funds are sent', async () => {
+      await increaseTime(86401)
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+
+      // rewinds clock back into claim window, unclaimed funds of all tokens are sent at this point
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_setTime', params: [now + 3600 * 1000], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+
+      const { amount, proof } = claimOf(accounts[1], thc.address)
+      try {
+        await contract.methods['claimReward(address,uint256,bytes32[])'](thc.address, amount, proof, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: unclaimed funds already sent'))
+      }
+    })
+
+    it('withdrawERC20 should require unclaimed funds of all seasons to be sent', async () => {
+      await increaseTime(86401)
+
+      try {
+        await contract.withdrawERC20(partner.address, accounts[6], '43', { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: unclaimed funds not sent yet'))
+      }
+
+      await contract.sendUnclaimedFunds({ from: accounts[0] })
+      await contract.withdrawERC20(partner.address, accounts[6], '43', { from: accounts[0] })
+      assert.strictEqual((await partner.balanceOf(accounts[6])).toString(), '43')
+
+      try {
+        await contract.withdrawERC20(partner.address, accounts[6], '1', { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkleMultiToken: not enough funds available'))
+      }
+    })
+
+    it('only admin can manage tokens, seasons and funds', async () => {
+      const calls = [
+        () => contract.setTokenAllowed(accounts[5], true, { from: accounts[1] }),
+        () => contract.methods['addSeason(address,bytes32,uint256,address[],uint256[])'](accounts[3], distribution.merkleRoot, claimCloseDate, [thc.address], ['1'], {
+          from: accounts[1]
+        }),
+        () => contract.sendUnclaimedFunds({ from: accounts[1] }),
+        () => contract.withdrawERC20(thc.address, accounts[1], '1', { from: accounts[1] })
+      ]
+
+      for (const call of calls) {
+        try {
+          await call()
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('ThriveCoinRewardSeasonMerkle: must have admin role'))
+        }
+      }
+    })
+  })
+})
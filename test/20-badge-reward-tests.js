@@ -0,0 +1,249 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const { ThriveCoinRewardSeasonBadgeClient } = require('../lib')
+const DummyBadge = artifacts.require('DummyBadge')
+const DummyItems = artifacts.require('DummyItems')
+const ThriveCoinRewardSeasonBadge = artifacts.require('ThriveCoinRewardSeasonBadge')
+
+describe('ThriveCoinRewardSeasonBadge', () => {
+  contract('contract tests', (accounts) => {
+    const now = Date.now()
+    const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000'
+    const NONE = 0
+    const ERC1155 = 1
+    const ERC721 = 2
+
+    let items
+    let badge
+    let contract
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const increaseTime = async (seconds) => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [seconds], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    const itemReward = (owner, destination, amount, tokenId, quantity) => ({
+      owner,
+      destination,
+      amount,
+      badge: { badgeType: ERC1155, token: items.address, tokenId, quantity }
+    })
+
+    const badgeReward = (owner, destination, amount) => ({
+      owner,
+      destination,
+      amount,
+      badge: { badgeType: ERC721, token: badge.address, tokenId: 0, quantity: 1 }
+    })
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      items = await DummyItems.new('', { from: accounts[0] })
+      badge = await DummyBadge.new('ThriveBadge', 'TBDG', { from: accounts[0] })
+      contract = await ThriveCoinRewardSeasonBadge.new(
+        accounts[3],
+        Math.floor(now / 1000) + 43200,
+        Math.floor(now / 1000) + 86400,
+        { from: accounts[0] }
+      )
+
+      await items.mint(contract.address, 7, 10, { from: accounts[0] })
+      await badge.grantRole(await badge.MINTER_ROLE(), contract.address, { from: accounts[0] })
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('addBadgeReward should store badge and season items', async () => {
+      const res = await contract.addBadgeReward(itemReward(accounts[1], accounts[4], '5', 7, 3), { from: accounts[0] })
+      const txLog = res.logs.find(log => log.event === 'BadgeSet')
+
+      assert.strictEqual(txLog.args.owner, accounts[1])
+      assert.strictEqual(txLog.args.badgeType.toString(), '1')
+      assert.strictEqual(txLog.args.tokenId.toString(), '7')
+      assert.strictEqual(txLog.args.quantity.toString(), '3')
+
+      const reward = await contract.readReward(1, accounts[1])
+      assert.strictEqual(reward.amount.toString(), '5')
+      assert.strictEqual(reward.destination, accounts[4])
+
+      const stored = await contract.readBadge(1, accounts[1])
+      assert.strictEqual(stored.token, items.address)
+      assert.strictEqual(stored.quantity.toString(), '3')
+
+      const seasonItems = await contract.readSeasonItems(1)
+      assert.strictEqual(seasonItems.length, 1)
+      assert.strictEqual(seasonItems[0].unclaimed.toString(), '3')
+    })
+
+    it('addBadgeReward should validate badge', async () => {
+      const zeroToken = itemReward(accounts[1], accounts[1], '0', 7, 1)
+      zeroToken.badge.token = ADDRESS_ZERO
+      const manyBadges = badgeReward(accounts[1], accounts[1], '0')
+      manyBadges.badge.quantity = 2
+
+      const cases = [
+        [zeroToken, 'ThriveCoinRewardSeasonBadge: badge token cannot be zero address'],
+        [itemReward(accounts[1], accounts[1], '0', 7, 0), 'ThriveCoinRewardSeasonBadge: item quantity should be greater than zero'],
+        [manyBadges, 'ThriveCoinRewardSeasonBadge: invalid ERC721 badge']
+      ]
+
+      for (const [entry, reason] of cases) {
+        try {
+          await contract.addBadgeReward(entry, { from: accounts[0] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes(reason))
+        }
+      }
+    })
+
+    it('overriding and removing rewards should keep season items in sync', async () => {
+      await contract.addBadgeRewardBatch([
+        itemReward(accounts[1], accounts[1], '5', 7, 3),
+        itemReward(accounts[2], accounts[2], '5', 7, 2)
+      ], { from: accounts[0] })
+      assert.strictEqual((await contract.readSeasonItems(1))[0].unclaimed.toString(), '5')
+
+      await contract.addBadgeReward(itemReward(accounts[1], accounts[1], '5', 8, 1), { from: accounts[0] })
+      let seasonItems = await contract.readSeasonItems(1)
+      assert.strictEqual(seasonItems[0].unclaimed.toString(), '2')
+      assert.strictEqual(seasonItems[1].tokenId.toString(), '8')
+      assert.strictEqual(seasonItems[1].unclaimed.toString(), '1')
+
+      await contract.removeReward(accounts[2], { from: accounts[0] })
+      seasonItems = await contract.readSeasonItems(1)
+      assert.strictEqual(seasonItems[0].unclaimed.toString(), '0')
+      assert.strictEqual((await contract.readBadge(1, accounts[2])).badgeType.toString(), NONE.toString())
+    })
+
+    it('claimReward should send ERC1155 items to reward destination', async () => {
+      await contract.addBadgeReward(itemReward(accounts[1], accounts[4], '5', 7, 3), { from: accounts[0] })
+      await increaseTime(43201)
+
+      const res = await contract.claimReward(accounts[1], { from: accounts[1] })
+      const txLog = res.logs.find(log => log.event === 'BadgeClaimed')
+
+      assert.strictEqual(txLog.args.destination, accounts[4])
+      assert.strictEqual(txLog.args.quantity.toString(), '3')
+      assert.strictEqual((await items.balanceOf(accounts[4], 7)).toString(), '3')
+      assert.strictEqual((await items.balanceOf(contract.address, 7)).toString(), '7')
+      assert.strictEqual((await contract.readSeasonItems(1))[0].unclaimed.toString(), '0')
+      assert.strictEqual((await contract.readReward(1, accounts[1])).claimed, true)
+    })
+
+    it('claimReward should mint ERC721 badge to reward destination', async () => {
+      await contract.addBadgeReward(badgeReward(accounts[1], accounts[4], '5'), { from: accounts[0] })
+      await increaseTime(43201)
+
+      await contract.claimReward(accounts[1], { from: accounts[4] })
+      assert.strictEqual((await badge.balanceOf(accounts[4])).toString(), '1')
+      assert.strictEqual(await badge.ownerOf(0), accounts[4])
+    })
+
+    it('badge only rewards can be claimed', async () => {
+      await contract.addBadgeReward(badgeReward(accounts[1], accounts[1], '0'), { from: accounts[0] })
+      await contract.addBadgeReward(itemReward(accounts[2], accounts[2], '0', 7, 1), { from: accounts[0] })
+      await increaseTime(43201)
+
+      await contract.claimAll({ from: accounts[1] })
+      await contract.claimReward(accounts[2], { from: accounts[2] })
+
+      assert.strictEqual((await badge.balanceOf(accounts[1])).toString(), '1')
+      assert.strictEqual((await items.balanceOf(accounts[2], 7)).toString(), '1')
+
+      try {
+        await contract.claimReward(accounts[1], { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: reward is already claimed'))
+      }
+    })
+
+    it('sendUnclaimedFunds should send unclaimed ERC1155 items to default destination', async () => {
+      await contract.addBadgeRewardBatch([
+        itemReward(accounts[1], accounts[1], '0', 7, 3),
+        itemReward(accounts[2], accounts[2], '0', 7, 2),
+        badgeReward(accounts[5], accounts[5], '0')
+      ], { from: accounts[0] })
+      await increaseTime(43201)
+      await contract.claimReward(accounts[1], { from: accounts[1] })
+      await increaseTime(43200)
+
+      const res = await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+      const txLog = res.logs.find(log => log.event === 'UnclaimedItemsSent')
+
+      assert.strictEqual(txLog.args.destination, accounts[3])
+      assert.strictEqual(txLog.args.quantity.toString(), '2')
+      assert.strictEqual((await items.balanceOf(accounts[3], 7)).toString(), '2')
+      assert.strictEqual((await badge.balanceOf(accounts[3])).toString(), '0')
+
+      try {
+        await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: no funds available'))
+      }
+    })
+
+    it('remaining ERC1155 items can be withdrawn only by admin after seasons are settled', async () => {
+      await contract.addBadgeReward(itemReward(accounts[1], accounts[1], '0', 7, 3), { from: accounts[0] })
+      await increaseTime(86401)
+
+      try {
+        await contract.withdrawERC1155(items.address, 7, accounts[6], 7, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: unclaimed funds not sent yet'))
+      }
+
+      await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+
+      try {
+        await contract.withdrawERC1155(items.address, 7, accounts[6], 7, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+
+      const res = await contract.withdrawERC1155(items.address, 7, accounts[6], 7, { from: accounts[0] })
+      assert.strictEqual(res.logs[0].event, 'ItemsWithdrawn')
+      assert.strictEqual((await items.balanceOf(accounts[6], 7)).toString(), '7')
+    })
+
+    it('client should encode badge reward entries', async () => {
+      const client = new ThriveCoinRewardSeasonBadgeClient({
+        web3,
+        address: contract.address,
+        abi: ThriveCoinRewardSeasonBadge.abi,
+        from: accounts[0]
+      })
+
+      await client.addBadgeRewardBatch([
+        { owner: accounts[1], amount: 5, badge: { type: 'erc1155', token: items.address, tokenId: 7, quantity: 2 } },
+        { owner: accounts[2], badge: { type: 'erc721', token: badge.address } },
+        { owner: accounts[5], amount: 1 }
+      ])
+
+      assert.deepStrictEqual(await client.readBadge(1, accounts[1]), {
+        badgeType: '1',
+        token: items.address,
+        tokenId: '7',
+        quantity: '2'
+      })
+      assert.strictEqual((await client.readBadge(1, accounts[2])).badgeType, '2')
+      assert.strictEqual((await client.readReward(1, accounts[2])).amount, '0')
+      assert.deepStrictEqual(await client.readSeasonItems(1), [{ token: items.address, tokenId: '7', unclaimed: '2' }])
+      await assert.rejects(client.addBadgeReward({ owner: accounts[1], badge: { type: 'erc20' } }), /unknown badge type/)
+    })
+  })
+})
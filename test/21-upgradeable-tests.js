@@ -0,0 +1,268 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const ThriveCoinRewardSeasonProxy = artifacts.require('ThriveCoinRewardSeasonProxy')
+const ThriveCoinRewardSeasonUpgradeable = artifacts.require('ThriveCoinRewardSeasonUpgradeable')
+const ThriveCoinRewardSeasonBadgeUpgradeable = artifacts.require('ThriveCoinRewardSeasonBadgeUpgradeable')
+const ThriveCoinRewardSeasonGasRefundableUpgradeable = artifacts.require('ThriveCoinRewardSeasonGasRefundableUpgradeable')
+const ThriveCoinRewardSeasonIERC20GasRefundableUpgradeable = artifacts.require(
+  'ThriveCoinRewardSeasonIERC20GasRefundableUpgradeable'
+)
+const ThriveCoinRewardSeasonIERC20Upgradeable = artifacts.require('ThriveCoinRewardSeasonIERC20Upgradeable')
+const ThriveCoinRewardSeasonNativeUpgradeable = artifacts.require('ThriveCoinRewardSeasonNativeUpgradeable')
+const ThriveCoinRewardSeasonMerkleUpgradeable = artifacts.require('ThriveCoinRewardSeasonMerkleUpgradeable')
+const ThriveCoinRewardSeasonMerkleDelegatedUpgradeable = artifacts.require(
+  'ThriveCoinRewardSeasonMerkleDelegatedUpgradeable'
+)
+const ThriveCoinRewardSeasonMerkleIERC20Upgradeable = artifacts.require('ThriveCoinRewardSeasonMerkleIERC20Upgradeable')
+const ThriveCoinRewardSeasonMerkleNativeUpgradeable = artifacts.require('ThriveCoinRewardSeasonMerkleNativeUpgradeable')
+
+/**
+ * Storage layout of deployed versions, new versions may only append state variables and struct fields, any change
+ * here means that existing proxies would read corrupted seasons and rewards after upgrade.
+ */
+const LAYOUT = {
+  seasonsSlot: 251,
+  rewardsSlot: 252,
+  seasonIndexSlot: 255,
+  season: ['defaultDestination', 'closeDate', 'claimCloseDate', 'totalRewards', 'claimedRewards', 'rewardCount', 'unclaimedFundsSent'],
+  reward: ['destination', 'amount', 'claimed', 'released']
+}
+
+const MERKLE_LAYOUT = {
+  seasonsSlot: 251,
+  rewardsSlot: 252,
+  seasonIndexSlot: 253,
+  season: ['defaultDestination', 'merkleRoot', 'claimCloseDate', 'totalRewards', 'claimedRewards', 'unclaimedFundsSent']
+}
+
+describe('ThriveCoinRewardSeasonUpgradeable', () => {
+  contract('upgradeable tests', (accounts) => {
+    const now = Date.now()
+    const { padLeft, soliditySha3, toBN } = web3.utils
+    const merkleRoot = soliditySha3('merkle root')
+
+    const contractArgs = {
+      defaultDestination: accounts[3],
+      closeDate: Math.floor(now / 1000) + 43200,
+      claimCloseDate: Math.floor(now / 1000) + 86400
+    }
+
+    let implementation
+    let contract
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const increaseTime = async (seconds) => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [seconds], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+    }
+
+    const deployProxy = async (artifact, args, opts = { from: accounts[0] }) => {
+      const impl = await artifact.new(opts)
+      const data = impl.contract.methods.initialize(...args).encodeABI()
+      const proxy = await ThriveCoinRewardSeasonProxy.new(impl.address, data, opts)
+      return artifact.at(proxy.address)
+    }
+
+    const mappingSlot = (key, slot) => toBN(
+      soliditySha3({ type: 'bytes32', value: padLeft(key, 64) }, { type: 'uint256', value: slot })
+    )
+
+    const readSlot = async (address, slot) => toBN(await web3.eth.getStorageAt(address, '0x' + toBN(slot).toString(16)))
+
+    const toWord = (value) => {
+      if (typeof value === 'boolean') return toBN(value ? 1 : 0)
+      return toBN(value)
+    }
+
+    const assertStruct = async (address, baseSlot, fields, expected) => {
+      for (let i = 0; i < fields.length; i++) {
+        const stored = await readSlot(address, baseSlot.addn(i))
+        assert.strictEqual(stored.toString(), toWord(expected[fields[i]]).toString(), `field ${fields[i]} moved`)
+      }
+    }
+
+    const assertSeasonLayout = async (target, layout, season) => {
+      const seasonIndex = await readSlot(target.address, layout.seasonIndexSlot)
+      assert.strictEqual(seasonIndex.toString(), (await target.currentSeason()).toString())
+
+      const info = await target.readSeasonInfo(season)
+      await assertStruct(target.address, mappingSlot(season, layout.seasonsSlot), layout.season, info)
+    }
+
+    const assertRewardLayout = async (target, season, owner) => {
+      const reward = await target.readReward(season, owner)
+      const baseSlot = mappingSlot(owner, mappingSlot(season, LAYOUT.rewardsSlot))
+      await assertStruct(target.address, baseSlot, LAYOUT.reward, reward)
+    }
+
+    const fillSeason = async () => {
+      await contract.addRewardBatch([
+        { owner: accounts[1], destination: accounts[4], amount: '5' },
+        { owner: accounts[2], destination: accounts[2], amount: '7' }
+      ], { from: accounts[0] })
+      await increaseTime(43201)
+      await contract.claimReward(accounts[1], { from: accounts[1] })
+      await increaseTime(43200)
+      await contract.methods['sendUnclaimedFunds(uint256)'](1, { from: accounts[0] })
+    }
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      implementation = await ThriveCoinRewardSeasonUpgradeable.new({ from: accounts[0] })
+      const data = implementation.contract.methods.initialize(...Object.values(contractArgs)).encodeABI()
+      const proxy = await ThriveCoinRewardSeasonProxy.new(implementation.address, data, { from: accounts[0] })
+      contract = await ThriveCoinRewardSeasonUpgradeable.at(proxy.address)
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('proxy should be initialized with first season and roles of the deployer', async () => {
+      const season = await contract.readSeasonInfo(1)
+
+      assert.strictEqual(season.defaultDestination, contractArgs.defaultDestination)
+      assert.strictEqual(season.closeDate.toString(), contractArgs.closeDate.toString())
+      assert.strictEqual((await contract.currentSeason()).toString(), '1')
+      assert.strictEqual(await contract.hasRole(await contract.DEFAULT_ADMIN_ROLE(), accounts[0]), true)
+      assert.strictEqual(await contract.hasRole(await contract.WRITER_ROLE(), accounts[0]), true)
+      assert.strictEqual(await contract.hasRole(await contract.PAUSER_ROLE(), accounts[0]), true)
+
+      const events = await contract.getPastEvents('SeasonAdded', { fromBlock: 0 })
+      assert.strictEqual(events.length, 1)
+    })
+
+    it('initialize should validate season', async () => {
+      const impl = await ThriveCoinRewardSeasonUpgradeable.new({ from: accounts[0] })
+      const data = impl.contract.methods.initialize(
+        contractArgs.defaultDestination,
+        contractArgs.claimCloseDate,
+        contractArgs.closeDate
+      ).encodeABI()
+
+      try {
+        await ThriveCoinRewardSeasonProxy.new(impl.address, data, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: close date should be before claim close date'))
+      }
+    })
+
+    it('proxy and implementation cannot be initialized again', async () => {
+      for (const target of [contract, implementation]) {
+        try {
+          await target.initialize(...Object.values(contractArgs), { from: accounts[1] })
+          throw new Error('Should not reach here')
+        } catch (err) {
+          assert.ok(err.message.includes('Initializable: contract is already initialized'))
+        }
+      }
+    })
+
+    it('only admin can upgrade implementation', async () => {
+      const next = await ThriveCoinRewardSeasonUpgradeable.new({ from: accounts[0] })
+
+      try {
+        await contract.upgradeTo(next.address, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: must have admin role'))
+      }
+
+      try {
+        await implementation.upgradeTo(next.address, { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Function must be called through delegatecall'))
+      }
+
+      const res = await contract.upgradeTo(next.address, { from: accounts[0] })
+      const txLog = res.logs.find(log => log.event === 'Upgraded')
+      assert.strictEqual(txLog.args.implementation, next.address)
+    })
+
+    it('upgrade should keep seasons, rewards and roles', async () => {
+      await contract.addReward({ owner: accounts[1], destination: accounts[4], amount: '5' }, { from: accounts[0] })
+      await contract.grantRole(await contract.WRITER_ROLE(), accounts[5], { from: accounts[0] })
+
+      const next = await ThriveCoinRewardSeasonUpgradeable.new({ from: accounts[0] })
+      await contract.upgradeTo(next.address, { from: accounts[0] })
+
+      const reward = await contract.readReward(1, accounts[1])
+      assert.strictEqual(reward.destination, accounts[4])
+      assert.strictEqual(reward.amount.toString(), '5')
+      assert.strictEqual((await contract.readSeasonInfo(1)).totalRewards.toString(), '5')
+      assert.strictEqual(await contract.hasRole(await contract.WRITER_ROLE(), accounts[5]), true)
+
+      await contract.addReward({ owner: accounts[2], destination: accounts[2], amount: '3' }, { from: accounts[5] })
+      assert.strictEqual((await contract.readSeasonInfo(1)).rewardCount.toString(), '2')
+    })
+
+    it('storage layout of Season and UserReward should stay compatible across versions', async () => {
+      await fillSeason()
+      await assertSeasonLayout(contract, LAYOUT, 1)
+      await assertRewardLayout(contract, 1, accounts[1])
+      await assertRewardLayout(contract, 1, accounts[2])
+
+      const next = await ThriveCoinRewardSeasonUpgradeable.new({ from: accounts[0] })
+      await contract.upgradeTo(next.address, { from: accounts[0] })
+
+      await assertSeasonLayout(contract, LAYOUT, 1)
+      await assertRewardLayout(contract, 1, accounts[1])
+    })
+
+    it('variants should keep Season storage layout of base contract', async () => {
+      const args = Object.values(contractArgs)
+      const variants = [
+        [ThriveCoinRewardSeasonIERC20Upgradeable, [...args, accounts[6]]],
+        [ThriveCoinRewardSeasonNativeUpgradeable, args],
+        [ThriveCoinRewardSeasonBadgeUpgradeable, args],
+        [ThriveCoinRewardSeasonGasRefundableUpgradeable, [...args, '0']],
+        [ThriveCoinRewardSeasonIERC20GasRefundableUpgradeable, [...args, '0', accounts[6]]]
+      ]
+
+      for (const [artifact, initArgs] of variants) {
+        const target = await deployProxy(artifact, initArgs)
+        await assertSeasonLayout(target, LAYOUT, 1)
+      }
+    })
+
+    it('merkle variants should keep Season storage layout of merkle contract', async () => {
+      const args = [accounts[3], merkleRoot, '100', contractArgs.claimCloseDate]
+      const variants = [
+        [ThriveCoinRewardSeasonMerkleUpgradeable, args],
+        [ThriveCoinRewardSeasonMerkleIERC20Upgradeable, [...args, accounts[6]]],
+        [ThriveCoinRewardSeasonMerkleNativeUpgradeable, args],
+        [ThriveCoinRewardSeasonMerkleDelegatedUpgradeable, args]
+      ]
+
+      for (const [artifact, initArgs] of variants) {
+        const target = await deployProxy(artifact, initArgs)
+        await assertSeasonLayout(target, MERKLE_LAYOUT, 1)
+        assert.strictEqual((await target.readSeasonInfo(1)).merkleRoot, merkleRoot)
+      }
+    })
+
+    it('reentrancy guard should be initialized in proxy storage', async () => {
+      const args = Object.values(contractArgs)
+      const merkleArgs = [accounts[3], merkleRoot, '100', contractArgs.claimCloseDate]
+      const variants = [
+        [ThriveCoinRewardSeasonNativeUpgradeable, args, 301],
+        [ThriveCoinRewardSeasonBadgeUpgradeable, args, 401],
+        [ThriveCoinRewardSeasonMerkleNativeUpgradeable, merkleArgs, 301]
+      ]
+
+      for (const [artifact, initArgs, statusSlot] of variants) {
+        const target = await deployProxy(artifact, initArgs)
+        assert.strictEqual((await readSlot(target.address, statusSlot)).toString(), '1')
+      }
+    })
+  })
+})
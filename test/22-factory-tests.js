@@ -0,0 +1,225 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const { ThriveCoinRewardSeasonFactoryClient } = require('../lib')
+const DummyToken = artifacts.require('DummyToken')
+const ThriveCoinRewardSeasonFactory = artifacts.require('ThriveCoinRewardSeasonFactory')
+const ThriveCoinRewardSeasonUpgradeable = artifacts.require('ThriveCoinRewardSeasonUpgradeable')
+const ThriveCoinRewardSeasonGasRefundableUpgradeable = artifacts.require('ThriveCoinRewardSeasonGasRefundableUpgradeable')
+const ThriveCoinRewardSeasonIERC20Upgradeable = artifacts.require('ThriveCoinRewardSeasonIERC20Upgradeable')
+const ThriveCoinRewardSeasonMerkleUpgradeable = artifacts.require('ThriveCoinRewardSeasonMerkleUpgradeable')
+const ThriveCoinRewardSeasonMerkleIERC20Upgradeable = artifacts.require('ThriveCoinRewardSeasonMerkleIERC20Upgradeable')
+
+describe('ThriveCoinRewardSeasonFactory', () => {
+  contract('factory tests', (accounts) => {
+    const now = Date.now()
+    const BASE = 0
+    const IERC20 = 1
+    const MERKLE = 3
+    const merkleRoot = web3.utils.soliditySha3('merkle root')
+    const closeDate = Math.floor(now / 1000) + 43200
+    const claimCloseDate = Math.floor(now / 1000) + 86400
+
+    const implementations = [
+      ThriveCoinRewardSeasonUpgradeable,
+      ThriveCoinRewardSeasonIERC20Upgradeable,
+      ThriveCoinRewardSeasonGasRefundableUpgradeable,
+      ThriveCoinRewardSeasonMerkleUpgradeable,
+      ThriveCoinRewardSeasonMerkleIERC20Upgradeable
+    ]
+
+    let token
+    let factory
+
+    // clone emits role events too, they are decoded with factory ABI since both extend AccessControl
+    const deployedSeason = (res) => res.logs.find(log => log.event === 'Deployed').args.season
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      token = await DummyToken.new('ThriveCoin', 'THC', { from: accounts[0] })
+      factory = await ThriveCoinRewardSeasonFactory.new({ from: accounts[0] })
+      for (const [variant, artifact] of implementations.entries()) {
+        const implementation = await artifact.new({ from: accounts[0] })
+        await factory.setImplementation(variant, implementation.address, { from: accounts[0] })
+      }
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('only admin can set implementations', async () => {
+      try {
+        await factory.setImplementation(BASE, token.address, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonFactory: must have admin role'))
+      }
+
+      try {
+        await factory.setImplementation(BASE, accounts[1], { from: accounts[0] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonFactory: implementation is not a contract'))
+      }
+
+      const implementation = await ThriveCoinRewardSeasonUpgradeable.new({ from: accounts[0] })
+      const res = await factory.setImplementation(BASE, implementation.address, { from: accounts[0] })
+
+      assert.strictEqual(res.logs[0].event, 'ImplementationSet')
+      assert.strictEqual(res.logs[0].args.variant.toString(), BASE.toString())
+      assert.strictEqual(await factory.readImplementation(BASE), implementation.address)
+    })
+
+    it('deploySeason should deploy initialized clone and emit Deployed event', async () => {
+      const res = await factory.deploySeason(accounts[3], closeDate, claimCloseDate, { from: accounts[1] })
+      const txLog = res.logs.find(log => log.event === 'Deployed')
+
+      assert.strictEqual(txLog.args.index.toString(), '0')
+      assert.strictEqual(txLog.args.creator, accounts[1])
+      assert.strictEqual(txLog.args.variant.toString(), BASE.toString())
+
+      const season = await ThriveCoinRewardSeasonUpgradeable.at(txLog.args.season)
+      const info = await season.readSeasonInfo(1)
+      assert.strictEqual(info.defaultDestination, accounts[3])
+      assert.strictEqual(info.closeDate.toString(), closeDate.toString())
+      assert.strictEqual(info.claimCloseDate.toString(), claimCloseDate.toString())
+
+      const code = await web3.eth.getCode(season.address)
+      assert.strictEqual(code.length, 2 + 45 * 2)
+    })
+
+    it('deployed clone roles should be handed over to creator', async () => {
+      const res = await factory.deploySeason(accounts[3], closeDate, claimCloseDate, { from: accounts[1] })
+      const season = await ThriveCoinRewardSeasonUpgradeable.at(deployedSeason(res))
+
+      for (const role of [await season.DEFAULT_ADMIN_ROLE(), await season.WRITER_ROLE(), await season.PAUSER_ROLE()]) {
+        assert.strictEqual(await season.hasRole(role, accounts[1]), true)
+        assert.strictEqual(await season.hasRole(role, factory.address), false)
+        assert.strictEqual((await season.getRoleMemberCount(role)).toString(), '1')
+      }
+
+      await season.addReward({ owner: accounts[2], destination: accounts[2], amount: '5' }, { from: accounts[1] })
+      assert.strictEqual((await season.readReward(1, accounts[2])).amount.toString(), '5')
+
+      try {
+        await season.initialize(accounts[5], closeDate, claimCloseDate, { from: accounts[5] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('Initializable: contract is already initialized'))
+      }
+    })
+
+    it('variants should be deployed with their initialization args', async () => {
+      let res = await factory.deploySeasonIERC20(accounts[3], closeDate, claimCloseDate, token.address, {
+        from: accounts[1]
+      })
+      const erc20Season = await ThriveCoinRewardSeasonIERC20Upgradeable.at(deployedSeason(res))
+      await token.mint(erc20Season.address, '10', { from: accounts[0] })
+      assert.strictEqual((await erc20Season.readFundingStatus()).funded.toString(), '10')
+
+      res = await factory.deploySeasonGasRefundable(accounts[3], closeDate, claimCloseDate, '1000', { from: accounts[1] })
+      const refundableSeason = await ThriveCoinRewardSeasonGasRefundableUpgradeable.at(deployedSeason(res))
+      assert.strictEqual((await refundableSeason.getFixedGasFee()).toString(), '1000')
+
+      res = await factory.deploySeasonMerkle(accounts[3], merkleRoot, '100', claimCloseDate, { from: accounts[1] })
+      const merkleSeason = await ThriveCoinRewardSeasonMerkleUpgradeable.at(deployedSeason(res))
+      assert.strictEqual((await merkleSeason.readSeasonInfo(1)).merkleRoot, merkleRoot)
+      assert.strictEqual(await merkleSeason.hasRole(await merkleSeason.PAUSER_ROLE(), accounts[1]), true)
+
+      res = await factory.deploySeasonMerkleIERC20(accounts[3], merkleRoot, '100', claimCloseDate, token.address, {
+        from: accounts[1]
+      })
+      assert.strictEqual(res.logs.find(log => log.event === 'Deployed').args.variant.toString(), '4')
+      assert.strictEqual((await factory.deploymentCount()).toString(), '4')
+    })
+
+    it('initialization errors should be bubbled up', async () => {
+      try {
+        await factory.deploySeason(accounts[3], claimCloseDate, closeDate, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeason: close date should be before claim close date'))
+      }
+
+      const empty = await ThriveCoinRewardSeasonFactory.new({ from: accounts[0] })
+      try {
+        await empty.deploySeasonMerkle(accounts[3], merkleRoot, '100', claimCloseDate, { from: accounts[1] })
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonFactory: implementation not set'))
+      }
+    })
+
+    it('deployments should be tracked per creator', async () => {
+      await factory.deploySeason(accounts[3], closeDate, claimCloseDate, { from: accounts[1] })
+      await factory.deploySeasonMerkle(accounts[3], merkleRoot, '100', claimCloseDate, { from: accounts[2] })
+      await factory.deploySeasonIERC20(accounts[3], closeDate, claimCloseDate, token.address, { from: accounts[1] })
+
+      const deployments = await factory.readDeployments(accounts[1])
+      assert.strictEqual(deployments.length, 2)
+      assert.strictEqual(deployments[0].variant.toString(), BASE.toString())
+      assert.strictEqual(deployments[1].variant.toString(), IERC20.toString())
+      assert.strictEqual(deployments[1].creator, accounts[1])
+
+      const deployment = await factory.readDeployment(1)
+      assert.strictEqual(deployment.creator, accounts[2])
+      assert.strictEqual(deployment.variant.toString(), MERKLE.toString())
+      assert.deepStrictEqual(await factory.readDeployments(accounts[5]), [])
+
+      try {
+        await factory.readDeployment(3)
+        throw new Error('Should not reach here')
+      } catch (err) {
+        assert.ok(err.message.includes('ThriveCoinRewardSeasonFactory: deployment not found'))
+      }
+    })
+
+    it('client should deploy variants and list deployments', async () => {
+      const client = new ThriveCoinRewardSeasonFactoryClient({
+        web3,
+        address: factory.address,
+        abi: ThriveCoinRewardSeasonFactory.abi,
+        from: accounts[1]
+      })
+
+      const { deployment } = await client.deploy('ierc20', {
+        defaultDestination: accounts[3],
+        closeDate,
+        claimCloseDate,
+        tokenAddress: token.address
+      })
+      assert.strictEqual(deployment.index, 0)
+      assert.strictEqual(deployment.creator, accounts[1])
+      assert.strictEqual(deployment.variant, 'ierc20')
+
+      await client.deploy('merkle', {
+        defaultDestination: accounts[3],
+        merkleRoot,
+        totalRewards: 100,
+        claimCloseDate
+      }, { from: accounts[2] })
+
+      assert.deepStrictEqual(await client.listDeployments(), [
+        { index: 0, season: deployment.season, creator: accounts[1], variant: 'ierc20' },
+        { index: 1, season: (await client.readDeployment(1)).season, creator: accounts[2], variant: 'merkle' }
+      ])
+      assert.strictEqual((await client.listDeployments({ variant: 'merkle' })).length, 1)
+      assert.strictEqual((await client.listDeployments({ creator: accounts[1] }))[0].season, deployment.season)
+      assert.deepStrictEqual(await client.readDeployments(accounts[2]), [
+        { season: (await client.readDeployment(1)).season, creator: accounts[2], variant: 'merkle' }
+      ])
+      assert.strictEqual(await client.readImplementation('merkle'), await factory.readImplementation(MERKLE))
+
+      await assert.rejects(client.deploy('native', {}), /unknown season variant/)
+      await assert.rejects(client.deploy('base', { defaultDestination: accounts[3] }), /closeDate is required/)
+    })
+  })
+})
@@ -0,0 +1,221 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { promisify } = require('util')
+const {
+  deploySeasons,
+  loadDeployConfig,
+  resolveAccount,
+  resolveDate,
+  resolveSeason
+} = require('../scripts/season-deployer')
+const DummyToken = artifacts.require('DummyToken')
+
+describe('season deployer', () => {
+  contract('deployer tests', (accounts) => {
+    const now = Date.parse('2030-01-01T00:00:00Z')
+    const timestamp = now / 1000
+    const writerRole = web3.utils.soliditySha3('WRITER_ROLE')
+    const adminRole = '0x' + '0'.repeat(64)
+    const merkleRoot = web3.utils.soliditySha3('merkle root')
+
+    let token
+    let configDir
+    let manifestFile
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    const deploy = (artifact, ...args) => artifact.new(...args)
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      token = await DummyToken.new('ThriveCoin', 'THC', { from: accounts[0] })
+      await token.mint(accounts[0], '1000', { from: accounts[0] })
+
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thc-deploy-'))
+      manifestFile = path.join(configDir, 'deployments', 'test.json')
+      fs.writeFileSync(path.join(configDir, 'distribution.json'), JSON.stringify({ merkleRoot, totalRewards: '300' }))
+    })
+
+    afterEach(async () => {
+      fs.rmSync(configDir, { recursive: true, force: true })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('resolveDate should accept durations and ISO dates', async () => {
+      assert.strictEqual(resolveDate('30s', now), timestamp + 30)
+      assert.strictEqual(resolveDate('12h', now), timestamp + 43200)
+      assert.strictEqual(resolveDate('2w', now), timestamp + 1209600)
+      assert.strictEqual(resolveDate('2030-02-01T00:00:00Z', now), timestamp + 31 * 86400)
+      assert.strictEqual(resolveDate('2030-01-02', now), timestamp + 86400)
+
+      assert.throws(() => resolveDate('12y', now), /invalid date: 12y/)
+      assert.throws(() => resolveDate(1893456000, now), /invalid date/)
+      assert.throws(() => resolveDate('2030-13-45', now), /invalid date/)
+    })
+
+    it('resolveAccount should accept addresses and provider account references', async () => {
+      assert.strictEqual(resolveAccount('accounts[2]', accounts), accounts[2])
+      assert.strictEqual(resolveAccount(accounts[3].toLowerCase(), accounts), accounts[3])
+
+      assert.throws(() => resolveAccount('accounts[99]', accounts), /account not found: accounts\[99\]/)
+      assert.throws(() => resolveAccount('0x1', accounts), /invalid address: 0x1/)
+    })
+
+    it('resolveSeason should validate config of every variant', async () => {
+      const opts = { accounts, now, baseDir: configDir }
+
+      assert.deepStrictEqual(
+        resolveSeason('merkle', {
+          variant: 'ThriveCoinRewardSeasonMerkleIERC20',
+          defaultDestination: 'accounts[1]',
+          claimCloseDate: '1d',
+          tokenAddress: token.address,
+          distribution: 'distribution.json',
+          admins: ['accounts[2]']
+        }, opts),
+        {
+          variant: 'ThriveCoinRewardSeasonMerkleIERC20',
+          args: {
+            defaultDestination: accounts[1],
+            merkleRoot,
+            totalRewards: '300',
+            claimCloseDate: timestamp + 86400,
+            tokenAddress: token.address
+          },
+          admins: [accounts[2]],
+          writers: [],
+          fund: null
+        }
+      )
+
+      const base = { variant: 'ThriveCoinRewardSeason', defaultDestination: 'accounts[1]', claimCloseDate: '1d' }
+      assert.throws(() => resolveSeason('s', { ...base, variant: 'Foo' }, opts), /s: unknown variant Foo/)
+      assert.throws(() => resolveSeason('s', base, opts), /s: closeDate is required for ThriveCoinRewardSeason/)
+      assert.throws(
+        () => resolveSeason('s', { ...base, closeDate: '1h', fund: '10' }, opts),
+        /s: only IERC20 seasons can be funded/
+      )
+      assert.throws(
+        () => resolveSeason('s', { ...base, variant: 'ThriveCoinRewardSeasonMerkle' }, opts),
+        /s: distribution is required for ThriveCoinRewardSeasonMerkle/
+      )
+      assert.throws(
+        () => resolveSeason('s', { ...base, variant: 'ThriveCoinRewardSeasonMerkle', writers: ['accounts[2]'] }, opts),
+        /s: merkle seasons have no writer role/
+      )
+      assert.throws(
+        () => resolveSeason('s', { ...base, variant: 'ThriveCoinRewardSeasonGasRefundable', closeDate: '1h' }, opts),
+        /s: fixedGasFee is required for ThriveCoinRewardSeasonGasRefundable/
+      )
+    })
+
+    it('loadDeployConfig should resolve to null for networks without config', async () => {
+      fs.writeFileSync(path.join(configDir, 'goerli.json'), JSON.stringify({ seasons: [] }))
+
+      assert.strictEqual(loadDeployConfig(configDir, 'mumbai'), null)
+      assert.throws(() => loadDeployConfig(configDir, 'goerli'), /should contain seasons object/)
+    })
+
+    it('deploySeasons should deploy, grant roles, fund and write manifest', async () => {
+      const config = {
+        seasons: {
+          erc20: {
+            variant: 'ThriveCoinRewardSeasonIERC20GasRefundable',
+            defaultDestination: 'accounts[1]',
+            closeDate: '12h',
+            claimCloseDate: '2030-01-02T00:00:00Z',
+            tokenAddress: token.address,
+            fixedGasFee: '1000',
+            admins: ['accounts[2]'],
+            writers: ['accounts[3]', 'accounts[0]'],
+            fund: '250'
+          },
+          merkle: {
+            variant: 'ThriveCoinRewardSeasonMerkle',
+            defaultDestination: 'accounts[1]',
+            claimCloseDate: '1d',
+            distribution: 'distribution.json'
+          }
+        }
+      }
+
+      const manifest = await deploySeasons({
+        web3,
+        artifacts,
+        deploy,
+        config,
+        network: 'test',
+        from: accounts[0],
+        accounts,
+        configDir,
+        manifestFile,
+        now
+      })
+
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(manifestFile, 'utf8')), manifest)
+      assert.strictEqual(manifest.network, 'test')
+      assert.strictEqual(manifest.chainId, await web3.eth.getChainId())
+
+      const erc20 = manifest.seasons.erc20
+      assert.deepStrictEqual(erc20.args, {
+        defaultDestination: accounts[1],
+        closeDate: String(timestamp + 43200),
+        claimCloseDate: String(timestamp + 86400),
+        fixedGasFee: '1000',
+        tokenAddress: token.address
+      })
+      assert.deepStrictEqual(erc20.roles, { admins: [accounts[0], accounts[2]], writers: [accounts[0], accounts[3]] })
+      assert.strictEqual(erc20.fund, '250')
+
+      const erc20Season = await artifacts.require(erc20.variant).at(erc20.address)
+      assert.strictEqual(await erc20Season.hasRole(adminRole, accounts[2]), true)
+      assert.strictEqual(await erc20Season.hasRole(writerRole, accounts[3]), true)
+      assert.strictEqual((await erc20Season.getFixedGasFee()).toString(), '1000')
+      assert.strictEqual((await token.balanceOf(erc20.address)).toString(), '250')
+
+      const merkle = manifest.seasons.merkle
+      const merkleSeason = await artifacts.require(merkle.variant).at(merkle.address)
+      assert.strictEqual((await merkleSeason.readSeasonInfo(1)).merkleRoot, merkleRoot)
+      assert.strictEqual((await merkleSeason.readSeasonInfo(1)).totalRewards.toString(), '300')
+      assert.deepStrictEqual(merkle.roles, { admins: [accounts[0]], writers: [] })
+      assert.strictEqual(merkle.fund, undefined)
+
+      // redeploying a season keeps other entries of the manifest
+      const res = await deploySeasons({
+        web3,
+        artifacts,
+        deploy,
+        config: { seasons: { merkle: config.seasons.merkle } },
+        network: 'test',
+        from: accounts[0],
+        accounts,
+        configDir,
+        manifestFile,
+        now
+      })
+      assert.strictEqual(res.seasons.erc20.address, erc20.address)
+      assert.notStrictEqual(res.seasons.merkle.address, merkle.address)
+    })
+
+    it('deploySeasons should not send transactions when config is invalid', async () => {
+      const blockNumber = await web3.eth.getBlockNumber()
+      const season = { variant: 'ThriveCoinRewardSeason', defaultDestination: 'accounts[1]', claimCloseDate: '1d' }
+      const config = {
+        seasons: { valid: { ...season, closeDate: '1h' }, invalid: { ...season, closeDate: 'tomorrow' } }
+      }
+      const opts = { web3, artifacts, deploy, network: 'test', from: accounts[0], accounts, configDir, manifestFile }
+
+      await assert.rejects(deploySeasons({ ...opts, config }), /invalid date: tomorrow/)
+      assert.strictEqual(await web3.eth.getBlockNumber(), blockNumber)
+      assert.strictEqual(fs.existsSync(manifestFile), false)
+    })
+  })
+})
@@ -0,0 +1,186 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { promisify } = require('util')
+const { checkDeployment } = require('../scripts/deployment-checker')
+const { deploySeasons } = require('../scripts/season-deployer')
+const DummyToken = artifacts.require('DummyToken')
+const ThriveCoinRewardSeasonIERC20GasRefundable = artifacts.require('ThriveCoinRewardSeasonIERC20GasRefundable')
+const ThriveCoinRewardSeasonMerkle = artifacts.require('ThriveCoinRewardSeasonMerkle')
+
+describe('deployment checker', () => {
+  contract('checker tests', (accounts) => {
+    const writerRole = web3.utils.soliditySha3('WRITER_ROLE')
+    const adminRole = '0x' + '0'.repeat(64)
+    const merkleRoot = web3.utils.soliditySha3('merkle root')
+    const abis = {
+      ThriveCoinRewardSeasonIERC20GasRefundable: ThriveCoinRewardSeasonIERC20GasRefundable.abi,
+      ThriveCoinRewardSeasonMerkle: ThriveCoinRewardSeasonMerkle.abi
+    }
+
+    let token
+    let configDir
+    let manifest
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      token = await DummyToken.new('ThriveCoin', 'THC', { from: accounts[0] })
+      await token.mint(accounts[0], '1000', { from: accounts[0] })
+
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thc-check-'))
+      fs.writeFileSync(path.join(configDir, 'distribution.json'), JSON.stringify({ merkleRoot, totalRewards: '300' }))
+
+      manifest = await deploySeasons({
+        web3,
+        artifacts,
+        deploy: (artifact, ...args) => artifact.new(...args),
+        config: {
+          seasons: {
+            erc20: {
+              variant: 'ThriveCoinRewardSeasonIERC20GasRefundable',
+              defaultDestination: 'accounts[1]',
+              closeDate: '12h',
+              claimCloseDate: '1d',
+              tokenAddress: token.address,
+              fixedGasFee: '1000',
+              admins: ['accounts[2]'],
+              writers: ['accounts[3]'],
+              fund: '250'
+            },
+            merkle: {
+              variant: 'ThriveCoinRewardSeasonMerkle',
+              defaultDestination: 'accounts[1]',
+              claimCloseDate: '1d',
+              distribution: 'distribution.json'
+            }
+          }
+        },
+        network: 'test',
+        from: accounts[0],
+        accounts,
+        configDir,
+        manifestFile: path.join(configDir, 'test.json')
+      })
+    })
+
+    afterEach(async () => {
+      fs.rmSync(configDir, { recursive: true, force: true })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('should report no drift right after deployment', async () => {
+      const report = await checkDeployment({ web3, manifest, abis })
+
+      assert.deepStrictEqual(report, {
+        network: 'test',
+        chainId: manifest.chainId,
+        ok: true,
+        seasons: ['erc20', 'merkle'],
+        drift: []
+      })
+    })
+
+    it('should report drift of season info, gas fee and roles', async () => {
+      const erc20 = await ThriveCoinRewardSeasonIERC20GasRefundable.at(manifest.seasons.erc20.address)
+      const merkle = await ThriveCoinRewardSeasonMerkle.at(manifest.seasons.merkle.address)
+      const claimCloseDate = +manifest.seasons.erc20.args.claimCloseDate + 3600
+
+      await erc20.setClaimCloseDate(claimCloseDate, { from: accounts[0] })
+      await erc20.setFixedGasFee('2000', { from: accounts[0] })
+      await erc20.grantRole(writerRole, accounts[4], { from: accounts[0] })
+      await erc20.revokeRole(adminRole, accounts[2], { from: accounts[0] })
+      await merkle.grantRole(adminRole, accounts[5], { from: accounts[0] })
+
+      const report = await checkDeployment({ web3, manifest, abis })
+      const { args } = manifest.seasons.erc20
+
+      assert.strictEqual(report.ok, false)
+      assert.deepStrictEqual(report.drift, [
+        {
+          season: 'erc20',
+          field: 'seasonInfo.claimCloseDate',
+          expected: args.claimCloseDate,
+          actual: String(claimCloseDate)
+        },
+        { season: 'erc20', field: 'fixedGasFee', expected: '1000', actual: '2000' },
+        {
+          season: 'erc20',
+          field: 'roles.admins',
+          expected: [accounts[0], accounts[2]].sort(),
+          actual: [accounts[0]]
+        },
+        {
+          season: 'erc20',
+          field: 'roles.writers',
+          expected: [accounts[0], accounts[3]].sort(),
+          actual: [accounts[0], accounts[3], accounts[4]].sort()
+        },
+        {
+          season: 'merkle',
+          field: 'roles.admins',
+          expected: [accounts[0]],
+          actual: [accounts[0], accounts[5]].sort()
+        }
+      ])
+    })
+
+    it('should not report claimed rewards as funding drift', async () => {
+      const erc20 = await ThriveCoinRewardSeasonIERC20GasRefundable.at(manifest.seasons.erc20.address)
+      await web3.eth.sendTransaction({ from: accounts[0], to: erc20.address, value: web3.utils.toWei('1') })
+      await erc20.addReward({ owner: accounts[4], destination: accounts[4], amount: '100' }, { from: accounts[3] })
+
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [43201], id: 0 })
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: 0 })
+      await erc20.claimReward(accounts[4], { from: accounts[4] })
+      assert.strictEqual((await token.balanceOf(erc20.address)).toString(), '150')
+
+      let report = await checkDeployment({ web3, manifest, abis })
+      assert.strictEqual(report.ok, true)
+      assert.deepStrictEqual(report.drift, [])
+
+      const drifted = JSON.parse(JSON.stringify(manifest))
+      drifted.seasons.erc20.fund = '300'
+      report = await checkDeployment({ web3, manifest: drifted, abis })
+      assert.deepStrictEqual(report.drift, [{ season: 'erc20', field: 'fund', expected: '200', actual: '150' }])
+    })
+
+    it('should report token address, funding, missing contracts and chain mismatch', async () => {
+      const other = await DummyToken.new('Other', 'OTH', { from: accounts[0] })
+      const drifted = JSON.parse(JSON.stringify(manifest))
+      drifted.seasons.erc20.fund = '300'
+      drifted.seasons.merkle.address = accounts[6]
+
+      let report = await checkDeployment({ web3, manifest: drifted, abis })
+      assert.deepStrictEqual(report.drift, [
+        { season: 'erc20', field: 'fund', expected: '300', actual: '250' },
+        { season: 'merkle', field: 'address', expected: accounts[6], actual: null }
+      ])
+
+      // balance above funded amount is not a drift
+      await token.transfer(manifest.seasons.erc20.address, '100', { from: accounts[0] })
+      report = await checkDeployment({ web3, manifest: drifted, abis })
+      assert.deepStrictEqual(report.drift, [{ season: 'merkle', field: 'address', expected: accounts[6], actual: null }])
+
+      drifted.seasons.erc20.args.tokenAddress = other.address
+      report = await checkDeployment({ web3, manifest: drifted, abis })
+      assert.deepStrictEqual(report.drift, [
+        { season: 'erc20', field: 'tokenAddress', expected: other.address, actual: token.address },
+        { season: 'erc20', field: 'fund', expected: '300', actual: '0' },
+        { season: 'merkle', field: 'address', expected: accounts[6], actual: null }
+      ])
+
+      const res = await checkDeployment({ web3, manifest: { ...manifest, chainId: 1 }, abis })
+      assert.strictEqual(res.ok, false)
+      assert.deepStrictEqual(res.drift, [{ season: null, field: 'chainId', expected: 1, actual: manifest.chainId }])
+    })
+  })
+})
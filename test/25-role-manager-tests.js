@@ -0,0 +1,141 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const assert = require('assert')
+const { promisify } = require('util')
+const { ThriveCoinRewardSeasonClient, ThriveCoinRewardSeasonMerkleClient } = require('../lib')
+const { listRoles, planRoleChange, resolveRole, sendRoleChange, signRoleChange } = require('../scripts/role-manager')
+const ThriveCoinRewardSeason = artifacts.require('ThriveCoinRewardSeason')
+const ThriveCoinRewardSeasonMerkle = artifacts.require('ThriveCoinRewardSeasonMerkle')
+
+describe('role manager', () => {
+  contract('role manager tests', (accounts) => {
+    const now = Date.now()
+    const ADMIN_ROLE = '0x' + '0'.repeat(64)
+    const WRITER_ROLE = web3.utils.soliditySha3('WRITER_ROLE')
+
+    let contract
+    let client
+
+    const planChange = (action, role, account, from = accounts[0]) =>
+      planRoleChange({ client, action, role, account, from })
+
+    const sendRpc = promisify(web3.currentProvider.send).bind(web3.currentProvider)
+    let snapshotId = null
+
+    beforeEach(async () => {
+      snapshotId = (await sendRpc({ jsonrpc: '2.0', method: 'evm_snapshot', params: [], id: 0 })).result
+
+      contract = await ThriveCoinRewardSeason.new(
+        accounts[1],
+        Math.floor(now / 1000) + 43200,
+        Math.floor(now / 1000) + 86400,
+        { from: accounts[0] }
+      )
+      await contract.grantRole(WRITER_ROLE, accounts[1], { from: accounts[0] })
+      client = new ThriveCoinRewardSeasonClient({ web3, address: contract.address, abi: ThriveCoinRewardSeason.abi })
+    })
+
+    afterEach(async () => {
+      await sendRpc({ jsonrpc: '2.0', method: 'evm_revert', params: [snapshotId], id: 0 })
+    })
+
+    it('resolveRole should accept role names and bytes32 roles', async () => {
+      assert.strictEqual(resolveRole('admin'), ADMIN_ROLE)
+      assert.strictEqual(resolveRole('writer'), WRITER_ROLE)
+      assert.strictEqual(resolveRole(WRITER_ROLE.toUpperCase().replace('0X', '0x')), WRITER_ROLE)
+      assert.throws(() => resolveRole('owner'), /unknown role: owner/)
+    })
+
+    it('listRoles should list admin and writer members', async () => {
+      assert.deepStrictEqual(await listRoles({ client }), {
+        admin: [accounts[0]],
+        writer: [accounts[0], accounts[1]]
+      })
+      assert.deepStrictEqual(await listRoles({ client, roles: ['pauser'] }), { pauser: [accounts[0]] })
+
+      const merkle = await ThriveCoinRewardSeasonMerkle.new(
+        accounts[1],
+        web3.utils.soliditySha3('merkle root'),
+        '100',
+        Math.floor(now / 1000) + 86400,
+        { from: accounts[2] }
+      )
+      const merkleClient = new ThriveCoinRewardSeasonMerkleClient({
+        web3,
+        address: merkle.address,
+        abi: ThriveCoinRewardSeasonMerkle.abi
+      })
+      assert.deepStrictEqual(await listRoles({ client: merkleClient }), { admin: [accounts[2]], writer: [] })
+    })
+
+    it('planRoleChange should not send transaction', async () => {
+      const blockNumber = await web3.eth.getBlockNumber()
+      const plan = await planChange('grant', 'writer', accounts[2])
+
+      assert.strictEqual(plan.contract, contract.address)
+      assert.strictEqual(plan.role, 'writer')
+      assert.strictEqual(plan.roleId, WRITER_ROLE)
+      assert.strictEqual(plan.hasRole, false)
+      assert.strictEqual(plan.noop, false)
+      assert.strictEqual(plan.error, null)
+      assert.ok(plan.gas > 0)
+      assert.strictEqual(plan.data, contract.contract.methods.grantRole(WRITER_ROLE, accounts[2]).encodeABI())
+      assert.strictEqual(await web3.eth.getBlockNumber(), blockNumber)
+      assert.strictEqual(await contract.hasRole(WRITER_ROLE, accounts[2]), false)
+    })
+
+    it('planRoleChange should detect noop and failing changes', async () => {
+      let plan = await planChange('grant', 'writer', accounts[1])
+      assert.strictEqual(plan.noop, true)
+      assert.strictEqual(plan.gas, null)
+
+      plan = await planChange('revoke', 'admin', accounts[3])
+      assert.strictEqual(plan.noop, true)
+
+      plan = await planChange('grant', 'admin', accounts[3], accounts[1])
+      assert.strictEqual(plan.noop, false)
+      assert.ok(plan.error.includes('AccessControl: account'))
+      assert.ok(plan.error.includes('is missing role'))
+
+      await assert.rejects(planChange('renounce', 'admin', accounts[3]), /unknown action: renounce/)
+      await assert.rejects(planChange('grant', 'admin', '0x1'), /invalid account: 0x1/)
+    })
+
+    it('sendRoleChange should grant and revoke roles', async () => {
+      let plan = await planChange('grant', 'writer', accounts[2])
+      await sendRoleChange({ client, plan })
+      assert.strictEqual(await contract.hasRole(WRITER_ROLE, accounts[2]), true)
+
+      plan = await planChange('revoke', 'writer', accounts[1])
+      await sendRoleChange({ client, plan })
+      assert.deepStrictEqual(await listRoles({ client, roles: ['writer'] }), { writer: [accounts[0], accounts[2]] })
+    })
+
+    it('signRoleChange should sign transaction that can be sent later', async () => {
+      const signer = web3.eth.accounts.create()
+      await contract.grantRole(ADMIN_ROLE, signer.address, { from: accounts[0] })
+      await web3.eth.sendTransaction({ from: accounts[0], to: signer.address, value: web3.utils.toWei('1') })
+
+      const plan = await planChange('grant', 'admin', accounts[4], signer.address)
+      const signed = await signRoleChange({ web3, plan, privateKey: signer.privateKey })
+
+      assert.strictEqual(signed.transaction.to, contract.address)
+      assert.strictEqual(signed.transaction.value, '0')
+      assert.strictEqual(signed.transaction.data, plan.data)
+      assert.strictEqual(signed.transaction.chainId, await web3.eth.getChainId())
+      assert.ok(/^0x[0-9a-f]+$/.test(signed.rawTransaction))
+      assert.strictEqual(await contract.hasRole(ADMIN_ROLE, accounts[4]), false)
+
+      const receipt = await web3.eth.sendSignedTransaction(signed.rawTransaction)
+      assert.strictEqual(receipt.transactionHash, signed.transactionHash)
+      assert.strictEqual(await contract.hasRole(ADMIN_ROLE, accounts[4]), true)
+
+      await assert.rejects(
+        signRoleChange({ web3, plan: { ...plan, from: accounts[0] }, privateKey: signer.privateKey }),
+        /private key does not belong to sender/
+      )
+    })
+  })
+})